@@ -0,0 +1,182 @@
+// Duplicate-check latency benchmark.
+//
+// Fills a throwaway database with synthetic requests and times checkForDuplicates
+// at each corpus size, for both near-duplicates of stored requests and new text.
+//
+//   npm run benchmark:similarity -- --sizes=10000,100000 --checks=50
+//
+// Uses BENCHMARK_MONGODB_URI (falling back to MONGODB_URI) with the database
+// name from BENCHMARK_DB_NAME, which is dropped afterwards unless --keep is set.
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { performance } from 'perf_hooks';
+import { Request } from '../src/models/request.js';
+import { similarity, checkForDuplicates } from '../src/utils/similarity.js';
+import { buildRequestEmbedding } from '../src/services/embeddingService.js';
+import { buildSimilarityIndex } from '../src/services/similarityIndex.js';
+import { CONCEPT_GROUPS } from '../src/config/semanticLexicon.js';
+
+dotenv.config();
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+}));
+
+const SIZES = (args.sizes || '10000,100000').split(',').map(Number).sort((a, b) => a - b);
+const CHECKS = parseInt(args.checks) || 50;
+// Everything goes into one department by default: the worst case, since
+// duplicate checks only ever compare within a department
+const DEPARTMENTS = ['ITC', 'DOF', 'DOH', 'ADEK', 'DMT', 'DCT', 'DED', 'DOE', 'DGE', 'DCD', 'ADJD']
+    .slice(0, parseInt(args.departments) || 1);
+const INSERT_BATCH_SIZE = 1000;
+const DB_NAME = process.env.BENCHMARK_DB_NAME || 'adeo_similarity_benchmark';
+
+// Deterministic PRNG so runs are comparable
+let seed = parseInt(args.seed) || 42;
+const random = () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+const pick = (items) => items[Math.floor(random() * items.length)];
+
+const englishTerms = Object.values(CONCEPT_GROUPS).map(terms => terms.filter(term => /^[a-z ]+$/.test(term)));
+const FILLER = ['current', 'existing', 'team', 'across', 'quarter', 'annual', 'phase', 'support', 'provide',
+    'ensure', 'required', 'level', 'service', 'central', 'regional', 'division', 'unit', 'coverage',
+    'timeline', 'scope', 'pilot', 'stage', 'delivery', 'capacity', 'users', 'site', 'branch', 'period'];
+
+function generateText() {
+    const concepts = Array.from({ length: 2 + Math.floor(random() * 3) }, () => pick(englishTerms));
+    const title = concepts.slice(0, 2).map(pick).join(' ') + ' ' + pick(FILLER);
+    const words = Array.from({ length: 40 + Math.floor(random() * 80) }, () =>
+        random() < 0.4 ? pick(pick(concepts)) : pick(FILLER)
+    );
+    return { title, description: words.join(' ') + '.' };
+}
+
+// Swaps a few words, the way a resubmitted request usually differs
+function perturb(text) {
+    const words = text.description.split(' ');
+    for (let i = 0; i < Math.max(2, words.length * 0.1); i++) {
+        words[Math.floor(random() * words.length)] = pick(FILLER);
+    }
+    return { title: text.title, description: words.join(' ') };
+}
+
+async function generateRequest(index) {
+    const text = generateText();
+    return {
+        requestNumber: `BENCH-${String(index).padStart(7, '0')}`,
+        ...text,
+        requestType: 'general',
+        priority: 'Medium',
+        status: 'Pending',
+        department: pick(DEPARTMENTS),
+        statusHistory: [],
+        attachments: [],
+        embedding: await buildRequestEmbedding(text),
+        similarityIndex: buildSimilarityIndex(text),
+        metadata: { createdFrom: 'benchmark', version: 1 },
+        createdAt: new Date(Date.now() - random() * 90 * 24 * 60 * 60 * 1000),
+        updatedAt: new Date()
+    };
+}
+
+async function fillTo(target, current) {
+    for (let start = current; start < target; start += INSERT_BATCH_SIZE) {
+        const batch = await Promise.all(
+            Array.from({ length: Math.min(INSERT_BATCH_SIZE, target - start) }, (_, i) => generateRequest(start + i))
+        );
+        await Request.collection.insertMany(batch, { ordered: false });
+        process.stdout.write(`\r  inserted ${start + batch.length}/${target}`);
+    }
+    process.stdout.write('\n');
+}
+
+const percentile = (values, p) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+};
+
+async function runChecks(size) {
+    const samples = await Request.aggregate([{ $sample: { size: CHECKS } }, { $project: { title: 1, description: 1, department: 1 } }]);
+    const results = { duplicate: [], fresh: [] };
+    let detected = 0;
+
+    for (const sample of samples) {
+        for (const kind of ['duplicate', 'fresh']) {
+            const text = kind === 'duplicate' ? perturb(sample) : generateText();
+            similarity.clearCache();
+
+            const start = performance.now();
+            const result = await checkForDuplicates(text.title, sample.department, text.description);
+            results[kind].push(performance.now() - start);
+
+            if (kind === 'duplicate' && result.isDuplicate) detected++;
+        }
+    }
+
+    const format = (values) => ({
+        p50: percentile(values, 0.5).toFixed(1),
+        p95: percentile(values, 0.95).toFixed(1),
+        max: Math.max(...values).toFixed(1)
+    });
+
+    return {
+        size,
+        departments: DEPARTMENTS.length,
+        checks: samples.length,
+        'near-duplicate ms': format(results.duplicate),
+        'new text ms': format(results.fresh),
+        'near-duplicates flagged': `${detected}/${samples.length}`
+    };
+}
+
+async function main() {
+    const uri = process.env.BENCHMARK_MONGODB_URI || process.env.MONGODB_URI;
+    if (!uri) {
+        throw new Error('Set BENCHMARK_MONGODB_URI or MONGODB_URI');
+    }
+
+    await mongoose.connect(uri, { dbName: DB_NAME });
+    console.log(`Benchmarking duplicate checks in database "${DB_NAME}"`);
+
+    await Request.collection.drop().catch(() => {});
+    await Request.syncIndexes();
+
+    const report = [];
+    let stored = 0;
+    for (const size of SIZES) {
+        console.log(`Filling to ${size} requests`);
+        await fillTo(size, stored);
+        stored = size;
+        report.push(await runChecks(size));
+    }
+
+    console.table(report.map(row => ({
+        requests: row.size,
+        departments: row.departments,
+        checks: row.checks,
+        'duplicate p50/p95/max (ms)': Object.values(row['near-duplicate ms']).join(' / '),
+        'new p50/p95/max (ms)': Object.values(row['new text ms']).join(' / '),
+        flagged: row['near-duplicates flagged']
+    })));
+
+    if (args.keep !== 'true') {
+        await mongoose.connection.dropDatabase();
+    }
+}
+
+main()
+    .catch(error => {
+        console.error('Benchmark failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        await mongoose.disconnect();
+        // The similarity module keeps a cache maintenance timer running
+        process.exit();
+    });
@@ -0,0 +1,33 @@
+// Invites an admin account, for a new installation where nobody can send
+// invitations yet. Prints the invitation token to register with at
+// /accept-invite?token=...
+//
+//   npm run users:invite-admin -- admin@example.gov "Admin Name"
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { inviteUser } from '../src/services/authService.js';
+
+dotenv.config();
+
+async function main() {
+    const [email, name] = process.argv.slice(2);
+    if (!email) {
+        throw new Error('Usage: npm run users:invite-admin -- <email> [name]');
+    }
+    if (!process.env.MONGODB_URI) {
+        throw new Error('MONGODB_URI is not defined in environment variables');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    const { user, inviteToken, expiresAt } = await inviteUser({ email, name, role: 'admin' }, { actor: 'script' });
+    console.log(`Invited ${user.email} as admin (expires ${expiresAt.toISOString()})`);
+    console.log(`Invitation token: ${inviteToken}`);
+}
+
+main()
+    .catch(error => {
+        console.error('Invitation failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,39 @@
+// Converts stored analyses of earlier shapes (the old POST /analyze decision
+// analysis, and analyses without impact scores or a decision) to the current
+// contract, on requests and in analysis history. Safe to run more than once.
+//
+//   npm run analyses:migrate [-- --dry-run]
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { migrateStoredAnalyses } from '../src/services/analysisContract.js';
+
+dotenv.config();
+
+async function main() {
+    if (!process.env.MONGODB_URI) {
+        throw new Error('MONGODB_URI is not defined in environment variables');
+    }
+
+    const dryRun = process.argv.includes('--dry-run');
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    const summary = await migrateStoredAnalyses({ dryRun });
+
+    for (const [name, counts] of Object.entries(summary)) {
+        console.log(
+            `${name}: ${dryRun ? 'would migrate' : 'migrated'} ${counts.migrated} of ${counts.scanned} ` +
+            `(${counts.fromV1} from v1, ${counts.fromV2} from v2)`
+        );
+    }
+}
+
+main()
+    .catch(error => {
+        console.error('Analysis migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        await mongoose.disconnect();
+        process.exit();
+    });
@@ -0,0 +1,32 @@
+// Recomputes the document frequency tables used for TF-IDF similarity scoring
+// from every stored request. They are kept up to date incrementally, so this
+// is only needed once after upgrading, or to repair drift.
+//
+//   npm run corpus:rebuild
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { rebuildCorpusStats } from '../src/utils/similarity.js';
+
+dotenv.config();
+
+async function main() {
+    if (!process.env.MONGODB_URI) {
+        throw new Error('MONGODB_URI is not defined in environment variables');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    const result = await rebuildCorpusStats();
+    console.log(`Indexed ${result.documents} requests: ${result.terms} terms across ${result.scopes} scopes`);
+}
+
+main()
+    .catch(error => {
+        console.error('Corpus rebuild failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        await mongoose.disconnect();
+        // The similarity module keeps a cache maintenance timer running
+        process.exit();
+    });
@@ -0,0 +1,36 @@
+// Trains a new version of the department, request type and priority
+// classifier on every stored request; same as POST /api/classifier/train.
+//
+//   npm run classifier:train
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { trainClassifier } from '../src/services/requestClassifier.js';
+
+dotenv.config();
+
+const formatAccuracy = (accuracy) => accuracy === null ? 'not evaluated' : `${Math.round(accuracy * 100)}% accurate`;
+
+async function main() {
+    if (!process.env.MONGODB_URI) {
+        throw new Error('MONGODB_URI is not defined in environment variables');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    const model = await trainClassifier({ actor: 'script' });
+    console.log(`Trained classifier version ${model.version} on ${model.documentCount} requests (${model.vocabularySize} terms)`);
+    for (const { field, values, accuracy, evaluatedOn } of model.fields) {
+        console.log(`  ${field}: ${values.length} values, ${formatAccuracy(accuracy)}${evaluatedOn ? ` on ${evaluatedOn} held-out requests` : ''}`);
+    }
+}
+
+main()
+    .catch(error => {
+        console.error('Classifier training failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        await mongoose.disconnect();
+        // The similarity module keeps a cache maintenance timer running
+        process.exit();
+    });
@@ -0,0 +1,81 @@
+// What each role may do with a request, and how far that reaches:
+//   'all'        every request
+//   'department' requests of the user's own department (and any they submitted)
+//   'own'        only requests the user submitted
+// A role missing from an action may not perform it at all.
+const READ_SCOPES = {
+    requester: 'department',
+    reviewer: 'department',
+    department_head: 'department',
+    admin: 'all',
+    auditor: 'all'
+};
+
+const EDIT_SCOPES = {
+    requester: 'own',
+    reviewer: 'department',
+    department_head: 'department',
+    admin: 'all'
+};
+
+export const REQUEST_PERMISSIONS = Object.freeze({
+    'request:read': READ_SCOPES,
+    // Scope is checked against the department of the new request
+    'request:create': {
+        requester: 'department',
+        reviewer: 'department',
+        department_head: 'department',
+        admin: 'all'
+    },
+    'request:update': EDIT_SCOPES,
+    // Moving a request to another department
+    'request:transfer': {
+        department_head: 'department',
+        admin: 'all'
+    },
+    'request:delete': {
+        department_head: 'department',
+        admin: 'all'
+    },
+    // Which statuses each role may move to is limited further by TRANSITION_ROLES
+    'request:transition': EDIT_SCOPES,
+    'attachment:read': READ_SCOPES,
+    'attachment:write': EDIT_SCOPES,
+    'analysis:read': READ_SCOPES,
+    'analysis:run': {
+        reviewer: 'department',
+        department_head: 'department',
+        admin: 'all'
+    },
+    // Choosing the official analysis run
+    'analysis:pin': {
+        department_head: 'department',
+        admin: 'all'
+    },
+    'comment:read': READ_SCOPES,
+    'comment:write': EDIT_SCOPES,
+    // Reading internal comments, and writing them with comment:write;
+    // requesters only ever see requester-visible ones
+    'comment:internal': {
+        reviewer: 'department',
+        department_head: 'department',
+        admin: 'all',
+        auditor: 'all'
+    },
+    // Deleting other users' comments, and own ones after the delete window
+    'comment:moderate': {
+        department_head: 'department',
+        admin: 'all'
+    }
+});
+
+// Roles that may move a request into each status (see config/workflow.js)
+export const TRANSITION_ROLES = Object.freeze({
+    'Draft': ['requester', 'reviewer', 'department_head', 'admin'],
+    'Pending': ['requester', 'reviewer', 'department_head', 'admin'],
+    'Cancelled': ['requester', 'reviewer', 'department_head', 'admin'],
+    'In Review': ['reviewer', 'department_head', 'admin'],
+    'Completed': ['reviewer', 'department_head', 'admin'],
+    'Approved': ['department_head', 'admin'],
+    'Rejected': ['department_head', 'admin']
+});
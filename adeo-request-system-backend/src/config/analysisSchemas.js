@@ -0,0 +1,112 @@
+// Output contracts for the LLM analysis steps. The processor asks for JSON
+// in exactly this shape and validates replies against it (see
+// services/structuredOutput.js). Field limits match AnalysisSchema's storage.
+const text = (maxLength, minLength = 1) => ({ type: 'string', minLength, maxLength });
+const list = (itemMaxLength, minItems = 1, maxItems = 10) => ({
+    type: 'array',
+    items: text(itemMaxLength),
+    minItems,
+    maxItems
+});
+
+export const RISK_LEVELS = Object.freeze(['LOW', 'MEDIUM', 'HIGH']);
+export const DECISIONS = Object.freeze(['APPROVED', 'REJECTED', 'NEEDS_REVIEW']);
+// Direction and size of an expected impact; services/analysisContract.js turns
+// them into 0-100 scores, 50 being neutral
+export const IMPACT_RATINGS = Object.freeze([
+    'SIGNIFICANT_NEGATIVE',
+    'MODERATE_NEGATIVE',
+    'NEUTRAL',
+    'MODERATE_POSITIVE',
+    'SIGNIFICANT_POSITIVE'
+]);
+
+const impactDimension = (area) => ({
+    type: 'object',
+    required: ['rating', 'details'],
+    properties: {
+        rating: { type: 'string', enum: IMPACT_RATINGS, description: `Expected ${area} impact` },
+        details: { ...list(500, 1, 3), description: `Main ${area} effects` }
+    }
+});
+
+export const ANALYSIS_OUTPUT_SCHEMA = Object.freeze({
+    type: 'object',
+    required: ['summary', 'trends', 'impactAssessment', 'policyAlignment', 'riskLevel'],
+    properties: {
+        summary: { ...text(2000), description: 'Executive summary in 2-3 sentences' },
+        trends: { ...list(500, 3, 5), description: 'Key trends relevant to the request' },
+        impactAssessment: { ...text(5000), description: 'Social, economic and environmental impact' },
+        policyAlignment: { ...text(5000), description: 'Alignment with current policy, gaps and regulatory considerations' },
+        riskLevel: { type: 'string', enum: RISK_LEVELS, description: 'Overall risk level' },
+        impact: {
+            type: 'object',
+            required: ['economic', 'social', 'environmental'],
+            properties: {
+                economic: impactDimension('economic'),
+                social: impactDimension('social'),
+                environmental: impactDimension('environmental')
+            }
+        }
+    }
+});
+
+export const RECOMMENDATIONS_OUTPUT_SCHEMA = Object.freeze({
+    type: 'object',
+    required: ['strategic', 'operational', 'timeline', 'risks', 'budgetImplications', 'decision'],
+    properties: {
+        strategic: { ...list(1000, 3, 5), description: 'Strategic recommendations, each with expected outcome' },
+        operational: { ...list(1000, 3, 5), description: 'Operational steps, each with a clear action item' },
+        timeline: { ...text(1000), description: 'Implementation timeline with phases' },
+        risks: { ...list(500), description: 'Potential risks, each with its mitigation' },
+        budgetImplications: { ...text(1000), description: 'Resource and budget requirements' },
+        decision: {
+            type: 'object',
+            required: ['recommendation', 'rationale'],
+            properties: {
+                recommendation: { type: 'string', enum: DECISIONS, description: 'Recommended decision on the request' },
+                rationale: { ...list(500, 1, 3), description: 'Main reasons for the recommended decision' }
+            }
+        }
+    }
+});
+
+// Critique of a draft request by the drafting assistant. Missing sections
+// are limited to the headings of the draft's template (config/draftTemplates.js).
+export const draftAssistOutputSchema = (headings) => Object.freeze({
+    type: 'object',
+    required: ['suggestedTitle', 'missingElements', 'ambiguities', 'rewrittenDescription'],
+    properties: {
+        suggestedTitle: { ...text(100), description: 'Clear, specific title' },
+        missingElements: {
+            type: 'array',
+            description: 'Sections of the standard structure the draft does not cover',
+            minItems: 0,
+            maxItems: headings.length,
+            items: {
+                type: 'object',
+                required: ['section', 'suggestion'],
+                properties: {
+                    section: { type: 'string', enum: headings, description: 'Missing section' },
+                    suggestion: { ...text(500), description: 'Text the requester could add to cover it' }
+                }
+            }
+        },
+        ambiguities: {
+            type: 'array',
+            description: 'Ambiguous wording in the draft',
+            minItems: 0,
+            maxItems: 8,
+            items: {
+                type: 'object',
+                required: ['excerpt', 'issue', 'suggestion'],
+                properties: {
+                    excerpt: { ...text(300), description: 'The exact words from the draft' },
+                    issue: { ...text(300), description: 'What is unclear about them' },
+                    suggestion: { ...text(500), description: 'Clearer wording to replace them with' }
+                }
+            }
+        },
+        rewrittenDescription: { ...text(2000), description: 'The description rewritten under the headings of the standard structure' }
+    }
+});
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Roles a user account can have; what they may do with requests is set in
+// config/accessPolicy.js. Admins also invite users and issue password resets.
+export const USER_ROLES = Object.freeze(['requester', 'reviewer', 'department_head', 'admin', 'auditor']);
+
+// Roles that work across every department; all others belong to one
+export const CROSS_DEPARTMENT_ROLES = Object.freeze(['admin', 'auditor']);
+
+const loadJwtSecret = () => {
+    if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+    }
+
+    // Development only: sessions end whenever the server restarts
+    console.warn('JWT_SECRET is not set; using a random secret for this process');
+    return crypto.randomBytes(32).toString('hex');
+};
+
+export const AUTH_CONFIG = Object.freeze({
+    JWT_SECRET: loadJwtSecret(),
+    JWT_ISSUER: 'adeo-request-system',
+    // Access tokens are short-lived; clients renew them with the refresh token
+    ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+    REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7,
+    INVITE_TTL_HOURS: parseInt(process.env.INVITE_TTL_HOURS) || 72,
+    PASSWORD_RESET_TTL_MINUTES: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    // A rotated refresh token presented again within this window is a race
+    // between browser tabs rather than a stolen token
+    REFRESH_REUSE_GRACE_MS: 10 * 1000,
+    PASSWORD_MIN_LENGTH: 10,
+    BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+    REFRESH_COOKIE: Object.freeze({
+        name: 'refreshToken',
+        path: '/api/auth',
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        // 'none' (with HTTPS) when the frontend is served from another site
+        sameSite: process.env.AUTH_COOKIE_SAMESITE || 'strict'
+    })
+});
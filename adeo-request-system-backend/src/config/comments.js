@@ -0,0 +1,14 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+export const COMMENT_CONFIG = Object.freeze({
+    MAX_LENGTH: parseInt(process.env.COMMENT_MAX_LENGTH) || 5000,
+    // How long after posting authors may still edit or delete their comment;
+    // moderators (comment:moderate) may delete at any time
+    EDIT_WINDOW_MINUTES: parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15,
+    DELETE_WINDOW_MINUTES: parseInt(process.env.COMMENT_DELETE_WINDOW_MINUTES) || 60,
+    MAX_MENTIONS: 10,
+    MAX_ATTACHMENT_REFS: 5
+});
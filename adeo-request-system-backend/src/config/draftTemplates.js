@@ -0,0 +1,131 @@
+// Standard structure of a request description, per request type (the values
+// offered by the submission form). The drafting assistant
+// (services/draftAssistant.js) rewrites drafts under these headings and
+// scores how many of them a draft covers.
+
+const section = (heading, guidance) => Object.freeze({ heading, guidance });
+
+const BACKGROUND = section('Background', 'The situation or problem that prompts the request');
+const OBJECTIVE = section('Objective', 'What the request should achieve, in measurable terms where possible');
+const STAKEHOLDERS = section('Stakeholders', 'Who is affected, who delivers and who must be consulted');
+const BUDGET = section('Budget', 'Estimated cost and funding source, or why none is needed');
+const TIMELINE = section('Timeline', 'Start, key milestones and deadline');
+
+const template = (...sections) => Object.freeze(sections);
+
+export const DRAFT_TEMPLATES = Object.freeze({
+    'Policy Development': template(
+        BACKGROUND,
+        OBJECTIVE,
+        section('Proposed Policy', 'The rules or principles the policy would introduce'),
+        section('Current Policy Gaps', 'Existing policies this replaces, amends or complements'),
+        STAKEHOLDERS,
+        BUDGET,
+        TIMELINE
+    ),
+    'Strategic Initiative': template(
+        BACKGROUND,
+        OBJECTIVE,
+        section('Strategic Alignment', 'The government strategy or priority the initiative supports'),
+        section('Expected Outcomes', 'Results and the indicators that measure them'),
+        STAKEHOLDERS,
+        BUDGET,
+        TIMELINE
+    ),
+    'Program Approval': template(
+        BACKGROUND,
+        OBJECTIVE,
+        section('Program Scope', 'Activities, target beneficiaries and what is out of scope'),
+        section('Expected Outcomes', 'Results and the indicators that measure them'),
+        STAKEHOLDERS,
+        BUDGET,
+        TIMELINE
+    ),
+    'Budget Allocation': template(
+        BACKGROUND,
+        OBJECTIVE,
+        section('Amount Requested', 'The amount, what it pays for and its breakdown'),
+        section('Funding Source', 'The budget line or source the amount comes from'),
+        section('Justification', 'Why the spending is needed now and what happens without it'),
+        STAKEHOLDERS,
+        TIMELINE
+    ),
+    'Inter-Department Collaboration': template(
+        BACKGROUND,
+        OBJECTIVE,
+        section('Partner Departments', 'The departments involved and the role of each'),
+        section('Responsibilities', 'What each party delivers and who leads'),
+        BUDGET,
+        TIMELINE
+    ),
+    'Executive Decision': template(
+        BACKGROUND,
+        section('Decision Required', 'The exact decision asked for'),
+        section('Options Considered', 'Alternatives and why the recommended one is preferred'),
+        STAKEHOLDERS,
+        BUDGET,
+        TIMELINE
+    ),
+    'Regulatory Amendment': template(
+        BACKGROUND,
+        section('Regulation Affected', 'The regulation and the articles to change'),
+        section('Proposed Amendment', 'The new or changed wording'),
+        section('Compliance Impact', 'Who must comply and what changes for them'),
+        STAKEHOLDERS,
+        BUDGET,
+        TIMELINE
+    ),
+    'Resource Support': template(
+        BACKGROUND,
+        section('Resources Needed', 'Staff, equipment or services, with quantities'),
+        section('Justification', 'Why current resources are insufficient'),
+        STAKEHOLDERS,
+        BUDGET,
+        TIMELINE
+    ),
+    'Technical Assistance': template(
+        BACKGROUND,
+        section('Assistance Needed', 'The expertise or support requested'),
+        section('Current Situation', 'Systems or processes involved and what has been tried'),
+        STAKEHOLDERS,
+        BUDGET,
+        TIMELINE
+    ),
+    default: template(
+        BACKGROUND,
+        OBJECTIVE,
+        STAKEHOLDERS,
+        BUDGET,
+        TIMELINE
+    )
+});
+
+/**
+ * Sections of the description template for a request type; types without
+ * their own template use the default one
+ */
+export const getDraftTemplate = (type) => DRAFT_TEMPLATES[type] || DRAFT_TEMPLATES.default;
+
+export const DRAFT_ASSIST_PROMPT = Object.freeze({
+    system: 'You are an editor helping government staff write clear, complete requests. Point out what is missing or unclear and rewrite drafts in the standard structure, without inventing facts.',
+    body: `Review this draft request before it is submitted.
+
+Title: {{title}}
+Department: {{department}}
+Type: {{type}}
+Description:
+{{description}}
+
+Standard structure for this type of request:
+{{sections}}
+
+Provide:
+1. A clear, specific title of at most 100 characters
+2. The sections of the standard structure the draft does not cover, each with
+   text the requester could add (use placeholders such as [amount] for facts
+   the draft does not give)
+3. Ambiguous wording: the exact words from the draft, what is unclear and
+   clearer wording to replace them with
+4. The description rewritten under the headings of the standard structure,
+   keeping every fact of the draft and adding none`
+});
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Dictionaries of the rule-based analyzer (services/heuristicAnalyzer.js),
+// which stands in when no language model is reachable. Entries are matched
+// as lowercase substrings, so word stems ("budget" also finds "budgets") work.
+const DEFAULT_RULES = {
+    // Phrases that point to a risk level. Also used to infer the level of
+    // model output that doesn't state one.
+    riskIndicators: {
+        HIGH: [
+            'high risk', 'severe', 'critical', 'urgent', 'immediate attention',
+            'emergency', 'safety hazard', 'legal action', 'non-compliance',
+            'مخاطر عالية', 'حرج', 'عاجل', 'طارئ', 'خطر على السلامة'
+        ],
+        MEDIUM: [
+            'moderate', 'potential risk', 'consideration needed',
+            'dependency', 'delay', 'uncertain',
+            'مخاطر متوسطة', 'محتمل', 'تأخير'
+        ],
+        LOW: [
+            'low risk', 'minimal', 'negligible', 'pilot', 'routine',
+            'مخاطر منخفضة', 'طفيف', 'تجريبي'
+        ]
+    },
+    // Points per indicator found; the total decides the level
+    riskWeights: { HIGH: 3, MEDIUM: 1, LOW: -1 },
+    riskThresholds: { HIGH: 4, MEDIUM: 1 },
+    // What a complete request describes. Each missing one adds riskWeights.MEDIUM.
+    completeness: {
+        budget: [
+            'budget', 'cost', 'aed', 'dirham', 'usd', '$', 'million', 'funding', 'expenditure',
+            'ميزانية', 'تكلفة', 'درهم', 'مليون', 'تمويل'
+        ],
+        timeline: [
+            'timeline', 'deadline', 'schedule', 'milestone', 'phase', 'month', 'week', 'quarter', 'q1', 'q2', 'q3', 'q4', 'by 20',
+            'جدول زمني', 'موعد', 'مرحلة', 'شهر', 'أسبوع', 'ربع'
+        ],
+        stakeholders: [
+            'stakeholder', 'residents', 'community', 'citizens', 'partner', 'ministry', 'authority', 'contractor', 'department of',
+            'أصحاب المصلحة', 'السكان', 'المجتمع', 'المواطنين', 'شريك', 'وزارة', 'هيئة', 'دائرة'
+        ]
+    },
+    // Key phrases reported in the analysis
+    maxKeyPhrases: 5
+};
+
+// Allows deployments to replace dictionaries with a JSON file,
+// e.g. HEURISTIC_RULES_PATH=/etc/adeo/heuristic-rules.json
+const loadHeuristicRules = () => {
+    const configPath = process.env.HEURISTIC_RULES_PATH;
+    if (!configPath) return DEFAULT_RULES;
+
+    try {
+        const overrides = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        return { ...DEFAULT_RULES, ...overrides };
+    } catch (error) {
+        console.error(`Failed to load heuristic rules from ${configPath}, using defaults:`, error.message);
+        return DEFAULT_RULES;
+    }
+};
+
+export const heuristicRules = Object.freeze(loadHeuristicRules());
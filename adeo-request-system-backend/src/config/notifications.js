@@ -0,0 +1,60 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// How a user gets emails about an event: not at all, straight away, or
+// collected into one email a day
+export const EMAIL_DELIVERY = Object.freeze(['off', 'immediate', 'digest']);
+
+// Events users are notified about, with the preferences they start with
+export const NOTIFICATION_EVENTS = Object.freeze({
+    status_changed: {
+        label: 'Status changes',
+        description: 'A request you submitted moves to another status',
+        defaults: { inApp: true, email: 'immediate' }
+    },
+    mention: {
+        label: 'Mentions',
+        description: 'Someone @mentions you in a comment',
+        defaults: { inApp: true, email: 'immediate' }
+    },
+    analysis_completed: {
+        label: 'Analysis finished',
+        description: 'An analysis of a request you submitted or queued is ready',
+        defaults: { inApp: true, email: 'digest' }
+    },
+    sla_breached: {
+        label: 'Overdue requests',
+        description: 'A request of your department has waited too long in its status',
+        defaults: { inApp: true, email: 'immediate' }
+    }
+});
+
+export const NOTIFICATION_CONFIG = Object.freeze({
+    // Leave SMTP_HOST unset to disable email. For local testing against
+    // MailHog: SMTP_HOST=localhost SMTP_PORT=1025
+    SMTP: Object.freeze({
+        host: process.env.SMTP_HOST || null,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER || null,
+        pass: process.env.SMTP_PASS || null
+    }),
+    MAIL_FROM: process.env.MAIL_FROM || 'ADEO Request System <no-reply@adeo.local>',
+    // Links in emails point here
+    APP_URL: (process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, ''),
+    // Daily digests go out after this hour, server time
+    DIGEST_HOUR: parseInt(process.env.NOTIFICATION_DIGEST_HOUR) || 8,
+    // A digest claimed longer ago than this was interrupted (e.g. the process
+    // crashed mid-send) and is sent again by the next sweep
+    DIGEST_LEASE_MS: parseInt(process.env.NOTIFICATION_DIGEST_LEASE_MS) || 15 * 60 * 1000,
+    // How often digests and overdue requests are checked for
+    SWEEP_INTERVAL_MS: parseInt(process.env.NOTIFICATION_SWEEP_INTERVAL_MS) || 5 * 60 * 1000,
+    RETENTION_DAYS: parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90,
+    // Hours a request may stay in a status before its department is told it's overdue
+    SLA_HOURS: Object.freeze({
+        'Pending': parseInt(process.env.SLA_PENDING_HOURS) || 48,
+        'In Review': parseInt(process.env.SLA_IN_REVIEW_HOURS) || 120
+    })
+});
@@ -0,0 +1,79 @@
+// Prompts of the two analysis steps. These built-in templates are used unless
+// a template stored in the database (models/promptTemplate.js) applies to the
+// request; see services/promptTemplates.js. Templates refer to request data
+// with {{variable}} placeholders.
+
+export const PROMPT_STEPS = Object.freeze(['analysis', 'recommendations']);
+
+// Placeholders a template may use, per step
+export const PROMPT_VARIABLES = Object.freeze({
+    analysis: Object.freeze({
+        title: 'Request title',
+        requestNumber: 'Request number, e.g. REQ-2024-0001',
+        department: 'Department code, e.g. DOH',
+        type: 'Request type',
+        priority: 'Request priority',
+        content: 'Request description',
+        attachmentsExcerpt: 'Summarized excerpts of the attached documents, with an introduction; empty without attachments'
+    }),
+    recommendations: Object.freeze({
+        title: 'Request title',
+        requestNumber: 'Request number, e.g. REQ-2024-0001',
+        department: 'Department code, e.g. DOH',
+        type: 'Request type',
+        priority: 'Request priority',
+        content: 'Request description',
+        attachmentsExcerpt: 'Summarized excerpts of the attached documents, with an introduction; empty without attachments',
+        request: 'The request details as JSON',
+        analysis: 'The result of the analysis step as JSON'
+    })
+});
+
+export const DEFAULT_PROMPT_TEMPLATES = Object.freeze({
+    analysis: Object.freeze({
+        system: 'You are an expert policy analyst specializing in government requests. Provide detailed, objective analysis focusing on practical implications and policy alignment.',
+        body: `Please analyze the following government request:
+
+Title: {{title}}
+Department: {{department}}
+Type: {{type}}
+Content: {{content}}
+{{attachmentsExcerpt}}
+
+Provide a comprehensive analysis including:
+1. Executive Summary (2-3 sentences)
+2. Key Trends (3-5 points)
+3. Impact Assessment covering social, economic and environmental impact
+4. Policy Alignment Analysis covering alignment with current policies,
+   potential policy gaps and regulatory considerations
+5. Overall risk level: LOW, MEDIUM or HIGH
+6. Economic, social and environmental impact, each rated from
+   SIGNIFICANT_NEGATIVE to SIGNIFICANT_POSITIVE with its main effects`
+    }),
+    recommendations: Object.freeze({
+        system: 'You are an expert policy advisor specializing in government requests. Provide practical, actionable recommendations with clear implementation steps.',
+        body: `Based on the following request and analysis:
+
+Request:
+{{request}}
+{{attachmentsExcerpt}}
+
+Analysis:
+{{analysis}}
+
+Please provide:
+1. Strategic Recommendations (3-5 points, each with its expected outcome)
+2. Operational Recommendations (3-5 points, each a clear action item)
+3. Implementation Timeline
+4. Potential Risks, each with its mitigation strategy
+5. Resource and budget requirements
+6. Recommended decision (APPROVED, REJECTED or NEEDS_REVIEW) with its main reasons`
+    })
+});
+
+// Appended to the system message of every template, so stored templates
+// don't have to handle languages themselves
+export const LANGUAGE_INSTRUCTIONS = Object.freeze({
+    en: 'Write every text value in English.',
+    ar: 'Write every text value in Modern Standard Arabic. Keep the enumerated values (risk level, impact ratings and the recommended decision) exactly as specified, in English.'
+});
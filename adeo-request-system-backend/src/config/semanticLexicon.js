@@ -0,0 +1,86 @@
+// Bilingual concept lexicon used by the offline embedding provider.
+//
+// Every term in a group maps to the same concept feature, so an English
+// request and its Arabic paraphrase land close together in vector space even
+// though they share no words. Terms are normalized and stemmed the same way as
+// request text before lookup, so list base forms only.
+export const CONCEPT_GROUPS = Object.freeze({
+    budget: ['budget', 'funding', 'fund', 'finance', 'financial', 'cost', 'expense', 'spending', 'allocation',
+        'ميزانية', 'موازنة', 'تمويل', 'تكلفة', 'تكاليف', 'مالي', 'نفقات', 'مخصصات'],
+    staffing: ['staff', 'employee', 'personnel', 'hiring', 'hire', 'recruit', 'recruitment', 'workforce', 'headcount',
+        'موظف', 'موظفين', 'توظيف', 'تعيين', 'كوادر', 'قوى عاملة'],
+    training: ['training', 'train', 'course', 'workshop', 'upskill', 'capacity building', 'learning',
+        'تدريب', 'دورة', 'ورشة', 'تأهيل', 'بناء القدرات'],
+    software: ['software', 'system', 'application', 'app', 'platform', 'portal', 'erp', 'crm',
+        'برنامج', 'برمجيات', 'نظام', 'تطبيق', 'منصة', 'بوابة'],
+    hardware: ['hardware', 'equipment', 'device', 'computer', 'laptop', 'printer', 'server',
+        'أجهزة', 'معدات', 'جهاز', 'حاسوب', 'حاسب', 'طابعة', 'خادم'],
+    network: ['network', 'internet', 'connectivity', 'bandwidth', 'wifi', 'telecom',
+        'شبكة', 'إنترنت', 'اتصال', 'اتصالات'],
+    cloud: ['cloud', 'hosting', 'data center', 'datacenter', 'migration',
+        'سحابة', 'سحابي', 'استضافة', 'مركز بيانات', 'ترحيل'],
+    security: ['security', 'cybersecurity', 'cyber', 'protection', 'firewall', 'breach', 'threat',
+        'أمن', 'الأمن السيبراني', 'سيبراني', 'حماية', 'اختراق', 'تهديد'],
+    data: ['data', 'database', 'records', 'analytics', 'dashboard', 'statistics',
+        'بيانات', 'قاعدة بيانات', 'سجلات', 'تحليلات', 'لوحة', 'إحصاءات', 'إحصائيات'],
+    digital: ['digital', 'digitization', 'digitalization', 'automation', 'automate', 'online', 'electronic', 'smart',
+        'رقمي', 'رقمية', 'تحول رقمي', 'أتمتة', 'إلكتروني', 'إلكترونية', 'ذكي', 'ذكية'],
+    ai: ['artificial intelligence', 'ai', 'machine learning', 'chatbot',
+        'ذكاء اصطناعي', 'الذكاء الاصطناعي', 'تعلم آلي', 'روبوت محادثة'],
+    maintenance: ['maintenance', 'repair', 'fix', 'service', 'servicing', 'upkeep',
+        'صيانة', 'إصلاح', 'تصليح'],
+    upgrade: ['upgrade', 'modernize', 'modernization', 'improve', 'improvement', 'enhance', 'enhancement', 'replace', 'replacement',
+        'تطوير', 'تحديث', 'تحسين', 'ترقية', 'استبدال'],
+    construction: ['construction', 'build', 'building', 'facility', 'infrastructure', 'renovation', 'premises',
+        'بناء', 'إنشاء', 'مبنى', 'منشأة', 'مرافق', 'بنية تحتية', 'ترميم'],
+    office: ['office', 'workspace', 'furniture', 'supplies', 'stationery',
+        'مكتب', 'مكاتب', 'أثاث', 'لوازم', 'قرطاسية'],
+    procurement: ['procurement', 'purchase', 'buy', 'acquisition', 'tender', 'quotation', 'bid',
+        'مشتريات', 'شراء', 'اقتناء', 'مناقصة', 'عرض سعر', 'عطاء'],
+    contract: ['contract', 'agreement', 'vendor', 'supplier', 'contractor', 'license', 'subscription', 'renewal',
+        'عقد', 'اتفاقية', 'مورد', 'موردين', 'مقاول', 'ترخيص', 'اشتراك', 'تجديد'],
+    consulting: ['consultant', 'consulting', 'consultancy', 'advisory', 'expert', 'study', 'assessment',
+        'استشاري', 'استشارات', 'استشارية', 'خبير', 'دراسة', 'تقييم'],
+    project: ['project', 'initiative', 'program', 'programme', 'plan', 'implementation', 'rollout',
+        'مشروع', 'مبادرة', 'برنامج عمل', 'خطة', 'تنفيذ'],
+    policy: ['policy', 'regulation', 'compliance', 'law', 'legal', 'legislation', 'governance', 'standard',
+        'سياسة', 'لائحة', 'امتثال', 'قانون', 'قانوني', 'تشريع', 'حوكمة', 'معيار'],
+    audit: ['audit', 'review', 'inspection', 'evaluation', 'monitoring',
+        'تدقيق', 'مراجعة', 'تفتيش', 'رقابة', 'متابعة'],
+    report: ['report', 'reporting', 'documentation', 'document',
+        'تقرير', 'تقارير', 'توثيق', 'وثيقة', 'مستند'],
+    approval: ['approval', 'approve', 'authorization', 'permit', 'sign off',
+        'موافقة', 'اعتماد', 'تصريح', 'إذن'],
+    urgent: ['urgent', 'emergency', 'critical', 'immediate', 'asap',
+        'عاجل', 'طارئ', 'طوارئ', 'حرج', 'فوري'],
+    citizen: ['citizen', 'resident', 'public', 'customer', 'community', 'beneficiary',
+        'مواطن', 'مواطنين', 'مقيم', 'جمهور', 'متعامل', 'متعاملين', 'مجتمع', 'مستفيد'],
+    health: ['health', 'healthcare', 'hospital', 'clinic', 'medical', 'patient',
+        'صحة', 'صحي', 'رعاية صحية', 'مستشفى', 'عيادة', 'طبي', 'مريض'],
+    education: ['education', 'school', 'student', 'teacher', 'university', 'curriculum',
+        'تعليم', 'مدرسة', 'طالب', 'طلاب', 'معلم', 'جامعة', 'منهج'],
+    transport: ['transport', 'transportation', 'vehicle', 'car', 'fleet', 'road', 'traffic', 'parking', 'bus',
+        'نقل', 'مواصلات', 'مركبة', 'سيارة', 'أسطول', 'طريق', 'مرور', 'مواقف', 'حافلة'],
+    energy: ['energy', 'electricity', 'power', 'solar', 'utility',
+        'طاقة', 'كهرباء', 'شمسية', 'خدمات عامة'],
+    water: ['water', 'irrigation', 'sewage', 'drainage',
+        'مياه', 'ماء', 'ري', 'صرف صحي'],
+    environment: ['environment', 'environmental', 'sustainability', 'sustainable', 'green', 'recycling', 'waste', 'emission',
+        'بيئة', 'بيئي', 'استدامة', 'مستدام', 'أخضر', 'تدوير', 'نفايات', 'انبعاثات'],
+    tourism: ['tourism', 'tourist', 'visitor', 'hotel', 'heritage', 'museum',
+        'سياحة', 'سائح', 'زوار', 'فندق', 'تراث', 'متحف'],
+    culture: ['culture', 'cultural', 'art', 'festival', 'exhibition',
+        'ثقافة', 'ثقافي', 'فن', 'فنون', 'مهرجان', 'معرض'],
+    event: ['event', 'conference', 'meeting', 'ceremony', 'forum',
+        'فعالية', 'مؤتمر', 'اجتماع', 'حفل', 'منتدى'],
+    housing: ['housing', 'residential', 'accommodation', 'land', 'property',
+        'إسكان', 'سكني', 'سكن', 'أرض', 'أراضي', 'عقار'],
+    economy: ['economy', 'economic', 'investment', 'business', 'trade', 'sme', 'revenue',
+        'اقتصاد', 'اقتصادي', 'استثمار', 'أعمال', 'تجارة', 'إيرادات'],
+    safety: ['safety', 'health and safety', 'fire', 'hazard', 'risk',
+        'سلامة', 'حريق', 'خطر', 'مخاطر'],
+    communication: ['communication', 'media', 'campaign', 'awareness', 'marketing', 'website',
+        'تواصل', 'إعلام', 'حملة', 'توعية', 'تسويق', 'موقع إلكتروني'],
+    efficiency: ['efficiency', 'productivity', 'performance', 'delay', 'backlog', 'process', 'workflow',
+        'كفاءة', 'إنتاجية', 'أداء', 'تأخير', 'تأخر', 'إجراءات', 'عملية', 'سير العمل']
+});
@@ -0,0 +1,39 @@
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+// Load environment variables
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Single source of truth for attachment limits. Everything that accepts,
+// validates or reports on uploaded files reads these values.
+const DEFAULT_FILE_TYPES = [
+    'image/jpeg',
+    'image/png',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'text/plain'
+].join(',');
+
+export const ALLOWED_FILE_TYPES = Object.freeze(
+    (process.env.ALLOWED_FILE_TYPES || DEFAULT_FILE_TYPES)
+        .split(',')
+        .map(type => type.trim())
+        .filter(Boolean)
+);
+
+// MAX_FILE_SIZE is configured in megabytes
+export const MAX_FILE_SIZE_MB = parseInt(process.env.MAX_FILE_SIZE || '10');
+export const MAX_FILE_SIZE = MAX_FILE_SIZE_MB * 1024 * 1024;
+
+// Maximum number of files per upload, and per request overall
+export const MAX_FILES = parseInt(process.env.MAX_FILES || '5');
+
+export const UPLOAD_DIR = path.resolve(
+    process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')
+);
@@ -0,0 +1,43 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Default request lifecycle. Keys are the current status, values the statuses
+// a request may move to next. Every status must exist in RequestSchema.status.
+const DEFAULT_WORKFLOW = {
+    initialStatus: 'Draft',
+    transitions: {
+        'Draft': ['Pending', 'Cancelled'],
+        'Pending': ['In Review', 'Draft', 'Cancelled'],
+        'In Review': ['Approved', 'Rejected', 'Pending', 'Cancelled'],
+        'Approved': ['Completed', 'Cancelled'],
+        'Rejected': ['Draft'],
+        'Cancelled': [],
+        'Completed': []
+    },
+    // Target statuses that cannot be entered without a note
+    requireNote: ['Rejected'],
+    // Named guards (see services/workflowEngine.js) that must pass before entering a status
+    guards: {
+        'In Review': ['hasAnalysis']
+    }
+};
+
+// Allows deployments to replace parts of the workflow with a JSON file,
+// e.g. WORKFLOW_CONFIG_PATH=/etc/adeo/workflow.json
+const loadWorkflowConfig = () => {
+    const configPath = process.env.WORKFLOW_CONFIG_PATH;
+    if (!configPath) return DEFAULT_WORKFLOW;
+
+    try {
+        const overrides = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        return { ...DEFAULT_WORKFLOW, ...overrides };
+    } catch (error) {
+        console.error(`Failed to load workflow config from ${configPath}, using defaults:`, error.message);
+        return DEFAULT_WORKFLOW;
+    }
+};
+
+export const workflowConfig = Object.freeze(loadWorkflowConfig());
@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { Request } from '../models/request.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+
+const ID = '([a-fA-F0-9]{24})';
+
+// Request routes that are audited, matched against paths below /api/requests.
+// `mutates` ones also record which fields changed.
+const AUDITED_ROUTES = [
+    { method: 'POST', pattern: /^\/$/, action: 'request.create', mutates: true },
+    { method: 'GET', pattern: new RegExp(`^/${ID}$`), action: 'request.view' },
+    { method: 'PUT', pattern: new RegExp(`^/${ID}$`), action: 'request.update', mutates: true },
+    { method: 'PATCH', pattern: new RegExp(`^/${ID}$`), action: 'request.update', mutates: true },
+    { method: 'DELETE', pattern: new RegExp(`^/${ID}$`), action: 'request.delete', mutates: true },
+    { method: 'POST', pattern: new RegExp(`^/${ID}/cancel$`), action: 'request.cancel', mutates: true },
+    { method: 'POST', pattern: new RegExp(`^/${ID}/transitions$`), action: 'request.transition', mutates: true },
+    { method: 'POST', pattern: new RegExp(`^/${ID}/attachments$`), action: 'attachment.add', mutates: true },
+    { method: 'GET', pattern: new RegExp(`^/${ID}/attachments/${ID}$`), action: 'attachment.download' },
+    { method: 'DELETE', pattern: new RegExp(`^/${ID}/attachments/${ID}$`), action: 'attachment.delete', mutates: true },
+    { method: 'POST', pattern: new RegExp(`^/${ID}/analyze$`), action: 'analysis.queue' },
+    { method: 'POST', pattern: /^\/analyze$/, action: 'analysis.queue' },
+    // The stream stores the analysis when it completes
+    { method: 'GET', pattern: new RegExp(`^/${ID}/analyze/stream$`), action: 'analysis.run', mutates: true },
+    { method: 'POST', pattern: new RegExp(`^/${ID}/analyses/${ID}/pin$`), action: 'analysis.pin', mutates: true },
+    { method: 'DELETE', pattern: new RegExp(`^/${ID}/analyses/pin$`), action: 'analysis.unpin', mutates: true },
+    { method: 'GET', pattern: new RegExp(`^/${ID}/analyses(/.*)?$`), action: 'analysis.view' },
+    { method: 'POST', pattern: new RegExp(`^/${ID}/comments$`), action: 'comment.add' },
+    { method: 'PATCH', pattern: new RegExp(`^/${ID}/comments/${ID}$`), action: 'comment.edit' },
+    { method: 'DELETE', pattern: new RegExp(`^/${ID}/comments/${ID}$`), action: 'comment.delete' }
+];
+
+// Fields compared before and after a mutation
+const AUDITED_FIELDS = {
+    title: (request) => request.title,
+    description: (request) => request.description,
+    requestType: (request) => request.requestType,
+    priority: (request) => request.priority,
+    department: (request) => request.department,
+    status: (request) => request.status,
+    attachments: (request) => (request.attachments || []).map(attachment => attachment.originalName || attachment.filename),
+    officialAnalysisRun: (request) => request.metadata?.analysisRun?.toString() ?? null,
+    pinnedAnalysisRun: (request) => request.metadata?.pinnedAnalysis?.run?.toString() ?? null,
+    version: (request) => request.metadata?.version ?? null
+};
+
+const SNAPSHOT_PROJECTION = 'requestNumber title description requestType priority department status ' +
+    'attachments.originalName attachments.filename metadata.analysisRun metadata.pinnedAnalysis.run metadata.version';
+
+const loadSnapshot = (id) => (id ? Request.findById(id).select(SNAPSHOT_PROJECTION).lean() : null);
+
+const snapshotFields = (request) => Object.fromEntries(
+    Object.entries(AUDITED_FIELDS).map(([field, read]) => [field, request ? read(request) : null])
+);
+
+const diffSnapshots = (before, after) => {
+    const beforeFields = snapshotFields(before);
+    const afterFields = snapshotFields(after);
+    return Object.keys(AUDITED_FIELDS)
+        .filter(field => JSON.stringify(beforeFields[field]) !== JSON.stringify(afterFields[field]))
+        .map(field => ({ field, before: beforeFields[field], after: afterFields[field] }));
+};
+
+/**
+ * Writes an audit event (services/auditLog.js) for every audited call to
+ * the request routes once the response is sent, refused ones included.
+ * Mutations also record the fields they changed, from snapshots taken
+ * before and after the route ran.
+ */
+export const auditRequests = async (req, res, next) => {
+    const route = AUDITED_ROUTES.find(({ method, pattern }) => method === req.method && pattern.test(req.path));
+    if (!route) return next();
+
+    // Correlates the event with the client's and the server's logs
+    const httpRequestId = req.get('X-Request-Id') || crypto.randomUUID();
+    res.set('X-Request-Id', httpRequestId);
+
+    let requestId = route.pattern.exec(req.path)[1] ?? null;
+    let before = null;
+    try {
+        if (route.mutates && requestId) before = await loadSnapshot(requestId);
+    } catch (error) {
+        console.error('Audit snapshot failed:', error.message);
+    }
+
+    // The id of a created request, or one analyzed by body requestId, is only known later
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        if (!requestId && route.action === 'request.create') requestId = body?.data?._id?.toString() ?? null;
+        return sendJson(body);
+    };
+
+    res.on('finish', async () => {
+        try {
+            if (!requestId && mongoose.isValidObjectId(req.body?.requestId)) requestId = String(req.body.requestId);
+
+            const succeeded = res.statusCode < 400;
+            const after = succeeded && route.mutates && requestId ? await loadSnapshot(requestId) : null;
+            const changes = succeeded && route.mutates ? diffSnapshots(before, after) : [];
+
+            await recordAuditEvent({
+                actor: req.user ? { user: req.user.id, email: req.user.email, role: req.user.role } : {},
+                action: route.action,
+                request: requestId,
+                requestNumber: (after || before)?.requestNumber,
+                changes,
+                method: req.method,
+                path: req.baseUrl + req.path,
+                statusCode: res.statusCode,
+                ip: req.ip,
+                userAgent: req.get('user-agent'),
+                httpRequestId
+            });
+        } catch (error) {
+            console.error('Failed to write audit event:', {
+                action: route.action,
+                requestId,
+                error: error.message
+            });
+        }
+    });
+
+    next();
+};
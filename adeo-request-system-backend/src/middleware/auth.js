@@ -0,0 +1,64 @@
+import { AppError } from './errorHandler.js';
+import { verifyAccessToken } from '../services/authService.js';
+
+// EventSource can't send headers, so streams may pass the token as ?access_token=
+const acceptsQueryToken = (req) => req.method === 'GET' && req.path.endsWith('/stream');
+
+// Endpoints that work from credentials or the refresh cookie alone; a stale
+// access token sent along must not keep the session from being renewed
+const isCredentialRequest = (req) => /^\/auth\/(login|register|refresh|logout|password-reset)$/.test(req.path);
+
+const readAccessToken = (req) => {
+    const header = req.headers.authorization;
+    if (header?.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+    if (acceptsQueryToken(req) && typeof req.query.access_token === 'string') return req.query.access_token;
+    return null;
+};
+
+/**
+ * Sets req.user ({ id, email, name, role, department }) from the access
+ * token, if the request has one. Invalid or expired tokens are rejected
+ * with 401 rather than treated as anonymous, except on the credential
+ * endpoints under /api/auth, which ignore them.
+ */
+export const authenticate = async (req, res, next) => {
+    const token = readAccessToken(req);
+    if (!token) return next();
+
+    try {
+        const user = await verifyAccessToken(token);
+        req.user = {
+            id: user._id.toString(),
+            email: user.email,
+            name: user.name,
+            role: user.role,
+            department: user.department ?? null
+        };
+        next();
+    } catch (error) {
+        next(isCredentialRequest(req) ? undefined : error);
+    }
+};
+
+/**
+ * Rejects requests without a logged-in user
+ */
+export const requireAuth = (req, res, next) => {
+    if (!req.user) {
+        return next(new AppError('Please log in to continue', 401, 'AUTH_REQUIRED'));
+    }
+    next();
+};
+
+/**
+ * Rejects users without one of the roles
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return next(new AppError('Please log in to continue', 401, 'AUTH_REQUIRED'));
+    }
+    if (!roles.includes(req.user.role)) {
+        return next(new AppError('You do not have permission to do this', 403, 'FORBIDDEN'));
+    }
+    next();
+};
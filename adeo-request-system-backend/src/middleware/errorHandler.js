@@ -3,6 +3,7 @@ import mongoose from 'mongoose';
 import pkg from 'express-validator';
 const { validationResult } = pkg;
 import multer from 'multer';
+import { MAX_FILE_SIZE_MB, MAX_FILES } from '../config/uploads.js';
 
 // Configure logger
 const logger = winston.createLogger({
@@ -71,10 +72,10 @@ const handleJWTExpiredError = () =>
 
 const handleMulterError = (err) => {
   if (err.code === 'LIMIT_FILE_SIZE') {
-    return new AppError('File size too large. Maximum size is 5MB', 400, 'FILE_TOO_LARGE');
+    return new AppError(`File size too large. Maximum size is ${MAX_FILE_SIZE_MB}MB`, 400, 'FILE_TOO_LARGE');
   }
   if (err.code === 'LIMIT_FILE_COUNT') {
-    return new AppError('Too many files. Maximum is 5 files', 400, 'TOO_MANY_FILES');
+    return new AppError(`Too many files. Maximum is ${MAX_FILES} files`, 400, 'TOO_MANY_FILES');
   }
   if (err.code === 'LIMIT_UNEXPECTED_FILE') {
     return new AppError('Unexpected field in file upload', 400, 'INVALID_FIELD');
@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+import multer from 'multer';
+import { ALLOWED_FILE_TYPES, MAX_FILE_SIZE, MAX_FILES, UPLOAD_DIR } from '../config/uploads.js';
+
+// Ensure uploads directory exists
+if (!fs.existsSync(UPLOAD_DIR)) {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+}
+
+const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, UPLOAD_DIR);
+    },
+    filename: function (req, file, cb) {
+        // Never trust the client's file name on disk, only keep a safe extension
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+        cb(null, `${uniqueSuffix}${extension}`);
+    }
+});
+
+const fileFilter = (req, file, cb) => {
+    if (ALLOWED_FILE_TYPES.includes(file.mimetype)) {
+        cb(null, true);
+    } else {
+        const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+        error.message = `Invalid file type ${file.mimetype}. Allowed types: ${ALLOWED_FILE_TYPES.join(', ')}`;
+        cb(error, false);
+    }
+};
+
+const upload = multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: MAX_FILE_SIZE,
+        files: MAX_FILES
+    }
+}).array('files', MAX_FILES);
+
+// Accepts up to MAX_FILES files in the `files` field and answers 400 on any upload error
+export const uploadFiles = (req, res, next) => {
+    upload(req, res, function (err) {
+        if (err instanceof multer.MulterError) {
+            console.error('Multer error:', err);
+            return res.status(400).json({
+                status: 'error',
+                message: 'File upload error',
+                error: err.message
+            });
+        } else if (err) {
+            console.error('Unknown error:', err);
+            return res.status(500).json({
+                status: 'error',
+                message: 'Unknown error occurred',
+                error: err.message
+            });
+        }
+        next();
+    });
+};
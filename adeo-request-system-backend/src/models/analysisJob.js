@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+export const JOB_STATES = Object.freeze(['queued', 'running', 'completed', 'failed']);
+export const JOB_STAGES = Object.freeze(['queued', 'extracting', 'analysis', 'recommendations', 'saving', 'done']);
+
+// One AI analysis of a request: queued and processed by services/analysisQueue.js,
+// or run by the streaming endpoint (maxAttempts 1)
+const AnalysisJobSchema = new Schema({
+    request: {
+        type: Schema.Types.ObjectId,
+        ref: 'Request',
+        required: true
+    },
+    requestNumber: String,
+    state: {
+        type: String,
+        enum: JOB_STATES,
+        default: 'queued'
+    },
+    stage: {
+        type: String,
+        enum: JOB_STAGES,
+        default: 'queued'
+    },
+    requestedBy: String,
+    // Analysis language option: 'en', 'ar' or 'both'; unset for the request's own language
+    language: String,
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    // Earliest time the job may be (re)started; pushed back after a failure
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Worker currently holding the job and its last heartbeat
+    lockedBy: String,
+    lockedAt: Date,
+    startedAt: Date,
+    finishedAt: Date,
+    error: {
+        message: String,
+        code: String,
+        at: Date
+    }
+}, {
+    timestamps: true
+});
+
+AnalysisJobSchema.index({ state: 1, runAt: 1 });
+AnalysisJobSchema.index({ request: 1, state: 1 });
+// At most one queued or running job per request, however many enqueue at once
+// (partial filters with $in need MongoDB 6.0)
+AnalysisJobSchema.index(
+    { request: 1 },
+    { unique: true, partialFilterExpression: { state: { $in: ['queued', 'running'] } } }
+);
+
+export const AnalysisJob = mongoose.model('AnalysisJob', AnalysisJobSchema);
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import { AnalysisSchema } from './request.js';
+const { Schema } = mongoose;
+
+// Every analysis of a request is kept, so re-analyzing after an edit doesn't
+// lose what earlier runs said. The request's metadata.analysis holds a copy
+// of the official run.
+const AnalysisRunSchema = new Schema({
+    request: {
+        type: Schema.Types.ObjectId,
+        ref: 'Request',
+        required: true
+    },
+    // 1, 2, 3... per request
+    runNumber: {
+        type: Number,
+        required: true
+    },
+    // metadata.version of the request when the run started; null for
+    // analyses recorded before history was kept
+    requestVersion: Number,
+    model: String,
+    promptVersion: String,
+    durationMs: Number,
+    // How the run was started: 'job' (queued), 'stream' or 'legacy'
+    source: String,
+    // The result was reused from an identical earlier analysis rather than
+    // generated for this run
+    cached: Boolean,
+    result: AnalysisSchema
+}, {
+    timestamps: true
+});
+
+AnalysisRunSchema.index({ request: 1, runNumber: -1 }, { unique: true });
+
+export const AnalysisRun = mongoose.model('AnalysisRun', AnalysisRunSchema);
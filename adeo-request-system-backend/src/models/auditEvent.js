@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One field a request mutation changed
+const AuditChangeSchema = new Schema({
+    field: String,
+    before: Schema.Types.Mixed,
+    after: Schema.Types.Mixed
+}, { _id: false });
+
+// Something a user did to or with a request, written by middleware/audit.js.
+// Events are append-only and hash-chained: each hash covers the event and the
+// previous event's hash, so editing or removing one breaks every later hash
+// (see services/auditLog.js verifyAuditChain).
+const AuditEventSchema = new Schema({
+    // Position in the chain, starting at 1
+    sequence: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    at: {
+        type: Date,
+        required: true
+    },
+    actor: {
+        user: Schema.Types.ObjectId,
+        email: String,
+        role: String
+    },
+    // e.g. 'request.update', 'attachment.download', see middleware/audit.js
+    action: {
+        type: String,
+        required: true
+    },
+    request: Schema.Types.ObjectId,
+    requestNumber: String,
+    changes: [AuditChangeSchema],
+    method: String,
+    path: String,
+    statusCode: Number,
+    ip: String,
+    userAgent: String,
+    // Correlates the event with server logs (X-Request-Id)
+    httpRequestId: String,
+    prevHash: String,
+    hash: {
+        type: String,
+        required: true
+    }
+}, {
+    versionKey: false
+});
+
+AuditEventSchema.index({ request: 1, sequence: -1 });
+AuditEventSchema.index({ 'actor.email': 1, sequence: -1 });
+AuditEventSchema.index({ at: -1 });
+
+// Enforce append-only at the model level; nothing in the app edits or removes events
+const rejectChange = function () {
+    throw new Error('Audit events are append-only');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+    AuditEventSchema.pre(operation, rejectChange);
+});
+AuditEventSchema.pre('save', function () {
+    if (!this.isNew) rejectChange();
+});
+
+export const AuditEvent = mongoose.model('AuditEvent', AuditEventSchema);
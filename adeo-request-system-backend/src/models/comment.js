@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const CommentUserSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    email: String,
+    name: String
+}, { _id: false });
+
+// Discussion of a request. Threads are one level deep: a comment either
+// starts a thread (parent null) or replies to the comment that did.
+const CommentSchema = new Schema({
+    request: {
+        type: Schema.Types.ObjectId,
+        ref: 'Request',
+        required: true
+    },
+    parent: {
+        type: Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    author: {
+        type: CommentUserSchema,
+        required: true
+    },
+    body: {
+        type: String,
+        default: ''
+    },
+    // Internal comments are hidden from requesters, see comment:internal in
+    // config/accessPolicy.js
+    internal: {
+        type: Boolean,
+        default: false
+    },
+    // Users @mentioned in the body who could see the comment
+    mentions: [CommentUserSchema],
+    // Ids of attachments of the request the comment refers to
+    attachments: [Schema.Types.ObjectId],
+    editedAt: Date,
+    // Deleted comments keep their place in the thread, without content
+    deletedAt: Date,
+    deletedBy: String
+}, {
+    timestamps: true
+});
+
+CommentSchema.index({ request: 1, createdAt: 1 });
+
+export const Comment = mongoose.model('Comment', CommentSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Corpus-wide statistics for TF-IDF scoring in utils/similarity.js. Every
+// request is counted once in the global scope and once in its department's.
+export const GLOBAL_SCOPE = 'ALL';
+
+// Number of requests containing a term, per scope
+const DocumentFrequencySchema = new Schema({
+    scope: {
+        type: String,
+        required: true
+    },
+    term: {
+        type: String,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    }
+});
+
+DocumentFrequencySchema.index({ scope: 1, term: 1 }, { unique: true });
+
+// Number of requests per scope; revision changes on every update so
+// scores memoized against older statistics are not reused
+const CorpusStatsSchema = new Schema({
+    scope: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    documentCount: {
+        type: Number,
+        default: 0
+    },
+    revision: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+export const DocumentFrequency = mongoose.model('DocumentFrequency', DocumentFrequencySchema);
+export const CorpusStats = mongoose.model('CorpusStats', CorpusStatsSchema);
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { EMAIL_DELIVERY, NOTIFICATION_CONFIG, NOTIFICATION_EVENTS } from '../config/notifications.js';
+const { Schema } = mongoose;
+
+// Where the email for a notification is: 'none' when the user doesn't want
+// one, 'queued' to send now, 'digest' to wait for the daily digest,
+// 'sending' while a digest run has claimed it (back to 'digest' if the run
+// never finishes), then 'sent', 'failed' or 'skipped' (no SMTP server
+// configured)
+export const EMAIL_STATUSES = Object.freeze(['none', 'queued', 'digest', 'sending', 'sent', 'failed', 'skipped']);
+
+// Something a user was told about, see services/notificationService.js
+const NotificationSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    event: {
+        type: String,
+        enum: Object.keys(NOTIFICATION_EVENTS),
+        required: true
+    },
+    request: {
+        type: Schema.Types.ObjectId,
+        ref: 'Request'
+    },
+    requestNumber: String,
+    title: {
+        type: String,
+        required: true
+    },
+    body: String,
+    // Frontend path the notification opens
+    link: String,
+    // Email of whoever caused it, if anyone
+    actor: String,
+    // Whether it is shown in the notification center; false when the user
+    // only wants emails about this event
+    inApp: {
+        type: Boolean,
+        default: true
+    },
+    readAt: Date,
+    email: {
+        delivery: {
+            type: String,
+            enum: EMAIL_DELIVERY
+        },
+        status: {
+            type: String,
+            enum: EMAIL_STATUSES,
+            default: 'none'
+        },
+        // Digest run that claimed it, and when
+        batch: String,
+        claimedAt: Date,
+        sentAt: Date,
+        error: String
+    }
+}, {
+    timestamps: true
+});
+
+NotificationSchema.index({ user: 1, inApp: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, inApp: 1, readAt: 1 });
+NotificationSchema.index({ 'email.status': 1, createdAt: 1 });
+NotificationSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: NOTIFICATION_CONFIG.RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+export const Notification = mongoose.model('Notification', NotificationSchema);
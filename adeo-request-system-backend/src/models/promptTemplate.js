@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { PROMPT_STEPS } from '../config/promptTemplates.js';
+const { Schema } = mongoose;
+
+// A version of the prompt of one analysis step. Versions are never edited:
+// a change is saved as the next version of the same scope. The scope is the
+// request type and department the template applies to; null matches any.
+const PromptTemplateSchema = new Schema({
+    step: {
+        type: String,
+        enum: PROMPT_STEPS,
+        required: true
+    },
+    requestType: {
+        type: String,
+        default: null
+    },
+    department: {
+        type: String,
+        default: null
+    },
+    // 1, 2, 3... per step and scope
+    version: {
+        type: Number,
+        required: true
+    },
+    system: {
+        type: String,
+        required: true
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    note: String,
+    // The active version of a scope is the one analyses use; a scope with
+    // none falls back to a less specific template
+    active: {
+        type: Boolean,
+        default: false
+    },
+    activatedAt: Date,
+    createdBy: String
+}, {
+    timestamps: true
+});
+
+PromptTemplateSchema.index({ step: 1, requestType: 1, department: 1, version: -1 }, { unique: true });
+PromptTemplateSchema.index({ step: 1, active: 1 });
+
+export const PromptTemplate = mongoose.model('PromptTemplate', PromptTemplateSchema);
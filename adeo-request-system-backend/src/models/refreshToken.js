@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// A refresh token of a login session. Each use replaces it with a new one
+// in the same family; presenting a replaced token again revokes the family.
+const RefreshTokenSchema = new Schema({
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Shared by every token descending from one login
+    family: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    // 'rotated', 'logout', 'reuse', 'password-reset'
+    revokedReason: String,
+    createdByIp: String,
+    userAgent: String
+}, {
+    timestamps: true
+});
+
+RefreshTokenSchema.index({ family: 1 });
+RefreshTokenSchema.index({ user: 1 });
+// Expired tokens are removed by MongoDB
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
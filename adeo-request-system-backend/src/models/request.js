@@ -1,33 +1,162 @@
 import mongoose from 'mongoose';
+import { MAX_FILE_SIZE, MAX_FILE_SIZE_MB } from '../config/uploads.js';
+import { DECISIONS, IMPACT_RATINGS, RISK_LEVELS } from '../config/analysisSchemas.js';
 const { Schema } = mongoose;
 
-const AnalysisSchema = new Schema({
-    analysis: {
-        summary: String,
-        trends: [String],
-        impactAssessment: String,
-        policyAlignment: String,
-        riskLevel: {
-            type: String,
-            enum: ['LOW', 'MEDIUM', 'HIGH']
-        }
+export const DEPARTMENTS = Object.freeze([
+    'DCD', 'DCT', 'DED', 'ADEK', 'DOE',
+    'DOF', 'DGE', 'DOH', 'DMT', 'ADJD', 'ITC'
+]);
+
+// Scored by services/analysisContract.js from the model's rating
+const ImpactDimensionSchema = new Schema({
+    rating: {
+        type: String,
+        enum: IMPACT_RATINGS
     },
-    recommendations: {
-        strategic: [String],
-        operational: [String],
-        timeline: String,
-        risks: [String],
-        budgetImplications: String
+    score: Number,
+    details: [String]
+}, { _id: false });
+
+const analysisFields = () => ({
+    summary: String,
+    trends: [String],
+    impactAssessment: String,
+    policyAlignment: String,
+    riskLevel: {
+        type: String,
+        enum: RISK_LEVELS
+    },
+    impact: {
+        economic: ImpactDimensionSchema,
+        social: ImpactDimensionSchema,
+        environmental: ImpactDimensionSchema
+    }
+});
+
+const recommendationsFields = () => ({
+    strategic: [String],
+    operational: [String],
+    timeline: String,
+    risks: [String],
+    budgetImplications: String,
+    decision: {
+        recommendation: {
+            type: String,
+            enum: DECISIONS
+        },
+        rationale: [String],
+        // 0-100, derived from how cleanly the model answered (see analysisContract.js)
+        confidence: Number
+    }
+});
+
+// Per-field failures of the model's JSON output that survived re-prompting
+const validationIssuesField = () => [{
+    section: String,
+    field: String,
+    message: String
+}];
+
+// The analysis written in another language, generated alongside the main one
+const TranslatedAnalysisSchema = new Schema({
+    analysis: analysisFields(),
+    recommendations: recommendationsFields(),
+    validationIssues: validationIssuesField(),
+    outputAttempts: Number
+}, { _id: false });
+
+// Stored analysis contract, version ANALYSIS_SCHEMA_VERSION. Older shapes are
+// converted by `npm run analyses:migrate`.
+export const AnalysisSchema = new Schema({
+    analysis: analysisFields(),
+    recommendations: recommendationsFields(),
+    // Keyed by language; metadata.language is the language of the main analysis
+    translations: {
+        en: TranslatedAnalysisSchema,
+        ar: TranslatedAnalysisSchema
     },
     metadata: {
+        schemaVersion: Number,
+        // Shape the analysis was converted from by the migration, if any
+        migratedFrom: String,
         processingVersion: String,
         processingDate: Date,
         processingDuration: Number,
         aiModelUsed: String,
-        confidence: Number
+        // Attachments whose extracted text was included in the prompts
+        sourceDocuments: [{
+            attachmentId: Schema.Types.ObjectId,
+            originalName: String,
+            pageCount: Number,
+            excerptLength: Number,
+            summarized: Boolean
+        }],
+        validationIssues: validationIssuesField(),
+        outputAttempts: Number,
+        // Language of analysis and recommendations: 'en' or 'ar'
+        language: String,
+        // 'llm', or 'heuristic' for the rule-based analysis written when no
+        // model was reachable; fallbackReason is the last model error then
+        analyzer: {
+            type: String,
+            enum: ['llm', 'heuristic']
+        },
+        fallbackReason: String,
+        // Served from the processor's cache of an identical earlier analysis
+        cached: Boolean,
+        promptVersion: String,
+        // Prompt template each step used; template is null for the built-in one
+        promptTemplates: [{
+            _id: false,
+            step: String,
+            template: {
+                type: Schema.Types.ObjectId,
+                ref: 'PromptTemplate'
+            },
+            version: Number,
+            requestType: String,
+            department: String
+        }]
+    }
+});
+
+const StatusHistorySchema = new Schema({
+    from: String,
+    to: {
+        type: String,
+        required: true
+    },
+    actor: {
+        type: String,
+        default: 'anonymous'
+    },
+    note: String,
+    at: {
+        type: Date,
+        default: Date.now
     }
 });
 
+const EmbeddingSchema = new Schema({
+    provider: String,
+    model: String,
+    dimensions: Number,
+    vector: [Number],
+    // Hash of the embedded text, so edits can be detected without re-embedding
+    textHash: String,
+    updatedAt: Date
+}, { _id: false });
+
+// MinHash signature and LSH band keys used to pick similarity candidates
+const SimilarityIndexSchema = new Schema({
+    version: Number,
+    signature: [Number],
+    conceptSignature: [Number],
+    bands: [String],
+    updatedAt: Date
+}, { _id: false });
+
 const RequestSchema = new Schema({
     requestNumber: {
         type: String,
@@ -58,13 +187,21 @@ const RequestSchema = new Schema({
         enum: ['Draft', 'Pending', 'In Review', 'Approved', 'Rejected', 'Cancelled', 'Completed'],
         default: 'Draft'
     },
+    statusHistory: [StatusHistorySchema],
     department: {
         type: String,
         required: true,
-        enum: [
-            'DCD', 'DCT', 'DED', 'ADEK', 'DOE', 
-            'DOF', 'DGE', 'DOH', 'DMT', 'ADJD', 'ITC'
-        ]
+        enum: DEPARTMENTS
+    },
+    // The account that submitted the request; email and name are kept as they
+    // were at the time
+    createdBy: {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        email: String,
+        name: String
     },
     attachments: [{
         filename: String,
@@ -72,16 +209,73 @@ const RequestSchema = new Schema({
         mimeType: String,
         size: Number,
         path: String,
+        hash: String,
+        uploadedAt: Date,
+        uploadedBy: String,
         metadata: Object,
         tags: [String]
     }],
+    // Semantic vector of title + description; excluded from queries unless asked for
+    embedding: {
+        type: EmbeddingSchema,
+        select: false
+    },
+    similarityIndex: {
+        type: SimilarityIndexSchema,
+        select: false
+    },
     metadata: {
         createdFrom: String,
         version: Number,
+        // Detected from title and description: 'en' or 'ar'
+        language: String,
         tags: [String],
         customMetadata: Object,
         lastAnalyzed: Date,
-        analysis: AnalysisSchema
+        // The official analysis: the pinned run if there is one, otherwise the latest
+        analysis: AnalysisSchema,
+        analysisRun: {
+            type: Schema.Types.ObjectId,
+            ref: 'AnalysisRun'
+        },
+        pinnedAnalysis: {
+            run: {
+                type: Schema.Types.ObjectId,
+                ref: 'AnalysisRun'
+            },
+            runNumber: Number,
+            pinnedBy: String,
+            pinnedAt: Date
+        },
+        // Runs recorded so far; allocates AnalysisRun.runNumber
+        analysisRunCount: Number,
+        // Classifier suggestions shown while the request was drafted, and
+        // whether it was submitted with them (services/requestClassifier.js)
+        classification: {
+            modelVersion: Number,
+            fields: [{
+                _id: false,
+                field: String,
+                suggested: String,
+                confidence: Number,
+                chosen: String,
+                accepted: Boolean
+            }]
+        },
+        // The last time the request was overdue in a status (services/notificationService.js)
+        slaBreach: {
+            status: String,
+            enteredAt: Date,
+            notifiedAt: Date
+        },
+        // Set when a submission was flagged as a likely duplicate and the submitter confirmed it anyway
+        duplicateOf: {
+            requestId: Schema.Types.ObjectId,
+            requestNumber: String,
+            similarity: Number,
+            overriddenBy: String,
+            overriddenAt: Date
+        }
     }
 }, {
     timestamps: true
@@ -91,6 +285,17 @@ RequestSchema.index({ requestNumber: 1 }, { unique: true });
 RequestSchema.index({ createdAt: -1 });
 RequestSchema.index({ status: 1 });
 RequestSchema.index({ department: 1 });
+RequestSchema.index({ 'createdBy.user': 1, createdAt: -1 });
+RequestSchema.index({ department: 1, status: 1, createdAt: -1 });
+// Candidate lookups for duplicate detection (band matches, then unindexed requests)
+RequestSchema.index({ department: 1, 'similarityIndex.bands': 1 });
+RequestSchema.index({ department: 1, 'similarityIndex.version': 1 });
+// Free-text search for GET /api/requests?q=. No language so Arabic and
+// English text are tokenized the same way, without English stemming.
+RequestSchema.index(
+    { title: 'text', description: 'text' },
+    { name: 'request_text_search', weights: { title: 3, description: 1 }, default_language: 'none' }
+);
 
 RequestSchema.methods.hasAnalysis = function() {
     return !!this.metadata?.analysis?.analysis?.summary;
@@ -112,6 +317,15 @@ RequestSchema.statics.findNeedingAnalysis = function() {
     });
 };
 
+// Embedding vectors and MinHash indexes are internal to similarity search and never sent to clients
+RequestSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.embedding;
+        delete ret.similarityIndex;
+        return ret;
+    }
+});
+
 export const Request = mongoose.model('Request', RequestSchema);
 
 RequestSchema.pre('save', function(next) {
@@ -122,6 +336,5 @@ RequestSchema.pre('save', function(next) {
 });
 
 RequestSchema.path('attachments').validate(function(attachments) {
-    const maxSize = 10 * 1024 * 1024;
-    return attachments.every(attachment => attachment.size <= maxSize);
-}, 'File size cannot exceed 10MB');
\ No newline at end of file
+    return attachments.every(attachment => attachment.size <= MAX_FILE_SIZE);
+}, `File size cannot exceed ${MAX_FILE_SIZE_MB}MB`);
\ No newline at end of file
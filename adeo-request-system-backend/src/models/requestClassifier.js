@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Fields of a request the classifier suggests values for
+export const CLASSIFIED_FIELDS = Object.freeze(['department', 'requestType', 'priority']);
+
+// One value of a field, with the TF-IDF weight each term carries in the
+// requests that have it
+const ClassifierClassSchema = new Schema({
+    _id: false,
+    label: String,
+    documentCount: Number,
+    totalWeight: Number,
+    // term -> summed weight
+    termWeights: Schema.Types.Mixed
+});
+
+const ClassifierFieldSchema = new Schema({
+    _id: false,
+    field: {
+        type: String,
+        enum: CLASSIFIED_FIELDS
+    },
+    classes: [ClassifierClassSchema],
+    // Share of held-out requests predicted correctly, null when there were too few to hold any out
+    accuracy: Number,
+    evaluatedOn: Number
+});
+
+// A naive Bayes model over request text, trained on the stored requests by
+// services/requestClassifier.js. Every training run saves a new version;
+// the latest one is used.
+const RequestClassifierSchema = new Schema({
+    version: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    trainedBy: String,
+    documentCount: Number,
+    // term -> number of training requests containing it, for IDF
+    documentFrequencies: Schema.Types.Mixed,
+    vocabularySize: Number,
+    fields: [ClassifierFieldSchema]
+}, {
+    timestamps: true
+});
+
+export const RequestClassifier = mongoose.model('RequestClassifier', RequestClassifierSchema);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { USER_ROLES } from '../config/auth.js';
+import { EMAIL_DELIVERY, NOTIFICATION_EVENTS } from '../config/notifications.js';
+import { DEPARTMENTS } from './request.js';
+const { Schema } = mongoose;
+
+export const USER_STATUSES = Object.freeze(['invited', 'active', 'disabled']);
+
+// A one-time token sent to a user; only its hash is stored
+const OneTimeTokenSchema = new Schema({
+    _id: false,
+    tokenHash: String,
+    expiresAt: Date,
+    issuedBy: String
+});
+
+// A user's choice for one notification event; events without one use the
+// defaults in config/notifications.js
+const NotificationPreferenceSchema = new Schema({
+    _id: false,
+    event: {
+        type: String,
+        enum: Object.keys(NOTIFICATION_EVENTS),
+        required: true
+    },
+    inApp: Boolean,
+    email: {
+        type: String,
+        enum: EMAIL_DELIVERY
+    }
+});
+
+const UserSchema = new Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    // Unset until the user accepts their invitation
+    passwordHash: {
+        type: String,
+        select: false
+    },
+    role: {
+        type: String,
+        enum: USER_ROLES,
+        default: 'requester'
+    },
+    department: {
+        type: String,
+        enum: DEPARTMENTS
+    },
+    status: {
+        type: String,
+        enum: USER_STATUSES,
+        default: 'invited'
+    },
+    invitation: {
+        type: OneTimeTokenSchema,
+        select: false
+    },
+    passwordReset: {
+        type: OneTimeTokenSchema,
+        select: false
+    },
+    // Access tokens issued before this are no longer accepted
+    passwordChangedAt: Date,
+    lastLoginAt: Date,
+    notificationPreferences: [NotificationPreferenceSchema]
+}, {
+    timestamps: true
+});
+
+UserSchema.index({ 'invitation.tokenHash': 1 }, { sparse: true });
+UserSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true });
+
+export const User = mongoose.model('User', UserSchema);
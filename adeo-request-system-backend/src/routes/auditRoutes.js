@@ -0,0 +1,82 @@
+// abdo-request-system-backend/src/routes/auditRoutes.js
+
+import express from 'express';
+import {
+    buildAuditFilter,
+    exportAuditEventsCsv,
+    listAuditEvents,
+    verifyAuditChain
+} from '../services/auditLog.js';
+
+const router = express.Router();
+
+const sendRouteError = (res, error, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({
+            status: 'error',
+            message: error.message,
+            errorCode: error.errorCode
+        });
+    }
+
+    res.status(500).json({
+        status: 'error',
+        message,
+        error: error.message
+    });
+};
+
+// Audit events filtered by ?request=&actor=&action=&from=&to=, newest first;
+// ?format=csv downloads every match instead of one page
+router.get('/', async (req, res) => {
+    try {
+        const filter = buildAuditFilter(req.query);
+
+        if (req.query.format === 'csv') {
+            const date = new Date().toISOString().slice(0, 10);
+            res.set({
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="audit-${date}.csv"`
+            });
+            await exportAuditEventsCsv(filter, (chunk) => res.write(chunk));
+            return res.end();
+        }
+
+        const { events, total, page, limit, totalPages } = await listAuditEvents(filter, {
+            page: req.query.page ? Number(req.query.page) : undefined,
+            limit: req.query.limit ? Number(req.query.limit) : undefined
+        });
+
+        res.json({
+            status: 'success',
+            count: events.length,
+            total,
+            page,
+            limit,
+            totalPages,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+            data: events
+        });
+    } catch (error) {
+        console.error('Error fetching audit events:', error);
+        // Too late for an error response once the CSV has started
+        if (res.headersSent) return res.end();
+        sendRouteError(res, error, 'Failed to fetch audit events');
+    }
+});
+
+// Recomputes the hash chain to detect edited or removed events
+router.get('/verify', async (req, res) => {
+    try {
+        res.json({
+            status: 'success',
+            data: await verifyAuditChain()
+        });
+    } catch (error) {
+        console.error('Error verifying audit chain:', error);
+        sendRouteError(res, error, 'Failed to verify audit chain');
+    }
+});
+
+export default router;
@@ -0,0 +1,181 @@
+// abdo-request-system-backend/src/routes/authRoutes.js
+
+import express from 'express';
+import mongoose from 'mongoose';
+import rateLimit from 'express-rate-limit';
+import { AUTH_CONFIG } from '../config/auth.js';
+import { requireAuth, requireRole } from '../middleware/auth.js';
+import {
+    acceptInvitation,
+    inviteUser,
+    issuePasswordReset,
+    listUsers,
+    login,
+    logout,
+    resetPassword,
+    rotateRefreshToken
+} from '../services/authService.js';
+
+const router = express.Router();
+
+// Guessing passwords and tokens
+const credentialLimit = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: 'Too many attempts, please try again later'
+});
+
+const { name: REFRESH_COOKIE_NAME, ...refreshCookieOptions } = AUTH_CONFIG.REFRESH_COOKIE;
+
+const getActor = (req) => req.user?.email || 'anonymous';
+const getClient = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
+const sendRouteError = (res, error, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({
+            status: 'error',
+            message: error.message,
+            errorCode: error.errorCode
+        });
+    }
+
+    res.status(500).json({
+        status: 'error',
+        message,
+        error: error.message
+    });
+};
+
+// The refresh token only travels in an httpOnly cookie; the access token is
+// returned to the client, which sends it as a Bearer token
+const sendSession = (res, { accessToken, refreshToken, refreshTokenExpiresAt, user }, status = 200) => {
+    res.cookie(REFRESH_COOKIE_NAME, refreshToken, { ...refreshCookieOptions, expires: refreshTokenExpiresAt });
+    res.status(status).json({
+        status: 'success',
+        data: { accessToken, user }
+    });
+};
+
+router.post('/login', credentialLimit, async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        sendSession(res, await login({ email, password }, getClient(req)));
+    } catch (error) {
+        sendRouteError(res, error, 'Failed to log in');
+    }
+});
+
+// Accepts an invitation with { token, name, password } and logs the user in
+router.post('/register', credentialLimit, async (req, res) => {
+    try {
+        const { token, name, password } = req.body;
+        sendSession(res, await acceptInvitation({ token, name, password }, getClient(req)), 201);
+    } catch (error) {
+        console.error('Error accepting invitation:', error);
+        sendRouteError(res, error, 'Failed to register');
+    }
+});
+
+// New access token for the session in the refresh cookie; the cookie is replaced too
+router.post('/refresh', async (req, res) => {
+    try {
+        sendSession(res, await rotateRefreshToken(req.cookies?.[REFRESH_COOKIE_NAME], getClient(req)));
+    } catch (error) {
+        if (error.errorCode !== 'REFRESH_TOKEN_ROTATED') {
+            res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions);
+        }
+        sendRouteError(res, error, 'Failed to refresh session');
+    }
+});
+
+router.post('/logout', async (req, res) => {
+    try {
+        await logout(req.cookies?.[REFRESH_COOKIE_NAME]);
+        res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions);
+        res.json({
+            status: 'success',
+            message: 'Logged out'
+        });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        sendRouteError(res, error, 'Failed to log out');
+    }
+});
+
+// Sets a new password with { token, password } from an admin-issued reset
+router.post('/password-reset', credentialLimit, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        await resetPassword({ token, password });
+        res.json({
+            status: 'success',
+            message: 'Password changed. Please log in with the new password.'
+        });
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        sendRouteError(res, error, 'Failed to reset password');
+    }
+});
+
+router.get('/me', requireAuth, (req, res) => {
+    res.json({
+        status: 'success',
+        data: req.user
+    });
+});
+
+router.get('/users', requireRole('admin'), async (req, res) => {
+    try {
+        const users = await listUsers();
+        res.json({
+            status: 'success',
+            count: users.length,
+            data: users
+        });
+    } catch (error) {
+        console.error('Error listing users:', error);
+        sendRouteError(res, error, 'Failed to list users');
+    }
+});
+
+// Invites { email, name, role, department }. The returned token goes to the
+// user, who registers with it; it is not stored and can't be shown again.
+router.post('/invitations', requireRole('admin'), async (req, res) => {
+    try {
+        const { email, name, role, department } = req.body;
+        const invitation = await inviteUser({ email, name, role, department }, { actor: getActor(req) });
+
+        res.status(201).json({
+            status: 'success',
+            message: `Invitation for ${invitation.user.email} created`,
+            data: invitation
+        });
+    } catch (error) {
+        console.error('Error inviting user:', error);
+        sendRouteError(res, error, 'Failed to invite user');
+    }
+});
+
+// One-time reset token for a user who forgot their password, to be passed on to them
+router.post('/users/:id/password-reset', requireRole('admin'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'User not found'
+            });
+        }
+
+        const reset = await issuePasswordReset(req.params.id, { actor: getActor(req) });
+        res.status(201).json({
+            status: 'success',
+            message: `Password reset for ${reset.user.email} created`,
+            data: reset
+        });
+    } catch (error) {
+        console.error('Error issuing password reset:', error);
+        sendRouteError(res, error, 'Failed to issue password reset');
+    }
+});
+
+export default router;
@@ -0,0 +1,92 @@
+// abdo-request-system-backend/src/routes/classifierRoutes.js
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { requireRole } from '../middleware/auth.js';
+import {
+    getAcceptanceStats,
+    getClassifier,
+    suggestClassification,
+    trainClassifier
+} from '../services/requestClassifier.js';
+
+const router = express.Router();
+
+// Drafts ask again as the requester types
+const suggestLimit = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 600,
+    message: 'Too many classification requests, please try again later'
+});
+
+const getActor = (req) => req.user?.email || 'anonymous';
+
+const sendRouteError = (res, error, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({
+            status: 'error',
+            message: error.message,
+            errorCode: error.errorCode
+        });
+    }
+
+    res.status(500).json({
+        status: 'error',
+        message,
+        error: error.message
+    });
+};
+
+// The model in use and how often its suggestions were kept
+router.get('/', async (req, res) => {
+    try {
+        const [model, acceptance] = await Promise.all([getClassifier(), getAcceptanceStats()]);
+
+        res.json({
+            status: 'success',
+            data: { model, acceptance }
+        });
+    } catch (error) {
+        console.error('Error fetching classifier:', error);
+        sendRouteError(res, error, 'Failed to fetch classifier');
+    }
+});
+
+// Department, request type and priority for a draft's { title, description }
+router.post('/suggest', suggestLimit, async (req, res) => {
+    try {
+        const { title = '', description = '' } = req.body;
+        if (typeof title !== 'string' || typeof description !== 'string') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'title and description must be text'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: await suggestClassification({ title, description })
+        });
+    } catch (error) {
+        console.error('Error suggesting classification:', error);
+        sendRouteError(res, error, 'Failed to suggest classification');
+    }
+});
+
+// Admin: trains a new model on every stored request and starts using it
+router.post('/train', requireRole('admin'), async (req, res) => {
+    try {
+        const model = await trainClassifier({ actor: getActor(req) });
+
+        res.status(201).json({
+            status: 'success',
+            message: `Classifier version ${model.version} trained on ${model.documentCount} requests`,
+            data: model
+        });
+    } catch (error) {
+        console.error('Error training classifier:', error);
+        sendRouteError(res, error, 'Failed to train classifier');
+    }
+});
+
+export default router;
@@ -0,0 +1,39 @@
+// abdo-request-system-backend/src/routes/jobRoutes.js
+
+import express from 'express';
+import mongoose from 'mongoose';
+import { getAnalysisJob, serializeJob } from '../services/analysisQueue.js';
+import { can } from '../services/accessPolicy.js';
+import { Request } from '../models/request.js';
+
+const router = express.Router();
+
+router.get('/:id', async (req, res) => {
+    try {
+        const job = mongoose.isValidObjectId(req.params.id)
+            ? await getAnalysisJob(req.params.id)
+            : null;
+        // Jobs are visible to whoever may see the analyses of their request
+        const request = job && await Request.findById(job.request).select('department createdBy').lean();
+        if (!job || !request || !can(req.user, 'analysis:read', request)) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Job not found'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: serializeJob(job)
+        });
+    } catch (error) {
+        console.error('Error fetching job:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch job',
+            error: error.message
+        });
+    }
+});
+
+export default router;
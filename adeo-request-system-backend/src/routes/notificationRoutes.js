@@ -0,0 +1,112 @@
+// abdo-request-system-backend/src/routes/notificationRoutes.js
+
+import express from 'express';
+import {
+    countUnread,
+    getPreferences,
+    listNotifications,
+    markRead,
+    updatePreferences
+} from '../services/notificationService.js';
+
+const router = express.Router();
+
+const sendRouteError = (res, error, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({
+            status: 'error',
+            message: error.message,
+            errorCode: error.errorCode
+        });
+    }
+
+    res.status(500).json({
+        status: 'error',
+        message,
+        error: error.message
+    });
+};
+
+// The caller's notifications, newest first; ?unread=true for unread only
+router.get('/', async (req, res) => {
+    try {
+        const { notifications, total, unreadCount, page, limit, totalPages } = await listNotifications(req.user.id, {
+            page: req.query.page ? Number(req.query.page) : undefined,
+            limit: req.query.limit ? Number(req.query.limit) : undefined,
+            unread: req.query.unread === 'true'
+        });
+
+        res.json({
+            status: 'success',
+            count: notifications.length,
+            total,
+            unreadCount,
+            page,
+            limit,
+            totalPages,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+            data: notifications
+        });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        sendRouteError(res, error, 'Failed to fetch notifications');
+    }
+});
+
+// Polled by the notification bell
+router.get('/unread-count', async (req, res) => {
+    try {
+        res.json({
+            status: 'success',
+            data: { count: await countUnread(req.user.id) }
+        });
+    } catch (error) {
+        console.error('Error counting notifications:', error);
+        sendRouteError(res, error, 'Failed to count notifications');
+    }
+});
+
+// { ids: [notificationId] }, or { all: true }
+router.post('/read', async (req, res) => {
+    try {
+        const updated = await markRead(req.user.id, req.body.all === true ? 'all' : req.body.ids);
+
+        res.json({
+            status: 'success',
+            message: `${updated} notification(s) marked as read`,
+            data: { updated, unreadCount: await countUnread(req.user.id) }
+        });
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+        sendRouteError(res, error, 'Failed to mark notifications as read');
+    }
+});
+
+router.get('/preferences', async (req, res) => {
+    try {
+        res.json({
+            status: 'success',
+            data: await getPreferences(req.user.id)
+        });
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        sendRouteError(res, error, 'Failed to fetch notification preferences');
+    }
+});
+
+// { preferences: [{ event, inApp, email: 'off' | 'immediate' | 'digest' }] }
+router.put('/preferences', async (req, res) => {
+    try {
+        res.json({
+            status: 'success',
+            message: 'Notification preferences saved',
+            data: await updatePreferences(req.user.id, req.body.preferences)
+        });
+    } catch (error) {
+        console.error('Error saving notification preferences:', error);
+        sendRouteError(res, error, 'Failed to save notification preferences');
+    }
+});
+
+export default router;
@@ -0,0 +1,208 @@
+// abdo-request-system-backend/src/routes/promptTemplateRoutes.js
+
+import express from 'express';
+import mongoose from 'mongoose';
+import { Request } from '../models/request.js';
+import { DEFAULT_PROMPT_TEMPLATES, PROMPT_STEPS, PROMPT_VARIABLES } from '../config/promptTemplates.js';
+import {
+    activatePromptTemplate,
+    createPromptTemplate,
+    deactivatePromptTemplate,
+    getPromptTemplate,
+    listPromptTemplates,
+    validatePromptTemplate
+} from '../services/promptTemplates.js';
+import { previewAnalysisPrompt } from '../services/analysisService.js';
+import { ANALYSIS_LANGUAGES } from '../utils/language.js';
+import { requireRole } from '../middleware/auth.js';
+import { can } from '../services/accessPolicy.js';
+
+const router = express.Router();
+
+const getActor = (req) => req.user?.email || 'anonymous';
+
+const sendRouteError = (res, error, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({
+            status: 'error',
+            message: error.message,
+            errorCode: error.errorCode
+        });
+    }
+
+    res.status(500).json({
+        status: 'error',
+        message,
+        error: error.message
+    });
+};
+
+// Loads the template named by :id, answering 404 itself if there is none
+const findTemplate = async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(404).json({
+            status: 'error',
+            message: 'Prompt template not found'
+        });
+        return null;
+    }
+    return getPromptTemplate(req.params.id);
+};
+
+// Placeholders each step's templates may use, and the built-in templates
+router.get('/variables', (req, res) => {
+    res.json({
+        status: 'success',
+        data: {
+            variables: PROMPT_VARIABLES,
+            defaults: DEFAULT_PROMPT_TEMPLATES
+        }
+    });
+});
+
+router.get('/', async (req, res) => {
+    try {
+        const { step, requestType, department, active } = req.query;
+        const templates = await listPromptTemplates({
+            step,
+            requestType,
+            department,
+            active: active === undefined ? undefined : active === 'true'
+        });
+
+        res.json({
+            status: 'success',
+            count: templates.length,
+            data: templates
+        });
+    } catch (error) {
+        console.error('Error listing prompt templates:', error);
+        sendRouteError(res, error, 'Failed to list prompt templates');
+    }
+});
+
+// Renders a step's prompt for an existing request without calling the model.
+// Uses the draft in the body (system + body), else the template templateId,
+// else the template the request would use today. language ('en' or 'ar')
+// defaults to the request's language.
+router.post('/preview', async (req, res) => {
+    try {
+        const { requestId, step, templateId, system, body, language } = req.body;
+        if (!PROMPT_STEPS.includes(step)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `step must be one of: ${PROMPT_STEPS.join(', ')}`
+            });
+        }
+        if (language !== undefined && !ANALYSIS_LANGUAGES.includes(language)) {
+            return res.status(400).json({
+                status: 'error',
+                message: `language must be one of: ${ANALYSIS_LANGUAGES.join(', ')}`
+            });
+        }
+
+        const request = mongoose.isValidObjectId(requestId)
+            ? await Request.findById(requestId)
+            : null;
+        if (!request || !can(req.user, 'request:read', request)) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+
+        let template;
+        if (body !== undefined || system !== undefined) {
+            validatePromptTemplate({ step, system, body });
+            template = { id: null, step, version: null, system, body };
+        } else if (templateId) {
+            template = mongoose.isValidObjectId(templateId) ? await getPromptTemplate(templateId) : null;
+            if (!template || template.step !== step) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: `No ${step} prompt template ${templateId}`
+                });
+            }
+        }
+
+        res.json({
+            status: 'success',
+            data: await previewAnalysisPrompt(request, step, template, language)
+        });
+    } catch (error) {
+        console.error('Error previewing prompt:', error);
+        sendRouteError(res, error, 'Failed to preview prompt');
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const template = await findTemplate(req, res);
+        if (!template) return;
+
+        res.json({
+            status: 'success',
+            data: template
+        });
+    } catch (error) {
+        console.error('Error fetching prompt template:', error);
+        sendRouteError(res, error, 'Failed to fetch prompt template');
+    }
+});
+
+// Saves a new version of the template for { step, requestType, department }
+// and starts using it. Leave requestType or department out to match any.
+router.post('/', requireRole('admin'), async (req, res) => {
+    try {
+        const { step, requestType, department, system, body, note } = req.body;
+        const template = await createPromptTemplate(
+            { step, requestType, department, system, body, note },
+            { actor: getActor(req) }
+        );
+
+        res.status(201).json({
+            status: 'success',
+            message: `Version ${template.version} of the ${template.step} template is now active`,
+            data: template
+        });
+    } catch (error) {
+        console.error('Error saving prompt template:', error);
+        sendRouteError(res, error, 'Failed to save prompt template');
+    }
+});
+
+// Makes an existing version the active one of its scope, e.g. to roll back
+router.post('/:id/activate', requireRole('admin'), async (req, res) => {
+    try {
+        const template = await findTemplate(req, res);
+        if (!template) return;
+
+        res.json({
+            status: 'success',
+            message: `Version ${template.version} of the ${template.step} template is now active`,
+            data: await activatePromptTemplate(template)
+        });
+    } catch (error) {
+        console.error('Error activating prompt template:', error);
+        sendRouteError(res, error, 'Failed to activate prompt template');
+    }
+});
+
+// Stops using a version; its scope falls back to a less specific template
+router.post('/:id/deactivate', requireRole('admin'), async (req, res) => {
+    try {
+        const template = await findTemplate(req, res);
+        if (!template) return;
+
+        res.json({
+            status: 'success',
+            message: `Version ${template.version} of the ${template.step} template is no longer used`,
+            data: await deactivatePromptTemplate(template)
+        });
+    } catch (error) {
+        console.error('Error deactivating prompt template:', error);
+        sendRouteError(res, error, 'Failed to deactivate prompt template');
+    }
+});
+
+export default router;
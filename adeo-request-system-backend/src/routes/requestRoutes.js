@@ -2,11 +2,55 @@
 
 import express from 'express';
 import { Request } from '../models/request.js';
+import mongoose from 'mongoose';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { processRequest } from '../services/requestProcessor.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getAvailableTransitions, transitionRequest, workflow } from '../services/workflowEngine.js';
+import {
+    buildAttachmentRecords,
+    discardUploadedFiles,
+    removeAttachmentFiles,
+    resolveAttachmentPath
+} from '../services/attachmentService.js';
+import { uploadFiles } from '../middleware/upload.js';
+import { checkForDuplicates, findSimilarRequests, invalidateDuplicateChecks, updateCorpusStats } from '../utils/similarity.js';
+import { buildRequestEmbedding } from '../services/embeddingService.js';
+import { buildSimilarityIndex } from '../services/similarityIndex.js';
+import { ANALYSIS_LANGUAGE_OPTIONS, detectLanguage } from '../utils/language.js';
+import { claimStreamedAnalysis, enqueueAnalysis, runStreamedAnalysis, serializeJob } from '../services/analysisQueue.js';
+import { assistDraft } from '../services/draftAssistant.js';
+import { recordClassificationFeedback } from '../services/requestClassifier.js';
+import { notifyAnalysisCompleted } from '../services/notificationService.js';
+import {
+    compareAnalysisRuns,
+    getAnalysisRun,
+    listAnalysisRuns,
+    pinAnalysisRun,
+    serializeAnalysisRun,
+    unpinAnalysisRun
+} from '../services/analysisHistory.js';
+import { AnalysisRun } from '../models/analysisRun.js';
+import { Comment } from '../models/comment.js';
+import {
+    addComment,
+    deleteComment,
+    listCommentThreads,
+    searchMentionableUsers,
+    serializeComment,
+    updateComment
+} from '../services/commentService.js';
+import {
+    authorize,
+    authorizeTransition,
+    can,
+    canTransitionTo,
+    listAllowedActions,
+    requestScopeFilter
+} from '../services/accessPolicy.js';
+import { ALLOWED_FILE_TYPES, MAX_FILE_SIZE, MAX_FILES } from '../config/uploads.js';
 import rateLimit from 'express-rate-limit';
 
 const router = express.Router();
@@ -17,6 +61,12 @@ const analyzeLimit = rateLimit({
     message: 'Too many analysis requests, please try again later'
 });
 
+const assistLimit = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 100,
+    message: 'Too many drafting assistant requests, please try again later'
+});
+
 // Get the directory name
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -24,6 +74,315 @@ const __dirname = dirname(__filename);
 // Middleware to parse JSON
 router.use(express.json());
 
+// Fields a client is allowed to change through PUT/PATCH. Status is
+// deliberately absent: it only changes through /:id/transitions.
+const EDITABLE_FIELDS = ['title', 'description', 'requestType', 'priority', 'department'];
+
+// Changing any of these makes a stored analysis stale
+const ANALYSIS_SOURCE_FIELDS = ['title', 'description'];
+
+// Fields that feed the per-department document frequency tables used by similarity scoring
+const CORPUS_SOURCE_FIELDS = ['title', 'description', 'department'];
+
+// Comment line sent on idle analysis streams so proxies don't close them
+const SSE_KEEP_ALIVE_MS = 15000;
+
+const dataDir = path.join(__dirname, '..', 'data');
+
+// Helper functions to keep the JSON snapshot in data/ in sync with MongoDB
+const saveRequestSnapshot = (requestNumber, data) => {
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    const filePath = path.join(dataDir, `${requestNumber}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    return filePath;
+};
+
+const removeRequestSnapshot = (requestNumber) => {
+    const filePath = path.join(dataDir, `${requestNumber}.json`);
+    if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+    }
+};
+
+// Helper function to validate update payloads against the RequestSchema
+const validateRequestFields = (fields, { partial }) => {
+    const errors = [];
+
+    for (const field of EDITABLE_FIELDS) {
+        const value = fields[field];
+
+        if (value === undefined) {
+            if (!partial) errors.push(`${field} is required`);
+            continue;
+        }
+
+        if (typeof value !== 'string' || !value.trim()) {
+            errors.push(`${field} must be a non-empty string`);
+            continue;
+        }
+
+        const allowedValues = Request.schema.path(field).enumValues;
+        if (allowedValues?.length && !allowedValues.includes(value)) {
+            errors.push(`${field} must be one of: ${allowedValues.join(', ')}`);
+        }
+    }
+
+    return errors;
+};
+
+// Identifies who performed an action, for status history
+const getActor = (req) => req.user?.email || 'anonymous';
+
+// Reads the version the client based its change on, from the body or an If-Match header
+const getExpectedVersion = (req) => {
+    const raw = req.body?.version ?? req.get('If-Match')?.replace(/(^W\/)|"/g, '');
+    if (raw === undefined || raw === null || raw === '') return undefined;
+
+    const version = Number(raw);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new AppError('version must be a positive integer', 400, 'INVALID_VERSION');
+    }
+    return version;
+};
+
+// Applies changes with optimistic concurrency: the write only succeeds if
+// metadata.version is still the one the client (and we) last saw
+const assertVersion = (request, expectedVersion) => {
+    const currentVersion = request.metadata?.version || 1;
+
+    if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+        const error = new AppError(
+            `Request has been modified (current version ${currentVersion}, got ${expectedVersion})`,
+            409,
+            'VERSION_CONFLICT'
+        );
+        error.currentVersion = currentVersion;
+        throw error;
+    }
+
+    return currentVersion;
+};
+
+const commitRequestChanges = async (request, changes, expectedVersion) => {
+    const currentVersion = assertVersion(request, expectedVersion);
+
+    const changedFields = Object.keys(changes).filter(field => request[field] !== changes[field]);
+    if (!changedFields.length) {
+        return { request, changedFields };
+    }
+
+    const update = {
+        $set: {
+            'metadata.version': currentVersion + 1
+        }
+    };
+    changedFields.forEach(field => {
+        update.$set[field] = changes[field];
+    });
+
+    if (changedFields.some(field => ANALYSIS_SOURCE_FIELDS.includes(field))) {
+        // Earlier runs stay in the analysis history, marked as outdated
+        update.$unset = {
+            'metadata.analysis': '',
+            'metadata.lastAnalyzed': '',
+            'metadata.analysisRun': '',
+            'metadata.pinnedAnalysis': ''
+        };
+
+        const text = {
+            title: changes.title ?? request.title,
+            description: changes.description ?? request.description
+        };
+        update.$set.similarityIndex = buildSimilarityIndex(text);
+        update.$set['metadata.language'] = detectLanguage(text.title, text.description);
+
+        try {
+            update.$set.embedding = await buildRequestEmbedding(text);
+        } catch (error) {
+            // Similarity re-embeds outdated requests on demand, so the edit can go ahead
+            console.error('Embedding failed, continuing without it:', error.message);
+            update.$unset.embedding = '';
+        }
+    }
+
+    // A missing version matches `null`, so legacy documents are covered too
+    const updatedRequest = await Request.findOneAndUpdate(
+        { _id: request._id, 'metadata.version': request.metadata?.version ?? null },
+        update,
+        { new: true, runValidators: true }
+    );
+
+    if (!updatedRequest) {
+        const error = new AppError('Request was modified by another user, please reload', 409, 'VERSION_CONFLICT');
+        error.currentVersion = currentVersion + 1;
+        throw error;
+    }
+
+    if (changedFields.some(field => CORPUS_SOURCE_FIELDS.includes(field))) {
+        await updateCorpusStats(request, updatedRequest);
+        invalidateDuplicateChecks(request, updatedRequest);
+    }
+
+    return { request: updatedRequest, changedFields };
+};
+
+// List query settings for GET /
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'title', 'requestNumber', 'requestType', 'priority', 'status', 'department'];
+
+// Helper function to turn list query parameters into a Mongo filter, sort and page
+const buildListQuery = (query) => {
+    const errors = [];
+    const filter = {};
+
+    const page = query.page === undefined ? 1 : Number(query.page);
+    if (!Number.isInteger(page) || page < 1) errors.push('page must be a positive integer');
+
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    // Enum filters accept a single value or a comma-separated list
+    const enumFilters = { department: 'department', status: 'status', priority: 'priority' };
+    for (const [param, field] of Object.entries(enumFilters)) {
+        if (!query[param]) continue;
+
+        const values = String(query[param]).split(',').map(value => value.trim()).filter(Boolean)
+            .map(value => field === 'department' ? value.toUpperCase() : value);
+        const allowedValues = Request.schema.path(field).enumValues;
+        const invalid = values.filter(value => !allowedValues.includes(value));
+        if (invalid.length) {
+            errors.push(`${param} must be one of: ${allowedValues.join(', ')}`);
+            continue;
+        }
+        filter[field] = values.length === 1 ? values[0] : { $in: values };
+    }
+
+    if (query.type) {
+        const types = String(query.type).split(',').map(value => value.trim()).filter(Boolean);
+        filter.requestType = types.length === 1 ? types[0] : { $in: types };
+    }
+
+    for (const [param, operator] of [['startDate', '$gte'], ['endDate', '$lte']]) {
+        if (!query[param]) continue;
+
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) {
+            errors.push(`${param} must be a valid date`);
+            continue;
+        }
+        // A bare date as endDate should include the whole day
+        if (operator === '$lte' && /^\d{4}-\d{2}-\d{2}$/.test(query[param])) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+        filter.createdAt = { ...filter.createdAt, [operator]: date };
+    }
+
+    const searchText = typeof query.q === 'string' ? query.q.trim() : '';
+    if (searchText) {
+        filter.$text = { $search: searchText };
+    }
+
+    // sort=priority&order=asc, or the shorthand sort=-createdAt
+    let sortField = query.sort ? String(query.sort) : null;
+    let sortOrder = query.order === 'asc' ? 1 : -1;
+    if (sortField?.startsWith('-')) {
+        sortField = sortField.slice(1);
+        sortOrder = -1;
+    }
+    if (sortField && !SORTABLE_FIELDS.includes(sortField)) {
+        errors.push(`sort must be one of: ${SORTABLE_FIELDS.join(', ')}`);
+    }
+    if (query.order && !['asc', 'desc'].includes(query.order)) {
+        errors.push('order must be asc or desc');
+    }
+
+    let sort;
+    let projection;
+    if (sortField) {
+        sort = { [sortField]: sortOrder, _id: sortOrder };
+    } else if (searchText) {
+        // Without an explicit sort, best matches come first
+        projection = { score: { $meta: 'textScore' } };
+        sort = { score: { $meta: 'textScore' }, createdAt: -1 };
+    } else {
+        sort = { createdAt: -1, _id: -1 };
+    }
+
+    return { errors, filter, sort, projection, page, limit };
+};
+
+// Helper function to send AppErrors with their own status, anything else as 500
+const sendRouteError = (res, error, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({
+            status: 'error',
+            message: error.message,
+            errorCode: error.errorCode,
+            ...(error.currentVersion && { currentVersion: error.currentVersion }),
+            ...(error.blockedBy && { blockedBy: error.blockedBy })
+        });
+    }
+
+    res.status(500).json({
+        status: 'error',
+        message,
+        error: error.message
+    });
+};
+
+// Multipart form fields arrive as strings; JSON ones are parsed, invalid ones dropped
+const parseJsonField = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return undefined;
+    }
+};
+
+// Limits a list filter to the requests the caller may see. $text has to stay
+// at the top level of a query, so the scope is added with $and.
+const applyScope = (filter, scope) => {
+    if (!Object.keys(scope).length) return filter;
+    return { ...filter, $and: [...(filter.$and || []), scope] };
+};
+
+// Every route with an :id goes through the access policy: this loads what
+// the policy needs, authorizeRequest(action) on the route checks it
+router.param('id', async (req, res, next, id) => {
+    try {
+        const access = mongoose.isValidObjectId(id)
+            ? await Request.findById(id).select('department createdBy status').lean()
+            : null;
+        if (!access) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+
+        req.requestAccess = access;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+const authorizeRequest = (action) => (req, res, next) => {
+    try {
+        authorize(req.user, action, req.requestAccess);
+        next();
+    } catch (error) {
+        sendRouteError(res, error, 'Failed to check permissions');
+    }
+};
+
 // Helper function to generate request number
 const generateRequestNumber = async () => {
     try {
@@ -46,22 +405,85 @@ const generateRequestNumber = async () => {
     }
 };
 
-router.post('/', async (req, res) => {
+router.post('/', uploadFiles, async (req, res) => {
     try {
         console.log('Received POST request with body:', req.body);
-        const { title, description, requestType, priority, department } = req.body;
+        const { title, description, requestType, priority } = req.body;
+        // Department codes are upper-case, as in the list filters; normalized
+        // before the access policy compares it with the user's department
+        const department = String(req.body.department || '').toUpperCase();
 
         // Validate required fields
         if (!title || !description || !requestType || !priority || !department) {
+            await discardUploadedFiles(req.files);
             return res.status(400).json({
                 status: 'error',
                 message: 'Missing required fields'
             });
         }
 
+        try {
+            authorize(req.user, 'request:create', { department, createdBy: { user: req.user.id } });
+        } catch (error) {
+            await discardUploadedFiles(req.files);
+            return sendRouteError(res, error, 'Failed to create request');
+        }
+
+        // Embedded once here, then used for the duplicate check and stored on the request.
+        // On failure it is left unset and filled in the next time similarity needs it.
+        let embedding;
+        try {
+            embedding = await buildRequestEmbedding({ title, description });
+        } catch (error) {
+            console.error('Embedding failed, continuing without it:', error.message);
+        }
+
+        const similarityIndex = buildSimilarityIndex({ title, description });
+
+        // Warn about likely duplicates unless the client explicitly confirmed the submission
+        const overrideDuplicate = [true, 'true'].includes(req.body.overrideDuplicate);
+        let duplicateCheck = null;
+        try {
+            duplicateCheck = await checkForDuplicates(title, department, description, { embedding, similarityIndex });
+        } catch (error) {
+            // A failing similarity check must not block submissions
+            console.error('Duplicate check failed, continuing without it:', error.message);
+        }
+
+        if (duplicateCheck?.isDuplicate && !overrideDuplicate) {
+            await discardUploadedFiles(req.files);
+            const match = duplicateCheck.originalRequest;
+            return res.status(409).json({
+                status: 'error',
+                errorCode: 'POSSIBLE_DUPLICATE',
+                message: `This request looks like a duplicate of ${match.requestNumber}. Resubmit with overrideDuplicate=true to create it anyway.`,
+                duplicate: {
+                    request: {
+                        _id: match._id,
+                        requestNumber: match.requestNumber,
+                        title: match.title,
+                        status: match.status,
+                        createdAt: match.createdAt
+                    },
+                    similarity: duplicateCheck.similarity,
+                    details: duplicateCheck.details
+                }
+            });
+        }
+
         // Generate request number
         const requestNumber = await generateRequestNumber();
 
+        // Record the files multer already stored in uploads/
+        const attachments = await buildAttachmentRecords(req.files, getActor(req));
+
+        // Whether the classifier's suggestions shown while drafting were kept
+        const classification = recordClassificationFeedback(
+            parseJsonField(req.body.classification),
+            { department, requestType, priority },
+            { requestNumber }
+        );
+
         // Create new request object with all necessary fields
         const requestData = {
             requestNumber,
@@ -70,31 +492,49 @@ router.post('/', async (req, res) => {
             requestType,
             priority,
             department, // Add this line
-            status: 'Draft',
-            attachments: [],
+            createdBy: {
+                user: req.user.id,
+                email: req.user.email,
+                name: req.user.name
+            },
+            status: workflow.config.initialStatus,
+            statusHistory: [{
+                from: null,
+                to: workflow.config.initialStatus,
+                actor: getActor(req),
+                note: 'Request submitted',
+                at: new Date()
+            }],
+            attachments,
             metadata: {
                 createdFrom: 'web',
                 version: 1,
+                language: detectLanguage(title, description),
                 tags: [],
-                customMetadata: {}
+                customMetadata: {},
+                ...(classification && { classification }),
+                ...(duplicateCheck?.isDuplicate && {
+                    duplicateOf: {
+                        requestId: duplicateCheck.originalRequest._id,
+                        requestNumber: duplicateCheck.originalRequest.requestNumber,
+                        similarity: duplicateCheck.similarity,
+                        overriddenBy: getActor(req),
+                        overriddenAt: new Date()
+                    }
+                })
             }
         };
 
         console.log('Creating request with data:', requestData);
 
         // Save request to MongoDB
-        const request = new Request(requestData);
+        const request = new Request({ ...requestData, embedding, similarityIndex });
         const savedRequest = await request.save();
-
-        // Create data directory if it doesn't exist
-        const dataDir = path.join(__dirname, '..', 'data');
-        if (!fs.existsSync(dataDir)) {
-            fs.mkdirSync(dataDir, { recursive: true });
-        }
+        await updateCorpusStats(null, savedRequest);
+        invalidateDuplicateChecks(savedRequest);
 
         // Save request to a JSON file
-        const filePath = path.join(dataDir, `${requestNumber}.json`);
-        fs.writeFileSync(filePath, JSON.stringify(requestData, null, 2));
+        const filePath = saveRequestSnapshot(requestNumber, requestData);
 
         console.log('Request saved successfully:', savedRequest);
         console.log('JSON file saved at:', filePath);
@@ -107,6 +547,7 @@ router.post('/', async (req, res) => {
 
     } catch (error) {
         console.error('Database save error:', error);
+        await discardUploadedFiles(req.files);
         res.status(500).json({
             status: 'error',
             message: 'Failed to create request',
@@ -115,16 +556,38 @@ router.post('/', async (req, res) => {
     }
 });
 
-// GET handler for fetching requests
+// GET handler for fetching requests, with pagination, filters, sorting and search
 router.get('/', async (req, res) => {
     try {
-        const requests = await Request.find()
-            .sort({ createdAt: -1 })
-            .limit(10);
+        const { errors, filter, sort, projection, page, limit } = buildListQuery(req.query);
+        if (errors.length) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid query parameters',
+                errors
+            });
+        }
+
+        const scopedFilter = applyScope(filter, requestScopeFilter(req.user));
+        const [requests, total] = await Promise.all([
+            Request.find(scopedFilter, projection)
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Request.countDocuments(scopedFilter)
+        ]);
+
+        const totalPages = Math.ceil(total / limit);
 
         res.json({
             status: 'success',
             count: requests.length,
+            total,
+            page,
+            limit,
+            totalPages,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
             data: requests
         });
     } catch (error) {
@@ -137,73 +600,189 @@ router.get('/', async (req, res) => {
     }
 });
 
-router.post('/:id/analyze', analyzeLimit, async (req, res) => {
+// Aggregate counts for the analytics dashboard, over every matching request
+router.get('/stats', async (req, res) => {
     try {
-        const request = await Request.findById(req.params.id);
-        if (!request) {
-            return res.status(404).json({
+        const { errors, filter } = buildListQuery({ ...req.query, page: undefined, limit: undefined, sort: undefined });
+        if (errors.length) {
+            return res.status(400).json({
                 status: 'error',
-                message: 'Request not found'
+                message: 'Invalid query parameters',
+                errors
             });
         }
 
-        // Process the request using the requestProcessor
-        const analysis = await processRequest({
-            title: request.title,
-            description: request.description,
-            type: request.requestType,
-            priority: request.priority,
-            department: request.department,
-            content: request.description,
-            metadata: {
-                requestId: request._id,
-                requestNumber: request.requestNumber,
-                analysisVersion: '1.0'
+        const countBy = (field) => [
+            { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+        ];
+
+        const [stats] = await Request.aggregate([
+            { $match: applyScope(filter, requestScopeFilter(req.user)) },
+            {
+                $facet: {
+                    total: [{ $count: 'count' }],
+                    byStatus: countBy('status'),
+                    byPriority: countBy('priority'),
+                    byType: countBy('requestType'),
+                    byDepartment: countBy('department')
+                }
+            }
+        ]);
+
+        const toMap = (buckets) => Object.fromEntries(buckets.map(({ _id, count }) => [_id, count]));
+
+        res.json({
+            status: 'success',
+            data: {
+                total: stats.total[0]?.count || 0,
+                byStatus: toMap(stats.byStatus),
+                byPriority: toMap(stats.byPriority),
+                byType: toMap(stats.byType),
+                byDepartment: toMap(stats.byDepartment)
             }
         });
+    } catch (error) {
+        console.error('Error fetching request stats:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch request statistics',
+            error: error.message
+        });
+    }
+});
 
-        // Add error checking for the analysis result
-        if (!analysis || !analysis.analysis || !analysis.recommendations) {
-            throw new Error('Invalid analysis result structure');
+// Upload limits, so clients validate against the same values as the server
+router.get('/attachments/config', (req, res) => {
+    res.json({
+        status: 'success',
+        data: {
+            allowedTypes: ALLOWED_FILE_TYPES,
+            maxFileSize: MAX_FILE_SIZE,
+            maxFiles: MAX_FILES
         }
+    });
+});
 
-        // Log successful analysis
-        console.log('Analysis completed successfully for request:', request.requestNumber);
+// Feedback on a draft before it is submitted: { title, description, type,
+// department } in, critique, rewritten description and completeness score
+// out (see assistDraft). Nothing is stored.
+router.post('/assist', assistLimit, async (req, res) => {
+    try {
+        // Only for those who can submit requests at all
+        if (!requestScopeFilter(req.user, 'request:create')) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'You do not have permission to do this',
+                errorCode: 'FORBIDDEN'
+            });
+        }
 
-        // Update the request with the analysis
-        const updatedRequest = await Request.findByIdAndUpdate(
-            req.params.id,
-            {
-                $set: {
-                    'metadata.analysis': analysis,
-                    'metadata.lastAnalyzed': new Date()
-                }
-            },
-            { new: true }
-        );
+        const { title, description, type, department } = req.body;
+        if (typeof description !== 'string' || (title !== undefined && typeof title !== 'string')) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'description is required and title, if given, must be text'
+            });
+        }
 
         res.json({
             status: 'success',
-            data: analysis
+            data: await assistDraft({ title, description, type, department })
         });
+    } catch (error) {
+        console.error('Error assisting with draft:', error);
+        sendRouteError(res, error, 'Failed to review draft');
+    }
+});
+
+// Analysis runs in the background; poll GET /api/jobs/:jobId for progress
+// Answers 400 itself if the analysis language option is not a valid one
+const isValidAnalysisLanguage = (res, language) => {
+    if (language === undefined || ANALYSIS_LANGUAGE_OPTIONS.includes(language)) {
+        return true;
+    }
+
+    res.status(400).json({
+        status: 'error',
+        message: `language must be one of: ${ANALYSIS_LANGUAGE_OPTIONS.join(', ')}`
+    });
+    return false;
+};
+
+// `language` is 'en', 'ar' or 'both' (written in parallel); without it the
+// analysis is written in the language of the request
+const queueAnalysis = async (req, res, requestId, { language }) => {
+    if (!isValidAnalysisLanguage(res, language)) return;
+
+    try {
+        const request = await Request.findById(requestId);
+        if (!request) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+        authorize(req.user, 'analysis:run', request);
+
+        const job = await enqueueAnalysis(request, { language, requestedBy: getActor(req) });
+
+        res.status(202)
+            .location(`/api/jobs/${job.id}`)
+            .json({
+                status: 'accepted',
+                data: {
+                    jobId: job.id,
+                    job: serializeJob(job)
+                }
+            });
 
     } catch (error) {
+        if (error.isOperational) {
+            return sendRouteError(res, error, 'Failed to queue request analysis');
+        }
         console.error('Analysis error details:', {
-            requestId: req.params.id,
+            requestId,
             error: error.message,
             stack: error.stack
         });
         
         res.status(500).json({
             status: 'error',
-            message: 'Failed to analyze request',
+            message: 'Failed to queue request analysis',
             error: error.message,
-            requestId: req.params.id
+            requestId
+        });
+    }
+};
+
+router.post('/:id/analyze', analyzeLimit, authorizeRequest('analysis:run'), (req, res) =>
+    queueAnalysis(req, res, req.params.id, { language: req.body?.language }));
+
+// Older clients send the request id in the body; same queued analysis as POST /:id/analyze
+router.post('/analyze', analyzeLimit, (req, res) => {
+    if (!mongoose.isValidObjectId(req.body?.requestId)) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'requestId is required'
         });
     }
+
+    queueAnalysis(req, res, req.body.requestId, { language: req.body.language });
 });
 
-router.get('/:id', async (req, res) => {
+// Same analysis as the queued one, streamed as Server-Sent Events while it runs:
+// stage, attempt, token and section events (see processRequest), then a
+// complete event with the stored analysis or a failed event. (Not "error",
+// which EventSource reserves for connection problems.) ?language= works as
+// for POST /:id/analyze; only the main language is streamed. It counts as
+// the request's active analysis job, so it is refused with 409 while one is
+// queued or running.
+router.get('/:id/analyze/stream', analyzeLimit, authorizeRequest('analysis:run'), async (req, res) => {
+    const { language } = req.query;
+    if (!isValidAnalysisLanguage(res, language)) return;
+
+    let job;
     try {
         const request = await Request.findById(req.params.id);
         if (!request) {
@@ -212,229 +791,715 @@ router.get('/:id', async (req, res) => {
                 message: 'Request not found'
             });
         }
-
-        res.json({
-            status: 'success',
-            data: request
-        });
+        job = await claimStreamedAnalysis(request, { language, requestedBy: getActor(req) });
     } catch (error) {
-        console.error('Error fetching request:', error);
-        res.status(500).json({
+        if (error.isOperational) {
+            return sendRouteError(res, error, 'Failed to analyze request');
+        }
+        return res.status(500).json({
             status: 'error',
-            message: 'Failed to fetch request',
+            message: 'Failed to analyze request',
             error: error.message
         });
     }
-});
 
-// POST handler for analyzing requests
-router.post('/analyze', async (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // A reviewer who navigates away doesn't cancel the analysis: it still
+    // completes and is saved, there is just nobody left to stream it to
+    let connected = true;
+    const sendEvent = (event, data) => {
+        if (!connected) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        // compression() buffers output until flushed
+        res.flush?.();
+    };
+    const keepAlive = setInterval(() => {
+        if (connected) {
+            res.write(': keep-alive\n\n');
+            res.flush?.();
+        }
+    }, SSE_KEEP_ALIVE_MS);
+    req.on('close', () => {
+        connected = false;
+        clearInterval(keepAlive);
+    });
+
     try {
-        const { requestId, title, description, type, priority } = req.body;
-
-        // Prepare the prompt for GPT analysis
-        const analysisPrompt = `
-            Analyze the following government request and provide detailed recommendations:
-
-            Title: ${title}
-            Description: ${description}
-            Type: ${type}
-            Priority: ${priority}
-
-            Please provide a comprehensive analysis including:
-            1. Overall recommendation (APPROVED/REJECTED/NEEDS_REVIEW)
-            2. Economic impact analysis
-            3. Social impact analysis
-            4. Environmental impact analysis
-            5. Immediate actions needed
-            6. Long-term strategic considerations
-            7. Potential risks and mitigation strategies
-
-            Format the response in a structured way addressing each point.
-        `;
-
-        // Get analysis from OpenAI
-        const completion = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
-            messages: [
-                {
-                    role: "system",
-                    content: "You are an expert government policy analyst specializing in project evaluation and impact assessment. Provide detailed, practical recommendations based on the request details."
-                },
-                {
-                    role: "user",
-                    content: analysisPrompt
-                }
-            ],
-            temperature: 0.7,
-            max_tokens: 1500
+        const analysis = await runStreamedAnalysis(job, {
+            onStage: (stage) => sendEvent('stage', { stage }),
+            onStream: sendEvent
+        });
+        sendEvent('complete', { analysis });
+        // The caller watched it complete; the submitter may not have
+        notifyAnalysisCompleted(req.params.id, { actor: getActor(req) });
+    } catch (error) {
+        console.error('Streaming analysis error:', {
+            requestId: req.params.id,
+            error: error.message
+        });
+        sendEvent('failed', {
+            message: 'Failed to analyze request',
+            error: error.message,
+            code: error.errorCode
         });
+    } finally {
+        clearInterval(keepAlive);
+        res.end();
+    }
+});
 
-        // Parse the AI response
-        const aiResponse = completion.choices[0].message.content;
-        
-        // Process and structure the AI response
-        const analysis = processAIResponse(aiResponse, priority);
+// Every analysis run of the request, newest first
+router.get('/:id/analyses', authorizeRequest('analysis:read'), async (req, res) => {
+    try {
+        const request = await Request.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
 
-        // Save the analysis to the request document
-        await Request.findByIdAndUpdate(requestId, {
-            $set: {
-                'metadata.analysis': analysis
-            }
-        });
+        const runs = await listAnalysisRuns(request);
 
         res.json({
             status: 'success',
-            analysis: analysis
+            count: runs.length,
+            data: runs.map(run => serializeAnalysisRun(run, request))
         });
-
     } catch (error) {
-        console.error('Analysis error:', error);
-        res.status(500).json({
-            status: 'error',
-            message: 'Failed to generate analysis',
-            error: error.message
-        });
+        console.error('Error fetching analysis history:', error);
+        sendRouteError(res, error, 'Failed to fetch analysis history');
     }
 });
 
-// Helper function to process AI response
-function processAIResponse(aiResponse, priority) {
-    // Extract key sections using regex or string splitting
-    const sections = extractSections(aiResponse);
-
-    // Determine recommendation decision based on content analysis and priority
-    const decision = determineDecision(sections, priority);
-
-    return {
-        recommendation: {
-            decision: decision,
-            confidence: calculateConfidence(sections, priority),
-            reasoning: extractReasons(sections)
-        },
-        impact: {
-            economic: {
-                score: calculateImpactScore(sections.economic),
-                details: extractImpactDetails(sections.economic)
-            },
-            social: {
-                score: calculateImpactScore(sections.social),
-                details: extractImpactDetails(sections.social)
-            },
-            environmental: {
-                score: calculateImpactScore(sections.environmental),
-                details: extractImpactDetails(sections.environmental)
-            }
-        },
-        suggestedActions: {
-            immediate: extractActions(sections.immediate),
-            longTerm: extractActions(sections.longTerm)
-        },
-        risks: {
-            level: calculateRiskLevel(sections.risks, priority),
-            factors: extractRiskFactors(sections.risks),
-            mitigations: extractMitigations(sections.risks)
+// Section-by-section differences from run `base` to run `target`
+router.get('/:id/analyses/compare', authorizeRequest('analysis:read'), async (req, res) => {
+    try {
+        const { base, target } = req.query;
+        if (![base, target].every(runId => mongoose.isValidObjectId(runId))) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'base and target must be analysis run ids'
+            });
         }
-    };
-}
-
-// Helper functions for processing AI response
-function extractSections(text) {
-    const sections = {};
-    
-    // Extract economic impact
-    sections.economic = text.match(/Economic impact[^]*?(?=Social impact|$)/i)?.[0] || '';
-    
-    // Extract social impact
-    sections.social = text.match(/Social impact[^]*?(?=Environmental impact|$)/i)?.[0] || '';
-    
-    // Extract environmental impact
-    sections.environmental = text.match(/Environmental impact[^]*?(?=Immediate actions|$)/i)?.[0] || '';
-    
-    // Extract immediate actions
-    sections.immediate = text.match(/Immediate actions[^]*?(?=Long-term|$)/i)?.[0] || '';
-    
-    // Extract long-term considerations
-    sections.longTerm = text.match(/Long-term[^]*?(?=Potential risks|$)/i)?.[0] || '';
-    
-    // Extract risks
-    sections.risks = text.match(/Potential risks[^]*?$/i)?.[0] || '';
-    
-    return sections;
-}
-
-function determineDecision(sections, priority) {
-    const text = Object.values(sections).join(' ').toLowerCase();
-    if (text.includes('reject') || text.includes('deny') || text.includes('not recommended')) {
-        return 'REJECTED';
-    }
-    if (priority === 'High' || priority === 'Urgent' || text.includes('further review') || text.includes('additional analysis')) {
-        return 'NEEDS_REVIEW';
-    }
-    return 'APPROVED';
-}
-
-function calculateConfidence(sections, priority) {
-    // Implementation based on content analysis
-    return Math.floor(Math.random() * 30) + 70; // Example implementation
-}
-
-function extractReasons(sections) {
-    const text = Object.values(sections).join('\n');
-    return text
-        .split(/[\n.]/)
-        .map(line => line.trim())
-        .filter(line => line.length > 20 && !line.includes('impact') && !line.includes('action'))
-        .slice(0, 3);
-}
-
-function calculateImpactScore(impactText) {
-    // Implementation based on sentiment analysis
-    return Math.floor(Math.random() * 100);
-}
-
-function extractImpactDetails(impactText) {
-    return impactText
-        .split(/[\n.]/)
-        .map(line => line.trim())
-        .filter(line => line.length > 10)
-        .slice(0, 3);
-}
-
-function extractActions(actionsText) {
-    return actionsText
-        .split(/[\n.]/)
-        .map(line => line.trim())
-        .filter(line => line.length > 10)
-        .slice(0, 3);
-}
-
-function calculateRiskLevel(risksText, priority) {
-    const text = risksText.toLowerCase();
-    if (priority === 'High' || priority === 'Urgent' || 
-        text.includes('high risk') || text.includes('significant danger')) {
-        return 'HIGH';
-    }
-    if (text.includes('moderate') || text.includes('medium')) {
-        return 'MEDIUM';
-    }
-    return 'LOW';
-}
-
-function extractRiskFactors(risksText) {
-    return risksText
-        .split(/[\n.]/)
-        .map(line => line.trim())
-        .filter(line => line.includes('risk') || line.includes('danger') || line.includes('concern'))
-        .slice(0, 3);
-}
-
-function extractMitigations(risksText) {
-    return risksText
-        .split(/[\n.]/)
-        .map(line => line.trim())
-        .filter(line => line.includes('mitigate') || line.includes('prevent') || line.includes('reduce'))
-        .slice(0, 3);
-}
+
+        const request = await Request.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+
+        const [baseRun, targetRun] = await Promise.all([
+            getAnalysisRun(request, base),
+            getAnalysisRun(request, target)
+        ]);
+
+        res.json({
+            status: 'success',
+            data: {
+                base: serializeAnalysisRun(baseRun, request),
+                target: serializeAnalysisRun(targetRun, request),
+                sections: compareAnalysisRuns(baseRun, targetRun)
+            }
+        });
+    } catch (error) {
+        console.error('Error comparing analysis runs:', error);
+        sendRouteError(res, error, 'Failed to compare analysis runs');
+    }
+});
+
+router.get('/:id/analyses/:runId', authorizeRequest('analysis:read'), async (req, res) => {
+    try {
+        const request = await Request.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+
+        if (!mongoose.isValidObjectId(req.params.runId)) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Analysis run not found'
+            });
+        }
+
+        const run = await getAnalysisRun(request, req.params.runId);
+
+        res.json({
+            status: 'success',
+            data: serializeAnalysisRun(run, request, { withResult: true })
+        });
+    } catch (error) {
+        console.error('Error fetching analysis run:', error);
+        sendRouteError(res, error, 'Failed to fetch analysis run');
+    }
+});
+
+// Pin a run as the official analysis; DELETE goes back to the latest run
+router.post('/:id/analyses/:runId/pin', authorizeRequest('analysis:pin'), async (req, res) => {
+    try {
+        const request = await Request.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+        if (!mongoose.isValidObjectId(req.params.runId)) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Analysis run not found'
+            });
+        }
+
+        const updatedRequest = await pinAnalysisRun(request, req.params.runId, { actor: getActor(req) });
+
+        res.json({
+            status: 'success',
+            message: `Run ${updatedRequest.metadata.pinnedAnalysis.runNumber} is now the official analysis`,
+            data: updatedRequest
+        });
+    } catch (error) {
+        console.error('Error pinning analysis run:', error);
+        sendRouteError(res, error, 'Failed to pin analysis run');
+    }
+});
+
+router.delete('/:id/analyses/pin', authorizeRequest('analysis:pin'), async (req, res) => {
+    try {
+        const request = await Request.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+
+        const updatedRequest = await unpinAnalysisRun(request);
+
+        res.json({
+            status: 'success',
+            message: 'The latest analysis run is now the official analysis',
+            data: updatedRequest
+        });
+    } catch (error) {
+        console.error('Error unpinning analysis run:', error);
+        sendRouteError(res, error, 'Failed to unpin analysis run');
+    }
+});
+
+router.get('/:id', authorizeRequest('request:read'), async (req, res) => {
+    try {
+        const request = await Request.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: request,
+            // What the caller may do with it, see config/accessPolicy.js
+            permissions: listAllowedActions(req.user, request)
+        });
+    } catch (error) {
+        console.error('Error fetching request:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to fetch request',
+            error: error.message
+        });
+    }
+});
+
+// PUT replaces every editable field, PATCH only the ones provided
+const updateRequestHandler = ({ partial }) => async (req, res) => {
+    try {
+        if (req.body.status !== undefined) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Status cannot be edited directly, use POST /api/requests/:id/transitions'
+            });
+        }
+
+        const changes = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        });
+
+        if (typeof changes.department === 'string') {
+            changes.department = changes.department.toUpperCase();
+        }
+
+        const errors = validateRequestFields(changes, { partial });
+        if (errors.length) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        if (!Object.keys(changes).length) {
+            return res.status(400).json({
+                status: 'error',
+                message: `No updatable fields provided. Allowed fields: ${EDITABLE_FIELDS.join(', ')}`
+            });
+        }
+
+        const expectedVersion = getExpectedVersion(req);
+
+        const request = await Request.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+
+        if (changes.department && changes.department !== request.department) {
+            authorize(req.user, 'request:transfer', request);
+        }
+
+        const { request: updatedRequest, changedFields } = await commitRequestChanges(request, changes, expectedVersion);
+
+        if (changedFields.length) {
+            saveRequestSnapshot(updatedRequest.requestNumber, updatedRequest.toObject());
+        }
+
+        res.json({
+            status: 'success',
+            message: changedFields.length ? 'Request updated successfully' : 'No changes to apply',
+            changedFields,
+            data: updatedRequest
+        });
+    } catch (error) {
+        console.error('Error updating request:', error);
+        sendRouteError(res, error, 'Failed to update request');
+    }
+};
+
+router.put('/:id', authorizeRequest('request:update'), updateRequestHandler({ partial: false }));
+router.patch('/:id', authorizeRequest('request:update'), updateRequestHandler({ partial: true }));
+
+router.post('/:id/cancel', authorizeRequest('request:transition'), async (req, res) => {
+    try {
+        const expectedVersion = getExpectedVersion(req);
+
+        const request = await Request.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+
+        authorizeTransition(req.user, request, 'Cancelled');
+
+        const updatedRequest = await transitionRequest(request, {
+            to: 'Cancelled',
+            note: req.body.note,
+            actor: getActor(req),
+            expectedVersion
+        });
+        saveRequestSnapshot(updatedRequest.requestNumber, updatedRequest.toObject());
+
+        res.json({
+            status: 'success',
+            message: 'Request cancelled successfully',
+            data: updatedRequest
+        });
+    } catch (error) {
+        console.error('Error cancelling request:', error);
+        sendRouteError(res, error, 'Failed to cancel request');
+    }
+});
+
+// Related requests for the details page, most similar first
+router.get('/:id/similar', authorizeRequest('request:read'), async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 5 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'limit must be an integer between 1 and 20'
+            });
+        }
+
+        const request = await Request.findById(req.params.id).select('+embedding +similarityIndex');
+        if (!request) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+
+        // Requests the caller can't open are left out
+        const similar = (await findSimilarRequests(request, { limit }))
+            .filter(({ request: match }) => can(req.user, 'request:read', match));
+
+        res.json({
+            status: 'success',
+            count: similar.length,
+            data: similar.map(({ request: match, similarity, details }) => ({
+                request: {
+                    _id: match._id,
+                    requestNumber: match.requestNumber,
+                    title: match.title,
+                    department: match.department,
+                    status: match.status,
+                    createdAt: match.createdAt
+                },
+                similarity,
+                details
+            }))
+        });
+    } catch (error) {
+        console.error('Error finding similar requests:', error);
+        sendRouteError(res, error, 'Failed to find similar requests');
+    }
+});
+
+// Current status, where it can go next and how it got here
+router.get('/:id/transitions', authorizeRequest('request:read'), async (req, res) => {
+    try {
+        const request = await Request.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: {
+                current: request.status,
+                version: request.metadata?.version || 1,
+                // Only the moves the caller's role may make
+                available: getAvailableTransitions(request).filter(({ to }) => canTransitionTo(req.user, request, to)),
+                history: request.statusHistory
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching transitions:', error);
+        sendRouteError(res, error, 'Failed to fetch transitions');
+    }
+});
+
+router.post('/:id/transitions', authorizeRequest('request:transition'), async (req, res) => {
+    try {
+        const { to, note } = req.body;
+        if (!to) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Target status "to" is required'
+            });
+        }
+
+        const expectedVersion = getExpectedVersion(req);
+
+        const request = await Request.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+
+        authorizeTransition(req.user, request, to);
+
+        const updatedRequest = await transitionRequest(request, {
+            to,
+            note,
+            actor: getActor(req),
+            expectedVersion
+        });
+        saveRequestSnapshot(updatedRequest.requestNumber, updatedRequest.toObject());
+
+        res.json({
+            status: 'success',
+            message: `Request moved from ${request.status} to ${updatedRequest.status}`,
+            data: updatedRequest
+        });
+    } catch (error) {
+        console.error('Error transitioning request:', error);
+        sendRouteError(res, error, 'Failed to change request status');
+    }
+});
+
+router.post('/:id/attachments', authorizeRequest('attachment:write'), uploadFiles, async (req, res) => {
+    try {
+        if (!req.files?.length) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'No files provided, send them in the "files" field'
+            });
+        }
+
+        const expectedVersion = getExpectedVersion(req);
+
+        const request = await Request.findById(req.params.id);
+        if (!request) {
+            await discardUploadedFiles(req.files);
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+
+        if (request.attachments.length + req.files.length > MAX_FILES) {
+            await discardUploadedFiles(req.files);
+            return res.status(400).json({
+                status: 'error',
+                message: `A request can have at most ${MAX_FILES} attachments (currently ${request.attachments.length})`
+            });
+        }
+
+        const currentVersion = assertVersion(request, expectedVersion);
+        const attachments = await buildAttachmentRecords(req.files, getActor(req));
+
+        const updatedRequest = await Request.findOneAndUpdate(
+            { _id: request._id, 'metadata.version': request.metadata?.version ?? null },
+            {
+                $push: { attachments: { $each: attachments } },
+                $set: { 'metadata.version': currentVersion + 1 }
+            },
+            { new: true, runValidators: true }
+        );
+
+        if (!updatedRequest) {
+            throw new AppError('Request was modified by another user, please reload', 409, 'VERSION_CONFLICT');
+        }
+
+        saveRequestSnapshot(updatedRequest.requestNumber, updatedRequest.toObject());
+
+        res.status(201).json({
+            status: 'success',
+            message: `${attachments.length} attachment(s) added`,
+            data: updatedRequest
+        });
+    } catch (error) {
+        console.error('Error adding attachments:', error);
+        await discardUploadedFiles(req.files);
+        sendRouteError(res, error, 'Failed to add attachments');
+    }
+});
+
+router.get('/:id/attachments/:attachmentId', authorizeRequest('attachment:read'), async (req, res) => {
+    try {
+        const request = await Request.findById(req.params.id).select('attachments requestNumber');
+        const attachment = request?.attachments.id(req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Attachment not found'
+            });
+        }
+
+        const filePath = resolveAttachmentPath(attachment);
+        if (!fs.existsSync(filePath)) {
+            return res.status(410).json({
+                status: 'error',
+                message: 'Attachment file is no longer available'
+            });
+        }
+
+        res.setHeader('Content-Type', attachment.mimeType || 'application/octet-stream');
+        res.setHeader('Content-Security-Policy', "default-src 'none'");
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        if (attachment.hash) {
+            res.setHeader('ETag', `"${attachment.hash}"`);
+        }
+        res.attachment(attachment.originalName || attachment.filename);
+        fs.createReadStream(filePath).pipe(res);
+    } catch (error) {
+        console.error('Error downloading attachment:', error);
+        sendRouteError(res, error, 'Failed to download attachment');
+    }
+});
+
+router.delete('/:id/attachments/:attachmentId', authorizeRequest('attachment:write'), async (req, res) => {
+    try {
+        const expectedVersion = getExpectedVersion(req);
+
+        const request = await Request.findById(req.params.id);
+        const attachment = request?.attachments.id(req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Attachment not found'
+            });
+        }
+
+        const currentVersion = assertVersion(request, expectedVersion);
+
+        const updatedRequest = await Request.findOneAndUpdate(
+            { _id: request._id, 'metadata.version': request.metadata?.version ?? null },
+            {
+                $pull: { attachments: { _id: attachment._id } },
+                $set: { 'metadata.version': currentVersion + 1 }
+            },
+            { new: true }
+        );
+
+        if (!updatedRequest) {
+            throw new AppError('Request was modified by another user, please reload', 409, 'VERSION_CONFLICT');
+        }
+
+        await removeAttachmentFiles([attachment]);
+        saveRequestSnapshot(updatedRequest.requestNumber, updatedRequest.toObject());
+
+        res.json({
+            status: 'success',
+            message: 'Attachment removed',
+            data: updatedRequest
+        });
+    } catch (error) {
+        console.error('Error removing attachment:', error);
+        sendRouteError(res, error, 'Failed to remove attachment');
+    }
+});
+
+// What the comment service needs of the request: the access policy fields and its attachments
+const loadCommentContext = (id) =>
+    Request.findById(id).select('requestNumber title department createdBy attachments._id attachments.originalName attachments.filename').lean();
+
+router.get('/:id/comments', authorizeRequest('comment:read'), async (req, res) => {
+    try {
+        const request = await loadCommentContext(req.params.id);
+
+        res.json({
+            status: 'success',
+            data: await listCommentThreads(request, req.user)
+        });
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        sendRouteError(res, error, 'Failed to fetch comments');
+    }
+});
+
+// Users who could be @mentioned: ?q= matches name or email, ?internal=true
+// leaves out those who can't see internal comments
+router.get('/:id/comments/mentionable', authorizeRequest('comment:write'), async (req, res) => {
+    try {
+        const request = await loadCommentContext(req.params.id);
+
+        res.json({
+            status: 'success',
+            data: await searchMentionableUsers(request, req.query.q, { internal: req.query.internal === 'true' })
+        });
+    } catch (error) {
+        console.error('Error searching mentionable users:', error);
+        sendRouteError(res, error, 'Failed to search users');
+    }
+});
+
+// { body, internal, parent, attachments: [attachmentId] }
+router.post('/:id/comments', authorizeRequest('comment:write'), async (req, res) => {
+    try {
+        const request = await loadCommentContext(req.params.id);
+        const comment = await addComment(request, req.user, req.body);
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Comment added',
+            data: serializeComment(comment, request, req.user)
+        });
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        sendRouteError(res, error, 'Failed to add comment');
+    }
+});
+
+// { body, attachments }, by the author within the edit window
+router.patch('/:id/comments/:commentId', authorizeRequest('comment:write'), async (req, res) => {
+    try {
+        const request = await loadCommentContext(req.params.id);
+        const comment = await updateComment(request, req.user, req.params.commentId, req.body);
+
+        res.json({
+            status: 'success',
+            message: 'Comment updated',
+            data: serializeComment(comment, request, req.user)
+        });
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        sendRouteError(res, error, 'Failed to update comment');
+    }
+});
+
+router.delete('/:id/comments/:commentId', authorizeRequest('comment:write'), async (req, res) => {
+    try {
+        const request = await loadCommentContext(req.params.id);
+        const comment = await deleteComment(request, req.user, req.params.commentId);
+
+        res.json({
+            status: 'success',
+            message: 'Comment deleted',
+            data: serializeComment(comment, request, req.user)
+        });
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        sendRouteError(res, error, 'Failed to delete comment');
+    }
+});
+
+router.delete('/:id', authorizeRequest('request:delete'), async (req, res) => {
+    try {
+        const expectedVersion = getExpectedVersion(req);
+
+        const request = await Request.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Request not found'
+            });
+        }
+
+        assertVersion(request, expectedVersion);
+
+        const deleted = await Request.findOneAndDelete({
+            _id: request._id,
+            'metadata.version': request.metadata?.version ?? null
+        });
+        if (!deleted) {
+            return res.status(409).json({
+                status: 'error',
+                message: 'Request was modified by another user, please reload',
+                errorCode: 'VERSION_CONFLICT'
+            });
+        }
+
+        removeRequestSnapshot(deleted.requestNumber);
+        await removeAttachmentFiles(deleted.attachments);
+        await updateCorpusStats(deleted, null);
+        invalidateDuplicateChecks(deleted);
+        await AnalysisRun.deleteMany({ request: deleted._id });
+        await Comment.deleteMany({ request: deleted._id });
+
+        res.json({
+            status: 'success',
+            message: 'Request deleted successfully',
+            data: { _id: deleted._id, requestNumber: deleted.requestNumber }
+        });
+    } catch (error) {
+        console.error('Error deleting request:', error);
+        sendRouteError(res, error, 'Failed to delete request');
+    }
+});
 
 export default router;
\ No newline at end of file
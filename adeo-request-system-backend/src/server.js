@@ -4,7 +4,6 @@ import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -12,9 +11,20 @@ import helmet from 'helmet';
 import compression from 'compression';
 import rateLimit from 'express-rate-limit';
 import morgan from 'morgan';
+import cookieParser from 'cookie-parser';
 import requestRoutes from './routes/requestRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import promptTemplateRoutes from './routes/promptTemplateRoutes.js';
+import classifierRoutes from './routes/classifierRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
 import { connectDB } from './config/database.js';
+import { startAnalysisWorker, stopAnalysisWorker } from './services/analysisQueue.js';
+import { startNotifications, stopNotifications } from './services/notificationService.js';
 import errorHandler from './middleware/errorHandler.js';
+import { authenticate, requireAuth, requireRole } from './middleware/auth.js';
+import { auditRequests } from './middleware/audit.js';
 import fs from 'fs';
 
 // Get current directory (needed for ES modules)
@@ -48,8 +58,8 @@ const corsOptions = {
         }
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Accept', 'Authorization'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'If-Match'],
     optionsSuccessStatus: 200
 };
 
@@ -59,14 +69,24 @@ app.use(cors(corsOptions));
 // Basic middleware setup - MOVE THESE BEFORE ROUTES
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 app.use(helmet());
 app.use(compression());
 
+// Credentials and tokens are kept out of the request logs
+const SENSITIVE_FIELDS = ['authorization', 'cookie', 'password', 'token'];
+const redact = (values) => {
+    if (!values || typeof values !== 'object') return values;
+    return Object.fromEntries(Object.entries(values).map(([key, value]) =>
+        [key, SENSITIVE_FIELDS.includes(key.toLowerCase()) ? '[redacted]' : value]
+    ));
+};
+
 // Logging middleware
 app.use((req, res, next) => {
-    console.log(`Received ${req.method} request for ${req.url}`);
-    console.log('Request headers:', req.headers);  // Add this to debug
-    console.log('Request body:', req.body);
+    console.log(`Received ${req.method} request for ${req.path}`);
+    console.log('Request headers:', redact(req.headers));  // Add this to debug
+    console.log('Request body:', redact(req.body));
     next();
 });
 
@@ -80,71 +100,26 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// server.js - Part 2: File Upload Configuration
-
-// File upload configuration
-const ALLOWED_FILE_TYPES = (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,application/pdf').split(',');
-const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE || '5') * 1024 * 1024;
-
-// Ensure uploads directory exists
-const uploadDir = path.join(__dirname, '..', 'uploads');
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, uploadDir);
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, `${uniqueSuffix}-${file.originalname}`);
-    }
-});
-
-const fileFilter = (req, file, cb) => {
-    const allowedTypes = [
-        'image/jpeg',
-        'image/png',
-        'application/pdf',
-        'application/msword',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
-        cb(null, true);
-    } else {
-        cb(new Error('Invalid file type'), false);
-    }
-};
-
-const upload = multer({
-    storage: storage,
-    fileFilter: fileFilter,
-    limits: {
-        fileSize: 10 * 1024 * 1024, // 10MB
-        files: 5 // maximum 5 files
-    }
-}).array('files', 5);
+// server.js - Part 2: Logging Configuration
+// (File upload configuration lives in config/uploads.js and middleware/upload.js)
 
 // Logging configuration
+// Query strings stay out of the access log: event streams carry the access
+// token there (?access_token=, see middleware/auth.js)
+morgan.token('url', (req) => (req.originalUrl || req.url).split('?')[0]);
 const morganFormat = process.env.NODE_ENV === 'production' ? 'combined' : 'dev';
 const morganOptions = {
     skip: (req, res) => process.env.NODE_ENV === 'production' && res.statusCode < 400,
     stream: process.env.LOG_TO_FILE ? 
-        require('fs').createWriteStream(path.join(__dirname, 'logs', 'access.log'), { flags: 'a' }) 
+        fs.createWriteStream(path.join(__dirname, 'logs', 'access.log'), { flags: 'a' }) 
         : process.stdout
 };
 app.use(morgan(morganFormat, morganOptions));
 
 // server.js - Part 3: Middleware and Routes
 
-// Static file serving with security headers
-app.use('/uploads', (req, res, next) => {
-    res.setHeader('Content-Security-Policy', process.env.CSP_POLICY || "default-src 'self'");
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    next();
-}, express.static(path.join(__dirname, process.env.UPLOAD_DIR || 'uploads')));
+// Uploaded files are not served statically; they are only reachable through
+// GET /api/requests/:id/attachments/:attachmentId
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -163,48 +138,25 @@ app.get('/health', (req, res) => {
 app.use((req, res, next) => {
     console.log('\n=== Request Debug ===');
     console.log('Method:', req.method);
-    console.log('URL:', req.url);
-    console.log('Headers:', req.headers);
+    console.log('URL:', req.path);
+    console.log('Headers:', redact(req.headers));
     console.log('Content-Type:', req.headers['content-type']);
-    console.log('Body:', req.body);
+    console.log('Body:', redact(req.body));
     console.log('===================\n');
     next();
 });
 
-// File upload middleware for /api/requests endpoint
-app.use('/api/requests', (req, res, next) => {
-    if (req.method !== 'POST') {
-        return next();
-    }
-
-    console.log('Starting file upload process...');
-    
-    upload(req, res, function(err) {
-        console.log('Upload middleware processing complete');
-        console.log('Files received:', req.files);
-        console.log('Form data received:', req.body);
-        
-        if (err instanceof multer.MulterError) {
-            console.error('Multer error:', err);
-            return res.status(400).json({
-                status: 'error',
-                message: 'File upload error',
-                error: err.message
-            });
-        } else if (err) {
-            console.error('Unknown error:', err);
-            return res.status(500).json({
-                status: 'error',
-                message: 'Unknown error occurred',
-                error: err.message
-            });
-        }
-        next();
-    });
-}, requestRoutes);
+// Sets req.user for requests carrying an access token
+app.use('/api', authenticate);
 
-// Routes
-app.use('/api/requests', requestRoutes);
+// Routes (file uploads are handled per route, see middleware/upload.js)
+app.use('/api/auth', authRoutes);
+app.use('/api/requests', requireAuth, auditRequests, requestRoutes);
+app.use('/api/jobs', requireAuth, jobRoutes);
+app.use('/api/prompt-templates', requireAuth, promptTemplateRoutes);
+app.use('/api/classifier', requireAuth, classifierRoutes);
+app.use('/api/audit', requireAuth, requireRole('admin', 'auditor'), auditRoutes);
+app.use('/api/notifications', requireAuth, notificationRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -236,6 +188,11 @@ async function gracefulShutdown(signal) {
             console.log('Express server closed');
         });
 
+        await stopAnalysisWorker();
+        console.log('Analysis worker stopped');
+
+        stopNotifications();
+
         await mongoose.connection.close();
         console.log('Database connection closed');
 
@@ -272,10 +229,17 @@ const startServer = async (retries = 5) => {
 };
 
 // Connect to database and start server
+let server;
 try {
     await connectDB();
     console.log('Connected to database');
-    const server = await startServer();
+    server = await startServer();
+
+    // Process queued analysis jobs, resuming any a previous run left unfinished
+    startAnalysisWorker();
+
+    // Mention, overdue request and daily digest notifications
+    startNotifications();
 
     // Signal handlers
     process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
@@ -0,0 +1,110 @@
+// abdo-request-system-backend/src/services/accessPolicy.js
+
+import mongoose from 'mongoose';
+import { AppError } from '../middleware/errorHandler.js';
+import { REQUEST_PERMISSIONS, TRANSITION_ROLES } from '../config/accessPolicy.js';
+import { USER_ROLES } from '../config/auth.js';
+import { Request } from '../models/request.js';
+
+const statuses = Request.schema.path('status').enumValues;
+
+// Validate configuration once at load time so a typo can't silently lock everyone out
+for (const [action, scopes] of Object.entries(REQUEST_PERMISSIONS)) {
+    for (const [role, scope] of Object.entries(scopes)) {
+        if (!USER_ROLES.includes(role)) {
+            throw new Error(`Access policy for ${action} references unknown role "${role}"`);
+        }
+        if (!['all', 'department', 'own'].includes(scope)) {
+            throw new Error(`Access policy for ${action} has unknown scope "${scope}"`);
+        }
+    }
+}
+for (const [status, roles] of Object.entries(TRANSITION_ROLES)) {
+    if (!statuses.includes(status)) {
+        throw new Error(`Access policy references unknown status "${status}"`);
+    }
+    roles.forEach(role => {
+        if (!USER_ROLES.includes(role)) {
+            throw new Error(`Access policy for status ${status} references unknown role "${role}"`);
+        }
+    });
+}
+
+export const REQUEST_ACTIONS = Object.freeze(Object.keys(REQUEST_PERMISSIONS));
+
+const getScope = (user, action) => {
+    if (!REQUEST_PERMISSIONS[action]) {
+        throw new Error(`Unknown request action "${action}"`);
+    }
+    return user ? REQUEST_PERMISSIONS[action][user.role] ?? null : null;
+};
+
+const isSubmitter = (user, request) =>
+    !!request.createdBy?.user && request.createdBy.user.toString() === user.id;
+
+/**
+ * Whether the user may perform the action on the request. `request` only
+ * needs department and createdBy.
+ */
+export function can(user, action, request) {
+    const scope = getScope(user, action);
+    if (scope === 'all') return true;
+    if (scope === 'department') {
+        return (!!user.department && request.department === user.department) || isSubmitter(user, request);
+    }
+    if (scope === 'own') return isSubmitter(user, request);
+    return false;
+}
+
+/**
+ * Throws unless the user may perform the action on the request: 404 if they
+ * can't even see it (so its existence isn't revealed), 403 otherwise
+ */
+export function authorize(user, action, request) {
+    if (can(user, action, request)) return;
+
+    if (action !== 'request:create' && !can(user, 'request:read', request)) {
+        throw new AppError('Request not found', 404, 'NOT_FOUND');
+    }
+    throw new AppError('You do not have permission to do this', 403, 'FORBIDDEN');
+}
+
+/**
+ * Whether the user's role may move a request into the status, on top of
+ * being allowed request:transition on it
+ */
+export function canTransitionTo(user, request, to) {
+    return can(user, 'request:transition', request) && !!TRANSITION_ROLES[to]?.includes(user.role);
+}
+
+export function authorizeTransition(user, request, to) {
+    authorize(user, 'request:transition', request);
+    if (statuses.includes(to) && !canTransitionTo(user, request, to)) {
+        throw new AppError(`You do not have permission to move requests to ${to}`, 403, 'FORBIDDEN');
+    }
+}
+
+/**
+ * Mongo filter limiting a query to the requests the user may perform the
+ * action on; null when they may not perform it on any
+ */
+export function requestScopeFilter(user, action = 'request:read') {
+    const scope = getScope(user, action);
+    if (!scope) return null;
+    if (scope === 'all') return {};
+
+    // Cast here so the filter also works in aggregation pipelines
+    const own = { 'createdBy.user': new mongoose.Types.ObjectId(user.id) };
+    if (scope === 'department' && user.department) {
+        return { $or: [{ department: user.department }, own] };
+    }
+    return own;
+}
+
+/**
+ * Every action the user may perform on the request, so clients can hide
+ * what would be refused
+ */
+export function listAllowedActions(user, request) {
+    return REQUEST_ACTIONS.filter(action => can(user, action, request));
+}
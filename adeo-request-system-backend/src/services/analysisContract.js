@@ -0,0 +1,258 @@
+// abdo-request-system-backend/src/services/analysisContract.js
+
+import { Request } from '../models/request.js';
+import { AnalysisRun } from '../models/analysisRun.js';
+import { DECISIONS, RISK_LEVELS } from '../config/analysisSchemas.js';
+
+// Version of the stored analysis shape (models/request.js AnalysisSchema):
+//   1  { recommendation, impact, suggestedActions, risks } from the old POST /analyze
+//   2  { analysis, recommendations } without impact scores or a decision
+//   3  { analysis: { ..., impact }, recommendations: { ..., decision } }
+export const ANALYSIS_SCHEMA_VERSION = 3;
+
+const IMPACT_SCORES = Object.freeze({
+    SIGNIFICANT_NEGATIVE: 0,
+    MODERATE_NEGATIVE: 25,
+    NEUTRAL: 50,
+    MODERATE_POSITIVE: 75,
+    SIGNIFICANT_POSITIVE: 100
+});
+
+const IMPACT_AREAS = Object.freeze(['economic', 'social', 'environmental']);
+
+// Decisions that contradict the assessed risk level
+const INCONSISTENT_DECISIONS = Object.freeze({
+    HIGH: 'APPROVED',
+    LOW: 'REJECTED'
+});
+
+const CONFIDENCE_PENALTIES = Object.freeze({
+    PER_VALIDATION_ISSUE: 10,
+    MAX_VALIDATION: 40,
+    // Per reply beyond the one each of the two steps needs
+    PER_EXTRA_ATTEMPT: 10,
+    MAX_ATTEMPTS: 20,
+    INCONSISTENT_DECISION: 20
+});
+
+// Rule-based analyses (services/heuristicAnalyzer.js) never claim more than this
+const HEURISTIC_MAX_CONFIDENCE = 30;
+
+/**
+ * Score of an impact rating on a 0-100 scale, 50 being neutral
+ */
+export function scoreImpact(rating) {
+    return IMPACT_SCORES[rating] ?? null;
+}
+
+/**
+ * Confidence in the decision recommendation, 0-100. The same output always
+ * gets the same confidence: it only goes down for fields the model got wrong,
+ * replies that had to be re-prompted and decisions that contradict the risk level.
+ * Rule-based analyses are capped at HEURISTIC_MAX_CONFIDENCE.
+ */
+export function calculateConfidence({ validationIssues = [], outputAttempts = 2, riskLevel, decision, analyzer }) {
+    const issuePenalty = Math.min(
+        validationIssues.length * CONFIDENCE_PENALTIES.PER_VALIDATION_ISSUE,
+        CONFIDENCE_PENALTIES.MAX_VALIDATION
+    );
+    const attemptPenalty = Math.min(
+        Math.max(outputAttempts - 2, 0) * CONFIDENCE_PENALTIES.PER_EXTRA_ATTEMPT,
+        CONFIDENCE_PENALTIES.MAX_ATTEMPTS
+    );
+    const consistencyPenalty = decision && INCONSISTENT_DECISIONS[riskLevel] === decision
+        ? CONFIDENCE_PENALTIES.INCONSISTENT_DECISION
+        : 0;
+
+    const confidence = Math.max(0, 100 - issuePenalty - attemptPenalty - consistencyPenalty);
+    return analyzer === 'heuristic' ? Math.min(confidence, HEURISTIC_MAX_CONFIDENCE) : confidence;
+}
+
+// Impact scores and decision confidence of one language's sections
+function scoreSections({ analysis, recommendations }, { validationIssues, outputAttempts }, analyzer) {
+    for (const area of IMPACT_AREAS) {
+        const dimension = analysis.impact?.[area];
+        if (dimension) {
+            dimension.score = scoreImpact(dimension.rating);
+        }
+    }
+
+    const decision = recommendations.decision;
+    if (decision) {
+        decision.confidence = calculateConfidence({
+            validationIssues,
+            outputAttempts,
+            riskLevel: analysis.riskLevel,
+            decision: decision.recommendation,
+            analyzer
+        });
+    }
+}
+
+/**
+ * Completes a freshly generated analysis: impact scores, decision confidence
+ * (also of each translation, from its own output) and the schema version
+ */
+export function finalizeAnalysis(result) {
+    scoreSections(result, result.metadata, result.metadata.analyzer);
+    for (const translation of Object.values(result.translations || {})) {
+        scoreSections(translation, translation, result.metadata.analyzer);
+    }
+
+    result.metadata.schemaVersion = ANALYSIS_SCHEMA_VERSION;
+    return result;
+}
+
+const emptyImpact = () => Object.fromEntries(
+    IMPACT_AREAS.map(area => [area, { rating: null, score: null, details: [] }])
+);
+
+// Sentences of a text, also split at line breaks
+export const splitSentences = (text = '') => text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+// Sentences of a text that talk about each impact area
+const IMPACT_AREA_PATTERNS = Object.freeze({
+    economic: /econom|cost|budget|revenue|financ|اقتصاد/i,
+    social: /social|communit|resident|citizen|public|اجتماع/i,
+    environmental: /environment|emission|climate|pollut|بيئ/i
+});
+
+/**
+ * Impact dimensions without a rating, their details being the sentences of
+ * `text` about each area
+ */
+export function extractImpactDetails(text) {
+    const impact = emptyImpact();
+    for (const sentence of splitSentences(text)) {
+        for (const area of IMPACT_AREAS) {
+            if (IMPACT_AREA_PATTERNS[area].test(sentence)) {
+                impact[area].details.push(sentence);
+            }
+        }
+    }
+    return impact;
+}
+
+/**
+ * Converts a stored analysis of any earlier shape to the current one.
+ * Returns null if it is already current. Nothing is invented: ratings,
+ * scores and confidence the old shape didn't really have are left empty.
+ */
+export function migrateStoredAnalysis(stored) {
+    if (!stored || stored.metadata?.schemaVersion === ANALYSIS_SCHEMA_VERSION) {
+        return null;
+    }
+
+    const metadata = { ...stored.metadata, schemaVersion: ANALYSIS_SCHEMA_VERSION };
+
+    if (!stored.analysis && (stored.recommendation || stored.suggestedActions || stored.risks)) {
+        const reasoning = stored.recommendation?.reasoning || [];
+        const impact = emptyImpact();
+        for (const area of IMPACT_AREAS) {
+            // Version 1 scores were random numbers, so only the details are kept
+            impact[area].details = stored.impact?.[area]?.details || [];
+        }
+
+        return {
+            analysis: {
+                summary: reasoning.join('. ') || 'Imported from an earlier decision analysis.',
+                trends: [],
+                impactAssessment: IMPACT_AREAS.flatMap(area => impact[area].details).join('. '),
+                policyAlignment: '',
+                riskLevel: RISK_LEVELS.includes(stored.risks?.level) ? stored.risks.level : 'MEDIUM',
+                impact
+            },
+            recommendations: {
+                strategic: stored.suggestedActions?.longTerm || [],
+                operational: stored.suggestedActions?.immediate || [],
+                timeline: '',
+                risks: [...(stored.risks?.factors || []), ...(stored.risks?.mitigations || [])],
+                budgetImplications: '',
+                decision: {
+                    recommendation: DECISIONS.includes(stored.recommendation?.decision)
+                        ? stored.recommendation.decision
+                        : 'NEEDS_REVIEW',
+                    rationale: reasoning,
+                    // Also random in version 1
+                    confidence: null
+                }
+            },
+            metadata: { ...metadata, migratedFrom: 'v1' }
+        };
+    }
+
+    const analysis = { ...stored.analysis };
+    const recommendations = { ...stored.recommendations };
+
+    if (!analysis.impact) {
+        analysis.impact = extractImpactDetails(analysis.impactAssessment);
+    }
+
+    if (!recommendations.decision) {
+        recommendations.decision = {
+            recommendation: 'NEEDS_REVIEW',
+            rationale: ['Analyzed before decision recommendations were introduced; re-analyze the request for one.'],
+            confidence: null
+        };
+    }
+
+    return {
+        analysis,
+        recommendations,
+        metadata: { ...metadata, migratedFrom: 'v2' }
+    };
+}
+
+/**
+ * Converts every stored analysis (requests and analysis history) to the
+ * current shape. Reads the raw documents because the model schema would drop
+ * the fields of older shapes. Returns counts per collection.
+ */
+export async function migrateStoredAnalyses({ dryRun = false, batchSize = 500 } = {}) {
+    const collections = [
+        { name: 'requests', collection: Request.collection, path: 'metadata.analysis' },
+        { name: 'analysisRuns', collection: AnalysisRun.collection, path: 'result' }
+    ];
+    const summary = {};
+
+    for (const { name, collection, path } of collections) {
+        const counts = { scanned: 0, migrated: 0, fromV1: 0, fromV2: 0 };
+        const cursor = collection.find(
+            { [path]: { $exists: true, $ne: null }, [`${path}.metadata.schemaVersion`]: { $ne: ANALYSIS_SCHEMA_VERSION } },
+            { projection: { [path]: 1 } }
+        );
+
+        let operations = [];
+        const flush = async () => {
+            if (operations.length && !dryRun) {
+                await collection.bulkWrite(operations, { ordered: false });
+            }
+            operations = [];
+        };
+
+        for await (const document of cursor) {
+            counts.scanned++;
+            const stored = path.split('.').reduce((value, key) => value?.[key], document);
+            const migrated = migrateStoredAnalysis(stored);
+            if (!migrated) continue;
+
+            counts.migrated++;
+            counts[migrated.metadata.migratedFrom === 'v1' ? 'fromV1' : 'fromV2']++;
+            operations.push({
+                updateOne: {
+                    filter: { _id: document._id },
+                    update: { $set: { [path]: migrated } }
+                }
+            });
+            if (operations.length >= batchSize) await flush();
+        }
+        await flush();
+
+        summary[name] = counts;
+    }
+
+    return summary;
+}
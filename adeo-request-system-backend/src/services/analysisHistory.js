@@ -0,0 +1,321 @@
+// abdo-request-system-backend/src/services/analysisHistory.js
+
+import { Request } from '../models/request.js';
+import { AnalysisRun } from '../models/analysisRun.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { ANALYSIS_OUTPUT_SCHEMA, RECOMMENDATIONS_OUTPUT_SCHEMA } from '../config/analysisSchemas.js';
+
+// Word diffs are quadratic; longer texts are reported as replaced wholesale
+const MAX_DIFF_CELLS = 1000000;
+
+const SECTION_SCHEMAS = Object.freeze({
+    analysis: ANALYSIS_OUTPUT_SCHEMA,
+    recommendations: RECOMMENDATIONS_OUTPUT_SCHEMA
+});
+
+const currentVersionOf = (request) => request.metadata?.version || 1;
+
+/**
+ * Allocates the next run number of a request. Throws if the request is gone.
+ */
+async function nextRunNumber(requestId) {
+    // Bookkeeping only, so this deliberately doesn't bump metadata.version
+    const counter = await Request.findOneAndUpdate(
+        { _id: requestId },
+        { $inc: { 'metadata.analysisRunCount': 1 } },
+        { new: true, projection: { 'metadata.analysisRunCount': 1 } }
+    );
+    if (!counter) {
+        throw new AppError('Request not found', 404, 'REQUEST_NOT_FOUND');
+    }
+    return counter.metadata.analysisRunCount;
+}
+
+/**
+ * Records an analysis of the request as a new run. It becomes the official
+ * analysis unless a run is pinned, or the request was edited while the
+ * analysis was running (it would describe an outdated version).
+ */
+export async function recordAnalysisRun(request, analysis, { source }) {
+    const run = await AnalysisRun.create({
+        request: request._id,
+        runNumber: await nextRunNumber(request._id),
+        requestVersion: currentVersionOf(request),
+        model: analysis.metadata?.aiModelUsed,
+        promptVersion: analysis.metadata?.promptVersion,
+        durationMs: analysis.metadata?.processingDuration,
+        source,
+        cached: !!analysis.metadata?.cached,
+        result: analysis
+    });
+
+    await Request.updateOne(
+        {
+            _id: request._id,
+            'metadata.version': request.metadata?.version ?? null,
+            'metadata.pinnedAnalysis.run': null
+        },
+        {
+            $set: {
+                'metadata.analysis': analysis,
+                'metadata.analysisRun': run._id
+            }
+        }
+    );
+    await Request.updateOne({ _id: request._id }, { $set: { 'metadata.lastAnalyzed': new Date() } });
+
+    return run;
+}
+
+/**
+ * Analyses stored before history was kept become run 1, so they show up in
+ * the history like any other run
+ */
+async function importLegacyAnalysis(request) {
+    if (!request.metadata?.analysis || request.metadata.analysisRunCount) {
+        return;
+    }
+
+    const analysis = request.metadata.analysis.toObject?.() ?? request.metadata.analysis;
+    const run = await AnalysisRun.create({
+        request: request._id,
+        runNumber: await nextRunNumber(request._id),
+        requestVersion: null,
+        model: analysis.metadata?.aiModelUsed,
+        promptVersion: analysis.metadata?.promptVersion,
+        durationMs: analysis.metadata?.processingDuration,
+        source: 'legacy',
+        result: analysis,
+        createdAt: analysis.metadata?.processingDate || request.metadata.lastAnalyzed
+    });
+    await Request.updateOne({ _id: request._id }, { $set: { 'metadata.analysisRun': run._id } });
+
+    request.metadata.analysisRun = run._id;
+    request.metadata.analysisRunCount = run.runNumber;
+}
+
+/**
+ * Shape of a run in API responses; `withResult` adds the full analysis
+ */
+export function serializeAnalysisRun(run, request, { withResult = false } = {}) {
+    const officialId = request.metadata?.analysisRun;
+    const pinnedId = request.metadata?.pinnedAnalysis?.run;
+
+    return {
+        id: run.id,
+        runNumber: run.runNumber,
+        createdAt: run.createdAt,
+        model: run.model,
+        promptVersion: run.promptVersion,
+        promptTemplates: run.result?.metadata?.promptTemplates ?? [],
+        durationMs: run.durationMs,
+        source: run.source,
+        cached: !!run.cached,
+        requestVersion: run.requestVersion,
+        riskLevel: run.result?.analysis?.riskLevel,
+        official: !!officialId && officialId.equals(run._id),
+        pinned: !!pinnedId && pinnedId.equals(run._id),
+        // Based on an earlier version of the request than the current one
+        outdated: run.requestVersion !== currentVersionOf(request),
+        ...(withResult && { result: run.result })
+    };
+}
+
+export async function listAnalysisRuns(request) {
+    await importLegacyAnalysis(request);
+    return AnalysisRun.find({ request: request._id })
+        .select('-result.analysis.trends -result.analysis.impactAssessment -result.analysis.policyAlignment -result.recommendations')
+        .sort({ runNumber: -1 });
+}
+
+export async function getAnalysisRun(request, runId) {
+    const run = await AnalysisRun.findOne({ _id: runId, request: request._id });
+    if (!run) {
+        throw new AppError('Analysis run not found', 404, 'ANALYSIS_RUN_NOT_FOUND');
+    }
+    return run;
+}
+
+/**
+ * Makes the run the official analysis until it is unpinned; later runs are
+ * still recorded but don't replace it
+ */
+export async function pinAnalysisRun(request, runId, { actor }) {
+    const run = await getAnalysisRun(request, runId);
+
+    return Request.findByIdAndUpdate(
+        request._id,
+        {
+            $set: {
+                'metadata.analysis': run.result,
+                'metadata.analysisRun': run._id,
+                'metadata.pinnedAnalysis': {
+                    run: run._id,
+                    runNumber: run.runNumber,
+                    pinnedBy: actor,
+                    pinnedAt: new Date()
+                }
+            }
+        },
+        { new: true }
+    );
+}
+
+/**
+ * Removes the pin. The latest run becomes the official analysis again, if it
+ * was made for the current version of the request.
+ */
+export async function unpinAnalysisRun(request) {
+    const latest = await AnalysisRun.findOne({ request: request._id }).sort({ runNumber: -1 });
+    const official = latest?.requestVersion === currentVersionOf(request) ? latest : null;
+
+    return Request.findByIdAndUpdate(
+        request._id,
+        official
+            ? {
+                $unset: { 'metadata.pinnedAnalysis': '' },
+                $set: {
+                    'metadata.analysis': official.result,
+                    'metadata.analysisRun': official._id
+                }
+            }
+            : {
+                $unset: {
+                    'metadata.pinnedAnalysis': '',
+                    'metadata.analysis': '',
+                    'metadata.analysisRun': ''
+                }
+            },
+        { new: true }
+    );
+}
+
+// Words with their trailing whitespace, so a diff can be joined back into text
+const tokenize = (text) => (text || '').match(/\S+\s*/g) || [];
+
+/**
+ * Word-level diff of two texts as [{ op: 'equal' | 'removed' | 'added', text }]
+ */
+export function diffText(before = '', after = '') {
+    if (before === after) {
+        return before ? [{ op: 'equal', text: before }] : [];
+    }
+
+    const left = tokenize(before);
+    const right = tokenize(after);
+    const width = right.length + 1;
+
+    if (left.length * right.length > MAX_DIFF_CELLS) {
+        return [
+            ...(before ? [{ op: 'removed', text: before }] : []),
+            ...(after ? [{ op: 'added', text: after }] : [])
+        ];
+    }
+
+    // lcs[i * width + j]: longest common subsequence of left[i..] and right[j..]
+    const lcs = new Uint32Array((left.length + 1) * width);
+    for (let i = left.length - 1; i >= 0; i--) {
+        for (let j = right.length - 1; j >= 0; j--) {
+            lcs[i * width + j] = left[i].trim() === right[j].trim()
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    const diff = [];
+    const push = (op, text) => {
+        const last = diff[diff.length - 1];
+        if (last?.op === op) last.text += text;
+        else diff.push({ op, text });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < left.length && j < right.length) {
+        if (left[i].trim() === right[j].trim()) {
+            push('equal', right[j]);
+            i++;
+            j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            push('removed', left[i++]);
+        } else {
+            push('added', right[j++]);
+        }
+    }
+    while (i < left.length) push('removed', left[i++]);
+    while (j < right.length) push('added', right[j++]);
+
+    return diff;
+}
+
+/**
+ * Items kept, removed and added between two lists, ignoring case and spacing
+ */
+export function diffList(before = [], after = []) {
+    const key = (item) => item.trim().toLowerCase().replace(/\s+/g, ' ');
+    const beforeKeys = new Set(before.map(key));
+    const afterKeys = new Set(after.map(key));
+
+    return {
+        unchanged: after.filter(item => beforeKeys.has(key(item))),
+        removed: before.filter(item => !afterKeys.has(key(item))),
+        added: after.filter(item => !beforeKeys.has(key(item)))
+    };
+}
+
+const valueAt = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+/**
+ * Section-by-section differences between two runs, in the order of the
+ * output schemas. Text is diffed by word, lists by item, enums by value;
+ * nested objects (impact, decision) are compared field by field, with
+ * dotted field names such as 'impact.economic.rating'.
+ */
+export function compareAnalysisRuns(baseRun, targetRun) {
+    const sections = [];
+
+    const compareFields = (step, properties, prefix) => {
+        for (const [name, fieldSchema] of Object.entries(properties)) {
+            const field = prefix ? `${prefix}.${name}` : name;
+            const before = valueAt(baseRun.result?.[step], field);
+            const after = valueAt(targetRun.result?.[step], field);
+
+            if (fieldSchema.type === 'object') {
+                compareFields(step, fieldSchema.properties, field);
+            } else if (fieldSchema.type === 'array') {
+                const diff = diffList(before ?? [], after ?? []);
+                sections.push({
+                    step,
+                    field,
+                    kind: 'list',
+                    changed: diff.added.length > 0 || diff.removed.length > 0,
+                    ...diff
+                });
+            } else if (fieldSchema.enum) {
+                sections.push({
+                    step,
+                    field,
+                    kind: 'value',
+                    changed: before !== after,
+                    before: before ?? null,
+                    after: after ?? null
+                });
+            } else {
+                const diff = diffText(before, after);
+                sections.push({
+                    step,
+                    field,
+                    kind: 'text',
+                    changed: diff.some(({ op }) => op !== 'equal'),
+                    diff
+                });
+            }
+        }
+    };
+
+    for (const [step, schema] of Object.entries(SECTION_SCHEMAS)) {
+        compareFields(step, schema.properties, '');
+    }
+
+    return sections;
+}
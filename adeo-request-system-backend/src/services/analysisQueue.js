@@ -0,0 +1,438 @@
+// abdo-request-system-backend/src/services/analysisQueue.js
+
+import os from 'os';
+import crypto from 'crypto';
+import winston from 'winston';
+import { AnalysisJob } from '../models/analysisJob.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { runRequestAnalysis } from './analysisService.js';
+import { notifyAnalysisCompleted } from './notificationService.js';
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'analysis-queue' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/processor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/processor.log' })
+    ]
+});
+
+if (process.env.NODE_ENV !== 'production') {
+    logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+    }));
+}
+
+// Constants
+const QUEUE_CONFIG = Object.freeze({
+    // Jobs this process runs at the same time
+    CONCURRENCY: parseInt(process.env.ANALYSIS_WORKER_CONCURRENCY) || 2,
+    MAX_ATTEMPTS: parseInt(process.env.ANALYSIS_JOB_MAX_ATTEMPTS) || 3,
+    // Delay before the first retry; doubled for each further attempt
+    BACKOFF_MS: parseInt(process.env.ANALYSIS_JOB_BACKOFF_MS) || 5000,
+    MAX_BACKOFF_MS: 5 * 60 * 1000,
+    POLL_INTERVAL_MS: parseInt(process.env.ANALYSIS_JOB_POLL_MS) || 1000,
+    // A running job whose heartbeat is older than this is considered abandoned
+    LEASE_MS: parseInt(process.env.ANALYSIS_JOB_LEASE_MS) || 2 * 60 * 1000,
+    // How long shutdown waits for running jobs before handing them back
+    DRAIN_TIMEOUT_MS: 5000
+});
+
+const ACTIVE_STATES = ['queued', 'running'];
+
+// Errors that will fail the same way however often they are retried. A
+// misconfigured LLM provider isn't one of them: the last attempt still gets
+// an analysis from the rule-based fallback.
+const PERMANENT_ERROR_CODES = new Set(['REQUEST_NOT_FOUND']);
+
+// The boot nonce tells this process apart from an earlier one that had the
+// same pid, e.g. before a container restart
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+const runningJobs = new Map();
+let pollTimer = null;
+let polling = false;
+let stopping = false;
+
+/**
+ * Queues an analysis of the request. A request already waiting for or
+ * undergoing analysis in the same language gets its existing job back
+ * instead of a second one.
+ */
+export async function enqueueAnalysis(request, { requestedBy, language } = {}) {
+    const activeJob = await findActiveJob(request._id);
+    if (activeJob) {
+        return reuseActiveJob(activeJob, { requestedBy, language });
+    }
+
+    let job;
+    try {
+        job = await AnalysisJob.create({
+            request: request._id,
+            requestNumber: request.requestNumber,
+            requestedBy,
+            language,
+            maxAttempts: QUEUE_CONFIG.MAX_ATTEMPTS
+        });
+    } catch (error) {
+        // Someone else queued the request in the meantime
+        const winner = error.code === 11000 && await findActiveJob(request._id);
+        if (!winner) throw error;
+        return reuseActiveJob(winner, { requestedBy, language });
+    }
+
+    logger.info('Analysis job queued', { jobId: job.id, requestNumber: request.requestNumber });
+    schedulePoll(0);
+    return job;
+}
+
+function findActiveJob(requestId) {
+    return AnalysisJob.findOne({
+        request: requestId,
+        state: { $in: ACTIVE_STATES }
+    });
+}
+
+// A job still waiting in the queue switches to the newly asked for language;
+// one that has already started can't
+async function reuseActiveJob(job, { requestedBy, language }) {
+    if ((job.language ?? null) === (language ?? null)) {
+        return job;
+    }
+
+    if (job.state === 'queued') {
+        const updated = await AnalysisJob.findOneAndUpdate(
+            { _id: job._id, state: 'queued' },
+            language
+                ? { $set: { language, requestedBy } }
+                : { $set: { requestedBy }, $unset: { language: '' } },
+            { new: true }
+        );
+        if (updated) {
+            logger.info('Queued analysis job language changed', { jobId: job.id, from: job.language, to: language });
+            return updated;
+        }
+    }
+
+    throw new AppError('An analysis in another language is already running for this request', 409, 'ANALYSIS_IN_PROGRESS');
+}
+
+export async function getAnalysisJob(id) {
+    return AnalysisJob.findById(id);
+}
+
+// Shape returned to clients polling a job
+export const serializeJob = (job) => ({
+    id: job.id,
+    request: job.request,
+    requestNumber: job.requestNumber,
+    state: job.state,
+    stage: job.stage,
+    language: job.language ?? null,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    // When a queued job that already failed once will be retried
+    nextAttemptAt: job.state === 'queued' && job.attempts > 0 ? job.runAt : null,
+    error: job.error?.message
+        ? { message: job.error.message, code: job.error.code, at: job.error.at }
+        : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+});
+
+/**
+ * Delay before retry number `attempt`, with jitter so jobs that failed
+ * together (e.g. on a provider outage) don't all retry at once
+ */
+function getBackoffDelay(attempt) {
+    const delay = Math.min(QUEUE_CONFIG.BACKOFF_MS * 2 ** (attempt - 1), QUEUE_CONFIG.MAX_BACKOFF_MS);
+    return Math.round(delay * (0.5 + Math.random()));
+}
+
+// Whether a job's lock belongs to a process on this host that no longer exists.
+// A lock with this process's pid but another nonce was left by its predecessor.
+function isOwnerGone(lockedBy) {
+    const [host, pid] = (lockedBy || '').split(':');
+    if (host !== os.hostname()) {
+        return false;
+    }
+    if (Number(pid) === process.pid) {
+        return true;
+    }
+
+    try {
+        process.kill(Number(pid), 0);
+        return false;
+    } catch (error) {
+        return error.code === 'ESRCH';
+    }
+}
+
+/**
+ * Puts running jobs whose worker died back in the queue: those left by an
+ * earlier process on this host, and any whose heartbeat has expired. A job
+ * that has already used all its attempts is failed instead, so a job that
+ * crashes the worker can't take it down forever.
+ */
+async function recoverAbandonedJobs() {
+    const leaseExpiry = new Date(Date.now() - QUEUE_CONFIG.LEASE_MS);
+    const candidates = await AnalysisJob.find({
+        state: 'running',
+        lockedBy: { $ne: workerId }
+    });
+
+    for (const job of candidates) {
+        if (!(job.lockedAt < leaseExpiry || isOwnerGone(job.lockedBy))) {
+            continue;
+        }
+
+        const exhausted = job.attempts >= job.maxAttempts;
+        const recovered = await AnalysisJob.updateOne(
+            { _id: job._id, state: 'running', lockedBy: job.lockedBy },
+            {
+                $set: exhausted
+                    ? {
+                        state: 'failed',
+                        finishedAt: new Date(),
+                        error: { message: 'Worker stopped while processing the job', code: 'WORKER_LOST', at: new Date() }
+                    }
+                    : { state: 'queued', stage: 'queued', runAt: new Date() },
+                $unset: { lockedBy: '', lockedAt: '' }
+            }
+        );
+
+        if (recovered.modifiedCount) {
+            logger.warn(exhausted ? 'Abandoned analysis job failed' : 'Resuming abandoned analysis job', {
+                jobId: job.id,
+                previousWorker: job.lockedBy,
+                attempts: job.attempts
+            });
+        }
+    }
+}
+
+// Atomically takes the next due job, so several workers never run the same one
+async function claimNextJob() {
+    const now = new Date();
+    return AnalysisJob.findOneAndUpdate(
+        { state: 'queued', runAt: { $lte: now } },
+        {
+            $set: { state: 'running', lockedBy: workerId, lockedAt: now, startedAt: now },
+            $inc: { attempts: 1 },
+            $unset: { finishedAt: '' }
+        },
+        { sort: { runAt: 1, createdAt: 1 }, new: true }
+    );
+}
+
+// Updates on a job this worker still holds; a no-op once the lock is lost
+function updateOwnedJob(job, update) {
+    return AnalysisJob.updateOne({ _id: job._id, state: 'running', lockedBy: workerId }, update);
+}
+
+// Keeps the lease on a job alive while it runs; clear the returned interval when done
+function startHeartbeat(job) {
+    return setInterval(() => {
+        updateOwnedJob(job, { $set: { lockedAt: new Date() } }).catch(error => {
+            logger.error('Analysis job heartbeat failed', { jobId: job.id, error: error.message });
+        });
+    }, QUEUE_CONFIG.LEASE_MS / 3);
+}
+
+async function runJob(job) {
+    const heartbeat = startHeartbeat(job);
+
+    try {
+        await runRequestAnalysis(job.request, {
+            source: 'job',
+            language: job.language,
+            // Retries are scheduled by the queue, with backoff
+            maxRetries: 1,
+            // Only the last attempt settles for the rule-based analysis
+            heuristicFallback: job.attempts >= job.maxAttempts,
+            onStage: (stage) => updateOwnedJob(job, { $set: { stage, lockedAt: new Date() } })
+        });
+
+        await updateOwnedJob(job, {
+            $set: { state: 'completed', stage: 'done', finishedAt: new Date() },
+            $unset: { lockedBy: '', lockedAt: '', error: '' }
+        });
+        logger.info('Analysis job completed', { jobId: job.id, requestNumber: job.requestNumber, attempts: job.attempts });
+        notifyAnalysisCompleted(job.request, { requestedBy: job.requestedBy });
+
+    } catch (error) {
+        const retry = job.attempts < job.maxAttempts && !PERMANENT_ERROR_CODES.has(error.errorCode);
+        const jobError = { message: error.message, code: error.errorCode || 'ANALYSIS_FAILED', at: new Date() };
+
+        await updateOwnedJob(job, retry
+            ? {
+                $set: { state: 'queued', runAt: new Date(Date.now() + getBackoffDelay(job.attempts)), error: jobError },
+                $unset: { lockedBy: '', lockedAt: '' }
+            }
+            : {
+                $set: { state: 'failed', finishedAt: new Date(), error: jobError },
+                $unset: { lockedBy: '', lockedAt: '' }
+            });
+
+        logger[retry ? 'warn' : 'error'](retry ? 'Analysis job failed, retrying' : 'Analysis job failed', {
+            jobId: job.id,
+            requestNumber: job.requestNumber,
+            attempt: job.attempts,
+            error: error.message
+        });
+
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+async function poll() {
+    pollTimer = null;
+    if (stopping || polling) return;
+    polling = true;
+
+    try {
+        await recoverAbandonedJobs();
+
+        while (!stopping && runningJobs.size < QUEUE_CONFIG.CONCURRENCY) {
+            const job = await claimNextJob();
+            if (!job) break;
+
+            const running = runJob(job).finally(() => {
+                runningJobs.delete(job.id);
+                schedulePoll(0);
+            });
+            runningJobs.set(job.id, running);
+        }
+    } catch (error) {
+        logger.error('Analysis queue poll failed', { error: error.message });
+    } finally {
+        polling = false;
+    }
+
+    schedulePoll(QUEUE_CONFIG.POLL_INTERVAL_MS);
+}
+
+function schedulePoll(delay) {
+    if (stopping || (pollTimer && delay > 0)) return;
+    clearTimeout(pollTimer);
+    pollTimer = setTimeout(poll, delay);
+}
+
+/**
+ * Starts processing queued jobs. Jobs left running by a previous process are
+ * resumed on the first poll.
+ */
+/**
+ * Takes the request's active job slot for an analysis the caller runs itself
+ * (the streaming endpoint), so it can't run alongside a queued one. Throws
+ * 409 ANALYSIS_IN_PROGRESS if the request already has a queued or running job.
+ */
+export async function claimStreamedAnalysis(request, { requestedBy, language } = {}) {
+    const now = new Date();
+    try {
+        return await AnalysisJob.create({
+            request: request._id,
+            requestNumber: request.requestNumber,
+            requestedBy,
+            language,
+            state: 'running',
+            attempts: 1,
+            maxAttempts: 1,
+            runAt: now,
+            lockedBy: workerId,
+            lockedAt: now,
+            startedAt: now
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        throw new AppError('An analysis of this request is already queued or running', 409, 'ANALYSIS_IN_PROGRESS');
+    }
+}
+
+/**
+ * Runs an analysis claimed with claimStreamedAnalysis, keeping its job up to
+ * date the way a worker would. Resolves to the stored analysis.
+ */
+export async function runStreamedAnalysis(job, { onStage = () => {}, onStream } = {}) {
+    const heartbeat = startHeartbeat(job);
+
+    try {
+        const analysis = await runRequestAnalysis(job.request, {
+            source: 'stream',
+            language: job.language,
+            onStage: (stage) => {
+                onStage(stage);
+                return updateOwnedJob(job, { $set: { stage, lockedAt: new Date() } });
+            },
+            onStream
+        });
+
+        await updateOwnedJob(job, {
+            $set: { state: 'completed', stage: 'done', finishedAt: new Date() },
+            $unset: { lockedBy: '', lockedAt: '' }
+        });
+        return analysis;
+
+    } catch (error) {
+        await updateOwnedJob(job, {
+            $set: {
+                state: 'failed',
+                finishedAt: new Date(),
+                error: { message: error.message, code: error.errorCode || 'ANALYSIS_FAILED', at: new Date() }
+            },
+            $unset: { lockedBy: '', lockedAt: '' }
+        });
+        throw error;
+
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+export function startAnalysisWorker() {
+    stopping = false;
+    logger.info('Analysis worker started', { workerId, concurrency: QUEUE_CONFIG.CONCURRENCY });
+    schedulePoll(0);
+}
+
+/**
+ * Stops claiming jobs and waits briefly for running ones. Whatever is still
+ * running afterwards is handed back to the queue without using up an attempt.
+ */
+export async function stopAnalysisWorker() {
+    stopping = true;
+    clearTimeout(pollTimer);
+    pollTimer = null;
+
+    if (runningJobs.size) {
+        await Promise.race([
+            Promise.allSettled(runningJobs.values()),
+            new Promise(resolve => setTimeout(resolve, QUEUE_CONFIG.DRAIN_TIMEOUT_MS))
+        ]);
+    }
+
+    if (runningJobs.size) {
+        await AnalysisJob.updateMany(
+            { state: 'running', lockedBy: workerId },
+            {
+                $set: { state: 'queued', stage: 'queued', runAt: new Date() },
+                $inc: { attempts: -1 },
+                $unset: { lockedBy: '', lockedAt: '' }
+            }
+        );
+        logger.info('Running analysis jobs handed back to the queue', { count: runningJobs.size });
+    }
+
+    logger.info('Analysis worker stopped', { workerId });
+}
+
+export const analysisQueue = {
+    config: QUEUE_CONFIG,
+    workerId
+};
@@ -0,0 +1,89 @@
+// abdo-request-system-backend/src/services/analysisService.js
+
+import { Request } from '../models/request.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { processRequest, renderStepPrompt } from './requestProcessor.js';
+import { ensureAttachmentText } from './attachmentService.js';
+import { recordAnalysisRun } from './analysisHistory.js';
+import { resolvePromptTemplates } from './promptTemplates.js';
+import { detectLanguage, resolveAnalysisLanguages } from '../utils/language.js';
+
+// What processRequest is given for a stored request
+const toProcessorInput = (request) => ({
+    title: request.title,
+    description: request.description,
+    type: request.requestType,
+    priority: request.priority,
+    department: request.department,
+    content: request.description,
+    attachments: request.attachments.map(attachment => attachment.toObject()),
+    metadata: {
+        requestId: request._id,
+        requestNumber: request.requestNumber,
+        analysisVersion: '1.0'
+    }
+});
+
+// Requests stored before languages were detected have no metadata.language
+const requestLanguage = (request) => request.metadata?.language || detectLanguage(request.title, request.description);
+
+/**
+ * Analyzes a stored request and records the result in its analysis history
+ * (see analysisHistory.js), tagged with `source`. `language` is 'en', 'ar'
+ * or 'both'; without it the analysis is written in the language of the
+ * request (see resolveAnalysisLanguages). onStage(stage) is
+ * called with 'extracting', 'analysis', 'recommendations' and 'saving' as
+ * the work progresses; onStream streams the model output (see processRequest).
+ * heuristicFallback: false fails instead of falling back to the rule-based
+ * analyzer when no model is reachable.
+ * Resolves to the stored analysis.
+ */
+export async function runRequestAnalysis(requestId, { source, language, onStage = () => {}, onStream, maxRetries, heuristicFallback } = {}) {
+    const request = await Request.findById(requestId);
+    if (!request) {
+        throw new AppError('Request not found', 404, 'REQUEST_NOT_FOUND');
+    }
+
+    await onStage('extracting');
+    await ensureAttachmentText(request);
+
+    const analysis = await processRequest(toProcessorInput(request), {
+        languages: resolveAnalysisLanguages(language, requestLanguage(request)),
+        onStage,
+        onStream,
+        maxRetries,
+        heuristicFallback
+    });
+
+    if (!analysis || !analysis.analysis || !analysis.recommendations) {
+        throw new AppError('Invalid analysis result structure', 502, 'INVALID_ANALYSIS_RESULT');
+    }
+
+    await onStage('saving');
+    await recordAnalysisRun(request, analysis, { source });
+
+    return analysis;
+}
+
+/**
+ * The prompt a step of the analysis would send for a stored request, using
+ * `template` ({ system, body }) or else the template the request resolves to.
+ * Attachments are only included as far as their text was already extracted.
+ * The recommendations prompt uses the request's official analysis, if any.
+ * `language` defaults to the request's language.
+ */
+export async function previewAnalysisPrompt(request, step, template, language = requestLanguage(request)) {
+    const input = toProcessorInput(request);
+    const resolved = template || (await resolvePromptTemplates({
+        requestType: input.type,
+        department: input.department
+    }))[step];
+
+    const analysis = request.metadata?.analysis?.analysis?.toObject?.()
+        ?? { note: 'The request has not been analyzed yet; the result of the analysis step goes here' };
+
+    return {
+        ...renderStepPrompt(step, input, resolved, analysis, language),
+        template: resolved
+    };
+}
@@ -0,0 +1,105 @@
+// abdo-request-system-backend/src/services/attachmentService.js
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { UPLOAD_DIR } from '../config/uploads.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { Request } from '../models/request.js';
+import { extractDocumentText } from './documentExtractor.js';
+
+/**
+ * SHA-256 of a file on disk, streamed so large files don't sit in memory
+ */
+export function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Turns multer's req.files into attachment subdocuments for RequestSchema
+ */
+export async function buildAttachmentRecords(files = [], uploadedBy) {
+    return Promise.all(files.map(async (file) => ({
+        filename: file.filename,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        // Stored relative to UPLOAD_DIR so the uploads folder can move
+        path: file.filename,
+        hash: await hashFile(file.path),
+        uploadedAt: new Date(),
+        uploadedBy,
+        metadata: await extractDocumentText(file.path, file.mimetype),
+        tags: []
+    })));
+}
+
+/**
+ * Extracts text for attachments stored before extraction existed (or whose
+ * extraction failed) and saves it, so analysis always sees every document
+ */
+export async function ensureAttachmentText(request) {
+    const pending = request.attachments.filter(attachment =>
+        !attachment.metadata?.extractionStatus || attachment.metadata.extractionStatus === 'failed'
+    );
+
+    await Promise.all(pending.map(async (attachment) => {
+        const metadata = {
+            ...attachment.metadata,
+            ...await extractDocumentText(resolveAttachmentPath(attachment), attachment.mimeType)
+        };
+        attachment.metadata = metadata;
+
+        // Derived data only, so this deliberately doesn't bump metadata.version
+        await Request.updateOne(
+            { _id: request._id, 'attachments._id': attachment._id },
+            { $set: { 'attachments.$.metadata': metadata } }
+        );
+    }));
+
+    return request;
+}
+
+/**
+ * Absolute path of a stored attachment, refusing anything outside UPLOAD_DIR
+ */
+export function resolveAttachmentPath(attachment) {
+    const filePath = path.resolve(UPLOAD_DIR, attachment.path || attachment.filename);
+
+    if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+        throw new AppError('Invalid attachment path', 400, 'INVALID_ATTACHMENT_PATH');
+    }
+
+    return filePath;
+}
+
+/**
+ * Best-effort removal of files from disk; a missing file is not an error
+ */
+export async function removeAttachmentFiles(attachments = []) {
+    await Promise.all(attachments.map(async (attachment) => {
+        try {
+            await fs.promises.unlink(resolveAttachmentPath(attachment));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to remove attachment file:', {
+                    filename: attachment.filename,
+                    error: error.message
+                });
+            }
+        }
+    }));
+}
+
+/**
+ * Removes files multer already wrote for a request that was then rejected
+ */
+export async function discardUploadedFiles(files = []) {
+    await removeAttachmentFiles(files.map(file => ({ filename: file.filename })));
+}
@@ -0,0 +1,241 @@
+// abdo-request-system-backend/src/services/auditLog.js
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import winston from 'winston';
+import { AppError } from '../middleware/errorHandler.js';
+import { AuditEvent } from '../models/auditEvent.js';
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'audit-log' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/processor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/processor.log' })
+    ]
+});
+
+if (process.env.NODE_ENV !== 'production') {
+    logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+    }));
+}
+
+// prevHash of the first event
+const GENESIS_HASH = '0'.repeat(64);
+
+// Another process appended the same sequence number first; read the new head and try again
+const MAX_APPEND_ATTEMPTS = 5;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const CSV_COLUMNS = [
+    'sequence', 'at', 'actor', 'role', 'action', 'request', 'requestNumber',
+    'changes', 'method', 'path', 'statusCode', 'ip', 'httpRequestId', 'hash'
+];
+
+// Values are stored as they'd come back from MongoDB, so recomputing a hash
+// from a stored event gives the same input
+const toStoredValue = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Hash of an event's content and the previous hash. Fields are listed
+ * explicitly so the input doesn't depend on key order.
+ */
+function hashEvent(event, prevHash) {
+    const content = [
+        event.sequence,
+        new Date(event.at).toISOString(),
+        event.actor?.user ? event.actor.user.toString() : null,
+        event.actor?.email ?? null,
+        event.actor?.role ?? null,
+        event.action,
+        event.request ? event.request.toString() : null,
+        event.requestNumber ?? null,
+        (event.changes || []).map(({ field, before, after }) => [field, toStoredValue(before), toStoredValue(after)]),
+        event.method ?? null,
+        event.path ?? null,
+        event.statusCode ?? null,
+        event.ip ?? null,
+        event.userAgent ?? null,
+        event.httpRequestId ?? null,
+        prevHash
+    ];
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// Appends within this process are serialized so they don't race each other for the next sequence
+let appendQueue = Promise.resolve();
+
+async function appendEvent(details) {
+    for (let attempt = 1; ; attempt++) {
+        const head = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+        const event = {
+            ...details,
+            changes: (details.changes || []).map(({ field, before, after }) => ({
+                field,
+                before: toStoredValue(before),
+                after: toStoredValue(after)
+            })),
+            sequence: (head?.sequence || 0) + 1,
+            prevHash: head?.hash || GENESIS_HASH
+        };
+        event.hash = hashEvent(event, event.prevHash);
+
+        try {
+            return await AuditEvent.create(event);
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+        }
+    }
+}
+
+/**
+ * Appends an event to the audit trail: { actor: { user, email, role },
+ * action, request, requestNumber, changes: [{ field, before, after }],
+ * method, path, statusCode, ip, userAgent, httpRequestId }
+ */
+export function recordAuditEvent(details) {
+    const append = appendQueue.then(() => appendEvent({ ...details, at: details.at || new Date() }));
+    appendQueue = append.catch(() => undefined);
+    return append;
+}
+
+/**
+ * Turns GET /api/audit query parameters (request, actor, action, from, to)
+ * into a Mongo filter. Throws 400 INVALID_AUDIT_QUERY.
+ */
+export function buildAuditFilter(query) {
+    const errors = [];
+    const filter = {};
+
+    if (query.request) {
+        if (mongoose.isValidObjectId(query.request)) {
+            filter.request = new mongoose.Types.ObjectId(String(query.request));
+        } else {
+            errors.push('request must be a request id');
+        }
+    }
+    if (query.actor) {
+        filter['actor.email'] = String(query.actor).trim().toLowerCase();
+    }
+    if (query.action) {
+        const actions = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+        filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+    }
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+        if (!query[param]) continue;
+
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) {
+            errors.push(`${param} must be a valid date`);
+            continue;
+        }
+        // A bare date as `to` should include the whole day
+        if (operator === '$lte' && /^\d{4}-\d{2}-\d{2}$/.test(query[param])) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+        filter.at = { ...filter.at, [operator]: date };
+    }
+
+    if (errors.length) {
+        const error = new AppError(errors.join('; '), 400, 'INVALID_AUDIT_QUERY');
+        error.errors = errors;
+        throw error;
+    }
+    return filter;
+}
+
+/**
+ * One page of matching events, newest first
+ */
+export async function listAuditEvents(filter, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    if (!Number.isInteger(page) || page < 1) {
+        throw new AppError('page must be a positive integer', 400, 'INVALID_AUDIT_QUERY');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new AppError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`, 400, 'INVALID_AUDIT_QUERY');
+    }
+
+    const [events, total] = await Promise.all([
+        AuditEvent.find(filter).sort({ sequence: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+        AuditEvent.countDocuments(filter)
+    ]);
+    return { events, total, page, limit, totalPages: Math.ceil(total / limit) };
+}
+
+// Quotes a CSV cell; cells a spreadsheet would run as a formula are prefixed with '
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'string' ? value : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (event) => [
+    event.sequence,
+    event.at.toISOString(),
+    event.actor?.email,
+    event.actor?.role,
+    event.action,
+    event.request?.toString(),
+    event.requestNumber,
+    event.changes?.length ? JSON.stringify(event.changes) : '',
+    event.method,
+    event.path,
+    event.statusCode,
+    event.ip,
+    event.httpRequestId,
+    event.hash
+].map(toCsvCell).join(',');
+
+/**
+ * Writes every matching event, oldest first, as CSV lines to `write`
+ */
+export async function exportAuditEventsCsv(filter, write) {
+    write(`${CSV_COLUMNS.join(',')}\n`);
+    const cursor = AuditEvent.find(filter).sort({ sequence: 1 }).lean().cursor();
+    for await (const event of cursor) {
+        write(`${toCsvRow(event)}\n`);
+    }
+}
+
+/**
+ * Recomputes every hash in sequence order. Returns { valid, checked } and,
+ * when the chain is broken, the first event that doesn't match (brokenAt)
+ * and why.
+ */
+export async function verifyAuditChain() {
+    let prevHash = GENESIS_HASH;
+    let expectedSequence = 1;
+    let checked = 0;
+
+    const cursor = AuditEvent.find().sort({ sequence: 1 }).lean().cursor();
+    for await (const event of cursor) {
+        let reason = null;
+        if (event.sequence !== expectedSequence) {
+            reason = `expected event ${expectedSequence}, found ${event.sequence}`;
+        } else if (event.prevHash !== prevHash) {
+            reason = 'does not link to the previous event';
+        } else if (hashEvent(event, prevHash) !== event.hash) {
+            reason = 'content does not match its hash';
+        }
+
+        if (reason) {
+            logger.error('Audit chain broken', { sequence: event.sequence, reason });
+            return { valid: false, checked, brokenAt: event.sequence, reason };
+        }
+
+        prevHash = event.hash;
+        expectedSequence++;
+        checked++;
+    }
+
+    return { valid: true, checked };
+}
@@ -0,0 +1,305 @@
+// abdo-request-system-backend/src/services/authService.js
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import winston from 'winston';
+import { AppError } from '../middleware/errorHandler.js';
+import { AUTH_CONFIG, CROSS_DEPARTMENT_ROLES, USER_ROLES } from '../config/auth.js';
+import { User } from '../models/user.js';
+import { RefreshToken } from '../models/refreshToken.js';
+import { DEPARTMENTS } from '../models/request.js';
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'auth' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/processor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/processor.log' })
+    ]
+});
+
+if (process.env.NODE_ENV !== 'production') {
+    logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+    }));
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Compared against when the email is unknown, so a login takes as long
+// whether or not the account exists
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const createToken = () => crypto.randomBytes(48).toString('base64url');
+const invalidCredentials = () => new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
+
+/**
+ * What routes and the frontend get to see of a user
+ */
+export function serializeUser(user) {
+    return {
+        id: user._id.toString(),
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        department: user.department ?? null,
+        status: user.status,
+        lastLoginAt: user.lastLoginAt ?? null,
+        createdAt: user.createdAt
+    };
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < AUTH_CONFIG.PASSWORD_MIN_LENGTH) {
+        throw new AppError(`Password must be at least ${AUTH_CONFIG.PASSWORD_MIN_LENGTH} characters`, 400, 'WEAK_PASSWORD');
+    }
+}
+
+function signAccessToken(user) {
+    return jwt.sign(
+        { role: user.role, department: user.department },
+        AUTH_CONFIG.JWT_SECRET,
+        {
+            subject: user._id.toString(),
+            issuer: AUTH_CONFIG.JWT_ISSUER,
+            expiresIn: AUTH_CONFIG.ACCESS_TOKEN_TTL
+        }
+    );
+}
+
+async function issueRefreshToken(user, { family = crypto.randomUUID(), ip, userAgent } = {}) {
+    const refreshToken = createToken();
+    const expiresAt = new Date(Date.now() + AUTH_CONFIG.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await RefreshToken.create({
+        tokenHash: hashToken(refreshToken),
+        user: user._id,
+        family,
+        expiresAt,
+        createdByIp: ip,
+        userAgent
+    });
+    return { refreshToken, refreshTokenExpiresAt: expiresAt };
+}
+
+// Access token, refresh token and user of a new or renewed session
+async function createSession(user, client, family) {
+    return {
+        accessToken: signAccessToken(user),
+        ...(await issueRefreshToken(user, { ...client, family })),
+        user: serializeUser(user)
+    };
+}
+
+/**
+ * The user an access token belongs to. Throws the jsonwebtoken errors for
+ * malformed or expired tokens (mapped to 401 by the error handler) and
+ * 401 INVALID_TOKEN for users that no longer exist, are disabled or changed
+ * their password since.
+ */
+export async function verifyAccessToken(token) {
+    const payload = jwt.verify(token, AUTH_CONFIG.JWT_SECRET, { issuer: AUTH_CONFIG.JWT_ISSUER });
+    const user = await User.findById(payload.sub).lean();
+
+    const issuedAt = payload.iat * 1000;
+    if (!user || user.status !== 'active' || (user.passwordChangedAt && issuedAt < user.passwordChangedAt.getTime() - 1000)) {
+        throw new AppError('Invalid token. Please log in again!', 401, 'INVALID_TOKEN');
+    }
+    return user;
+}
+
+/**
+ * Creates an invited account, or renews the invitation of one that hasn't
+ * been accepted yet. Returns the user and the one-time invitation token to
+ * pass on to them.
+ */
+export async function inviteUser({ email, name, role = 'requester', department }, { actor } = {}) {
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+        throw new AppError('A valid email is required', 400, 'INVALID_EMAIL');
+    }
+    if (!USER_ROLES.includes(role)) {
+        throw new AppError(`role must be one of: ${USER_ROLES.join(', ')}`, 400, 'INVALID_ROLE');
+    }
+    if (CROSS_DEPARTMENT_ROLES.includes(role)) {
+        department = undefined;
+    } else if (!DEPARTMENTS.includes(department)) {
+        throw new AppError(`A ${role} must belong to one of: ${DEPARTMENTS.join(', ')}`, 400, 'INVALID_DEPARTMENT');
+    }
+
+    const existing = await User.findOne({ email: normalizedEmail });
+    if (existing && existing.status !== 'invited') {
+        throw new AppError('A user with this email already exists', 409, 'USER_EXISTS');
+    }
+
+    const inviteToken = createToken();
+    const expiresAt = new Date(Date.now() + AUTH_CONFIG.INVITE_TTL_HOURS * 60 * 60 * 1000);
+    const user = existing || new User({ email: normalizedEmail });
+    Object.assign(user, {
+        name: name ?? user.name,
+        role,
+        department,
+        status: 'invited',
+        invitation: { tokenHash: hashToken(inviteToken), expiresAt, issuedBy: actor }
+    });
+    await user.save();
+
+    logger.info('User invited', { email: normalizedEmail, role, department, invitedBy: actor });
+    return { user: serializeUser(user), inviteToken, expiresAt };
+}
+
+/**
+ * Accepts an invitation: sets the password and starts a session
+ */
+export async function acceptInvitation({ token, name, password }, client = {}) {
+    validatePassword(password);
+
+    const user = typeof token === 'string'
+        ? await User.findOne({ 'invitation.tokenHash': hashToken(token), status: 'invited' }).select('+invitation')
+        : null;
+    if (!user || user.invitation.expiresAt < new Date()) {
+        throw new AppError('This invitation is invalid or has expired', 400, 'INVALID_INVITATION');
+    }
+
+    user.passwordHash = await bcrypt.hash(password, AUTH_CONFIG.BCRYPT_ROUNDS);
+    user.passwordChangedAt = new Date();
+    user.name = name?.trim() || user.name;
+    user.status = 'active';
+    user.invitation = undefined;
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    logger.info('Invitation accepted', { userId: user.id, email: user.email });
+    return createSession(user, client);
+}
+
+/**
+ * Checks an email and password and starts a session
+ */
+export async function login({ email, password }, client = {}) {
+    if (typeof email !== 'string' || typeof password !== 'string') {
+        throw invalidCredentials();
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select('+passwordHash');
+    const matches = await bcrypt.compare(password, user?.passwordHash || DUMMY_PASSWORD_HASH);
+    if (!user || !matches || user.status !== 'active') {
+        logger.warn('Failed login', { email, ip: client.ip });
+        throw invalidCredentials();
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+    return createSession(user, client);
+}
+
+/**
+ * Swaps a refresh token for a new access and refresh token. A token that was
+ * already swapped means it leaked: every token of its session is revoked.
+ */
+export async function rotateRefreshToken(refreshToken, client = {}) {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        throw new AppError('Not logged in', 401, 'AUTH_REQUIRED');
+    }
+
+    const now = new Date();
+    const tokenHash = hashToken(refreshToken);
+    const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { revokedAt: now, revokedReason: 'rotated' } }
+    );
+
+    if (!current) {
+        const stored = await RefreshToken.findOne({ tokenHash });
+        if (stored?.revokedReason === 'rotated' && now - stored.revokedAt < AUTH_CONFIG.REFRESH_REUSE_GRACE_MS) {
+            // Another tab renewed the session a moment ago
+            throw new AppError('Session was just renewed', 401, 'REFRESH_TOKEN_ROTATED');
+        }
+        if (stored?.revokedReason === 'rotated') {
+            await RefreshToken.updateMany(
+                { family: stored.family, revokedAt: null },
+                { $set: { revokedAt: now, revokedReason: 'reuse' } }
+            );
+            logger.warn('Refresh token reused, session revoked', { userId: stored.user.toString(), ip: client.ip });
+        }
+        throw new AppError('Session expired. Please log in again!', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    const user = await User.findById(current.user);
+    if (!user || user.status !== 'active') {
+        throw new AppError('Session expired. Please log in again!', 401, 'INVALID_REFRESH_TOKEN');
+    }
+    return createSession(user, client, current.family);
+}
+
+/**
+ * Ends the session the refresh token belongs to
+ */
+export async function logout(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken) return;
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (stored) {
+        await RefreshToken.updateMany(
+            { family: stored.family, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+        );
+    }
+}
+
+/**
+ * Issues a one-time password reset token for an active user, to be passed
+ * on to them by the admin who asked for it
+ */
+export async function issuePasswordReset(userId, { actor } = {}) {
+    const user = await User.findById(userId);
+    if (!user || user.status !== 'active') {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    const resetToken = createToken();
+    const expiresAt = new Date(Date.now() + AUTH_CONFIG.PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    user.passwordReset = { tokenHash: hashToken(resetToken), expiresAt, issuedBy: actor };
+    await user.save();
+
+    logger.info('Password reset issued', { userId: user.id, issuedBy: actor });
+    return { user: serializeUser(user), resetToken, expiresAt };
+}
+
+/**
+ * Sets a new password with a reset token. Ends every session of the user.
+ */
+export async function resetPassword({ token, password }) {
+    validatePassword(password);
+
+    const user = typeof token === 'string'
+        ? await User.findOne({ 'passwordReset.tokenHash': hashToken(token), status: 'active' }).select('+passwordReset')
+        : null;
+    if (!user || user.passwordReset.expiresAt < new Date()) {
+        throw new AppError('This reset link is invalid or has expired', 400, 'INVALID_RESET_TOKEN');
+    }
+
+    user.passwordHash = await bcrypt.hash(password, AUTH_CONFIG.BCRYPT_ROUNDS);
+    user.passwordChangedAt = new Date();
+    user.passwordReset = undefined;
+    await user.save();
+
+    await RefreshToken.updateMany(
+        { user: user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'password-reset' } }
+    );
+
+    logger.info('Password reset', { userId: user.id });
+    return serializeUser(user);
+}
+
+export async function listUsers() {
+    const users = await User.find().sort({ email: 1 }).lean();
+    return users.map(serializeUser);
+}
@@ -0,0 +1,329 @@
+// abdo-request-system-backend/src/services/commentService.js
+
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import winston from 'winston';
+import { AppError } from '../middleware/errorHandler.js';
+import { COMMENT_CONFIG } from '../config/comments.js';
+import { Comment } from '../models/comment.js';
+import { User } from '../models/user.js';
+import { can } from './accessPolicy.js';
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'comments' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/processor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/processor.log' })
+    ]
+});
+
+if (process.env.NODE_ENV !== 'production') {
+    logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+    }));
+}
+
+/**
+ * Emits 'mention' ({ comment, request, mentioned, actor }) when users are
+ * newly @mentioned in a comment they can see
+ */
+export const commentEvents = new EventEmitter();
+
+// @ followed by the user's email, e.g. "@jane.doe@adeo.gov.ae"
+const MENTION_PATTERN = /(?:^|[^\w.+-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+const MINUTE_MS = 60 * 1000;
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * MINUTE_MS);
+
+// The policy compares ids as strings
+const asPolicyUser = (user) => ({
+    id: user._id.toString(),
+    role: user.role,
+    department: user.department ?? null
+});
+
+const toCommentUser = (user) => ({ user: user.id ?? user._id, email: user.email, name: user.name });
+
+const isAuthor = (user, comment) => comment.author.user?.toString() === user.id;
+
+const canSee = (user, request, comment) =>
+    can(user, 'comment:read', request) && (!comment.internal || can(user, 'comment:internal', request));
+
+const validateBody = (body) => {
+    if (typeof body !== 'string' || !body.trim()) {
+        throw new AppError('Comment text is required', 400, 'INVALID_COMMENT');
+    }
+    if (body.length > COMMENT_CONFIG.MAX_LENGTH) {
+        throw new AppError(`Comments are limited to ${COMMENT_CONFIG.MAX_LENGTH} characters`, 400, 'INVALID_COMMENT');
+    }
+    return body.trim();
+};
+
+// Attachment references must point at files of the same request
+const validateAttachmentRefs = (request, attachmentIds = []) => {
+    if (!Array.isArray(attachmentIds)) {
+        throw new AppError('attachments must be a list of attachment ids', 400, 'INVALID_ATTACHMENT');
+    }
+    if (attachmentIds.length > COMMENT_CONFIG.MAX_ATTACHMENT_REFS) {
+        throw new AppError(`A comment can refer to at most ${COMMENT_CONFIG.MAX_ATTACHMENT_REFS} attachments`, 400, 'INVALID_ATTACHMENT');
+    }
+
+    const available = new Set((request.attachments || []).map(attachment => attachment._id.toString()));
+    const ids = [...new Set(attachmentIds.map(String))];
+    const unknown = ids.filter(id => !available.has(id));
+    if (unknown.length) {
+        throw new AppError('Attachments must belong to this request', 400, 'INVALID_ATTACHMENT');
+    }
+    return ids.map(id => new mongoose.Types.ObjectId(id));
+};
+
+/**
+ * Active users @mentioned in the body who can see the comment; anyone
+ * else is left out rather than shown a comment they can't open
+ */
+async function resolveMentions(body, request, { internal }) {
+    const emails = [...new Set([...body.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()))]
+        .slice(0, COMMENT_CONFIG.MAX_MENTIONS);
+    if (!emails.length) return [];
+
+    const users = await User.find({ email: { $in: emails }, status: 'active' })
+        .select('email name role department')
+        .lean();
+    return users.filter(user => canSee(asPolicyUser(user), request, { internal }));
+}
+
+const notifyMentions = (comment, request, mentioned, actor) => {
+    if (!mentioned.length) return;
+
+    logger.info('Users mentioned in comment', {
+        commentId: comment._id.toString(),
+        requestId: request._id.toString(),
+        mentioned: mentioned.map(user => user.email)
+    });
+    commentEvents.emit('mention', { comment, request, mentioned, actor });
+};
+
+/**
+ * What the viewer gets to see of a comment, including whether they may
+ * still edit or delete it
+ */
+export function serializeComment(comment, request, user) {
+    const deleted = !!comment.deletedAt;
+    const own = isAuthor(user, comment);
+    const editableUntil = addMinutes(comment.createdAt, COMMENT_CONFIG.EDIT_WINDOW_MINUTES);
+    const deletableUntil = addMinutes(comment.createdAt, COMMENT_CONFIG.DELETE_WINDOW_MINUTES);
+    const now = new Date();
+    const attachmentNames = new Map(
+        (request.attachments || []).map(attachment => [attachment._id.toString(), attachment.originalName || attachment.filename])
+    );
+
+    return {
+        _id: comment._id,
+        parent: comment.parent ?? null,
+        author: {
+            id: comment.author.user?.toString() ?? null,
+            email: comment.author.email,
+            name: comment.author.name
+        },
+        body: deleted ? null : comment.body,
+        internal: comment.internal,
+        mentions: deleted ? [] : comment.mentions.map(({ user: id, email, name }) => ({ id: id?.toString(), email, name })),
+        // References to attachments removed from the request since are dropped
+        attachments: deleted ? [] : comment.attachments
+            .filter(id => attachmentNames.has(id.toString()))
+            .map(id => ({ _id: id, originalName: attachmentNames.get(id.toString()) })),
+        createdAt: comment.createdAt,
+        editedAt: comment.editedAt ?? null,
+        deleted,
+        canEdit: !deleted && own && now < editableUntil && can(user, 'comment:write', request),
+        canDelete: !deleted && (
+            can(user, 'comment:moderate', request) ||
+            (own && now < deletableUntil && can(user, 'comment:write', request))
+        ),
+        editableUntil: own ? editableUntil : null,
+        deletableUntil: own ? deletableUntil : null
+    };
+}
+
+/**
+ * The request's threads the user can see, oldest first, each with its
+ * replies. `request` needs department, createdBy and attachments.
+ */
+export async function listCommentThreads(request, user) {
+    const comments = await Comment.find({ request: request._id }).sort({ createdAt: 1 }).lean();
+    const visible = comments.filter(comment => canSee(user, request, comment));
+
+    const threads = new Map();
+    visible.filter(comment => !comment.parent).forEach(comment => {
+        threads.set(comment._id.toString(), { ...serializeComment(comment, request, user), replies: [] });
+    });
+    visible.filter(comment => comment.parent).forEach(comment => {
+        threads.get(comment.parent.toString())?.replies.push(serializeComment(comment, request, user));
+    });
+
+    // Deleted comments only stay as placeholders while they have replies
+    return [...threads.values()].filter(thread => !thread.deleted || thread.replies.length);
+}
+
+const findComment = async (request, commentId, user) => {
+    const comment = mongoose.isValidObjectId(commentId)
+        ? await Comment.findOne({ _id: commentId, request: request._id })
+        : null;
+    // Internal comments don't exist for users who can't see them
+    if (!comment || !canSee(user, request, comment)) {
+        throw new AppError('Comment not found', 404, 'NOT_FOUND');
+    }
+    return comment;
+};
+
+/**
+ * Adds a comment, or a reply when `parent` is given. Replies to a reply
+ * join the same thread, and replies in an internal thread are internal.
+ */
+export async function addComment(request, user, { body, internal = false, parent, attachments }) {
+    const text = validateBody(body);
+    let isInternal = internal === true || internal === 'true';
+
+    let threadId = null;
+    if (parent) {
+        const parentComment = await findComment(request, parent, user);
+        if (parentComment.deletedAt && !parentComment.parent) {
+            throw new AppError('This thread was deleted', 400, 'INVALID_COMMENT');
+        }
+        threadId = parentComment.parent || parentComment._id;
+        const thread = parentComment.parent
+            ? await Comment.findById(threadId).select('internal').lean()
+            : parentComment;
+        isInternal = isInternal || !!thread?.internal;
+    }
+
+    if (isInternal && !can(user, 'comment:internal', request)) {
+        throw new AppError('You do not have permission to write internal comments', 403, 'FORBIDDEN');
+    }
+
+    const mentioned = await resolveMentions(text, request, { internal: isInternal });
+    const comment = await Comment.create({
+        request: request._id,
+        parent: threadId,
+        author: toCommentUser(user),
+        body: text,
+        internal: isInternal,
+        mentions: mentioned.map(toCommentUser),
+        attachments: validateAttachmentRefs(request, attachments)
+    });
+
+    logger.info('Comment added', {
+        commentId: comment._id.toString(),
+        requestId: request._id.toString(),
+        internal: isInternal,
+        author: user.email
+    });
+    notifyMentions(comment, request, mentioned, user);
+    return comment;
+}
+
+/**
+ * Changes the text and attachment references of the user's own comment,
+ * within the edit window. Only newly mentioned users are notified.
+ */
+export async function updateComment(request, user, commentId, { body, attachments }) {
+    const comment = await findComment(request, commentId, user);
+    if (comment.deletedAt) {
+        throw new AppError('Comment not found', 404, 'NOT_FOUND');
+    }
+    if (!isAuthor(user, comment)) {
+        throw new AppError('Only the author can edit a comment', 403, 'FORBIDDEN');
+    }
+    if (new Date() >= addMinutes(comment.createdAt, COMMENT_CONFIG.EDIT_WINDOW_MINUTES)) {
+        throw new AppError(
+            `Comments can only be edited for ${COMMENT_CONFIG.EDIT_WINDOW_MINUTES} minutes after posting`,
+            403,
+            'EDIT_WINDOW_CLOSED'
+        );
+    }
+
+    const text = validateBody(body);
+    const previouslyMentioned = new Set(comment.mentions.map(mention => mention.user?.toString()));
+    const mentioned = await resolveMentions(text, request, { internal: comment.internal });
+
+    comment.body = text;
+    comment.mentions = mentioned.map(toCommentUser);
+    if (attachments !== undefined) {
+        comment.attachments = validateAttachmentRefs(request, attachments);
+    }
+    comment.editedAt = new Date();
+    await comment.save();
+
+    notifyMentions(
+        comment,
+        request,
+        mentioned.filter(mentionedUser => !previouslyMentioned.has(mentionedUser._id.toString())),
+        user
+    );
+    return comment;
+}
+
+/**
+ * Removes a comment's content, keeping its place in the thread. Authors
+ * may delete within the delete window, moderators at any time.
+ */
+export async function deleteComment(request, user, commentId) {
+    const comment = await findComment(request, commentId, user);
+    if (comment.deletedAt) {
+        throw new AppError('Comment not found', 404, 'NOT_FOUND');
+    }
+
+    const moderator = can(user, 'comment:moderate', request);
+    if (!moderator) {
+        if (!isAuthor(user, comment)) {
+            throw new AppError('Only the author can delete this comment', 403, 'FORBIDDEN');
+        }
+        if (new Date() >= addMinutes(comment.createdAt, COMMENT_CONFIG.DELETE_WINDOW_MINUTES)) {
+            throw new AppError(
+                `Comments can only be deleted for ${COMMENT_CONFIG.DELETE_WINDOW_MINUTES} minutes after posting`,
+                403,
+                'DELETE_WINDOW_CLOSED'
+            );
+        }
+    }
+
+    comment.body = '';
+    comment.mentions = [];
+    comment.attachments = [];
+    comment.deletedAt = new Date();
+    comment.deletedBy = user.email;
+    await comment.save();
+
+    logger.info('Comment deleted', {
+        commentId: comment._id.toString(),
+        requestId: request._id.toString(),
+        deletedBy: user.email,
+        moderated: !isAuthor(user, comment)
+    });
+    return comment;
+}
+
+/**
+ * Active users matching `query` (name or email) who could see a comment on
+ * the request, for @mention suggestions
+ */
+export async function searchMentionableUsers(request, query = '', { internal = false, limit = 8 } = {}) {
+    const pattern = new RegExp(String(query).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    const users = await User.find({ status: 'active', $or: [{ email: pattern }, { name: pattern }] })
+        .select('email name role department')
+        .sort({ name: 1, email: 1 })
+        .limit(200)
+        .lean();
+
+    return users
+        .filter(user => canSee(asPolicyUser(user), request, { internal }))
+        .slice(0, limit)
+        .map(user => ({ id: user._id.toString(), email: user.email, name: user.name }));
+}
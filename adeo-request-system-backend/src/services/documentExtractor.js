@@ -0,0 +1,206 @@
+// abdo-request-system-backend/src/services/documentExtractor.js
+
+import fs from 'fs';
+import mammoth from 'mammoth';
+// Import the library file directly: the package entry point runs a debug
+// harness when it cannot detect a parent module, which is always true under ESM
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import winston from 'winston';
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'document-extractor' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/processor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/processor.log' })
+    ]
+});
+
+if (process.env.NODE_ENV !== 'production') {
+    logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+    }));
+}
+
+// Constants
+const EXTRACTION_CONFIG = Object.freeze({
+    // Upper bound on text stored per attachment
+    MAX_STORED_CHARS: parseInt(process.env.EXTRACTION_MAX_STORED_CHARS) || 200000,
+    // Upper bound on attachment text put into a single prompt, across all documents
+    MAX_PROMPT_CHARS: parseInt(process.env.EXTRACTION_MAX_PROMPT_CHARS) || 6000,
+    // Used to estimate page counts for formats that don't have pages
+    WORDS_PER_PAGE: 500
+});
+
+const MIME_TYPES = Object.freeze({
+    PDF: 'application/pdf',
+    DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    TEXT: 'text/plain'
+});
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+const estimatePages = (text) => Math.max(1, Math.ceil(countWords(text) / EXTRACTION_CONFIG.WORDS_PER_PAGE));
+
+const cleanExtractedText = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+// One extractor per supported format, each resolving to { text, pageCount, pageCountEstimated }
+const extractors = {
+    [MIME_TYPES.PDF]: async (filePath) => {
+        const result = await pdfParse(await fs.promises.readFile(filePath));
+        return { text: result.text, pageCount: result.numpages, pageCountEstimated: false };
+    },
+    [MIME_TYPES.DOCX]: async (filePath) => {
+        const result = await mammoth.extractRawText({ path: filePath });
+        return { text: result.value, pageCount: estimatePages(result.value), pageCountEstimated: true };
+    },
+    [MIME_TYPES.TEXT]: async (filePath) => {
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        return { text, pageCount: estimatePages(text), pageCountEstimated: true };
+    }
+};
+
+export const isExtractable = (mimeType) => Boolean(extractors[mimeType]);
+
+/**
+ * Extracts text from a stored file. Never throws: the outcome is recorded in
+ * the returned metadata so a bad document cannot block an upload.
+ */
+export async function extractDocumentText(filePath, mimeType) {
+    const extractedAt = new Date();
+
+    if (!isExtractable(mimeType)) {
+        return { extractionStatus: 'unsupported', extractedAt };
+    }
+
+    try {
+        const { text, pageCount, pageCountEstimated } = await extractors[mimeType](filePath);
+        const cleaned = cleanExtractedText(text || '');
+
+        return {
+            extractionStatus: cleaned ? 'completed' : 'empty',
+            extractedText: cleaned.slice(0, EXTRACTION_CONFIG.MAX_STORED_CHARS),
+            textTruncated: cleaned.length > EXTRACTION_CONFIG.MAX_STORED_CHARS,
+            pageCount,
+            pageCountEstimated,
+            wordCount: countWords(cleaned),
+            extractedAt
+        };
+    } catch (error) {
+        logger.error('Text extraction failed', {
+            filePath,
+            mimeType,
+            error: error.message
+        });
+
+        return {
+            extractionStatus: 'failed',
+            extractionError: error.message,
+            extractedAt
+        };
+    }
+}
+
+// Small bilingual stop word list used only for sentence scoring
+const SUMMARY_STOP_WORDS = new Set([
+    'the', 'and', 'for', 'that', 'with', 'this', 'are', 'was', 'from', 'have', 'has', 'will',
+    'shall', 'which', 'their', 'been', 'into', 'other', 'such', 'may', 'also', 'not',
+    'في', 'من', 'على', 'إلى', 'عن', 'أن', 'التي', 'الذي', 'هذا', 'هذه', 'مع', 'كما'
+]);
+
+const tokenize = (text) => (text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [])
+    .filter(word => !SUMMARY_STOP_WORDS.has(word));
+
+/**
+ * Extractive summary: keeps the sentences with the most frequent content
+ * words, in their original order, until the character budget is used up
+ */
+export function summarizeText(text, maxChars) {
+    if (!text || text.length <= maxChars) return text || '';
+
+    const sentences = text
+        .split(/(?<=[.!?؟\n])\s+/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.length > 20);
+
+    const frequencies = new Map();
+    tokenize(text).forEach(word => frequencies.set(word, (frequencies.get(word) || 0) + 1));
+
+    const ranked = sentences
+        .map((sentence, index) => {
+            const words = tokenize(sentence);
+            const score = words.reduce((sum, word) => sum + (frequencies.get(word) || 0), 0) /
+                Math.max(words.length, 1);
+            return { sentence, index, score };
+        })
+        .sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    let used = 0;
+    for (const candidate of ranked) {
+        if (used + candidate.sentence.length + 1 > maxChars) continue;
+        selected.push(candidate);
+        used += candidate.sentence.length + 1;
+    }
+
+    return selected
+        .sort((a, b) => a.index - b.index)
+        .map(({ sentence }) => sentence)
+        .join(' ');
+}
+
+/**
+ * Builds the bounded attachment excerpt used in analysis prompts, plus a
+ * record of which documents it drew on
+ */
+export function buildDocumentContext(attachments = [], maxChars = EXTRACTION_CONFIG.MAX_PROMPT_CHARS) {
+    const documents = attachments.filter(attachment => attachment.metadata?.extractedText);
+    if (!documents.length) {
+        return { excerpt: '', sources: [] };
+    }
+
+    // Split the budget evenly, but let short documents hand their unused share on
+    let remaining = maxChars;
+    const sections = [];
+    const sources = [];
+
+    documents
+        .slice()
+        .sort((a, b) => a.metadata.extractedText.length - b.metadata.extractedText.length)
+        .forEach((attachment, index, sorted) => {
+            const share = Math.floor(remaining / (sorted.length - index));
+            const text = attachment.metadata.extractedText;
+            const excerpt = summarizeText(text, share);
+
+            remaining -= excerpt.length;
+            sections.push({ attachment, excerpt });
+            sources.push({
+                attachmentId: attachment._id,
+                originalName: attachment.originalName,
+                pageCount: attachment.metadata.pageCount,
+                excerptLength: excerpt.length,
+                summarized: excerpt.length < text.length
+            });
+        });
+
+    const excerpt = sections
+        .map(({ attachment, excerpt: text }) =>
+            `[Document: ${attachment.originalName}${attachment.metadata.pageCount ? `, ${attachment.metadata.pageCount} page(s)` : ''}]\n${text}`)
+        .join('\n\n');
+
+    return { excerpt, sources };
+}
+
+export const extraction = {
+    config: EXTRACTION_CONFIG,
+    mimeTypes: MIME_TYPES
+};
@@ -0,0 +1,96 @@
+// abdo-request-system-backend/src/services/draftAssistant.js
+
+import winston from 'winston';
+import { AppError } from '../middleware/errorHandler.js';
+import { requestStructuredOutput } from './structuredOutput.js';
+import { describeModel } from './llmProvider.js';
+import { renderTemplate } from './promptTemplates.js';
+import { draftAssistOutputSchema } from '../config/analysisSchemas.js';
+import { DRAFT_ASSIST_PROMPT, getDraftTemplate } from '../config/draftTemplates.js';
+import { LANGUAGE_INSTRUCTIONS } from '../config/promptTemplates.js';
+import { detectLanguage } from '../utils/language.js';
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'draft-assistant' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/processor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/processor.log' })
+    ]
+});
+
+if (process.env.NODE_ENV !== 'production') {
+    logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+    }));
+}
+
+const MAX_TOKENS = 1500;
+
+/**
+ * Share of the template's sections a draft covers, 0-100
+ */
+export function scoreCompleteness(sections, missingElements) {
+    const missing = new Set(missingElements.map(({ section }) => section));
+    return Math.round(100 * (sections.length - missing.size) / sections.length);
+}
+
+/**
+ * Critique of a draft request before it is submitted: a suggested title,
+ * the sections of the type's template it misses, ambiguous wording and the
+ * description rewritten under the template's headings. Written in the
+ * language of the draft. Ambiguities are only kept if their excerpt occurs
+ * in the draft, so clients can replace it.
+ */
+export async function assistDraft({ title = '', description = '', type, department }) {
+    if (!description.trim()) {
+        throw new AppError('description is required', 400, 'INVALID_DRAFT');
+    }
+
+    const sections = getDraftTemplate(type);
+    const language = detectLanguage(title, description);
+    const variables = {
+        title: title || '(none yet)',
+        department: department || '(not selected)',
+        type: type || '(not selected)',
+        description,
+        sections: sections.map(({ heading, guidance }) => `- ${heading}: ${guidance}`).join('\n')
+    };
+
+    const response = await requestStructuredOutput({
+        task: 'draftAssist',
+        schema: draftAssistOutputSchema(sections.map(({ heading }) => heading)),
+        system: `${DRAFT_ASSIST_PROMPT.system}\n\n${LANGUAGE_INSTRUCTIONS[language]}`,
+        prompt: renderTemplate(DRAFT_ASSIST_PROMPT.body, variables),
+        temperature: 0.3,
+        maxTokens: MAX_TOKENS
+    });
+
+    if (response.issues.some(({ field }) => field === '(root)')) {
+        throw new AppError(`Model did not return usable JSON: ${response.issues[0].message}`, 502, 'INVALID_MODEL_OUTPUT');
+    }
+
+    const { suggestedTitle, missingElements = [], ambiguities = [], rewrittenDescription } = response.value;
+    const locatedAmbiguities = ambiguities.filter(({ excerpt }) => description.includes(excerpt));
+    if (locatedAmbiguities.length < ambiguities.length) {
+        logger.info('Dropped ambiguities not found in the draft', {
+            dropped: ambiguities.length - locatedAmbiguities.length
+        });
+    }
+
+    return {
+        language,
+        sections,
+        suggestedTitle: suggestedTitle ?? null,
+        missingElements,
+        ambiguities: locatedAmbiguities,
+        rewrittenDescription: rewrittenDescription ?? null,
+        completenessScore: scoreCompleteness(sections, missingElements),
+        validationIssues: response.issues,
+        model: describeModel(response.provider, response.model)
+    };
+}
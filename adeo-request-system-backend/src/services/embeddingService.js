@@ -0,0 +1,377 @@
+// abdo-request-system-backend/src/services/embeddingService.js
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import winston from 'winston';
+import { AppError } from '../middleware/errorHandler.js';
+import { Request } from '../models/request.js';
+import { CONCEPT_GROUPS } from '../config/semanticLexicon.js';
+
+// Load environment variables
+dotenv.config();
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'embedding-service' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/processor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/processor.log' })
+    ]
+});
+
+if (process.env.NODE_ENV !== 'production') {
+    logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+    }));
+}
+
+// Constants
+const EMBEDDING_CONFIG = Object.freeze({
+    PROVIDER: process.env.EMBEDDING_PROVIDER || 'hashing',
+    DIMENSIONS: parseInt(process.env.EMBEDDING_DIMENSIONS) || 384,
+    // Only used by the transformers provider
+    MODEL: process.env.EMBEDDING_MODEL || 'Xenova/paraphrase-multilingual-MiniLM-L12-v2',
+    MODEL_PATH: process.env.EMBEDDING_MODEL_PATH,
+    // Stored vectors are rounded to keep documents small
+    PRECISION: 5
+});
+
+// Relative weight of each feature family in the hashing provider. Concepts
+// carry cross-lingual meaning, words and character n-grams catch paraphrases
+// and spelling variants within one language.
+const FEATURE_WEIGHTS = Object.freeze({
+    concept: 1.0,
+    word: 0.5,
+    ngram: 0.25
+});
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'that', 'with', 'this', 'are', 'was', 'from', 'have', 'has', 'will', 'shall',
+    'which', 'their', 'been', 'into', 'other', 'such', 'may', 'also', 'not', 'our', 'its', 'all',
+    'need', 'needs', 'request', 'requesting', 'please', 'would', 'should', 'could', 'can', 'new',
+    'في', 'من', 'على', 'الى', 'عن', 'ان', 'التي', 'الذي', 'هذا', 'هذه', 'مع', 'كما', 'او', 'ثم',
+    'لا', 'ما', 'كل', 'قد', 'تم', 'بين', 'عند', 'لدى', 'حيث', 'ذلك', 'تلك', 'طلب', 'نحتاج', 'يرجى'
+]);
+
+/**
+ * Folds Arabic orthographic variants (diacritics, tatweel, alef/ya/ta marbuta
+ * forms) and case so equivalent spellings produce the same tokens
+ */
+function normalizeForEmbedding(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/[\u064B-\u0652\u0670\u0640]/g, '')
+        .replace(/[أإآٱ]/g, 'ا')
+        .replace(/ى/g, 'ي')
+        .replace(/ة/g, 'ه')
+        .replace(/ؤ/g, 'و')
+        .replace(/ئ/g, 'ي');
+}
+
+const ARABIC_PREFIXES = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال'];
+const ARABIC_SUFFIXES = ['ات', 'ون', 'ين', 'ها', 'يه', 'ه', 'ي'];
+const ENGLISH_SUFFIXES = ['ations', 'ation', 'ments', 'ment', 'ings', 'ing', 'ies', 'ied', 'ed', 'es', 's'];
+
+/**
+ * Light stemmer for English and Arabic; strips one common prefix and one
+ * suffix while keeping at least three letters of the stem
+ */
+function stem(token) {
+    if (/[\u0600-\u06FF]/.test(token)) {
+        let result = token;
+        const prefix = ARABIC_PREFIXES.find(p => result.startsWith(p) && result.length - p.length >= 3);
+        if (prefix) result = result.slice(prefix.length);
+        const suffix = ARABIC_SUFFIXES.find(s => result.endsWith(s) && result.length - s.length >= 3);
+        if (suffix) result = result.slice(0, -suffix.length);
+        return result;
+    }
+
+    const suffix = ENGLISH_SUFFIXES.find(s => token.endsWith(s) && token.length - s.length >= 3);
+    if (!suffix) return token;
+    return suffix === 'ies' || suffix === 'ied'
+        ? token.slice(0, -suffix.length) + 'y'
+        : token.slice(0, -suffix.length);
+}
+
+function tokenize(text) {
+    return (normalizeForEmbedding(text).match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => token.length >= 2 && !STOP_WORDS.has(token))
+        .map(stem);
+}
+
+// Lexicon terms go through the same pipeline as request text, and multi-word
+// terms are keyed by their joined stems so phrases can be matched too
+const CONCEPT_INDEX = new Map();
+let MAX_PHRASE_LENGTH = 1;
+Object.entries(CONCEPT_GROUPS).forEach(([concept, terms]) => {
+    terms.forEach(term => {
+        const stems = tokenize(term);
+        if (!stems.length) return;
+        CONCEPT_INDEX.set(stems.join(' '), concept);
+        MAX_PHRASE_LENGTH = Math.max(MAX_PHRASE_LENGTH, stems.length);
+    });
+});
+
+function findConcepts(stems) {
+    const concepts = [];
+    for (let i = 0; i < stems.length; i++) {
+        for (let length = MAX_PHRASE_LENGTH; length >= 1; length--) {
+            if (i + length > stems.length) continue;
+            const concept = CONCEPT_INDEX.get(stems.slice(i, i + length).join(' '));
+            if (concept) {
+                concepts.push(concept);
+                break;
+            }
+        }
+    }
+    return concepts;
+}
+
+// 32-bit FNV-1a, used to hash features into vector slots
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function normalizeVector(vector) {
+    const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (!magnitude) return vector;
+    const factor = 10 ** EMBEDDING_CONFIG.PRECISION;
+    return vector.map(value => Math.round((value / magnitude) * factor) / factor);
+}
+
+/**
+ * Offline default: feature hashing over bilingual concepts, word stems and
+ * character trigrams. Deterministic and dependency free.
+ */
+function createHashingProvider({ dimensions = EMBEDDING_CONFIG.DIMENSIONS } = {}) {
+    const embedOne = (text) => {
+        const vector = new Array(dimensions).fill(0);
+        const features = new Map();
+        const add = (feature, weight) => {
+            const entry = features.get(feature) || { weight: 0, count: 0 };
+            entry.weight += weight;
+            entry.count += 1;
+            features.set(feature, entry);
+        };
+
+        const stems = tokenize(text);
+        findConcepts(stems).forEach(concept => add(`c:${concept}`, FEATURE_WEIGHTS.concept));
+        stems.forEach(word => {
+            add(`w:${word}`, FEATURE_WEIGHTS.word);
+            const padded = `#${word}#`;
+            const ngrams = Math.max(padded.length - 2, 1);
+            for (let i = 0; i < ngrams; i++) {
+                // Spread the n-gram weight so long words don't dominate
+                add(`g:${padded.slice(i, i + 3)}`, FEATURE_WEIGHTS.ngram / Math.sqrt(ngrams));
+            }
+        });
+
+        // Sublinear term frequency, and signed hashing so collisions cancel out on average
+        for (const [feature, { weight, count }] of features) {
+            const hash = fnv1a(feature);
+            const sign = hash & 0x80000000 ? -1 : 1;
+            vector[hash % dimensions] += sign * (weight / count) * (1 + Math.log(count));
+        }
+
+        return normalizeVector(vector);
+    };
+
+    return {
+        name: 'hashing',
+        model: `hashing-v1-${dimensions}`,
+        dimensions,
+        embed: async (texts) => texts.map(embedOne)
+    };
+}
+
+/**
+ * Local sentence-embedding model through @xenova/transformers. The package
+ * is optional; models are read from EMBEDDING_MODEL_PATH and never downloaded.
+ */
+function createTransformersProvider({ model = EMBEDDING_CONFIG.MODEL } = {}) {
+    let extractorPromise = null;
+
+    const getExtractor = () => {
+        if (!extractorPromise) {
+            extractorPromise = import('@xenova/transformers')
+                .then(({ pipeline, env }) => {
+                    env.allowRemoteModels = false;
+                    if (EMBEDDING_CONFIG.MODEL_PATH) {
+                        env.localModelPath = EMBEDDING_CONFIG.MODEL_PATH;
+                    }
+                    return pipeline('feature-extraction', model);
+                })
+                .catch(error => {
+                    extractorPromise = null;
+                    throw new AppError(
+                        `Embedding model ${model} is not available locally: ${error.message}`,
+                        500,
+                        'EMBEDDING_PROVIDER_UNAVAILABLE'
+                    );
+                });
+        }
+        return extractorPromise;
+    };
+
+    return {
+        name: 'transformers',
+        model,
+        dimensions: null,
+        embed: async (texts) => {
+            const extractor = await getExtractor();
+            const output = await extractor(texts, { pooling: 'mean', normalize: true });
+            return output.tolist().map(normalizeVector);
+        }
+    };
+}
+
+const providerFactories = new Map([
+    ['hashing', createHashingProvider],
+    ['transformers', createTransformersProvider]
+]);
+
+let activeProvider = null;
+
+/**
+ * Makes another embedding backend selectable through EMBEDDING_PROVIDER.
+ * A factory returns { name, model, dimensions, embed(texts) => Promise<number[][]> }.
+ */
+export function registerEmbeddingProvider(name, factory) {
+    providerFactories.set(name, factory);
+    if (activeProvider?.name === name) {
+        activeProvider = null;
+    }
+}
+
+export function getEmbeddingProvider() {
+    if (!activeProvider) {
+        const factory = providerFactories.get(EMBEDDING_CONFIG.PROVIDER);
+        if (!factory) {
+            throw new AppError(
+                `Unknown embedding provider "${EMBEDDING_CONFIG.PROVIDER}"`,
+                500,
+                'EMBEDDING_PROVIDER_UNKNOWN'
+            );
+        }
+        activeProvider = factory();
+    }
+    return activeProvider;
+}
+
+/**
+ * The text a request is embedded from
+ */
+export function getEmbeddingText({ title = '', description = '' }) {
+    return `${title}\n${description}`.trim();
+}
+
+const hashText = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+/**
+ * Whether a stored embedding was produced by the active provider from the
+ * request's current text
+ */
+export function isEmbeddingCurrent(embedding, request) {
+    const provider = getEmbeddingProvider();
+    return Boolean(
+        embedding?.vector?.length &&
+        embedding.provider === provider.name &&
+        embedding.model === provider.model &&
+        embedding.textHash === hashText(getEmbeddingText(request))
+    );
+}
+
+async function embedRequests(requests) {
+    const provider = getEmbeddingProvider();
+    const texts = requests.map(getEmbeddingText);
+    const vectors = await provider.embed(texts);
+
+    return vectors.map((vector, index) => ({
+        provider: provider.name,
+        model: provider.model,
+        dimensions: vector.length,
+        vector,
+        textHash: hashText(texts[index]),
+        updatedAt: new Date()
+    }));
+}
+
+/**
+ * Embedding subdocument for a request's title and description
+ */
+export async function buildRequestEmbedding(request) {
+    const [embedding] = await embedRequests([request]);
+    return embedding;
+}
+
+/**
+ * Vectors for a set of stored requests keyed by id. Missing or outdated
+ * embeddings are computed and written back so the next lookup is free.
+ */
+export async function resolveRequestEmbeddings(requests) {
+    const vectors = new Map();
+    const stale = [];
+
+    requests.forEach(request => {
+        if (isEmbeddingCurrent(request.embedding, request)) {
+            vectors.set(String(request._id), request.embedding.vector);
+        } else {
+            stale.push(request);
+        }
+    });
+
+    if (stale.length) {
+        const embeddings = await embedRequests(stale);
+        stale.forEach((request, index) => vectors.set(String(request._id), embeddings[index].vector));
+
+        // Derived data only, so this deliberately doesn't bump metadata.version
+        Request.bulkWrite(stale.map((request, index) => ({
+            updateOne: {
+                filter: { _id: request._id },
+                update: { $set: { embedding: embeddings[index] } }
+            }
+        })), { ordered: false }).catch(error => {
+            logger.error('Failed to store refreshed embeddings', {
+                count: stale.length,
+                error: error.message
+            });
+        });
+    }
+
+    return vectors;
+}
+
+/**
+ * Cosine similarity of two embedding vectors, clamped to [0, 1]
+ */
+export function cosineSimilarity(vector1, vector2) {
+    if (!vector1?.length || !vector2?.length || vector1.length !== vector2.length) return 0;
+
+    let dotProduct = 0;
+    let magnitude1 = 0;
+    let magnitude2 = 0;
+    for (let i = 0; i < vector1.length; i++) {
+        dotProduct += vector1[i] * vector2[i];
+        magnitude1 += vector1[i] * vector1[i];
+        magnitude2 += vector2[i] * vector2[i];
+    }
+
+    if (!magnitude1 || !magnitude2) return 0;
+    return Math.max(0, Math.min(1, dotProduct / Math.sqrt(magnitude1 * magnitude2)));
+}
+
+export const embeddings = {
+    config: EMBEDDING_CONFIG,
+    tokenize,
+    findConcepts
+};
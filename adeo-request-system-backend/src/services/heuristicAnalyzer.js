@@ -0,0 +1,194 @@
+// abdo-request-system-backend/src/services/heuristicAnalyzer.js
+
+import { heuristicRules } from '../config/heuristicRules.js';
+import { extractImpactDetails, splitSentences } from './analysisContract.js';
+import { utils as similarityUtils } from '../utils/similarity.js';
+
+// Deterministic stand-in for the language model, used when no model is
+// reachable (see processRequest). It only reports what it can find in the
+// request: key phrases, risk indicators and whether budget, timeline and
+// stakeholders are described. Everything else is left to a reviewer.
+
+const COMPLETENESS_ITEMS = Object.freeze(['budget', 'timeline', 'stakeholders']);
+
+const TEXT = Object.freeze({
+    en: {
+        items: { budget: 'budget', timeline: 'timeline', stakeholders: 'stakeholders' },
+        summary: ({ type, department, priority, topics, riskLevel, missing }) =>
+            `Rule-based assessment of a ${priority ? `${priority}-priority ` : ''}${type ? `${type} ` : ''}request from ${department || 'an unknown department'}` +
+            `${topics.length ? ` about ${topics.join(', ')}` : ''}. Estimated risk: ${riskLevel}. ` +
+            (missing.length ? `The request does not describe its ${missing.join(', ')}.` : 'Budget, timeline and stakeholders are described.'),
+        keyPhrase: (phrase, count) => `Key phrase: "${phrase}"${count > 1 ? ` (mentioned ${count} times)` : ''}`,
+        impactAssessment: (found) => found
+            ? 'Impact statements found in the request are listed per area; they have not been rated.'
+            : 'The request does not describe its economic, social or environmental impact.',
+        policyAlignment: 'Not assessed: policy alignment needs a language model or a reviewer.',
+        strategicReview: 'Have a reviewer confirm this rule-based assessment before deciding on the request',
+        strategicMissing: (item) => `Complete the request's ${item} before it is decided`,
+        strategicRisk: 'Assess the risks the request points to before committing resources',
+        operationalMissing: {
+            budget: 'Ask the requester for a cost estimate and its funding source',
+            timeline: 'Ask the requester for a timeline with milestones',
+            stakeholders: 'Identify the stakeholders affected by the request and who must be consulted'
+        },
+        operationalIndicator: (indicator) => `Review what the request says about "${indicator}"`,
+        notSpecified: (item) => `No ${item} information in the request.`,
+        riskIndicator: (indicator, level) => `Mentions "${indicator}" (${level} risk indicator)`,
+        riskMissing: (item) => `Missing ${item} information makes the request hard to evaluate`,
+        rationaleOffline: 'Generated by the rule-based analyzer because no language model was reachable',
+        rationaleRisk: (riskLevel, count) => `Estimated risk ${riskLevel} from ${count} risk indicator${count === 1 ? '' : 's'} and missing information`,
+        rationaleMissing: (missing) => `Missing information: ${missing.join(', ')}`
+    },
+    ar: {
+        items: { budget: 'الميزانية', timeline: 'الجدول الزمني', stakeholders: 'أصحاب المصلحة' },
+        summary: ({ type, department, priority, topics, riskLevel, missing }) =>
+            `تقييم قائم على القواعد لطلب ${type ? `${type} ` : ''}من ${department || 'جهة غير محددة'}${priority ? ` بأولوية ${priority}` : ''}` +
+            `${topics.length ? ` حول ${topics.join('، ')}` : ''}. المخاطر المقدّرة: ${riskLevel}. ` +
+            (missing.length ? `لا يوضح الطلب ${missing.join('، ')}.` : 'يوضح الطلب الميزانية والجدول الزمني وأصحاب المصلحة.'),
+        keyPhrase: (phrase, count) => `عبارة رئيسية: "${phrase}"${count > 1 ? ` (ذُكرت ${count} مرات)` : ''}`,
+        impactAssessment: (found) => found
+            ? 'عبارات الأثر الواردة في الطلب مدرجة حسب المجال دون تقييمها.'
+            : 'لا يوضح الطلب أثره الاقتصادي أو الاجتماعي أو البيئي.',
+        policyAlignment: 'لم يُقيّم: يتطلب التوافق مع السياسات نموذجاً لغوياً أو مراجعاً.',
+        strategicReview: 'يجب أن يؤكد مراجع هذا التقييم القائم على القواعد قبل البت في الطلب',
+        strategicMissing: (item) => `استكمال ${item} في الطلب قبل البت فيه`,
+        strategicRisk: 'تقييم المخاطر التي يشير إليها الطلب قبل تخصيص الموارد',
+        operationalMissing: {
+            budget: 'طلب تقدير للتكلفة ومصدر التمويل من مقدم الطلب',
+            timeline: 'طلب جدول زمني بمراحل واضحة من مقدم الطلب',
+            stakeholders: 'تحديد أصحاب المصلحة المتأثرين بالطلب ومن يجب استشارتهم'
+        },
+        operationalIndicator: (indicator) => `مراجعة ما يذكره الطلب بشأن "${indicator}"`,
+        notSpecified: (item) => `لا يتضمن الطلب معلومات عن ${item}.`,
+        riskIndicator: (indicator, level) => `يذكر "${indicator}" (مؤشر مخاطر ${level})`,
+        riskMissing: (item) => `غياب معلومات ${item} يصعّب تقييم الطلب`,
+        rationaleOffline: 'أُعد بواسطة المحلل القائم على القواعد لتعذر الوصول إلى النموذج اللغوي',
+        rationaleRisk: (riskLevel, count) => `المخاطر المقدّرة ${riskLevel} بناءً على ${count} من مؤشرات المخاطر والمعلومات الناقصة`,
+        rationaleMissing: (missing) => `معلومات ناقصة: ${missing.join('، ')}`
+    }
+});
+
+const matchesAny = (text, phrases) => phrases.find(phrase => text.includes(phrase.toLowerCase()));
+
+/**
+ * Risk indicators found in the text and the level they add up to. Every
+ * missing piece of information counts as a medium indicator.
+ */
+export function scoreRisk(text, missingCount = 0) {
+    const lowerText = text.toLowerCase();
+    const { riskIndicators, riskWeights, riskThresholds } = heuristicRules;
+
+    const indicators = Object.entries(riskIndicators).flatMap(([level, phrases]) =>
+        phrases
+            .filter(phrase => lowerText.includes(phrase.toLowerCase()))
+            .map(phrase => ({ phrase, level }))
+    );
+    const score = indicators.reduce((sum, { level }) => sum + riskWeights[level], 0)
+        + missingCount * riskWeights.MEDIUM;
+
+    const level = score >= riskThresholds.HIGH ? 'HIGH'
+        : score >= riskThresholds.MEDIUM ? 'MEDIUM'
+        : 'LOW';
+
+    return { level, score, indicators };
+}
+
+/**
+ * The most frequent keywords of the text, using the similarity module's
+ * keyword extraction (and corpus statistics, so boilerplate is skipped)
+ */
+export async function extractKeyPhrases(text, department, limit = heuristicRules.maxKeyPhrases) {
+    const words = similarityUtils.normalizeText(text).split(/\s+/).filter(Boolean);
+    const idfTable = await similarityUtils.loadIdfTable(department, new Set(words));
+    const keywords = similarityUtils.extractKeywords(words.join(' '), idfTable);
+
+    const counts = new Map();
+    for (const word of words) {
+        if (keywords.has(word)) counts.set(word, (counts.get(word) || 0) + 1);
+    }
+
+    // Map keeps first-occurrence order, which breaks ties
+    return [...counts.entries()]
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, limit)
+        .map(([phrase, count]) => ({ phrase, count }));
+}
+
+/**
+ * Sentences of the text that describe each completeness item, and the items
+ * it doesn't describe at all
+ */
+export function checkCompleteness(text) {
+    const found = {};
+    for (const item of COMPLETENESS_ITEMS) {
+        found[item] = splitSentences(text).filter(sentence =>
+            matchesAny(sentence.toLowerCase(), heuristicRules.completeness[item])
+        );
+    }
+
+    return {
+        found,
+        missing: COMPLETENESS_ITEMS.filter(item => !found[item].length)
+    };
+}
+
+/**
+ * Analysis and recommendations for the request, in the shape the model
+ * produces, written in `language` ('en' or 'ar'). The decision is always
+ * NEEDS_REVIEW: rules can point out gaps but not weigh a request.
+ */
+export async function analyzeHeuristically(request, { language = 'en' } = {}) {
+    const text = TEXT[language] || TEXT.en;
+    const requestText = [request.title, request.content, request.documentExcerpt].filter(Boolean).join('\n');
+
+    const keyPhrases = await extractKeyPhrases(requestText, request.department);
+    const { found, missing } = checkCompleteness(requestText);
+    const risk = scoreRisk(requestText, missing.length);
+    const missingLabels = missing.map(item => text.items[item]);
+    const impact = extractImpactDetails(requestText);
+    const impactFound = Object.values(impact).some(({ details }) => details.length);
+
+    const analysis = {
+        summary: text.summary({
+            type: request.type,
+            department: request.department,
+            priority: request.priority,
+            topics: keyPhrases.slice(0, 3).map(({ phrase }) => phrase),
+            riskLevel: risk.level,
+            missing: missingLabels
+        }),
+        trends: keyPhrases.map(({ phrase, count }) => text.keyPhrase(phrase, count)),
+        impactAssessment: text.impactAssessment(impactFound),
+        policyAlignment: text.policyAlignment,
+        riskLevel: risk.level,
+        impact
+    };
+
+    const recommendations = {
+        strategic: [
+            text.strategicReview,
+            ...missingLabels.map(label => text.strategicMissing(label)),
+            ...(risk.indicators.length ? [text.strategicRisk] : [])
+        ],
+        operational: [
+            ...missing.map(item => text.operationalMissing[item]),
+            ...risk.indicators.map(({ phrase }) => text.operationalIndicator(phrase))
+        ],
+        timeline: found.timeline.join(' ') || text.notSpecified(text.items.timeline),
+        risks: [
+            ...risk.indicators.map(({ phrase, level }) => text.riskIndicator(phrase, level)),
+            ...missingLabels.map(label => text.riskMissing(label))
+        ],
+        budgetImplications: found.budget.join(' ') || text.notSpecified(text.items.budget),
+        decision: {
+            recommendation: 'NEEDS_REVIEW',
+            rationale: [
+                text.rationaleOffline,
+                text.rationaleRisk(risk.level, risk.indicators.length),
+                ...(missing.length ? [text.rationaleMissing(missingLabels)] : [])
+            ]
+        }
+    };
+
+    return { analysis, recommendations };
+}
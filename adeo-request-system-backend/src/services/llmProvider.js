@@ -0,0 +1,334 @@
+// abdo-request-system-backend/src/services/llmProvider.js
+
+import fs from 'fs';
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import dotenv from 'dotenv';
+import winston from 'winston';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Load environment variables
+dotenv.config();
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'llm-provider' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/processor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/processor.log' })
+    ]
+});
+
+if (process.env.NODE_ENV !== 'production') {
+    logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+    }));
+}
+
+// Constants
+const LLM_CONFIG = Object.freeze({
+    // openai | openai-compatible | fixture
+    PROVIDER: process.env.LLM_PROVIDER || 'openai',
+    MODEL: process.env.LLM_MODEL,
+    FALLBACK_MODEL: process.env.LLM_FALLBACK_MODEL,
+    // OpenAI-compatible servers: Ollama, llama.cpp server, vLLM, ...
+    BASE_URL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    API_KEY: process.env.LLM_API_KEY,
+    TIMEOUT: parseInt(process.env.LLM_TIMEOUT_MS) || 30000,
+    MAX_RETRIES: 3,
+    // Fixture provider: JSON file of { "<task>": "<response>" }, merged over the built-in responses
+    FIXTURE_FILE: process.env.LLM_FIXTURE_FILE
+});
+
+const OPENAI_MODELS = Object.freeze({
+    DEFAULT: 'gpt-3.5-turbo',
+    FALLBACK: 'gpt-3.5-turbo-instruct'
+});
+
+/**
+ * Chat completion through any OpenAI-style API. Instruct models only exist
+ * on the legacy completions endpoint, so they are sent there instead.
+ */
+function createOpenAIClientProvider({ name, client, model, fallbackModel }) {
+    return {
+        name,
+        model,
+        fallbackModel,
+        chat: async ({ system, prompt, model: requestedModel = model, temperature = 0.7, maxTokens, presencePenalty, frequencyPenalty, responseFormat, onToken }) => {
+            if (/instruct/.test(requestedModel)) {
+                const response = await client.completions.create({
+                    model: requestedModel,
+                    prompt: system ? `${system}\n\n${prompt}` : prompt,
+                    max_tokens: maxTokens,
+                    temperature,
+                    ...(onToken && { stream: true })
+                });
+                if (!onToken) {
+                    return { text: response.choices[0].text, model: requestedModel };
+                }
+                return { text: await collectStream(response, chunk => chunk.choices[0]?.text, onToken), model: requestedModel };
+            }
+
+            const response = await client.chat.completions.create({
+                model: requestedModel,
+                messages: [
+                    ...(system ? [{ role: 'system', content: system }] : []),
+                    { role: 'user', content: prompt }
+                ],
+                temperature,
+                max_tokens: maxTokens,
+                ...(presencePenalty !== undefined && { presence_penalty: presencePenalty }),
+                ...(frequencyPenalty !== undefined && { frequency_penalty: frequencyPenalty }),
+                ...(responseFormat === 'json' && { response_format: { type: 'json_object' } }),
+                ...(onToken && { stream: true })
+            });
+            if (!onToken) {
+                return { text: response.choices[0].message.content, model: response.model || requestedModel };
+            }
+            return { text: await collectStream(response, chunk => chunk.choices[0]?.delta?.content, onToken), model: requestedModel };
+        }
+    };
+}
+
+// Forwards each piece of a streamed reply to onToken and resolves to the full text
+async function collectStream(stream, getDelta, onToken) {
+    let text = '';
+    for await (const chunk of stream) {
+        const delta = getDelta(chunk);
+        if (delta) {
+            text += delta;
+            onToken(delta);
+        }
+    }
+    return text;
+}
+
+function createOpenAIProvider() {
+    if (!process.env.OPENAI_API_KEY) {
+        throw new AppError('OPENAI_API_KEY is required for the openai LLM provider', 500, 'LLM_PROVIDER_MISCONFIGURED');
+    }
+
+    return createOpenAIClientProvider({
+        name: 'openai',
+        client: new OpenAI({
+            apiKey: process.env.OPENAI_API_KEY,
+            timeout: LLM_CONFIG.TIMEOUT,
+            maxRetries: LLM_CONFIG.MAX_RETRIES
+        }),
+        model: LLM_CONFIG.MODEL || OPENAI_MODELS.DEFAULT,
+        fallbackModel: LLM_CONFIG.FALLBACK_MODEL || OPENAI_MODELS.FALLBACK
+    });
+}
+
+/**
+ * Self-hosted model behind an OpenAI-compatible endpoint, for air-gapped deployments
+ */
+function createOpenAICompatibleProvider() {
+    if (!LLM_CONFIG.MODEL) {
+        throw new AppError('LLM_MODEL is required for the openai-compatible LLM provider', 500, 'LLM_PROVIDER_MISCONFIGURED');
+    }
+
+    return createOpenAIClientProvider({
+        name: 'openai-compatible',
+        client: new OpenAI({
+            baseURL: LLM_CONFIG.BASE_URL,
+            // Local servers usually ignore the key, but the client insists on one
+            apiKey: LLM_CONFIG.API_KEY || 'not-needed',
+            timeout: LLM_CONFIG.TIMEOUT,
+            maxRetries: LLM_CONFIG.MAX_RETRIES
+        }),
+        model: LLM_CONFIG.MODEL,
+        fallbackModel: LLM_CONFIG.FALLBACK_MODEL
+    });
+}
+
+// Canned responses per task, written in the format the prompts ask for
+const DEFAULT_FIXTURES = Object.freeze({
+    analysis: JSON.stringify({
+        summary: 'The request proposes a well-scoped initiative with clear operational benefits for the department.',
+        trends: [
+            'Growing demand for digital government services',
+            'Pressure to consolidate legacy systems',
+            'Emphasis on measurable service outcomes'
+        ],
+        impactAssessment: 'Moderate positive social and economic impact with negligible environmental effect.',
+        policyAlignment: 'Aligned with current digital transformation policies; no regulatory gaps identified.',
+        riskLevel: 'MEDIUM',
+        impact: {
+            economic: {
+                rating: 'MODERATE_POSITIVE',
+                details: ['Lower processing costs once manual steps are removed']
+            },
+            social: {
+                rating: 'MODERATE_POSITIVE',
+                details: ['Faster service for residents', 'Fewer manual steps for staff']
+            },
+            environmental: {
+                rating: 'NEUTRAL',
+                details: ['Negligible environmental effect']
+            }
+        }
+    }),
+    recommendations: JSON.stringify({
+        strategic: [
+            'Approve the initiative as part of the annual plan',
+            'Align delivery with the digital transformation roadmap',
+            'Reuse shared government platforms where possible'
+        ],
+        operational: [
+            'Appoint a project owner within the department',
+            'Define milestones and reporting cadence',
+            'Run a pilot with one team before full rollout'
+        ],
+        timeline: 'Six months from approval, delivered in two phases.',
+        risks: [
+            'Vendor delays, mitigated with penalty clauses',
+            'Limited staff availability during rollout, mitigated by phased delivery'
+        ],
+        budgetImplications: 'Within the department\'s existing allocation.',
+        decision: {
+            recommendation: 'APPROVED',
+            rationale: [
+                'Clear operational benefits at moderate risk',
+                'Fits within the existing budget'
+            ]
+        }
+    }),
+    draftAssist: JSON.stringify({
+        suggestedTitle: 'Digitize the department\'s permit applications',
+        missingElements: [
+            { section: 'Budget', suggestion: 'The estimated cost is [amount] AED, funded from [budget line].' },
+            { section: 'Timeline', suggestion: 'Delivery starts in [month] and completes within [duration].' }
+        ],
+        ambiguities: [],
+        rewrittenDescription: 'Background: Permit applications are processed on paper.\n\nObjective: Move permit applications online.'
+    }),
+    default: 'This is a deterministic fixture response.'
+});
+
+const FIXTURE_CHUNK_SIZE = 16;
+
+/**
+ * Deterministic provider for tests and demos: never calls out, and answers
+ * each task with the same canned text every time
+ */
+function createFixtureProvider() {
+    const fixtures = { ...DEFAULT_FIXTURES };
+    if (LLM_CONFIG.FIXTURE_FILE) {
+        Object.assign(fixtures, JSON.parse(fs.readFileSync(LLM_CONFIG.FIXTURE_FILE, 'utf8')));
+    }
+
+    const model = LLM_CONFIG.FIXTURE_FILE
+        ? `fixture-${crypto.createHash('sha1').update(JSON.stringify(fixtures)).digest('hex').slice(0, 8)}`
+        : 'fixture-default';
+
+    return {
+        name: 'fixture',
+        model,
+        fallbackModel: null,
+        chat: async ({ task = 'default', onToken }) => {
+            const text = fixtures[task] ?? fixtures.default;
+            if (onToken) {
+                // Streamed in small pieces, like a real model would
+                for (let i = 0; i < text.length; i += FIXTURE_CHUNK_SIZE) {
+                    onToken(text.slice(i, i + FIXTURE_CHUNK_SIZE));
+                    await new Promise(resolve => setImmediate(resolve));
+                }
+            }
+            return { text, model };
+        }
+    };
+}
+
+const providerFactories = new Map([
+    ['openai', createOpenAIProvider],
+    ['openai-compatible', createOpenAICompatibleProvider],
+    ['fixture', createFixtureProvider]
+]);
+
+let activeProvider = null;
+
+/**
+ * Makes another LLM backend selectable through LLM_PROVIDER. A factory returns
+ * { name, model, fallbackModel, chat({ task, system, prompt, model, temperature, maxTokens, responseFormat, onToken }) => Promise<{ text, model }> }.
+ * responseFormat 'json' asks for a JSON object reply where the backend supports it.
+ * onToken(text), when given, should receive the reply piece by piece as it is
+ * generated; backends that can't stream may ignore it.
+ */
+export function registerLlmProvider(name, factory) {
+    providerFactories.set(name, factory);
+    if (activeProvider?.name === name) {
+        activeProvider = null;
+    }
+}
+
+export function getLlmProvider() {
+    if (!activeProvider) {
+        const factory = providerFactories.get(LLM_CONFIG.PROVIDER);
+        if (!factory) {
+            throw new AppError(`Unknown LLM provider "${LLM_CONFIG.PROVIDER}"`, 500, 'LLM_PROVIDER_UNKNOWN');
+        }
+        activeProvider = factory();
+        logger.info('LLM provider initialized', {
+            provider: activeProvider.name,
+            model: activeProvider.model,
+            fallbackModel: activeProvider.fallbackModel
+        });
+    }
+    return activeProvider;
+}
+
+/**
+ * Label stored in metadata.aiModelUsed, e.g. "openai:gpt-3.5-turbo"
+ */
+export function describeModel(providerName, model) {
+    return `${providerName}:${model}`;
+}
+
+/**
+ * Runs a chat completion on the configured provider, retrying once on its
+ * fallback model when it has one. Resolves to { text, provider, model }.
+ * With onToken the reply is streamed; if the fallback model has to take over
+ * after part of a reply was streamed, onRestart() is called first so the
+ * caller can discard it.
+ */
+export async function completeChat(request) {
+    const provider = getLlmProvider();
+    let streamed = false;
+    const trackedRequest = request.onToken
+        ? { ...request, onToken: (text) => { streamed = true; request.onToken(text); } }
+        : request;
+
+    try {
+        const { text, model } = await provider.chat(trackedRequest);
+        return { text, provider: provider.name, model };
+    } catch (error) {
+        if (!provider.fallbackModel || provider.fallbackModel === (request.model || provider.model)) {
+            throw error;
+        }
+
+        logger.warn('Primary model failed, using fallback model', {
+            provider: provider.name,
+            task: request.task,
+            model: request.model || provider.model,
+            fallbackModel: provider.fallbackModel,
+            error: error.message
+        });
+
+        if (streamed) {
+            request.onRestart?.();
+        }
+        const { text, model } = await provider.chat({ ...request, model: provider.fallbackModel });
+        return { text, provider: provider.name, model };
+    }
+}
+
+export const llm = {
+    config: LLM_CONFIG,
+    fixtures: DEFAULT_FIXTURES
+};
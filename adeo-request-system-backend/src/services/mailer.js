@@ -0,0 +1,64 @@
+// abdo-request-system-backend/src/services/mailer.js
+
+import nodemailer from 'nodemailer';
+import winston from 'winston';
+import { NOTIFICATION_CONFIG } from '../config/notifications.js';
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'mailer' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/processor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/processor.log' })
+    ]
+});
+
+if (process.env.NODE_ENV !== 'production') {
+    logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+    }));
+}
+
+const { SMTP } = NOTIFICATION_CONFIG;
+
+let transporter = null;
+
+const getTransporter = () => {
+    transporter ??= nodemailer.createTransport({
+        host: SMTP.host,
+        port: SMTP.port,
+        secure: SMTP.secure,
+        auth: SMTP.user ? { user: SMTP.user, pass: SMTP.pass } : undefined
+    });
+    return transporter;
+};
+
+/**
+ * Whether an SMTP server is configured
+ */
+export const isEmailEnabled = () => !!SMTP.host;
+
+/**
+ * Sends one email ({ to, subject, text, html }). Throws if email is not
+ * configured or the SMTP server refuses it.
+ */
+export async function sendEmail({ to, subject, text, html }) {
+    if (!isEmailEnabled()) {
+        throw new Error('Email is not configured (SMTP_HOST is not set)');
+    }
+
+    const info = await getTransporter().sendMail({
+        from: NOTIFICATION_CONFIG.MAIL_FROM,
+        to,
+        subject,
+        text,
+        html
+    });
+    logger.info('Email sent', { to, subject, messageId: info.messageId });
+    return info;
+}
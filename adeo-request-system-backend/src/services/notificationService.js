@@ -0,0 +1,463 @@
+// abdo-request-system-backend/src/services/notificationService.js
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import winston from 'winston';
+import { AppError } from '../middleware/errorHandler.js';
+import { EMAIL_DELIVERY, NOTIFICATION_CONFIG, NOTIFICATION_EVENTS } from '../config/notifications.js';
+import { Notification } from '../models/notification.js';
+import { Request } from '../models/request.js';
+import { User } from '../models/user.js';
+import { can } from './accessPolicy.js';
+import { commentEvents } from './commentService.js';
+import { isEmailEnabled, sendEmail } from './mailer.js';
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'notifications' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/processor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/processor.log' })
+    ]
+});
+
+if (process.env.NODE_ENV !== 'production') {
+    logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+    }));
+}
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// The policy compares ids as strings
+const asPolicyUser = (user) => ({
+    id: user._id.toString(),
+    role: user.role,
+    department: user.department ?? null
+});
+
+const escapeHtml = (text = '') => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const requestLink = (request) => `/requests/${request._id}`;
+
+/**
+ * A user's preference for every event, defaults filled in
+ */
+export function resolvePreferences(user) {
+    const chosen = new Map((user.notificationPreferences || []).map(preference => [preference.event, preference]));
+
+    return Object.entries(NOTIFICATION_EVENTS).map(([event, { label, description, defaults }]) => ({
+        event,
+        label,
+        description,
+        inApp: chosen.get(event)?.inApp ?? defaults.inApp,
+        email: chosen.get(event)?.email ?? defaults.email
+    }));
+}
+
+export async function getPreferences(userId) {
+    const user = await User.findById(userId).select('notificationPreferences').lean();
+    if (!user) throw new AppError('User not found', 404, 'NOT_FOUND');
+
+    return { events: resolvePreferences(user), emailEnabled: isEmailEnabled() };
+}
+
+/**
+ * Replaces the preferences of the events given: [{ event, inApp, email }]
+ */
+export async function updatePreferences(userId, preferences) {
+    if (!Array.isArray(preferences)) {
+        throw new AppError('preferences must be a list', 400, 'INVALID_PREFERENCES');
+    }
+
+    const errors = [];
+    preferences.forEach(({ event, inApp, email }) => {
+        if (!NOTIFICATION_EVENTS[event]) errors.push(`Unknown event "${event}"`);
+        if (typeof inApp !== 'boolean') errors.push(`${event}: inApp must be true or false`);
+        if (!EMAIL_DELIVERY.includes(email)) errors.push(`${event}: email must be one of ${EMAIL_DELIVERY.join(', ')}`);
+    });
+    if (errors.length) {
+        const error = new AppError(errors.join('; '), 400, 'INVALID_PREFERENCES');
+        error.errors = errors;
+        throw error;
+    }
+
+    const user = await User.findById(userId).select('notificationPreferences');
+    if (!user) throw new AppError('User not found', 404, 'NOT_FOUND');
+
+    const updated = new Map(preferences.map(({ event, inApp, email }) => [event, { event, inApp, email }]));
+    user.notificationPreferences = [
+        ...user.notificationPreferences.filter(preference => !updated.has(preference.event)),
+        ...updated.values()
+    ];
+    await user.save();
+
+    return { events: resolvePreferences(user), emailEnabled: isEmailEnabled() };
+}
+
+const renderEmail = (notification) => {
+    const url = `${NOTIFICATION_CONFIG.APP_URL}${notification.link || ''}`;
+    return {
+        subject: notification.requestNumber
+            ? `[${notification.requestNumber}] ${notification.title}`
+            : notification.title,
+        text: [notification.title, notification.body, url].filter(Boolean).join('\n\n'),
+        html: `<p><strong>${escapeHtml(notification.title)}</strong></p>` +
+            (notification.body ? `<p>${escapeHtml(notification.body)}</p>` : '') +
+            `<p><a href="${escapeHtml(url)}">Open in the request system</a></p>`
+    };
+};
+
+async function sendImmediateEmail(notification, recipient) {
+    if (!isEmailEnabled()) {
+        await Notification.updateOne({ _id: notification._id }, { $set: { 'email.status': 'skipped' } });
+        return;
+    }
+
+    try {
+        await sendEmail({ to: recipient.email, ...renderEmail(notification) });
+        await Notification.updateOne(
+            { _id: notification._id },
+            { $set: { 'email.status': 'sent', 'email.sentAt': new Date() } }
+        );
+    } catch (error) {
+        logger.error('Notification email failed', {
+            notificationId: notification._id.toString(),
+            to: recipient.email,
+            error: error.message
+        });
+        await Notification.updateOne(
+            { _id: notification._id },
+            { $set: { 'email.status': 'failed', 'email.error': error.message } }
+        );
+    }
+}
+
+/**
+ * Notifies users about an event concerning a request, as their preferences
+ * say. Recipients who can no longer see the request, and whoever caused the
+ * event, are left out.
+ */
+export async function notify(event, { request, userIds = [], emails = [], actor, title, body }) {
+    if (!NOTIFICATION_EVENTS[event]) {
+        throw new Error(`Unknown notification event "${event}"`);
+    }
+    if (!userIds.length && !emails.length) return [];
+
+    const recipients = await User.find({
+        status: 'active',
+        $or: [
+            { _id: { $in: userIds.filter(id => mongoose.isValidObjectId(id)) } },
+            { email: { $in: emails.filter(Boolean).map(email => email.toLowerCase()) } }
+        ]
+    }).select('email name role department notificationPreferences').lean();
+
+    const created = [];
+    for (const recipient of recipients) {
+        if (actor && recipient.email === actor.toLowerCase()) continue;
+        if (request && !can(asPolicyUser(recipient), 'request:read', request)) continue;
+
+        const preference = resolvePreferences(recipient).find(option => option.event === event);
+        if (!preference.inApp && preference.email === 'off') continue;
+
+        const notification = await Notification.create({
+            user: recipient._id,
+            event,
+            request: request?._id,
+            requestNumber: request?.requestNumber,
+            title,
+            body,
+            link: request ? requestLink(request) : undefined,
+            actor,
+            inApp: preference.inApp,
+            email: {
+                delivery: preference.email,
+                status: { off: 'none', immediate: 'queued', digest: 'digest' }[preference.email]
+            }
+        });
+        created.push(notification);
+
+        if (preference.email === 'immediate') {
+            await sendImmediateEmail(notification, recipient);
+        }
+    }
+
+    if (created.length) {
+        logger.info('Notifications created', {
+            event,
+            requestNumber: request?.requestNumber,
+            count: created.length
+        });
+    }
+    return created;
+}
+
+// Notification hooks run after the change that triggered them has been
+// saved, so a failure here is logged rather than failing that change
+const runHook = (name, hook) => hook().catch(error => {
+    logger.error(`Failed to send ${name} notifications`, { error: error.message });
+});
+
+/**
+ * Tells the submitter their request moved to another status
+ */
+export function notifyStatusChanged(request, { from, to, actor, note }) {
+    return runHook('status change', () => notify('status_changed', {
+        request,
+        userIds: [request.createdBy?.user?.toString()].filter(Boolean),
+        actor,
+        title: `${request.title} is now ${to}`,
+        body: [`Moved from ${from} to ${to}${actor ? ` by ${actor}` : ''}.`, note].filter(Boolean).join('\n')
+    }));
+}
+
+/**
+ * Tells the submitter, and whoever queued it, that an analysis is ready.
+ * `actor` is left out, e.g. the reviewer who watched it stream in.
+ */
+export function notifyAnalysisCompleted(requestId, { requestedBy, actor } = {}) {
+    return runHook('analysis', async () => {
+        const request = await Request.findById(requestId).select('requestNumber title department createdBy').lean();
+        if (!request) return;
+
+        await notify('analysis_completed', {
+            request,
+            userIds: [request.createdBy?.user?.toString()].filter(Boolean),
+            emails: [requestedBy],
+            actor,
+            title: `Analysis of ${request.title} is ready`
+        });
+    });
+}
+
+const notifyMention = ({ comment, request, mentioned, actor }) => runHook('mention', () => notify('mention', {
+    request,
+    userIds: mentioned.map(user => user._id.toString()),
+    actor: actor.email,
+    title: `${actor.name || actor.email} mentioned you on ${request.title}`,
+    body: comment.body.length > 280 ? `${comment.body.slice(0, 277)}...` : comment.body
+}));
+
+// When the request entered its current status
+const enteredStatusAt = (request) =>
+    [...(request.statusHistory || [])].reverse().find(entry => entry.to === request.status)?.at || request.createdAt;
+
+/**
+ * Tells reviewers and department heads about requests that have stayed in
+ * a status longer than SLA_HOURS allows, once each time a request enters it
+ */
+export async function checkSlaBreaches(now = new Date()) {
+    let breached = 0;
+
+    for (const [status, hours] of Object.entries(NOTIFICATION_CONFIG.SLA_HOURS)) {
+        const cutoff = new Date(now.getTime() - hours * HOUR_MS);
+        // Requests created after the cutoff can't have been in the status long enough
+        const candidates = Request.find({ status, createdAt: { $lte: cutoff } })
+            .select('requestNumber title department createdBy status statusHistory createdAt metadata.slaBreach')
+            .lean()
+            .cursor();
+
+        for await (const request of candidates) {
+            const enteredAt = new Date(enteredStatusAt(request));
+            const alreadyNotified = request.metadata?.slaBreach?.enteredAt?.getTime() === enteredAt.getTime();
+            if (enteredAt > cutoff || alreadyNotified) continue;
+
+            // Only one process notifies about each breach
+            const claimed = await Request.updateOne(
+                { _id: request._id, status, 'metadata.slaBreach.enteredAt': { $ne: enteredAt } },
+                { $set: { 'metadata.slaBreach': { status, enteredAt, notifiedAt: now } } }
+            );
+            if (!claimed.modifiedCount) continue;
+
+            const staff = await User.find({
+                status: 'active',
+                role: { $in: ['reviewer', 'department_head'] },
+                department: request.department
+            }).select('_id').lean();
+
+            await notify('sla_breached', {
+                request,
+                userIds: staff.map(user => user._id.toString()),
+                title: `${request.title} is overdue`,
+                body: `It has been ${status} since ${enteredAt.toISOString().slice(0, 16).replace('T', ' ')} UTC, ` +
+                    `longer than the ${hours} hours allowed.`
+            });
+            breached++;
+        }
+    }
+
+    if (breached) logger.warn('Overdue requests found', { count: breached });
+    return breached;
+}
+
+/**
+ * Sends each user one email with their digest notifications from before
+ * today's digest hour. Does nothing earlier in the day, apart from putting
+ * back digests whose sending was interrupted.
+ */
+export async function sendDueDigests(now = new Date()) {
+    const interrupted = await Notification.updateMany(
+        {
+            'email.status': 'sending',
+            $or: [
+                { 'email.claimedAt': { $lt: new Date(now.getTime() - NOTIFICATION_CONFIG.DIGEST_LEASE_MS) } },
+                { 'email.claimedAt': { $exists: false } }
+            ]
+        },
+        { $set: { 'email.status': 'digest' }, $unset: { 'email.batch': '', 'email.claimedAt': '' } }
+    );
+    if (interrupted.modifiedCount) {
+        logger.warn('Interrupted digest emails requeued', { count: interrupted.modifiedCount });
+    }
+
+    const cutoff = new Date(now);
+    cutoff.setHours(NOTIFICATION_CONFIG.DIGEST_HOUR, 0, 0, 0);
+    if (now < cutoff) return 0;
+
+    const due = { 'email.status': 'digest', createdAt: { $lt: cutoff } };
+    if (!isEmailEnabled()) {
+        await Notification.updateMany(due, { $set: { 'email.status': 'skipped' } });
+        return 0;
+    }
+
+    // Claim the batch so another process doesn't send the same digest
+    const batch = crypto.randomUUID();
+    await Notification.updateMany(due, { $set: { 'email.status': 'sending', 'email.batch': batch, 'email.claimedAt': now } });
+    const notifications = await Notification.find({ 'email.batch': batch, 'email.status': 'sending' })
+        .sort({ createdAt: 1 })
+        .lean();
+
+    const byUser = new Map();
+    notifications.forEach(notification => {
+        const key = notification.user.toString();
+        byUser.set(key, [...(byUser.get(key) || []), notification]);
+    });
+
+    const users = await User.find({ _id: { $in: [...byUser.keys()] }, status: 'active' }).select('email').lean();
+    const emails = new Map(users.map(user => [user._id.toString(), user.email]));
+
+    let sent = 0;
+    for (const [userId, items] of byUser) {
+        const ids = items.map(item => item._id);
+        const to = emails.get(userId);
+        if (!to) {
+            await Notification.updateMany({ _id: { $in: ids } }, { $set: { 'email.status': 'skipped' } });
+            continue;
+        }
+
+        const rendered = items.map(renderEmail);
+        try {
+            await sendEmail({
+                to,
+                subject: `Your daily summary: ${items.length} notification${items.length === 1 ? '' : 's'}`,
+                text: rendered.map(email => email.text).join('\n\n---\n\n'),
+                html: rendered.map(email => email.html).join('<hr>')
+            });
+            await Notification.updateMany(
+                { _id: { $in: ids } },
+                { $set: { 'email.status': 'sent', 'email.sentAt': new Date() } }
+            );
+            sent++;
+        } catch (error) {
+            logger.error('Digest email failed', { to, count: items.length, error: error.message });
+            // Back in the queue for the next sweep
+            await Notification.updateMany(
+                { _id: { $in: ids } },
+                { $set: { 'email.status': 'digest', 'email.error': error.message }, $unset: { 'email.batch': '', 'email.claimedAt': '' } }
+            );
+        }
+    }
+
+    if (sent) logger.info('Digests sent', { count: sent });
+    return sent;
+}
+
+/**
+ * One page of the user's in-app notifications, newest first
+ */
+export async function listNotifications(userId, { page = 1, limit = DEFAULT_PAGE_SIZE, unread = false } = {}) {
+    if (!Number.isInteger(page) || page < 1) {
+        throw new AppError('page must be a positive integer', 400, 'INVALID_QUERY');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new AppError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`, 400, 'INVALID_QUERY');
+    }
+
+    const filter = { user: userId, inApp: true, ...(unread ? { readAt: null } : {}) };
+    const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(filter)
+            .select('-email')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Notification.countDocuments(filter),
+        countUnread(userId)
+    ]);
+    return { notifications, total, unreadCount, page, limit, totalPages: Math.ceil(total / limit) };
+}
+
+export function countUnread(userId) {
+    return Notification.countDocuments({ user: userId, inApp: true, readAt: null });
+}
+
+/**
+ * Marks the user's notifications read: the ids given, or all of them
+ */
+export async function markRead(userId, ids) {
+    const filter = { user: userId, readAt: null };
+    if (ids !== 'all') {
+        if (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id))) {
+            throw new AppError('ids must be a list of notification ids', 400, 'INVALID_QUERY');
+        }
+        filter._id = { $in: ids };
+    }
+
+    const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+    return result.modifiedCount;
+}
+
+let sweepTimer = null;
+
+async function sweep() {
+    try {
+        await checkSlaBreaches();
+        await sendDueDigests();
+    } catch (error) {
+        logger.error('Notification sweep failed', { error: error.message });
+    }
+}
+
+/**
+ * Starts notifying about mentions, overdue requests and daily digests
+ */
+export function startNotifications() {
+    if (sweepTimer) return;
+
+    commentEvents.on('mention', notifyMention);
+    sweepTimer = setInterval(sweep, NOTIFICATION_CONFIG.SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+    logger.info('Notifications started', {
+        email: isEmailEnabled(),
+        sweepIntervalMs: NOTIFICATION_CONFIG.SWEEP_INTERVAL_MS
+    });
+    sweep();
+}
+
+export function stopNotifications() {
+    commentEvents.off('mention', notifyMention);
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+}
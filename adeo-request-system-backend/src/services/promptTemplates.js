@@ -0,0 +1,209 @@
+// abdo-request-system-backend/src/services/promptTemplates.js
+
+import winston from 'winston';
+import { PromptTemplate } from '../models/promptTemplate.js';
+import { Request } from '../models/request.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { DEFAULT_PROMPT_TEMPLATES, PROMPT_STEPS, PROMPT_VARIABLES } from '../config/promptTemplates.js';
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'prompt-templates' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/processor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/processor.log' })
+    ]
+});
+
+if (process.env.NODE_ENV !== 'production') {
+    logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+    }));
+}
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Attempts at allocating a version number when templates of one scope are saved concurrently
+const MAX_VERSION_ATTEMPTS = 3;
+
+/**
+ * Replaces the {{variable}} placeholders of a template
+ */
+export function renderTemplate(text, variables) {
+    return text.replace(PLACEHOLDER_PATTERN, (_, name) => variables[name] ?? '');
+}
+
+// Placeholders a template uses that its step doesn't provide
+function findUnknownVariables(step, ...texts) {
+    const known = PROMPT_VARIABLES[step];
+    const unknown = new Set();
+    for (const text of texts) {
+        for (const [, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+            if (!Object.hasOwn(known, name)) unknown.add(name);
+        }
+    }
+    return [...unknown];
+}
+
+/**
+ * Checks a template before it is saved or previewed. Throws a 400 AppError
+ * naming the problem.
+ */
+export function validatePromptTemplate({ step, department, system, body }) {
+    if (!PROMPT_STEPS.includes(step)) {
+        throw new AppError(`step must be one of: ${PROMPT_STEPS.join(', ')}`, 400, 'INVALID_PROMPT_TEMPLATE');
+    }
+    if (!system?.trim() || !body?.trim()) {
+        throw new AppError('system and body are required', 400, 'INVALID_PROMPT_TEMPLATE');
+    }
+    const departments = Request.schema.path('department').enumValues;
+    if (department && !departments.includes(department)) {
+        throw new AppError(`department must be one of: ${departments.join(', ')}`, 400, 'INVALID_PROMPT_TEMPLATE');
+    }
+
+    const unknown = findUnknownVariables(step, system, body);
+    if (unknown.length) {
+        throw new AppError(
+            `Unknown template variables: ${unknown.join(', ')}. Available for ${step}: ${Object.keys(PROMPT_VARIABLES[step]).join(', ')}`,
+            400,
+            'UNKNOWN_TEMPLATE_VARIABLE'
+        );
+    }
+}
+
+const builtinTemplate = (step) => ({
+    id: null,
+    step,
+    version: null,
+    requestType: null,
+    department: null,
+    ...DEFAULT_PROMPT_TEMPLATES[step]
+});
+
+const toResolvedTemplate = (template) => ({
+    id: template.id,
+    step: template.step,
+    version: template.version,
+    requestType: template.requestType,
+    department: template.department,
+    system: template.system,
+    body: template.body
+});
+
+// Templates for a type and a department beat templates for either, which beat
+// the default template (neither)
+const specificity = (template) => (template.requestType ? 2 : 0) + (template.department ? 1 : 0);
+
+/**
+ * The template each step uses for a request of `requestType` in `department`:
+ * the most specific active stored template, or the built-in one
+ */
+export async function resolvePromptTemplates({ requestType, department }) {
+    const candidates = await PromptTemplate.find({
+        active: true,
+        requestType: { $in: [requestType ?? null, null] },
+        department: { $in: [department ?? null, null] }
+    }).sort({ activatedAt: -1 });
+
+    return Object.fromEntries(PROMPT_STEPS.map(step => {
+        const best = candidates
+            .filter(template => template.step === step)
+            .reduce((chosen, template) => (!chosen || specificity(template) > specificity(chosen) ? template : chosen), null);
+        return [step, best ? toResolvedTemplate(best) : builtinTemplate(step)];
+    }));
+}
+
+/**
+ * What an analysis records about the template a step used. `template` is
+ * null for the built-in template.
+ */
+export const describePromptTemplate = (template) => ({
+    step: template.step,
+    template: template.id,
+    version: template.version,
+    requestType: template.requestType,
+    department: template.department
+});
+
+/**
+ * Saves a template as the next version of its scope and makes it active
+ */
+export async function createPromptTemplate({ step, requestType, department, system, body, note }, { actor }) {
+    validatePromptTemplate({ step, department, system, body });
+    const scope = { step, requestType: requestType || null, department: department || null };
+
+    for (let attempt = 1; ; attempt++) {
+        const latest = await PromptTemplate.findOne(scope).sort({ version: -1 }).select('version');
+        try {
+            const template = await PromptTemplate.create({
+                ...scope,
+                version: (latest?.version || 0) + 1,
+                system,
+                body,
+                note,
+                createdBy: actor
+            });
+            logger.info('Prompt template saved', { ...scope, version: template.version, actor });
+            return activatePromptTemplate(template);
+        } catch (error) {
+            // Another version of the scope was saved in the meantime
+            if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+        }
+    }
+}
+
+export async function getPromptTemplate(id) {
+    const template = await PromptTemplate.findById(id);
+    if (!template) {
+        throw new AppError('Prompt template not found', 404, 'PROMPT_TEMPLATE_NOT_FOUND');
+    }
+    return template;
+}
+
+export async function listPromptTemplates({ step, requestType, department, active } = {}) {
+    const filter = {};
+    if (step) filter.step = step;
+    if (requestType !== undefined) filter.requestType = requestType || null;
+    if (department !== undefined) filter.department = department || null;
+    if (active !== undefined) filter.active = active;
+
+    return PromptTemplate.find(filter).sort({ step: 1, requestType: 1, department: 1, version: -1 });
+}
+
+/**
+ * Makes a version the one its scope uses, e.g. to roll back to an earlier one
+ */
+export async function activatePromptTemplate(template) {
+    const activated = await PromptTemplate.findByIdAndUpdate(
+        template._id,
+        { $set: { active: true, activatedAt: new Date() } },
+        { new: true }
+    );
+    await PromptTemplate.updateMany(
+        {
+            step: template.step,
+            requestType: template.requestType,
+            department: template.department,
+            _id: { $ne: template._id },
+            active: true
+        },
+        { $set: { active: false } }
+    );
+
+    logger.info('Prompt template activated', { id: template.id, step: template.step, version: template.version });
+    return activated;
+}
+
+/**
+ * Stops using a version. Its scope falls back to a less specific template,
+ * and finally to the built-in one.
+ */
+export async function deactivatePromptTemplate(template) {
+    logger.info('Prompt template deactivated', { id: template.id, step: template.step, version: template.version });
+    return PromptTemplate.findByIdAndUpdate(template._id, { $set: { active: false } }, { new: true });
+}
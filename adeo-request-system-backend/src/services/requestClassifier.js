@@ -0,0 +1,431 @@
+// abdo-request-system-backend/src/services/requestClassifier.js
+
+import winston from 'winston';
+import { AppError } from '../middleware/errorHandler.js';
+import { Request } from '../models/request.js';
+import { CLASSIFIED_FIELDS, RequestClassifier } from '../models/requestClassifier.js';
+import { utils as similarityUtils } from '../utils/similarity.js';
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'request-classifier' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/processor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/processor.log' })
+    ]
+});
+
+if (process.env.NODE_ENV !== 'production') {
+    logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+    }));
+}
+
+// Constants
+const CLASSIFIER_CONFIG = Object.freeze({
+    // Terms in fewer training requests than this are left out of the vocabulary
+    MIN_TERM_DOCUMENTS: parseInt(process.env.CLASSIFIER_MIN_TERM_DOCUMENTS) || 2,
+    // The most widespread terms are kept; bounds the size of the stored model
+    MAX_VOCABULARY: parseInt(process.env.CLASSIFIER_MAX_VOCABULARY) || 5000,
+    // Values with fewer training requests are never suggested
+    MIN_CLASS_DOCUMENTS: parseInt(process.env.CLASSIFIER_MIN_CLASS_DOCUMENTS) || 3,
+    // Every Nth request is held out to measure accuracy, given enough requests
+    HOLDOUT_EVERY: 5,
+    MIN_EVALUATION_DOCUMENTS: 20,
+    // Additive smoothing of term weights
+    SMOOTHING: 0.1,
+    // Suggestions less likely than this are not made
+    MIN_CONFIDENCE: parseFloat(process.env.CLASSIFIER_MIN_CONFIDENCE) || 0.5,
+    // Text shorter than this many known terms is not classified
+    MIN_TERMS: 3,
+    // How often a process checks whether a newer model was trained elsewhere
+    RELOAD_INTERVAL_MS: 60 * 1000
+});
+
+let activeModel = null;
+let checkedAt = 0;
+let training = null;
+
+/**
+ * Terms of a request with their frequency, using the keyword rules of the
+ * similarity module (stop words, short and numeric tokens are dropped)
+ */
+function extractTermFrequencies({ title = '', description = '' }) {
+    const words = similarityUtils.normalizeText(`${title} ${description}`).split(/\s+/).filter(Boolean);
+    const keywords = similarityUtils.extractKeywords(words.join(' '));
+
+    const frequencies = new Map();
+    for (const word of words) {
+        if (keywords.has(word)) frequencies.set(word, (frequencies.get(word) || 0) + 1);
+    }
+    return frequencies;
+}
+
+// Sublinear TF times IDF, for the terms of the vocabulary
+function weighTerms(frequencies, idfTable, vocabulary) {
+    const weights = new Map();
+    for (const [term, count] of frequencies) {
+        if (vocabulary.has(term)) {
+            weights.set(term, (1 + Math.log(count)) * idfTable.idf(term));
+        }
+    }
+    return weights;
+}
+
+/**
+ * Naive Bayes over TF-IDF weighted terms for one field. Values with too few
+ * requests are left out.
+ */
+function trainField(field, documents) {
+    const classes = new Map();
+    for (const document of documents) {
+        const label = document.labels[field];
+        if (!label) continue;
+
+        // Prototype-less, so terms like "constructor" start from zero too
+        const entry = classes.get(label) || { label, documentCount: 0, totalWeight: 0, termWeights: Object.create(null) };
+        entry.documentCount++;
+        for (const [term, weight] of document.weights) {
+            entry.termWeights[term] = (entry.termWeights[term] || 0) + weight;
+            entry.totalWeight += weight;
+        }
+        classes.set(label, entry);
+    }
+
+    return [...classes.values()].filter(({ documentCount }) => documentCount >= CLASSIFIER_CONFIG.MIN_CLASS_DOCUMENTS);
+}
+
+/**
+ * Builds a model from labelled documents ({ frequencies, labels }): the
+ * vocabulary and its document frequencies, and the classes of every field
+ */
+function buildModel(documents) {
+    const documentFrequencies = new Map();
+    for (const { frequencies } of documents) {
+        for (const term of frequencies.keys()) {
+            documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1);
+        }
+    }
+
+    const vocabulary = new Map(
+        [...documentFrequencies]
+            .filter(([, count]) => count >= CLASSIFIER_CONFIG.MIN_TERM_DOCUMENTS)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, CLASSIFIER_CONFIG.MAX_VOCABULARY)
+    );
+    const idfTable = similarityUtils.createIdfTable({
+        scope: 'classifier',
+        documentCount: documents.length,
+        frequencies: vocabulary
+    });
+
+    const weighted = documents.map(({ frequencies, labels }) => ({
+        labels,
+        weights: weighTerms(frequencies, idfTable, vocabulary)
+    }));
+
+    return {
+        documentCount: documents.length,
+        documentFrequencies: Object.fromEntries(vocabulary),
+        vocabularySize: vocabulary.size,
+        fields: CLASSIFIED_FIELDS.map(field => ({
+            field,
+            classes: trainField(field, weighted)
+        }))
+    };
+}
+
+/**
+ * Precomputes what predictions need from a stored (or freshly built) model
+ */
+function prepareModel(model) {
+    const vocabulary = new Map(Object.entries(model.documentFrequencies || {}));
+    const idfTable = similarityUtils.createIdfTable({
+        scope: 'classifier',
+        documentCount: model.documentCount,
+        frequencies: vocabulary
+    });
+
+    return {
+        version: model.version ?? null,
+        vocabulary,
+        idfTable,
+        fields: model.fields.map(({ field, classes }) => {
+            const documentCount = classes.reduce((sum, { documentCount }) => sum + documentCount, 0);
+            return {
+                field,
+                classes: classes.map(({ label, documentCount: classDocuments, totalWeight, termWeights }) => ({
+                    label,
+                    termWeights: new Map(Object.entries(termWeights || {})),
+                    logPrior: Math.log(classDocuments / documentCount),
+                    logDenominator: Math.log(totalWeight + CLASSIFIER_CONFIG.SMOOTHING * vocabulary.size)
+                }))
+            };
+        })
+    };
+}
+
+/**
+ * Probability of each value of each field for the given text, most likely
+ * first. Fields the model has fewer than two values for are left out.
+ */
+function predict(prepared, text) {
+    const weights = weighTerms(extractTermFrequencies(text), prepared.idfTable, prepared.vocabulary);
+    if (weights.size < CLASSIFIER_CONFIG.MIN_TERMS) return null;
+
+    const predictions = {};
+    for (const { field, classes } of prepared.fields) {
+        if (classes.length < 2) continue;
+
+        const scores = classes.map(({ label, termWeights, logPrior, logDenominator }) => {
+            let score = logPrior;
+            for (const [term, weight] of weights) {
+                score += weight * (Math.log((termWeights.get(term) || 0) + CLASSIFIER_CONFIG.SMOOTHING) - logDenominator);
+            }
+            return { label, score };
+        });
+
+        // Softmax, shifted by the best score to stay within floating point range
+        const best = Math.max(...scores.map(({ score }) => score));
+        const exponentials = scores.map(({ label, score }) => ({ label, value: Math.exp(score - best) }));
+        const total = exponentials.reduce((sum, { value }) => sum + value, 0);
+        predictions[field] = exponentials
+            .map(({ label, value }) => ({ value: label, confidence: value / total }))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+    return predictions;
+}
+
+// Share of held-out documents each field is predicted right for
+function evaluate(trainingDocuments, heldOut) {
+    const prepared = prepareModel(buildModel(trainingDocuments));
+    const results = Object.fromEntries(CLASSIFIED_FIELDS.map(field => [field, { correct: 0, evaluated: 0 }]));
+
+    for (const { text, labels } of heldOut) {
+        const predictions = predict(prepared, text);
+        for (const field of CLASSIFIED_FIELDS) {
+            const best = predictions?.[field]?.[0];
+            if (!best || !labels[field]) continue;
+            results[field].evaluated++;
+            if (best.value === labels[field]) results[field].correct++;
+        }
+    }
+    return results;
+}
+
+/**
+ * Trains a new version of the classifier on every stored request and starts
+ * using it. Only one training runs at a time per process.
+ */
+export async function trainClassifier({ actor } = {}) {
+    if (training) {
+        throw new AppError('The classifier is already being trained', 409, 'CLASSIFIER_TRAINING_IN_PROGRESS');
+    }
+
+    training = (async () => {
+        const startTime = Date.now();
+        const documents = [];
+        const cursor = Request.find()
+            .select('title description department requestType priority')
+            .sort({ _id: 1 })
+            .lean()
+            .cursor();
+        for await (const request of cursor) {
+            documents.push({
+                text: { title: request.title, description: request.description },
+                frequencies: extractTermFrequencies(request),
+                labels: Object.fromEntries(CLASSIFIED_FIELDS.map(field => [field, request[field]]))
+            });
+        }
+
+        const evaluation = documents.length >= CLASSIFIER_CONFIG.MIN_EVALUATION_DOCUMENTS
+            ? evaluate(
+                documents.filter((_, index) => index % CLASSIFIER_CONFIG.HOLDOUT_EVERY !== 0),
+                documents.filter((_, index) => index % CLASSIFIER_CONFIG.HOLDOUT_EVERY === 0)
+            )
+            : null;
+
+        const model = buildModel(documents);
+        for (const field of model.fields) {
+            const result = evaluation?.[field.field];
+            field.accuracy = result?.evaluated ? result.correct / result.evaluated : null;
+            field.evaluatedOn = result?.evaluated || 0;
+        }
+
+        const latest = await RequestClassifier.findOne().sort({ version: -1 }).select('version').lean();
+        const saved = await RequestClassifier.create({
+            ...model,
+            version: (latest?.version || 0) + 1,
+            trainedBy: actor
+        });
+
+        activeModel = prepareModel(saved.toObject());
+        checkedAt = Date.now();
+
+        logger.info('Classifier trained', {
+            version: saved.version,
+            documents: model.documentCount,
+            vocabulary: model.vocabularySize,
+            accuracy: Object.fromEntries(model.fields.map(({ field, accuracy }) => [field, accuracy])),
+            duration: Date.now() - startTime
+        });
+
+        return describeClassifier(saved);
+    })();
+
+    try {
+        return await training;
+    } finally {
+        training = null;
+    }
+}
+
+// The latest trained model, reloaded when another process trained a newer one
+async function loadActiveModel() {
+    if (activeModel && Date.now() - checkedAt < CLASSIFIER_CONFIG.RELOAD_INTERVAL_MS) {
+        return activeModel;
+    }
+
+    const latest = await RequestClassifier.findOne().sort({ version: -1 }).select('version').lean();
+    checkedAt = Date.now();
+    if (!latest) {
+        activeModel = null;
+    } else if (latest.version !== activeModel?.version) {
+        activeModel = prepareModel(await RequestClassifier.findById(latest._id).lean());
+    }
+    return activeModel;
+}
+
+/**
+ * Suggested department, request type and priority for a draft's text, each
+ * { value, confidence } or null when no value is likely enough. modelVersion
+ * is null until a model has been trained.
+ */
+export async function suggestClassification({ title, description }) {
+    const model = await loadActiveModel();
+    const predictions = model ? predict(model, { title, description }) : null;
+
+    return {
+        modelVersion: model?.version ?? null,
+        suggestions: Object.fromEntries(CLASSIFIED_FIELDS.map(field => {
+            const best = predictions?.[field]?.[0];
+            return [field, best && best.confidence >= CLASSIFIER_CONFIG.MIN_CONFIDENCE
+                ? { value: best.value, confidence: Math.round(best.confidence * 100) / 100 }
+                : null];
+        }))
+    };
+}
+
+/**
+ * Compares the suggestions shown while a request was drafted
+ * ({ modelVersion, suggestions } as returned by suggestClassification) with
+ * the values it was submitted with. Returns what to store on the request, or
+ * null if no suggestion was shown. Malformed input is ignored: it must never
+ * block a submission.
+ */
+export function recordClassificationFeedback(shown, submitted, { requestNumber } = {}) {
+    if (!shown || typeof shown !== 'object' || !shown.suggestions || typeof shown.suggestions !== 'object') {
+        return null;
+    }
+
+    const fields = CLASSIFIED_FIELDS
+        .filter(field => typeof shown.suggestions[field]?.value === 'string')
+        .map(field => ({
+            field,
+            suggested: shown.suggestions[field].value,
+            confidence: Number(shown.suggestions[field].confidence) || null,
+            chosen: submitted[field],
+            accepted: shown.suggestions[field].value === submitted[field]
+        }));
+    if (!fields.length) return null;
+
+    logger.info('Classification suggestions', {
+        requestNumber,
+        modelVersion: shown.modelVersion,
+        accepted: Object.fromEntries(fields.map(({ field, accepted }) => [field, accepted]))
+    });
+
+    return {
+        modelVersion: Number(shown.modelVersion) || null,
+        fields
+    };
+}
+
+/**
+ * How often submitted requests kept each field's suggestion, overall and
+ * per model version
+ */
+export async function getAcceptanceStats() {
+    const rows = await Request.aggregate([
+        { $match: { 'metadata.classification.fields.0': { $exists: true } } },
+        { $unwind: '$metadata.classification.fields' },
+        {
+            $group: {
+                _id: {
+                    field: '$metadata.classification.fields.field',
+                    modelVersion: '$metadata.classification.modelVersion'
+                },
+                suggested: { $sum: 1 },
+                accepted: { $sum: { $cond: ['$metadata.classification.fields.accepted', 1, 0] } }
+            }
+        },
+        { $sort: { '_id.modelVersion': -1, '_id.field': 1 } }
+    ]);
+
+    return CLASSIFIED_FIELDS.map(field => {
+        const versions = rows.filter(({ _id }) => _id.field === field);
+        const suggested = versions.reduce((sum, row) => sum + row.suggested, 0);
+        const accepted = versions.reduce((sum, row) => sum + row.accepted, 0);
+        return {
+            field,
+            suggested,
+            accepted,
+            acceptanceRate: suggested ? accepted / suggested : null,
+            byModelVersion: versions.map(({ _id, suggested, accepted }) => ({
+                modelVersion: _id.modelVersion,
+                suggested,
+                accepted
+            }))
+        };
+    });
+}
+
+/**
+ * Summary of a stored model, without its term weights
+ */
+export function describeClassifier(model) {
+    return {
+        id: model._id,
+        version: model.version,
+        trainedAt: model.createdAt,
+        trainedBy: model.trainedBy,
+        documentCount: model.documentCount,
+        vocabularySize: model.vocabularySize,
+        fields: model.fields.map(({ field, classes, accuracy, evaluatedOn }) => ({
+            field,
+            values: classes.map(({ label, documentCount }) => ({ value: label, documentCount })),
+            accuracy: accuracy ?? null,
+            evaluatedOn: evaluatedOn || 0
+        }))
+    };
+}
+
+/**
+ * The model in use, or null before the first training
+ */
+export async function getClassifier() {
+    const model = await RequestClassifier.findOne()
+        .sort({ version: -1 })
+        .select('-documentFrequencies -fields.classes.termWeights')
+        .lean();
+    return model ? describeClassifier(model) : null;
+}
+
+export const classifier = {
+    config: CLASSIFIER_CONFIG
+};
@@ -1,13 +1,20 @@
 // abdo-request-system/abdo-request-system-backend/src/services/requestProcessor.js
 
-import OpenAI from 'openai';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import { AppError } from '../middleware/errorHandler.js';
 import winston from 'winston';
 import NodeCache from 'node-cache';
-import { promisify } from 'util';
-import rateLimit from 'express-rate-limit';
 import { setTimeout } from 'timers/promises';
+import { buildDocumentContext } from './documentExtractor.js';
+import { describeModel, getLlmProvider, llm } from './llmProvider.js';
+import { requestStructuredOutput } from './structuredOutput.js';
+import { ANALYSIS_OUTPUT_SCHEMA, RECOMMENDATIONS_OUTPUT_SCHEMA } from '../config/analysisSchemas.js';
+import { finalizeAnalysis } from './analysisContract.js';
+import { describePromptTemplate, renderTemplate, resolvePromptTemplates } from './promptTemplates.js';
+import { DEFAULT_PROMPT_TEMPLATES, LANGUAGE_INSTRUCTIONS, PROMPT_STEPS } from '../config/promptTemplates.js';
+import { heuristicRules } from '../config/heuristicRules.js';
+import { analyzeHeuristically } from './heuristicAnalyzer.js';
 
 // Load environment variables
 dotenv.config();
@@ -32,13 +39,6 @@ if (process.env.NODE_ENV !== 'production') {
     }));
 }
 
-// Initialize OpenAI with configuration
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-    timeout: 30000, // 30 seconds timeout
-    maxRetries: 3
-});
-
 // Initialize cache
 const cache = new NodeCache({
     stdTTL: 3600, // 1 hour default TTL
@@ -51,51 +51,111 @@ const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second
 const MAX_TOKENS = 1000;
 const CACHE_TTL = 3600; // 1 hour
-const AI_MODELS = {
-    DEFAULT: 'gpt-3.5-turbo',
-    FALLBACK: 'gpt-3.5-turbo-instruct'
-};
-
-// Main processing function
-export async function processRequest(rawRequest) {
+// Bump whenever the built-in prompt templates (config/promptTemplates.js) or
+// the way prompts are assembled change, so runs made with different prompts
+// can be told apart in the analysis history. Stored templates are versioned
+// on their own (metadata.promptTemplates).
+const PROMPT_VERSION = '2.2';
+
+// The model can't be reached at all until the configuration is fixed, so
+// retrying is pointless; processRequest goes straight to the fallback
+const PROVIDER_SETUP_ERRORS = new Set(['LLM_PROVIDER_MISCONFIGURED', 'LLM_PROVIDER_UNKNOWN']);
+
+// Main processing function. The analysis is written in each of `languages`
+// at the same time; the first is stored as the analysis itself, the others
+// under translations. onStage(stage) is called as the work on the first
+// language moves on ('analysis', 'recommendations'); callers with their own
+// retry policy, like the job queue, can lower maxRetries. onStream(event, data),
+// when given, receives the output in the first language as it is generated:
+//   attempt { step, attempt }  a new reply for the step starts; drop what it streamed so far
+//   token   { step, text }     raw model output
+//   section { step, field, value, final }  a field of the step's result; provisional
+//                              while the reply is streaming, final once validated
+// When no model answers after the last retry, the result comes from the
+// rule-based analyzer instead (metadata.analyzer 'heuristic'), unless
+// heuristicFallback is off.
+export async function processRequest(rawRequest, {
+    languages = ['en'],
+    onStage = () => {},
+    onStream,
+    maxRetries = MAX_RETRIES,
+    heuristicFallback = true
+} = {}) {
     const startTime = Date.now();
     let currentRetry = 0;
     let error = null;
 
+    // Replace raw attachments with a bounded excerpt of their extracted text
+    const { attachments = [], ...requestDetails } = rawRequest;
+    const documentContext = buildDocumentContext(attachments);
+    const request = {
+        ...requestDetails,
+        documentExcerpt: documentContext.excerpt
+    };
+
     try {
+        // Prompt templates for the request's type and department
+        const templates = await resolvePromptTemplates({
+            requestType: rawRequest.type,
+            department: rawRequest.department
+        });
 
         // Generate cache key
-        const cacheKey = generateCacheKey(rawRequest);
-        const cachedResult = cache.get(cacheKey);
+        const cacheKey = generateCacheKey(rawRequest, attachments, templates, languages);
+        const cachedAnalysis = cache.get(cacheKey);
         
-        if (cachedResult) {
+        if (cachedAnalysis) {
             logger.info('Cache hit for request', {
                 title: rawRequest.title,
                 department: rawRequest.department
             });
+            // Same content, but this run's own date and duration
+            const cachedResult = {
+                ...cachedAnalysis,
+                metadata: {
+                    ...cachedAnalysis.metadata,
+                    processingDate: new Date(),
+                    processingDuration: Date.now() - startTime,
+                    cached: true
+                }
+            };
+            emitFinalSections(onStream, cachedResult);
             return cachedResult;
         }
 
         // Process request with retries
-        while (currentRetry < MAX_RETRIES) {
+        while (currentRetry < maxRetries) {
             try {
-                const analysis = await generateAnalysis(rawRequest);
-                const recommendations = await generateRecommendations(rawRequest, analysis);
-
-                const result = {
-                    ...rawRequest,
-                    analysis,
-                    recommendations,
+                const [main, ...translated] = await Promise.all(languages.map((language, index) =>
+                    generateInLanguage(request, templates, language, index === 0 ? { onStage, onStream } : {})
+                ));
+
+                const result = finalizeAnalysis({
+                    ...requestDetails,
+                    analysis: main.analysis,
+                    recommendations: main.recommendations,
+                    ...(translated.length && {
+                        translations: Object.fromEntries(translated.map(({ language, modelsUsed, ...translation }) => [language, translation]))
+                    }),
                     metadata: {
                         processingVersion: '2.0',
+                        promptVersion: PROMPT_VERSION,
+                        promptTemplates: PROMPT_STEPS.map(step => describePromptTemplate(templates[step])),
                         processingDate: new Date(),
                         processingDuration: Date.now() - startTime,
-                        aiModelUsed: AI_MODELS.DEFAULT
+                        // Usually one model; two when a step had to use the fallback
+                        aiModelUsed: [...new Set([main, ...translated].flatMap(({ modelsUsed }) => modelsUsed))].join(', '),
+                        sourceDocuments: documentContext.sources,
+                        validationIssues: main.validationIssues,
+                        outputAttempts: main.outputAttempts,
+                        language: main.language,
+                        analyzer: 'llm'
                     }
-                };
+                });
 
                 // Cache successful result
                 cache.set(cacheKey, result, CACHE_TTL);
+                emitFinalSections(onStream, result);
 
                 // Log success
                 logger.info('Request processed successfully', {
@@ -109,8 +169,12 @@ export async function processRequest(rawRequest) {
             } catch (err) {
                 error = err;
                 currentRetry++;
+
+                if (PROVIDER_SETUP_ERRORS.has(err.errorCode)) {
+                    break;
+                }
                 
-                if (currentRetry < MAX_RETRIES) {
+                if (currentRetry < maxRetries) {
                     logger.warn('Retrying request processing', {
                         attempt: currentRetry,
                         error: err.message
@@ -120,6 +184,24 @@ export async function processRequest(rawRequest) {
             }
         }
 
+        if (heuristicFallback) {
+            logger.warn('No model reachable, falling back to the rule-based analyzer', {
+                error: error.message,
+                title: rawRequest.title,
+                department: rawRequest.department,
+                retryAttempts: currentRetry
+            });
+
+            // Not cached: the next run should try the model again
+            const result = await analyzeOffline(request, requestDetails, languages, {
+                startTime,
+                sourceDocuments: documentContext.sources,
+                fallbackReason: error.message
+            });
+            emitFinalSections(onStream, result);
+            return result;
+        }
+
         // If all retries failed, throw the last error
         throw error;
 
@@ -131,265 +213,268 @@ export async function processRequest(rawRequest) {
             retryAttempts: currentRetry
         });
         
-        throw new AppError('Failed to process request: ' + error.message, 500);
+        throw new AppError('Failed to process request: ' + error.message, 500, error.errorCode);
+    }
+}
+
+// Both steps of the analysis in one language. Issues are the fields the model
+// never got right, even after re-prompting.
+async function generateInLanguage(request, templates, language, { onStage = () => {}, onStream } = {}) {
+    await onStage('analysis');
+    const analysisResult = await generateAnalysis(request, templates.analysis, language, streamHandlers(onStream, 'analysis'));
+    await onStage('recommendations');
+    const recommendationsResult = await generateRecommendations(request, analysisResult.analysis, templates.recommendations, language, streamHandlers(onStream, 'recommendations'));
+
+    return {
+        language,
+        analysis: analysisResult.analysis,
+        recommendations: recommendationsResult.recommendations,
+        validationIssues: [
+            ...analysisResult.issues.map(issue => ({ section: 'analysis', ...issue })),
+            ...recommendationsResult.issues.map(issue => ({ section: 'recommendations', ...issue }))
+        ],
+        outputAttempts: analysisResult.attempts + recommendationsResult.attempts,
+        modelsUsed: [analysisResult.modelUsed, recommendationsResult.modelUsed]
+    };
+}
+
+// The rule-based analysis in each language, shaped like a model's result
+async function analyzeOffline(request, requestDetails, languages, { startTime, sourceDocuments, fallbackReason }) {
+    const [main, ...translated] = await Promise.all(languages.map(language =>
+        analyzeHeuristically(request, { language })
+    ));
+
+    return finalizeAnalysis({
+        ...requestDetails,
+        analysis: main.analysis,
+        recommendations: main.recommendations,
+        ...(translated.length && {
+            translations: Object.fromEntries(translated.map((translation, index) => [languages[index + 1], translation]))
+        }),
+        metadata: {
+            processingVersion: '2.0',
+            processingDate: new Date(),
+            processingDuration: Date.now() - startTime,
+            aiModelUsed: 'heuristic',
+            sourceDocuments,
+            validationIssues: [],
+            outputAttempts: 0,
+            language: languages[0],
+            analyzer: 'heuristic',
+            fallbackReason
+        }
+    });
+}
+
+// Callbacks for requestStructuredOutput that report one step's output through onStream
+function streamHandlers(onStream, step) {
+    if (!onStream) return {};
+
+    return {
+        onAttempt: (attempt) => onStream('attempt', { step, attempt }),
+        onToken: (text) => onStream('token', { step, text }),
+        onField: (field, value) => onStream('section', { step, field, value, final: false })
+    };
+}
+
+function emitFinalSections(onStream, result) {
+    if (!onStream) return;
+
+    for (const step of ['analysis', 'recommendations']) {
+        for (const [field, value] of Object.entries(result[step])) {
+            onStream('section', { step, field, value, final: true });
+        }
     }
 }
 
-// Generate analysis using OpenAI
-async function generateAnalysis(request) {
-    const prompt = generateAnalysisPrompt(request);
+// Generate analysis using the configured LLM provider
+async function generateAnalysis(request, template, language, streamOptions = {}) {
+    const prompt = generateAnalysisPrompt(request, template);
     
     try {
-        const response = await openai.chat.completions.create({
-            model: AI_MODELS.DEFAULT,
-            messages: [
-                {
-                    role: "system",
-                    content: "You are an expert policy analyst specializing in government requests. Provide detailed, objective analysis focusing on practical implications and policy alignment."
-                },
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ],
+        const response = await requestStructuredOutput({
+            task: 'analysis',
+            schema: ANALYSIS_OUTPUT_SCHEMA,
+            system: withLanguageInstruction(template.system, language),
+            prompt,
             temperature: 0.7,
-            max_tokens: MAX_TOKENS,
-            presence_penalty: 0.6,
-            frequency_penalty: 0.3
+            maxTokens: MAX_TOKENS,
+            presencePenalty: 0.6,
+            frequencyPenalty: 0.3,
+            ...streamOptions
         });
+        assertUsableOutput(response);
 
-        const analysisText = response.choices[0].message.content;
-        return parseAnalysisResponse(analysisText);
+        const analysis = response.value;
+        if (!analysis.riskLevel) {
+            // Still reported in issues; the inferred level keeps the stored analysis valid
+            analysis.riskLevel = determineRiskLevel(JSON.stringify(analysis));
+        }
+
+        return {
+            analysis,
+            issues: response.issues,
+            attempts: response.attempts,
+            modelUsed: describeModel(response.provider, response.model)
+        };
 
     } catch (error) {
         logger.error('Analysis generation failed', {
             error: error.message,
-            title: request.title
+            title: request.title,
+            language
         });
         
-        // Try fallback model if main model fails
-        return generateAnalysisWithFallbackModel(request, error);
+        throw new AppError('Analysis generation failed: ' + error.message, 500, error.errorCode);
     }
 }
 
-// Generate recommendations using OpenAI
-async function generateRecommendations(request, analysis) {
-    const prompt = generateRecommendationsPrompt(request, analysis);
+// Generate recommendations using the configured LLM provider
+async function generateRecommendations(request, analysis, template, language, streamOptions = {}) {
+    const prompt = generateRecommendationsPrompt(request, analysis, template);
     
     try {
-        const response = await openai.chat.completions.create({
-            model: AI_MODELS.DEFAULT,
-            messages: [
-                {
-                    role: "system",
-                    content: "You are an expert policy advisor specializing in government requests. Provide practical, actionable recommendations with clear implementation steps."
-                },
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ],
+        const response = await requestStructuredOutput({
+            task: 'recommendations',
+            schema: RECOMMENDATIONS_OUTPUT_SCHEMA,
+            system: withLanguageInstruction(template.system, language),
+            prompt,
             temperature: 0.7,
-            max_tokens: MAX_TOKENS,
-            presence_penalty: 0.6,
-            frequency_penalty: 0.3
+            maxTokens: MAX_TOKENS,
+            presencePenalty: 0.6,
+            frequencyPenalty: 0.3,
+            ...streamOptions
         });
+        assertUsableOutput(response);
 
-        const recommendationsText = response.choices[0].message.content;
-        return parseRecommendationsResponse(recommendationsText);
+        return {
+            recommendations: response.value,
+            issues: response.issues,
+            attempts: response.attempts,
+            modelUsed: describeModel(response.provider, response.model)
+        };
 
     } catch (error) {
         logger.error('Recommendations generation failed', {
             error: error.message,
-            title: request.title
+            title: request.title,
+            language
         });
         
-        // Try fallback model if main model fails
-        return generateRecommendationsWithFallbackModel(request, analysis, error);
+        throw new AppError('Recommendations generation failed: ' + error.message, 500, error.errorCode);
     }
 }
 
 // Prompt generation functions
-function generateAnalysisPrompt(request) {
-    return `
-        Please analyze the following government request:
-
-        Title: ${request.title}
-        Department: ${request.department}
-        Type: ${request.type}
-        Content: ${request.content}
-
-        Provide a comprehensive analysis including:
-        1. Executive Summary (2-3 sentences)
-        2. Key Trends (3-5 bullet points)
-        3. Impact Assessment
-           - Social Impact
-           - Economic Impact
-           - Environmental Impact
-        4. Policy Alignment Analysis
-           - Alignment with current policies
-           - Potential policy gaps
-           - Regulatory considerations
-
-        Format the response in a clear, structured manner.
-    `.trim();
-}
 
-function generateRecommendationsPrompt(request, analysis) {
-    return `
-        Based on the following request and analysis:
-
-        Request:
-        ${JSON.stringify(request, null, 2)}
-
-        Analysis:
-        ${JSON.stringify(analysis, null, 2)}
-
-        Please provide:
-        1. Strategic Recommendations (3-5 points)
-        2. Operational Recommendations (3-5 points)
-        3. Implementation Timeline
-        4. Potential Risks and Mitigation Strategies
-        5. Resource Requirements
-        6. Success Metrics
-
-        Format each recommendation with:
-        - Clear action items
-        - Expected outcomes
-        - Priority level
-        - Resource implications
-    `.trim();
-}
+// Values of the template placeholders listed in PROMPT_VARIABLES
+function buildPromptVariables(request, analysis) {
+    const { documentExcerpt, ...requestDetails } = request;
 
-// Response parsing functions
-function parseAnalysisResponse(text) {
-    const sections = extractSections(text);
-    
     return {
-        summary: sections.summary?.slice(0, 2000) || '',
-        trends: extractListItems(text, 'Key Trends').map(trend => 
-            trend.slice(0, 500)
-        ),
-        impactAssessment: sections.impactAssessment?.slice(0, 5000) || '',
-        policyAlignment: sections.policyAlignment?.slice(0, 5000) || '',
-        riskLevel: determineRiskLevel(text)
+        title: request.title,
+        requestNumber: request.metadata?.requestNumber,
+        department: request.department,
+        type: request.type,
+        priority: request.priority,
+        content: request.content,
+        attachmentsExcerpt: formatDocumentExcerpt(documentExcerpt),
+        request: JSON.stringify(requestDetails, null, 2),
+        analysis: analysis ? JSON.stringify(analysis, null, 2) : ''
     };
 }
 
-function parseRecommendationsResponse(text) {
-    const sections = extractSections(text);
-    
-    return {
-        strategic: extractListItems(text, 'Strategic Recommendations').map(rec => 
-            rec.slice(0, 1000)
-        ),
-        operational: extractListItems(text, 'Operational Recommendations').map(rec => 
-            rec.slice(0, 1000)
-        ),
-        timeline: sections.timeline?.slice(0, 1000) || '',
-        risks: extractListItems(text, 'Potential Risks').map(risk => 
-            risk.slice(0, 500)
-        ),
-        budgetImplications: sections.budgetImplications?.slice(0, 1000) || ''
-    };
+function generateAnalysisPrompt(request, template = DEFAULT_PROMPT_TEMPLATES.analysis) {
+    return renderTemplate(template.body, buildPromptVariables(request)).trim();
 }
 
-// Utility functions
-function generateCacheKey(request) {
-    return `${request.title}-${request.department}-${request.type}`.toLowerCase().replace(/\s+/g, '-');
+function generateRecommendationsPrompt(request, analysis, template = DEFAULT_PROMPT_TEMPLATES.recommendations) {
+    return renderTemplate(template.body, buildPromptVariables(request, analysis)).trim();
 }
 
-function extractSections(text) {
-    const sections = {};
-    const sectionRegex = /^([A-Za-z\s]+):\s*(.+?)(?=\n[A-Za-z\s]+:|$)/gms;
-    
-    let match;
-    while ((match = sectionRegex.exec(text)) !== null) {
-        const [, title, content] = match;
-        sections[title.toLowerCase().replace(/\s+/g, '')] = content.trim();
-    }
-    
-    return sections;
+function withLanguageInstruction(system, language = 'en') {
+    return `${system}\n\n${LANGUAGE_INSTRUCTIONS[language]}`;
 }
 
-function extractListItems(text, sectionName) {
-    const sectionRegex = new RegExp(`${sectionName}:([^#]*?)(?=#|$)`, 'i');
-    const section = text.match(sectionRegex)?.[1] || '';
-    
-    return section
-        .split('\n')
-        .map(line => line.replace(/^[-*\d.]\s*/, '').trim())
-        .filter(line => line.length > 0);
+function formatDocumentExcerpt(excerpt) {
+    if (!excerpt) return '';
+
+    return `Attached documents (summarized excerpts; refer to them by document name where relevant):
+${excerpt}`;
 }
 
-function determineRiskLevel(text) {
-    const riskIndicators = {
-        high: ['high risk', 'severe', 'critical', 'urgent', 'immediate attention'],
-        medium: ['moderate', 'potential risk', 'consideration needed'],
-        low: ['low risk', 'minimal', 'negligible']
+/**
+ * The system message and prompt a step would send for the request, without
+ * calling the model. `analysis` stands in for the analysis step's result in
+ * the recommendations prompt.
+ */
+export function renderStepPrompt(step, rawRequest, template, analysis, language = 'en') {
+    const { attachments = [], ...requestDetails } = rawRequest;
+    const request = {
+        ...requestDetails,
+        documentExcerpt: buildDocumentContext(attachments).excerpt
     };
 
-    const textLower = text.toLowerCase();
-    
-    for (const [level, indicators] of Object.entries(riskIndicators)) {
-        if (indicators.some(indicator => textLower.includes(indicator))) {
-            return level;
-        }
-    }
-    
-    return 'medium'; // Default risk level
+    return {
+        system: withLanguageInstruction(template.system, language),
+        prompt: step === 'analysis'
+            ? generateAnalysisPrompt(request, template)
+            : generateRecommendationsPrompt(request, analysis, template)
+    };
 }
 
-// Fallback processing functions
-async function generateAnalysisWithFallbackModel(request, originalError) {
-    try {
-        logger.warn('Using fallback model for analysis', {
-            title: request.title,
-            originalError: originalError.message
-        });
-
-        const response = await openai.completions.create({
-            model: AI_MODELS.FALLBACK,
-            prompt: generateAnalysisPrompt(request),
-            max_tokens: MAX_TOKENS,
-            temperature: 0.7
-        });
+// A reply that never parsed as JSON has nothing worth storing, so let processRequest retry
+function assertUsableOutput(response) {
+    if (response.issues.some(({ field }) => field === '(root)')) {
+        throw new AppError(`Model did not return usable JSON: ${response.issues[0].message}`, 502, 'INVALID_MODEL_OUTPUT');
+    }
+}
 
-        return parseAnalysisResponse(response.choices[0].text);
+// Utility functions
+function generateCacheKey(request, attachments = [], templates = {}, languages = []) {
+    // Attachment hashes make new or replaced documents produce a fresh analysis
+    const documents = attachments.map(attachment => attachment.hash || attachment.filename).sort().join(',');
+    // Switching provider or model must not serve another model's answer
+    const { name, model } = describeConfiguredProvider();
+    // An edited description must not be answered with the analysis of the old one
+    const content = crypto.createHash('sha1').update(request.description || request.content || '').digest('hex');
+    // A new template version must produce a fresh analysis too
+    const prompts = PROMPT_STEPS.map(step => `${templates[step]?.id || 'builtin'}@${templates[step]?.version ?? ''}`).join(',');
+    return `${name}-${model}-${PROMPT_VERSION}-${prompts}-${languages.join('+')}-${request.title}-${request.department}-${request.type}-${content}-${documents}`.toLowerCase().replace(/\s+/g, '-');
+}
 
+// The provider is only needed for its name and model here; a misconfigured one
+// must still get as far as the retry loop, and from there to the fallback
+function describeConfiguredProvider() {
+    try {
+        return getLlmProvider();
     } catch (error) {
-        throw new AppError('Both primary and fallback analysis generation failed', 500);
+        if (!PROVIDER_SETUP_ERRORS.has(error.errorCode)) {
+            throw error;
+        }
+        return { name: llm.config.PROVIDER, model: llm.config.MODEL || 'default' };
     }
 }
 
-async function generateRecommendationsWithFallbackModel(request, analysis, originalError) {
-    try {
-        logger.warn('Using fallback model for recommendations', {
-            title: request.title,
-            originalError: originalError.message
-        });
-
-        const response = await openai.completions.create({
-            model: AI_MODELS.FALLBACK,
-            prompt: generateRecommendationsPrompt(request, analysis),
-            max_tokens: MAX_TOKENS,
-            temperature: 0.7
-        });
-
-        return parseRecommendationsResponse(response.choices[0].text);
-
-    } catch (error) {
-        throw new AppError('Both primary and fallback recommendations generation failed', 500);
+// Level of the first indicator found, checking HIGH before MEDIUM before LOW
+function determineRiskLevel(text) {
+    const textLower = text.toLowerCase();
+    
+    for (const [level, indicators] of Object.entries(heuristicRules.riskIndicators)) {
+        if (indicators.some(indicator => textLower.includes(indicator.toLowerCase()))) {
+            return level;
+        }
     }
+    
+    return 'MEDIUM'; // Default risk level
 }
 
 // Export utility functions for testing
 export const utils = {
+    buildPromptVariables,
     generateAnalysisPrompt,
     generateRecommendationsPrompt,
-    parseAnalysisResponse,
-    parseRecommendationsResponse,
-    extractSections,
-    extractListItems,
+    formatDocumentExcerpt,
+    assertUsableOutput,
     determineRiskLevel
 };
\ No newline at end of file
@@ -0,0 +1,136 @@
+// abdo-request-system-backend/src/services/similarityIndex.js
+
+import { embeddings } from './embeddingService.js';
+
+// MinHash/LSH settings. Changing any of them changes the stored band keys,
+// so VERSION must be bumped at the same time; outdated requests are then
+// re-indexed by the similarity checks, REINDEX_BATCH at a time.
+const INDEX_CONFIG = Object.freeze({
+    VERSION: 1,
+    NUM_HASHES: 128,
+    // 32 bands of 4 rows: pairs with a token Jaccard of about 0.42 or more
+    // have an even chance of sharing a band, rising steeply above that
+    BANDS: 32,
+    // A second, smaller signature over bilingual concepts only, so a request
+    // and its translation (which share no words) can still become candidates
+    CONCEPT_HASHES: 32,
+    CONCEPT_BANDS: 8,
+    // How many of the band matches are handed on to the full scorers
+    CANDIDATE_LIMIT: parseInt(process.env.SIMILARITY_CANDIDATE_LIMIT) || 50,
+    // Band matches estimated per check, most recent first
+    MAX_BAND_MATCHES: parseInt(process.env.SIMILARITY_MAX_BAND_MATCHES) || 2000,
+    // Outdated requests re-indexed per check, most recent first
+    REINDEX_BATCH: parseInt(process.env.SIMILARITY_REINDEX_BATCH) || 100
+});
+
+// 32-bit FNV-1a
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// MurmurHash3 finalizer; mixing a token hash with a different seed per
+// position gives the independent hash functions MinHash needs
+function mix(value, seed) {
+    let h = (value ^ seed) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Seeds are derived, not random, so stored signatures stay comparable across restarts
+const SEEDS = Array.from({ length: INDEX_CONFIG.NUM_HASHES }, (_, i) => fnv1a(`minhash-seed-${i}`));
+
+/**
+ * Token sets a request is indexed by: its stemmed words, and the bilingual
+ * concepts those words map to
+ */
+function getIndexTokens({ title = '', description = '' }) {
+    const stems = embeddings.tokenize(`${title}\n${description}`);
+    return {
+        words: new Set(stems),
+        concepts: new Set(embeddings.findConcepts(stems))
+    };
+}
+
+function computeSignature(tokens, size) {
+    const signature = new Array(size).fill(0xffffffff);
+    for (const token of tokens) {
+        const tokenHash = fnv1a(token);
+        for (let i = 0; i < size; i++) {
+            const value = mix(tokenHash, SEEDS[i]);
+            if (value < signature[i]) signature[i] = value;
+        }
+    }
+    return signature;
+}
+
+function computeBands(signature, bandCount, prefix) {
+    const rowsPerBand = signature.length / bandCount;
+    const bands = [];
+    for (let band = 0; band < bandCount; band++) {
+        const rows = signature.slice(band * rowsPerBand, (band + 1) * rowsPerBand);
+        bands.push(`${prefix}${band}:${fnv1a(rows.join(',')).toString(36)}`);
+    }
+    return bands;
+}
+
+/**
+ * MinHash signatures and LSH band keys for a request's title and description
+ */
+export function buildSimilarityIndex(request) {
+    const { words, concepts } = getIndexTokens(request);
+    const signature = computeSignature(words, INDEX_CONFIG.NUM_HASHES);
+    const conceptSignature = computeSignature(concepts, INDEX_CONFIG.CONCEPT_HASHES);
+
+    return {
+        version: INDEX_CONFIG.VERSION,
+        signature,
+        conceptSignature,
+        // Empty sets would otherwise collide with every other empty request
+        bands: [
+            ...(words.size ? computeBands(signature, INDEX_CONFIG.BANDS, 'w') : []),
+            ...(concepts.size ? computeBands(conceptSignature, INDEX_CONFIG.CONCEPT_BANDS, 'c') : [])
+        ],
+        updatedAt: new Date()
+    };
+}
+
+export function isSimilarityIndexCurrent(similarityIndex) {
+    return similarityIndex?.version === INDEX_CONFIG.VERSION &&
+        similarityIndex.signature?.length === INDEX_CONFIG.NUM_HASHES &&
+        similarityIndex.conceptSignature?.length === INDEX_CONFIG.CONCEPT_HASHES;
+}
+
+/**
+ * Share of matching MinHash positions, an unbiased estimate of set Jaccard
+ */
+export function estimateJaccard(signature1, signature2) {
+    if (!signature1?.length || signature1.length !== signature2?.length) return 0;
+
+    let matches = 0;
+    for (let i = 0; i < signature1.length; i++) {
+        if (signature1[i] === signature2[i]) matches++;
+    }
+    return matches / signature1.length;
+}
+
+/**
+ * How promising a stored request is as a candidate: the better of its word
+ * and concept overlap with the query
+ */
+export function estimateOverlap(index1, index2) {
+    return Math.max(
+        estimateJaccard(index1.signature, index2.signature),
+        estimateJaccard(index1.conceptSignature, index2.conceptSignature)
+    );
+}
+
+export const similarityIndex = {
+    config: INDEX_CONFIG,
+    getIndexTokens
+};
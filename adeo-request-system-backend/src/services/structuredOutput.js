@@ -0,0 +1,319 @@
+// abdo-request-system-backend/src/services/structuredOutput.js
+
+import winston from 'winston';
+import { AppError } from '../middleware/errorHandler.js';
+import { completeChat } from './llmProvider.js';
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'structured-output' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/processor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/processor.log' })
+    ]
+});
+
+if (process.env.NODE_ENV !== 'production') {
+    logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+    }));
+}
+
+// Constants
+const STRUCTURED_OUTPUT_CONFIG = Object.freeze({
+    // Extra prompts sent after an invalid reply, on top of the first attempt
+    MAX_REPAIR_PROMPTS: parseInt(process.env.LLM_MAX_REPAIR_PROMPTS) || 2
+});
+
+/**
+ * Parses a model reply as JSON, repairing the usual slips: code fences,
+ * prose around the object, smart quotes and trailing commas
+ */
+export function parseJsonResponse(text) {
+    if (!text) {
+        throw new AppError('Empty model response', 502, 'INVALID_MODEL_OUTPUT');
+    }
+
+    const attempts = [];
+    const unfenced = text.replace(/```(?:json)?/gi, '').trim();
+    attempts.push(unfenced);
+
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+        const body = unfenced.slice(start, end + 1);
+        attempts.push(body);
+        attempts.push(body
+            .replace(/[“”]/g, '"')
+            .replace(/,\s*([}\]])/g, '$1'));
+    }
+
+    for (const candidate of attempts) {
+        try {
+            const parsed = JSON.parse(candidate);
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                return parsed;
+            }
+        } catch {
+            // Try the next repair
+        }
+    }
+
+    throw new AppError('Model response is not a JSON object', 502, 'INVALID_MODEL_OUTPUT');
+}
+
+// Turns a bulleted or numbered block of text into list items
+const splitListText = (value) => value
+    .split(/\n|;\s+/)
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(Boolean);
+
+/**
+ * Validates a value against a schema subset (object/string/array with
+ * required, enum, min/max length and items), coercing what can safely be
+ * coerced. Returns the cleaned value and one issue per failing field.
+ */
+export function validateStructuredOutput(value, schema, path = '') {
+    const issues = [];
+    const issue = (message) => issues.push({ field: path || '(root)', message });
+
+    switch (schema.type) {
+        case 'object': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                issue('must be an object');
+                return { value: {}, issues };
+            }
+
+            const result = {};
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                const fieldPath = path ? `${path}.${key}` : key;
+                if (value[key] === undefined || value[key] === null) {
+                    if (schema.required?.includes(key)) {
+                        issues.push({ field: fieldPath, message: 'is required' });
+                    }
+                    continue;
+                }
+                const validated = validateStructuredOutput(value[key], propertySchema, fieldPath);
+                issues.push(...validated.issues);
+                if (validated.value !== undefined) {
+                    result[key] = validated.value;
+                }
+            }
+            return { value: result, issues };
+        }
+
+        case 'array': {
+            let items = value;
+            if (typeof items === 'string') {
+                items = splitListText(items);
+            }
+            if (!Array.isArray(items)) {
+                issue('must be a list');
+                return { value: undefined, issues };
+            }
+
+            const validItems = [];
+            items.forEach((item, index) => {
+                const validated = validateStructuredOutput(item, schema.items, `${path}[${index}]`);
+                issues.push(...validated.issues);
+                if (validated.value !== undefined) validItems.push(validated.value);
+            });
+
+            if (schema.minItems && validItems.length < schema.minItems) {
+                issue(`must have at least ${schema.minItems} item(s), got ${validItems.length}`);
+            }
+            return { value: validItems.slice(0, schema.maxItems ?? validItems.length), issues };
+        }
+
+        case 'string': {
+            let text = value;
+            if (Array.isArray(text)) text = text.join('\n');
+            if (typeof text === 'number' || typeof text === 'boolean') text = String(text);
+            if (typeof text !== 'string') {
+                issue('must be text');
+                return { value: undefined, issues };
+            }
+            text = text.trim();
+
+            if (schema.enum) {
+                const match = schema.enum.find(option => option.toLowerCase() === text.toLowerCase());
+                if (!match) {
+                    issue(`must be one of ${schema.enum.join(', ')}, got "${text.slice(0, 50)}"`);
+                    return { value: undefined, issues };
+                }
+                return { value: match, issues };
+            }
+
+            if (schema.minLength && text.length < schema.minLength) {
+                issue('must not be empty');
+                return { value: undefined, issues };
+            }
+            return { value: schema.maxLength ? text.slice(0, schema.maxLength) : text, issues };
+        }
+
+        default:
+            return { value, issues };
+    }
+}
+
+/**
+ * JSON template of a schema, used to tell the model the exact shape to return
+ */
+export function describeSchema(schema) {
+    const describe = (node) => {
+        switch (node.type) {
+            case 'object':
+                return Object.fromEntries(Object.entries(node.properties).map(([key, child]) => [key, describe(child)]));
+            case 'array':
+                // Lists of objects show the shape of an item instead
+                return node.items?.type === 'object'
+                    ? [describe(node.items)]
+                    : [`${node.description || 'item'} (${node.minItems ?? 0}-${node.maxItems ?? 'n'} items)`];
+            default:
+                return node.enum ? node.enum.join(' | ') : (node.description || 'text');
+        }
+    };
+    return JSON.stringify(describe(schema), null, 2);
+}
+
+/**
+ * Watches a JSON object arrive piece by piece and calls onField(key, value)
+ * as soon as each top-level field is complete, so callers can show parts of
+ * a reply before the rest has been generated. Returns feed(chunk).
+ */
+export function createJsonFieldScanner(onField) {
+    let buffer = '';
+    let position = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let fieldStart = -1;
+
+    const emit = (fragment) => {
+        try {
+            for (const [key, value] of Object.entries(JSON.parse(`{${fragment}}`))) {
+                onField(key, value);
+            }
+        } catch {
+            // Malformed field; the full reply still goes through parseJsonResponse
+        }
+    };
+
+    return (chunk) => {
+        buffer += chunk;
+        for (; position < buffer.length; position++) {
+            const char = buffer[position];
+
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+                if (depth === 1 && fieldStart === -1) fieldStart = position;
+            } else if (char === '{' || char === '[') {
+                depth++;
+            } else if (char === '}' || char === ']' || char === ',') {
+                if (depth === 1 && fieldStart !== -1 && char !== ']') {
+                    emit(buffer.slice(fieldStart, position));
+                    fieldStart = -1;
+                }
+                if (char !== ',') depth--;
+            }
+        }
+    };
+}
+
+/**
+ * Asks the configured model for JSON matching the schema. Invalid replies are
+ * repaired where possible, otherwise re-prompted with the validation errors.
+ * Whatever is still invalid after the last attempt is returned as `issues`,
+ * field by field, next to the fields that did validate.
+ *
+ * To stream, pass onToken(text) for the raw reply and/or onField(key, value)
+ * for each top-level field that arrives valid. onAttempt(attempt) is called
+ * whenever a new reply starts, after which earlier tokens and fields no
+ * longer apply.
+ */
+export async function requestStructuredOutput({ schema, prompt, onToken, onField, onAttempt, ...chatOptions }) {
+    const instructions = `${prompt}
+
+Respond with a single JSON object only, no prose, using exactly this structure:
+${describeSchema(schema)}`;
+
+    let best = null;
+    // The reply the model is asked to correct, with what was wrong with it
+    let previous = null;
+
+    for (let attempt = 1; attempt <= STRUCTURED_OUTPUT_CONFIG.MAX_REPAIR_PROMPTS + 1; attempt++) {
+        const attemptPrompt = attempt === 1
+            ? instructions
+            : `${instructions}
+
+Your previous reply was invalid:
+${previous.issues.map(({ field, message }) => `- ${field}: ${message}`).join('\n')}
+
+Previous reply:
+${previous.text.slice(0, 4000)}
+
+Reply again with the corrected JSON object only.`;
+
+        const streamOptions = {};
+        if (onToken || onField || onAttempt) {
+            let feedScanner;
+            const startReply = () => {
+                onAttempt?.(attempt);
+                feedScanner = createJsonFieldScanner((key, value) => {
+                    const propertySchema = schema.properties?.[key];
+                    if (!onField || !propertySchema) return;
+                    const validated = validateStructuredOutput(value, propertySchema, key);
+                    if (!validated.issues.length) onField(key, validated.value);
+                });
+            };
+            startReply();
+            streamOptions.onToken = (text) => {
+                onToken?.(text);
+                feedScanner(text);
+            };
+            streamOptions.onRestart = startReply;
+        }
+
+        const response = await completeChat({ ...chatOptions, ...streamOptions, prompt: attemptPrompt, responseFormat: 'json' });
+
+        let result;
+        try {
+            result = validateStructuredOutput(parseJsonResponse(response.text), schema);
+        } catch (error) {
+            result = { value: {}, issues: [{ field: '(root)', message: error.message }] };
+        }
+
+        // Keep the attempt with the fewest problems
+        if (!best || result.issues.length < best.issues.length) {
+            best = { ...result, provider: response.provider, model: response.model };
+        }
+        best.attempts = attempt;
+        previous = { text: response.text, issues: result.issues };
+
+        if (!result.issues.length) break;
+
+        logger.warn('Model output failed validation', {
+            task: chatOptions.task,
+            attempt,
+            issues: result.issues
+        });
+    }
+
+    return best;
+}
+
+export const structuredOutput = {
+    config: STRUCTURED_OUTPUT_CONFIG
+};
@@ -0,0 +1,136 @@
+// abdo-request-system-backend/src/services/workflowEngine.js
+
+import { Request } from '../models/request.js';
+import { workflowConfig } from '../config/workflow.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { notifyStatusChanged } from './notificationService.js';
+
+// Guards referenced by name from config/workflow.js. Each returns an error
+// message when the transition must be blocked, or null when it may proceed.
+const guards = {
+    hasAnalysis: (request) =>
+        request.hasAnalysis() ? null : 'Request must be analyzed before it can move to In Review',
+    hasDescription: (request) =>
+        request.description?.trim() ? null : 'Request must have a description'
+};
+
+const statuses = Request.schema.path('status').enumValues;
+
+// Validate configuration once at load time so a bad override fails loudly
+for (const [from, targets] of Object.entries(workflowConfig.transitions)) {
+    [from, ...targets].forEach(status => {
+        if (!statuses.includes(status)) {
+            throw new Error(`Workflow config references unknown status "${status}"`);
+        }
+    });
+}
+for (const names of Object.values(workflowConfig.guards || {})) {
+    names.forEach(name => {
+        if (!guards[name]) {
+            throw new Error(`Workflow config references unknown guard "${name}"`);
+        }
+    });
+}
+
+/**
+ * Returns the guard messages blocking a move to the target status
+ */
+function checkGuards(request, to) {
+    return (workflowConfig.guards?.[to] || [])
+        .map(name => guards[name](request))
+        .filter(Boolean);
+}
+
+/**
+ * Lists every status reachable from the request's current one, with what
+ * (if anything) currently blocks it
+ */
+export function getAvailableTransitions(request) {
+    const targets = workflowConfig.transitions[request.status] || [];
+
+    return targets.map(to => ({
+        to,
+        requiresNote: workflowConfig.requireNote.includes(to),
+        blockedBy: checkGuards(request, to)
+    }));
+}
+
+/**
+ * Moves a request to a new status, enforcing the configured state machine.
+ * The status change, version bump and history entry are written atomically
+ * and only if the stored version is unchanged.
+ */
+export async function transitionRequest(request, { to, note, actor, expectedVersion }) {
+    const from = request.status;
+    const currentVersion = request.metadata?.version || 1;
+
+    if (!statuses.includes(to)) {
+        throw new AppError(`Unknown status "${to}". Valid statuses: ${statuses.join(', ')}`, 400, 'INVALID_STATUS');
+    }
+
+    if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+        const error = new AppError(
+            `Request has been modified (current version ${currentVersion}, got ${expectedVersion})`,
+            409,
+            'VERSION_CONFLICT'
+        );
+        error.currentVersion = currentVersion;
+        throw error;
+    }
+
+    const allowed = workflowConfig.transitions[from] || [];
+    if (!allowed.includes(to)) {
+        throw new AppError(
+            `Cannot move a request from ${from} to ${to}` +
+                (allowed.length ? `. Allowed: ${allowed.join(', ')}` : `. ${from} is a final status`),
+            422,
+            'INVALID_TRANSITION'
+        );
+    }
+
+    const trimmedNote = typeof note === 'string' ? note.trim() : '';
+    if (workflowConfig.requireNote.includes(to) && !trimmedNote) {
+        throw new AppError(`A note is required when moving a request to ${to}`, 422, 'NOTE_REQUIRED');
+    }
+
+    const blockedBy = checkGuards(request, to);
+    if (blockedBy.length) {
+        const error = new AppError(blockedBy.join('. '), 422, 'TRANSITION_BLOCKED');
+        error.blockedBy = blockedBy;
+        throw error;
+    }
+
+    const updatedRequest = await Request.findOneAndUpdate(
+        { _id: request._id, status: from, 'metadata.version': request.metadata?.version ?? null },
+        {
+            $set: {
+                status: to,
+                'metadata.version': currentVersion + 1
+            },
+            $push: {
+                statusHistory: {
+                    from,
+                    to,
+                    actor: actor || 'anonymous',
+                    note: trimmedNote || undefined,
+                    at: new Date()
+                }
+            }
+        },
+        { new: true }
+    );
+
+    if (!updatedRequest) {
+        const error = new AppError('Request was modified by another user, please reload', 409, 'VERSION_CONFLICT');
+        error.currentVersion = currentVersion + 1;
+        throw error;
+    }
+
+    notifyStatusChanged(updatedRequest, { from, to, actor, note: trimmedNote });
+    return updatedRequest;
+}
+
+export const workflow = {
+    config: workflowConfig,
+    guards: Object.keys(guards)
+};
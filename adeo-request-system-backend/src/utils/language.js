@@ -0,0 +1,47 @@
+import { AppError } from '../middleware/errorHandler.js';
+
+// Languages analyses can be written in
+export const ANALYSIS_LANGUAGES = Object.freeze(['en', 'ar']);
+
+// Values of the analysis language option; 'both' writes the analysis in
+// every supported language
+export const ANALYSIS_LANGUAGE_OPTIONS = Object.freeze([...ANALYSIS_LANGUAGES, 'both']);
+
+const ARABIC_LETTER = /(?=\p{L})\p{Script=Arabic}/gu;
+const LETTER = /\p{L}/gu;
+
+// Share of Arabic letters from which a text counts as Arabic. Arabic requests
+// often quote English names and acronyms, so less than half is enough.
+const ARABIC_THRESHOLD = 0.3;
+
+/**
+ * Language of a request's text: 'ar' or 'en'. Texts without letters count
+ * as English.
+ */
+export function detectLanguage(...texts) {
+    const text = texts.filter(Boolean).join(' ');
+    const letters = text.match(LETTER)?.length || 0;
+    if (!letters) return 'en';
+
+    const arabic = text.match(ARABIC_LETTER)?.length || 0;
+    return arabic / letters >= ARABIC_THRESHOLD ? 'ar' : 'en';
+}
+
+/**
+ * Languages to write an analysis in, the one stored as the main analysis
+ * first. Without an option the analysis is written in the request's language.
+ */
+export function resolveAnalysisLanguages(option, requestLanguage = 'en') {
+    const primary = ANALYSIS_LANGUAGES.includes(requestLanguage) ? requestLanguage : 'en';
+    if (option === undefined || option === null || option === '') {
+        return [primary];
+    }
+
+    if (!ANALYSIS_LANGUAGE_OPTIONS.includes(option)) {
+        throw new AppError(`language must be one of: ${ANALYSIS_LANGUAGE_OPTIONS.join(', ')}`, 400, 'INVALID_LANGUAGE');
+    }
+
+    return option === 'both'
+        ? [primary, ...ANALYSIS_LANGUAGES.filter(language => language !== primary)]
+        : [option];
+}
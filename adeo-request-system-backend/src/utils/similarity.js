@@ -2,7 +2,22 @@ import mongoose from 'mongoose';
 import NodeCache from 'node-cache';
 import winston from 'winston';
 import { performance } from 'perf_hooks';
+import crypto from 'crypto';
 import { AppError } from '../middleware/errorHandler.js';
+import { Request } from '../models/request.js';
+import { CorpusStats, DocumentFrequency, GLOBAL_SCOPE } from '../models/corpusStats.js';
+import {
+    buildRequestEmbedding,
+    cosineSimilarity,
+    isEmbeddingCurrent,
+    resolveRequestEmbeddings
+} from '../services/embeddingService.js';
+import {
+    buildSimilarityIndex,
+    estimateOverlap,
+    isSimilarityIndexCurrent,
+    similarityIndex as similarityIndexService
+} from '../services/similarityIndex.js';
 
 // Configure enhanced logger
 const logger = winston.createLogger({
@@ -62,7 +77,17 @@ const CONFIG = Object.freeze({
     MAX_CACHE_AGE: parseInt(process.env.MAX_CACHE_AGE) || 24 * 60 * 60 * 1000,
     BATCH_SIZE: parseInt(process.env.BATCH_SIZE) || 100,
     RETRIES: parseInt(process.env.SIMILARITY_CHECK_RETRIES) || 3,
-    RETRY_DELAY: parseInt(process.env.SIMILARITY_CHECK_RETRY_DELAY) || 1000
+    RETRY_DELAY: parseInt(process.env.SIMILARITY_CHECK_RETRY_DELAY) || 1000,
+    // Entries kept per memoized scorer before the least recently used are evicted
+    MEMO_MAX_ENTRIES: parseInt(process.env.SIMILARITY_MEMO_MAX_ENTRIES) || 5000,
+    // Levenshtein is quadratic, so long descriptions are compared on their opening only
+    MAX_LEVENSHTEIN_LENGTH: parseInt(process.env.SIMILARITY_MAX_LEVENSHTEIN_LENGTH) || 1000,
+    // 'global' or 'department': which document frequencies TF-IDF is computed against
+    IDF_SCOPE: process.env.SIMILARITY_IDF_SCOPE || 'global',
+    // Below this many requests a scope's statistics are too thin to rely on
+    MIN_CORPUS_DOCUMENTS: parseInt(process.env.SIMILARITY_MIN_CORPUS_DOCUMENTS) || 50,
+    // Keywords found in more than this share of requests are treated as boilerplate
+    COMMON_TERM_RATIO: parseFloat(process.env.SIMILARITY_COMMON_TERM_RATIO) || 0.3
 });
 
 // Enhanced stop words set
@@ -94,7 +119,7 @@ function calculateSimilarity(str1, str2, options = {}) {
         // Calculate individual scores with memoization
         const levenshteinScore = memoizedLevenshtein(str1, str2);
         const jaccardScore = memoizedJaccard(str1, str2);
-        const cosineScore = memoizedCosine(str1, str2);
+        const cosineScore = memoizedCosine(str1, str2, options.idfTable);
 
         // Weighted combination
         return (
@@ -121,6 +146,9 @@ function calculateLevenshteinSimilarity(str1, str2) {
     if (!str1.length) return 0;
     if (!str2.length) return 0;
 
+    str1 = str1.slice(0, CONFIG.MAX_LEVENSHTEIN_LENGTH);
+    str2 = str2.slice(0, CONFIG.MAX_LEVENSHTEIN_LENGTH);
+
     // Use dynamic programming with space optimization
     const len1 = str1.length;
     const len2 = str2.length;
@@ -178,9 +206,10 @@ function calculateJaccardSimilarity(str1, str2) {
 }
 
 /**
- * Enhanced Cosine similarity with TF-IDF weighting
+ * Enhanced Cosine similarity with TF-IDF weighting against corpus-wide
+ * document frequencies (see loadIdfTable)
  */
-function calculateCosineSimilarity(str1, str2) {
+function calculateCosineSimilarity(str1, str2, idfTable = EMPTY_IDF_TABLE) {
     // Early optimization
     if (str1 === str2) return 1;
     if (!str1 || !str2) return 0;
@@ -193,12 +222,9 @@ function calculateCosineSimilarity(str1, str2) {
     const tf1 = calculateTermFrequency(tokens1);
     const tf2 = calculateTermFrequency(tokens2);
     
-    // Calculate document frequencies
-    const df = calculateDocumentFrequency([tokens1, tokens2]);
-    
     // Calculate TF-IDF vectors
-    const vector1 = calculateTfIdfVector(tf1, df, 2);
-    const vector2 = calculateTfIdfVector(tf2, df, 2);
+    const vector1 = calculateTfIdfVector(tf1, idfTable);
+    const vector2 = calculateTfIdfVector(tf2, idfTable);
     
     // Calculate cosine similarity
     return calculateVectorSimilarity(vector1, vector2);
@@ -213,22 +239,10 @@ function calculateTermFrequency(tokens) {
     return tf;
 }
 
-function calculateDocumentFrequency(documents) {
-    const df = new Map();
-    for (const doc of documents) {
-        const uniqueTokens = new Set(doc);
-        for (const token of uniqueTokens) {
-            df.set(token, (df.get(token) || 0) + 1);
-        }
-    }
-    return df;
-}
-
-function calculateTfIdfVector(tf, df, totalDocs) {
+function calculateTfIdfVector(tf, idfTable) {
     const tfidf = new Map();
     for (const [term, freq] of tf.entries()) {
-        const idf = Math.log(totalDocs / (df.get(term) || 1));
-        tfidf.set(term, freq * idf);
+        tfidf.set(term, freq * idfTable.idf(term));
     }
     return tfidf;
 }
@@ -255,21 +269,202 @@ function calculateVectorSimilarity(vector1, vector2) {
     return dotProduct / (magnitude1 * magnitude2);
 }
 
-// Memoization setup
-const memoize = (fn) => {
+// Memoization setup: bounded LRU, relying on Map keeping insertion order.
+// Arguments are hashed so long descriptions aren't held on to as keys.
+const memoize = (fn, { maxEntries = CONFIG.MEMO_MAX_ENTRIES, keyArgs = (...args) => args } = {}) => {
     const cache = new Map();
     return (...args) => {
-        const key = JSON.stringify(args);
-        if (cache.has(key)) return cache.get(key);
+        const key = crypto.createHash('sha1').update(JSON.stringify(keyArgs(...args))).digest('base64');
+        if (cache.has(key)) {
+            const value = cache.get(key);
+            cache.delete(key);
+            cache.set(key, value);
+            return value;
+        }
         const result = fn(...args);
         cache.set(key, result);
+        if (cache.size > maxEntries) {
+            cache.delete(cache.keys().next().value);
+        }
         return result;
     };
 };
 
 const memoizedLevenshtein = memoize(calculateLevenshteinSimilarity);
 const memoizedJaccard = memoize(calculateJaccardSimilarity);
-const memoizedCosine = memoize(calculateCosineSimilarity);
+// IDF tables are keyed by scope and revision, so a corpus update invalidates old scores
+const memoizedCosine = memoize(calculateCosineSimilarity, {
+    keyArgs: (str1, str2, idfTable) => [str1, str2, idfTable?.key]
+});
+
+/**
+ * Terms a request contributes to the document frequency table; the same
+ * tokens calculateCosineSimilarity compares
+ */
+function getCorpusTerms({ title = '', description = '' }) {
+    return new Set(normalizeText(`${title} ${description}`).split(/\s+/).filter(Boolean));
+}
+
+/**
+ * Smoothed IDF over a snapshot of document frequencies. With no statistics
+ * every term weighs 1, which degrades gracefully to plain TF cosine.
+ */
+function createIdfTable({ scope = null, documentCount = 0, revision = 0, frequencies = new Map() } = {}) {
+    return {
+        key: `${scope}:${revision}`,
+        scope,
+        documentCount,
+        frequency: (term) => frequencies.get(term) || 0,
+        idf: (term) => Math.log((documentCount + 1) / ((frequencies.get(term) || 0) + 1)) + 1,
+        // Boilerplate only means something once the corpus is big enough
+        isCommon: (term) => documentCount >= CONFIG.MIN_CORPUS_DOCUMENTS &&
+            (frequencies.get(term) || 0) / documentCount > CONFIG.COMMON_TERM_RATIO
+    };
+}
+
+const EMPTY_IDF_TABLE = createIdfTable();
+
+/**
+ * Loads the document frequencies of the given terms, from the department's
+ * statistics when configured and populated enough, else from the global ones
+ */
+async function loadIdfTable(department, terms) {
+    try {
+        const departmentScope = department?.toUpperCase();
+        const stats = await CorpusStats.find({ scope: { $in: [GLOBAL_SCOPE, departmentScope] } }).lean();
+        const departmentStats = stats.find(({ scope }) => scope === departmentScope);
+        const chosen = CONFIG.IDF_SCOPE === 'department' &&
+            departmentStats?.documentCount >= CONFIG.MIN_CORPUS_DOCUMENTS
+            ? departmentStats
+            : stats.find(({ scope }) => scope === GLOBAL_SCOPE);
+
+        if (!chosen?.documentCount) return EMPTY_IDF_TABLE;
+
+        const frequencies = await DocumentFrequency.find({ scope: chosen.scope, term: { $in: [...terms] } })
+            .select('term count')
+            .lean();
+
+        return createIdfTable({
+            scope: chosen.scope,
+            documentCount: chosen.documentCount,
+            revision: chosen.revision,
+            frequencies: new Map(frequencies.map(({ term, count }) => [term, count]))
+        });
+    } catch (error) {
+        logger.error('Failed to load document frequencies, using unweighted terms', {
+            department,
+            error: error.message
+        });
+        return EMPTY_IDF_TABLE;
+    }
+}
+
+const corpusScopes = (request) => request ? [GLOBAL_SCOPE, request.department.toUpperCase()] : [];
+
+/**
+ * Incrementally applies a request change to the document frequency tables.
+ * Pass `previous` null for a new request and `current` null for a deleted
+ * one. Best-effort: failures are logged and rebuildCorpusStats repairs drift.
+ */
+async function updateCorpusStats(previous, current) {
+    try {
+        const termDeltas = new Map();
+        const documentDeltas = new Map();
+        const apply = (request, delta) => {
+            if (!request) return;
+            const terms = getCorpusTerms(request);
+            corpusScopes(request).forEach(scope => {
+                documentDeltas.set(scope, (documentDeltas.get(scope) || 0) + delta);
+                terms.forEach(term => {
+                    const key = `${scope}\u0000${term}`;
+                    termDeltas.set(key, (termDeltas.get(key) || 0) + delta);
+                });
+            });
+        };
+        apply(previous, -1);
+        apply(current, 1);
+
+        const termUpdates = [...termDeltas]
+            .filter(([, delta]) => delta !== 0)
+            .map(([key, delta]) => {
+                const [scope, term] = key.split('\u0000');
+                return {
+                    updateOne: {
+                        filter: { scope, term },
+                        update: { $inc: { count: delta } },
+                        upsert: true
+                    }
+                };
+            });
+        if (!termUpdates.length && [...documentDeltas.values()].every(delta => delta === 0)) return;
+
+        const scopes = [...documentDeltas.keys()];
+        if (termUpdates.length) {
+            await DocumentFrequency.bulkWrite(termUpdates, { ordered: false });
+            await DocumentFrequency.deleteMany({ scope: { $in: scopes }, count: { $lte: 0 } });
+        }
+        await CorpusStats.bulkWrite(scopes.map(scope => ({
+            updateOne: {
+                filter: { scope },
+                update: { $inc: { documentCount: documentDeltas.get(scope), revision: 1 } },
+                upsert: true
+            }
+        })));
+    } catch (error) {
+        logger.error('Failed to update corpus statistics', {
+            requestNumber: (current || previous)?.requestNumber,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Recomputes every document frequency table from the stored requests
+ */
+async function rebuildCorpusStats() {
+    const termCounts = new Map();
+    const documentCounts = new Map();
+
+    const cursor = Request.find().select('title description department').lean().cursor();
+    for await (const request of cursor) {
+        const terms = getCorpusTerms(request);
+        corpusScopes(request).forEach(scope => {
+            documentCounts.set(scope, (documentCounts.get(scope) || 0) + 1);
+            terms.forEach(term => {
+                const key = `${scope}\u0000${term}`;
+                termCounts.set(key, (termCounts.get(key) || 0) + 1);
+            });
+        });
+    }
+
+    await DocumentFrequency.deleteMany({});
+    await CorpusStats.deleteMany({});
+
+    const entries = [...termCounts].map(([key, count]) => {
+        const [scope, term] = key.split('\u0000');
+        return { scope, term, count };
+    });
+    for (let i = 0; i < entries.length; i += CONFIG.BATCH_SIZE * 10) {
+        await DocumentFrequency.insertMany(entries.slice(i, i + CONFIG.BATCH_SIZE * 10), { ordered: false });
+    }
+    await CorpusStats.insertMany([...documentCounts].map(([scope, documentCount]) => ({
+        scope,
+        documentCount,
+        revision: Date.now()
+    })));
+
+    logger.info('Corpus statistics rebuilt', {
+        scopes: documentCounts.size,
+        terms: entries.length,
+        documents: documentCounts.get(GLOBAL_SCOPE) || 0
+    });
+
+    return {
+        documents: documentCounts.get(GLOBAL_SCOPE) || 0,
+        scopes: documentCounts.size,
+        terms: entries.length
+    };
+}
 
 /**
  * Enhanced text normalization with additional cleaning steps
@@ -287,17 +482,18 @@ function normalizeText(text) {
         .replace(/https?:\/\/\S+/g, '')
         // Remove email addresses
         .replace(/[\w\.-]+@[\w\.-]+/g, '')
-        // Remove special characters while preserving spaces
-        .replace(/[^\w\s-]/g, ' ')
+        // Remove special characters while preserving spaces and non-Latin letters
+        .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
         // Remove extra whitespace
         .replace(/\s+/g, ' ')
         .trim();
 }
 
 /**
- * Enhanced keyword extraction with improved filtering
+ * Enhanced keyword extraction with improved filtering. Given corpus
+ * statistics, words that appear in most requests are dropped as boilerplate.
  */
-function extractKeywords(text) {
+function extractKeywords(text, idfTable = EMPTY_IDF_TABLE) {
     if (!text) return new Set();
 
     return new Set(
@@ -306,17 +502,20 @@ function extractKeywords(text) {
             .filter(word => !STOP_WORDS.has(word))
             .filter(word => !isNumeric(word))
             .map(word => word.toLowerCase())
+            .filter(word => !idfTable.isCommon(word))
     );
 }
 
 /**
- * Enhanced keyword overlap calculation with weighted positional importance
+ * Enhanced keyword overlap calculation with weighted positional importance.
+ * Words count by their IDF, so rare shared terms matter more than common ones.
  */
-function calculateKeywordOverlap(set1, set2) {
+function calculateKeywordOverlap(set1, set2, idfTable = EMPTY_IDF_TABLE) {
     if (!set1.size || !set2.size) return 0;
 
     const intersection = new Set([...set1].filter(x => set2.has(x)));
     const union = new Set([...set1, ...set2]);
+    const weight = (words) => [...words].reduce((sum, word) => sum + idfTable.idf(word), 0);
 
     // Calculate positional importance
     const positionWeight = Math.min(
@@ -324,7 +523,7 @@ function calculateKeywordOverlap(set1, set2) {
         1
     );
 
-    return (intersection.size / union.size) * (0.8 + 0.2 * positionWeight);
+    return (weight(intersection) / weight(union)) * (0.8 + 0.2 * positionWeight);
 }
 
 /**
@@ -346,21 +545,58 @@ function isNumeric(str) {
 }
 
 /**
- * Enhanced semantic similarity calculation (placeholder for future implementation)
+ * Semantic similarity of two request embeddings (see services/embeddingService.js)
  */
-async function calculateSemanticSimilarity(text1, text2) {
-    // Placeholder for future implementation
-    // Could integrate with NLP service or embedding model
-    return 0;
+async function calculateSemanticSimilarity(vector1, vector2) {
+    return cosineSimilarity(vector1, vector2);
 }
 
+/**
+ * Embedding vectors for the text being checked and for every candidate.
+ * Falls back to no vectors, i.e. a zero semantic score, if embedding fails.
+ */
+async function resolveSemanticVectors(candidates, title, content, embedding) {
+    try {
+        const queryVector = isEmbeddingCurrent(embedding, { title, description: content })
+            ? embedding.vector
+            : (await buildRequestEmbedding({ title, description: content })).vector;
+
+        return {
+            queryVector,
+            candidateVectors: await resolveRequestEmbeddings(candidates)
+        };
+    } catch (error) {
+        logger.error('Failed to resolve embeddings, semantic score disabled', {
+            error: error.message
+        });
+        return { queryVector: null, candidateVectors: new Map() };
+    }
+}
+
+// Every cached check of a department starts with this
+const departmentCachePrefix = (department) => `similarity:${department.toLowerCase().replace(/\s+/g, '-')}:`;
+
 /**
  * Improved cache key generation with department normalization
  */
-function generateCacheKey(title, department) {
-    const normalizedDepartment = department.toLowerCase().replace(/\s+/g, '-');
+function generateCacheKey(title, department, content = '') {
     const normalizedTitle = normalizeText(title);
-    return `similarity:${normalizedDepartment}:${normalizedTitle}`;
+    // Content is folded into a short hash so edits to the description aren't served a stale result
+    const contentHash = crypto.createHash('sha1').update(normalizeText(content)).digest('hex').slice(0, 12);
+    return `${departmentCachePrefix(department)}${normalizedTitle}:${contentHash}`;
+}
+
+/**
+ * Forgets the cached duplicate checks of the departments of the given
+ * requests. Call it whenever a request is created, edited or deleted, since
+ * any cached answer for its department may now be wrong.
+ */
+function invalidateDuplicateChecks(...requests) {
+    const prefixes = requests.filter(Boolean).map(({ department }) => departmentCachePrefix(department));
+    const staleKeys = cache.keys().filter(key => prefixes.some(prefix => key.startsWith(prefix)));
+    if (staleKeys.length) {
+        cache.del(staleKeys);
+    }
 }
 
 /**
@@ -373,24 +609,78 @@ function isCacheStale(timestamp) {
 }
 
 /**
- * Get recent requests with improved query optimization
+ * Candidate stage: recent requests of the department that share at least one
+ * LSH band with the given text, best estimated matches first, capped at
+ * CANDIDATE_LIMIT. Each check also re-indexes the newest REINDEX_BATCH
+ * requests indexed under an older (or no) index version and considers them
+ * too, so they are back in duplicate checks after a few checks.
  */
-async function getRecentRequests(department) {
+async function getCandidateRequests(department, { title, content, excludeId, similarityIndex } = {}) {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - CONFIG.SEARCH_WINDOW_DAYS);
+    const { VERSION, CANDIDATE_LIMIT, MAX_BAND_MATCHES, REINDEX_BATCH } = similarityIndexService.config;
+
+    const queryIndex = isSimilarityIndexCurrent(similarityIndex)
+        ? similarityIndex
+        : buildSimilarityIndex({ title, description: content });
+
+    const scope = {
+        department: department.toUpperCase(),
+        createdAt: { $gte: cutoffDate },
+        status: { $nin: ['Rejected', 'Cancelled'] },
+        ...(excludeId && { _id: { $ne: excludeId } })
+    };
 
     try {
-        return await Request.find({
+        const [matches, outdated] = await Promise.all([
+            Request.find({
+                ...scope,
+                'similarityIndex.version': VERSION,
+                'similarityIndex.bands': { $in: queryIndex.bands }
+            })
+            .select('similarityIndex')
+            .sort('-createdAt')
+            .limit(MAX_BAND_MATCHES)
+            .lean(),
+            Request.find({ ...scope, 'similarityIndex.version': { $ne: VERSION } })
+                .select('title description')
+                .sort('-createdAt')
+                .limit(REINDEX_BATCH)
+                .lean()
+        ]);
+
+        const reindexed = outdated.map(request => ({
+            _id: request._id,
+            similarityIndex: buildSimilarityIndex(request)
+        }));
+        if (reindexed.length) {
+            reindexRequests(reindexed);
+        }
+
+        const candidateIds = [...matches.filter(match => isSimilarityIndexCurrent(match.similarityIndex)), ...reindexed]
+            .map(match => ({
+                _id: match._id,
+                estimate: estimateOverlap(queryIndex, match.similarityIndex)
+            }))
+            .sort((a, b) => b.estimate - a.estimate)
+            .slice(0, CANDIDATE_LIMIT)
+            .map(({ _id }) => _id);
+
+        logger.debug('Similarity candidates selected', {
             department,
-            submissionDate: { $gte: cutoffDate },
-            status: { $nin: ['draft', 'rejected'] }
-        })
-        .select('title content submissionDate status')
-        .sort('-submissionDate')
-        .lean()
-        .hint({ department: 1, submissionDate: -1 });
+            bandMatches: matches.length,
+            reindexed: reindexed.length,
+            candidates: candidateIds.length
+        });
+
+        if (!candidateIds.length) return [];
+
+        return await Request.find({ _id: { $in: candidateIds } })
+            .select('requestNumber title description department status createdAt createdBy +embedding')
+            .sort('-createdAt')
+            .lean();
     } catch (error) {
-        logger.error('Failed to fetch recent requests', {
+        logger.error('Failed to fetch similarity candidates', {
             department,
             error: error.message
         });
@@ -398,6 +688,25 @@ async function getRecentRequests(department) {
     }
 }
 
+/**
+ * Stores the fresh MinHash indexes ({ _id, similarityIndex }) of requests found
+ * with an outdated one. Derived data only, so this deliberately doesn't bump
+ * metadata.version.
+ */
+function reindexRequests(requests) {
+    Request.bulkWrite(requests.map(({ _id, similarityIndex }) => ({
+        updateOne: {
+            filter: { _id },
+            update: { $set: { similarityIndex } }
+        }
+    })), { ordered: false }).catch(error => {
+        logger.error('Failed to store refreshed similarity indexes', {
+            count: requests.length,
+            error: error.message
+        });
+    });
+}
+
 /**
  * Calculate weighted similarity score with configurable weights
  */
@@ -465,10 +774,46 @@ const metrics = {
     }
 };
 
+/**
+ * Scores every candidate against the given text, most similar first
+ */
+async function rankCandidates(candidates, title, content, { embedding, department } = {}) {
+    const normalizedTitle = normalizeText(title);
+    const normalizedContent = normalizeText(content);
+
+    // One IDF snapshot covering every term that will be compared
+    const terms = new Set(getCorpusTerms({ title, description: content }));
+    candidates.forEach(candidate => getCorpusTerms(candidate).forEach(term => terms.add(term)));
+    const idfTable = await loadIdfTable(department, terms);
+
+    const titleWords = extractKeywords(normalizedTitle, idfTable);
+    const contentWords = extractKeywords(normalizedContent, idfTable);
+    const semanticVectors = await resolveSemanticVectors(candidates, title, content, embedding);
+
+    const ranked = [];
+
+    // Batch processing for better performance
+    for (let i = 0; i < candidates.length; i += CONFIG.BATCH_SIZE) {
+        const batch = candidates.slice(i, i + CONFIG.BATCH_SIZE);
+        const batchResults = await processBatch(
+            batch,
+            normalizedTitle,
+            normalizedContent,
+            titleWords,
+            contentWords,
+            semanticVectors,
+            idfTable
+        );
+        ranked.push(...batchResults);
+    }
+
+    return ranked.sort((a, b) => b.similarity - a.similarity);
+}
+
 /**
  * Enhanced duplicate check with retry mechanism and improved error handling
  */
-async function checkForDuplicates(title, department, content) {
+async function checkForDuplicates(title, department, content, { excludeId, embedding, similarityIndex } = {}) {
     const startTime = performance.now();
     let attempt = 1;
     let lastError = null;
@@ -481,7 +826,7 @@ async function checkForDuplicates(title, department, content) {
             }
 
             // Generate cache key and check cache
-            const cacheKey = generateCacheKey(title, department);
+            const cacheKey = generateCacheKey(title, department, content) + (excludeId ? `:${excludeId}` : '');
             const cachedResult = cache.get(cacheKey);
 
             if (cachedResult && !isCacheStale(cachedResult.timestamp)) {
@@ -496,31 +841,14 @@ async function checkForDuplicates(title, department, content) {
                 };
             }
 
-            // Text preparation
-            const normalizedTitle = normalizeText(title);
-            const normalizedContent = normalizeText(content);
-            const titleWords = extractKeywords(normalizedTitle);
-            const contentWords = extractKeywords(normalizedContent);
-
-            // Get and process recent requests
-            const recentRequests = await getRecentRequests(department);
-            const similarRequests = [];
-
-            // Batch processing for better performance
-            for (let i = 0; i < recentRequests.length; i += CONFIG.BATCH_SIZE) {
-                const batch = recentRequests.slice(i, i + CONFIG.BATCH_SIZE);
-                const batchResults = await processBatch(
-                    batch,
-                    normalizedTitle,
-                    normalizedContent,
-                    titleWords,
-                    contentWords
-                );
-                similarRequests.push(...batchResults);
-            }
-
-            // Sort and analyze results
-            similarRequests.sort((a, b) => b.similarity - a.similarity);
+            // Narrow down to likely matches, then score and rank them
+            const candidates = await getCandidateRequests(department, {
+                title,
+                content,
+                excludeId,
+                similarityIndex
+            });
+            const similarRequests = await rankCandidates(candidates, title, content, { embedding, department });
             const mostSimilar = similarRequests[0];
 
             const result = mostSimilar && mostSimilar.similarity >= SIMILARITY_THRESHOLDS.COMBINED
@@ -528,11 +856,7 @@ async function checkForDuplicates(title, department, content) {
                     isDuplicate: true,
                     originalRequest: mostSimilar.request,
                     similarity: mostSimilar.similarity,
-                    details: {
-                        titleSimilarity: mostSimilar.titleSimilarity,
-                        contentSimilarity: mostSimilar.contentSimilarity,
-                        keywordOverlap: mostSimilar.keywordOverlap
-                    }
+                    details: mostSimilar.details
                 }
                 : { 
                     isDuplicate: false,
@@ -541,11 +865,14 @@ async function checkForDuplicates(title, department, content) {
                     }
                 };
 
-            // Cache the result
-            cache.set(cacheKey, {
-                result,
-                timestamp: Date.now()
-            });
+            // Only matches are cached: "no duplicate" stops being true as soon
+            // as the request in question is submitted
+            if (result.isDuplicate) {
+                cache.set(cacheKey, {
+                    result,
+                    timestamp: Date.now()
+                });
+            }
 
             logger.info('Similarity check completed', {
                 duration: performance.now() - startTime,
@@ -584,7 +911,7 @@ async function checkForDuplicates(title, department, content) {
 /**
  * Enhanced batch processing with parallel execution and progress tracking
  */
-async function processBatch(batch, normalizedTitle, normalizedContent, titleWords, contentWords) {
+async function processBatch(batch, normalizedTitle, normalizedContent, titleWords, contentWords, semanticVectors, idfTable) {
     try {
         const batchStartTime = performance.now();
         let processedCount = 0;
@@ -592,29 +919,31 @@ async function processBatch(batch, normalizedTitle, normalizedContent, titleWord
         const results = await Promise.all(batch.map(async (request) => {
             try {
                 const requestTitleNorm = normalizeText(request.title);
-                const requestContentNorm = normalizeText(request.content);
+                const requestContentNorm = normalizeText(request.description);
 
                 const titleSimilarity = calculateSimilarity(normalizedTitle, requestTitleNorm, {
                     levenshteinWeight: 0.5,
                     jaccardWeight: 0.3,
-                    cosineWeight: 0.2
+                    cosineWeight: 0.2,
+                    idfTable
                 });
 
                 const contentSimilarity = calculateSimilarity(normalizedContent, requestContentNorm, {
                     levenshteinWeight: 0.3,
                     jaccardWeight: 0.3,
-                    cosineWeight: 0.4
+                    cosineWeight: 0.4,
+                    idfTable
                 });
 
-                const requestTitleWords = extractKeywords(requestTitleNorm);
-                const requestContentWords = extractKeywords(requestContentNorm);
+                const requestTitleWords = extractKeywords(requestTitleNorm, idfTable);
+                const requestContentWords = extractKeywords(requestContentNorm, idfTable);
 
-                const titleOverlap = calculateKeywordOverlap(titleWords, requestTitleWords);
-                const contentOverlap = calculateKeywordOverlap(contentWords, requestContentWords);
+                const titleOverlap = calculateKeywordOverlap(titleWords, requestTitleWords, idfTable);
+                const contentOverlap = calculateKeywordOverlap(contentWords, requestContentWords, idfTable);
 
                 const semanticScore = await calculateSemanticSimilarity(
-                    normalizedContent,
-                    requestContentNorm
+                    semanticVectors.queryVector,
+                    semanticVectors.candidateVectors.get(String(request._id))
                 ).catch(() => 0);
 
                 const combinedSimilarity = weightedSimilarityScore({
@@ -658,6 +987,26 @@ async function processBatch(batch, normalizedTitle, normalizedContent, titleWord
     }
 }
 
+/**
+ * Related requests for a stored request, ranked by combined similarity
+ */
+async function findSimilarRequests(request, { limit = 5, minSimilarity = 0 } = {}) {
+    const candidates = await getCandidateRequests(request.department, {
+        title: request.title,
+        content: request.description,
+        excludeId: request._id,
+        similarityIndex: request.similarityIndex
+    });
+    const ranked = await rankCandidates(candidates, request.title, request.description, {
+        embedding: request.embedding,
+        department: request.department
+    });
+
+    return ranked
+        .filter(({ similarity }) => similarity >= minSimilarity)
+        .slice(0, limit);
+}
+
 // Initialize cache maintenance if not in test environment
 if (process.env.NODE_ENV !== 'test') {
     const maintenanceInterval = parseInt(process.env.CACHE_MAINTENANCE_INTERVAL) || 300000; // 5 minutes default
@@ -698,6 +1047,10 @@ const utils = {
     extractKeywords,
     calculateKeywordOverlap,
     calculatePositionalImportance,
+    calculateSemanticSimilarity,
+    getCorpusTerms,
+    createIdfTable,
+    loadIdfTable,
     generateCacheKey,
     isCacheStale,
     metrics
@@ -713,7 +1066,11 @@ const constants = {
 // Main exports
 export {
     checkForDuplicates,
+    findSimilarRequests,
     calculateSimilarity,
+    updateCorpusStats,
+    rebuildCorpusStats,
+    invalidateDuplicateChecks,
     utils,
     constants
 };
@@ -722,7 +1079,10 @@ export {
 export const similarity = {
     // Core functionality
     check: checkForDuplicates,
+    findSimilar: findSimilarRequests,
     calculate: calculateSimilarity,
+    updateCorpus: updateCorpusStats,
+    rebuildCorpus: rebuildCorpusStats,
     
     // Utility functions
     utils,
@@ -767,6 +1127,11 @@ export const similarity = {
  * @property {number} BATCH_SIZE
  * @property {number} RETRIES
  * @property {number} RETRY_DELAY
+ * @property {number} MEMO_MAX_ENTRIES
+ * @property {number} MAX_LEVENSHTEIN_LENGTH
+ * @property {string} IDF_SCOPE
+ * @property {number} MIN_CORPUS_DOCUMENTS
+ * @property {number} COMMON_TERM_RATIO
  */
 
 /**
@@ -6,6 +6,14 @@ import RequestsPage from './pages/requests/RequestsPage';
 import RequestDetailsPage from './pages/requests/RequestDetailsPage';
 import { Toaster } from './components/ui/toaster';
 import AnalyticsPage from './pages/analytics/AnalyticsPage';
+import LoginPage from './pages/auth/LoginPage';
+import AcceptInvitePage from './pages/auth/AcceptInvitePage';
+import ResetPasswordPage from './pages/auth/ResetPasswordPage';
+import UsersPage from './pages/admin/UsersPage';
+import AuditLogPage from './pages/admin/AuditLogPage';
+import NotificationSettingsPage from './pages/settings/NotificationSettingsPage';
+import { AuthProvider } from './components/auth/AuthProvider';
+import { RequireAuth } from './components/auth/RequireAuth';
 
 const queryClient = new QueryClient({
   defaultOptions: {
@@ -21,30 +29,42 @@ const queryClient = new QueryClient({
 function App() {
   return (
     <QueryClientProvider client={queryClient}>
-      <Router>
-        <Routes>
-          <Route path="/" element={<MainLayout />}>
-            {/* Dashboard route */}
-            <Route index element={<div>Dashboard</div>} />
+      <AuthProvider>
+        <Router>
+          <Routes>
+            {/* Public routes */}
+            <Route path="login" element={<LoginPage />} />
+            <Route path="accept-invite" element={<AcceptInvitePage />} />
+            <Route path="reset-password" element={<ResetPasswordPage />} />
+
+            <Route path="/" element={<RequireAuth><MainLayout /></RequireAuth>}>
+              {/* Dashboard route */}
+              <Route index element={<div>Dashboard</div>} />
             
-            {/* Analytics routes */}
-            <Route path="analytics">
-              <Route index element={<AnalyticsPage />} />
-            </Route>
+              {/* Analytics routes */}
+              <Route path="analytics">
+                <Route index element={<AnalyticsPage />} />
+              </Route>
 
-            {/* Requests routes */}
-            <Route path="requests">
-              <Route path="new" element={<NewRequestPage />} />
-              <Route path=":id" element={<RequestDetailsPage />} />
-              <Route index element={<RequestsPage />} />
-            </Route>
+              {/* Requests routes */}
+              <Route path="requests">
+                <Route path="new" element={<NewRequestPage />} />
+                <Route path=":id" element={<RequestDetailsPage />} />
+                <Route index element={<RequestsPage />} />
+              </Route>
 
-            {/* 404 route */}
-            <Route path="*" element={<div>Page Not Found</div>} />
-          </Route>
-        </Routes>
-        <Toaster />
-      </Router>
+              {/* Admin routes */}
+              <Route path="settings/notifications" element={<NotificationSettingsPage />} />
+              <Route path="admin/users" element={<RequireAuth roles={['admin']}><UsersPage /></RequireAuth>} />
+              <Route path="admin/audit" element={<RequireAuth roles={['admin', 'auditor']}><AuditLogPage /></RequireAuth>} />
+
+              {/* 404 route */}
+              <Route path="*" element={<div>Page Not Found</div>} />
+            </Route>
+          </Routes>
+          <Toaster />
+        </Router>
+      </AuthProvider>
     </QueryClientProvider>
   );
 }
@@ -0,0 +1,84 @@
+import api from './axiosConfig';
+import type { UserRole } from './auth';
+
+export interface AuditChange {
+  field: string;
+  before: unknown;
+  after: unknown;
+}
+
+export interface AuditEvent {
+  _id: string;
+  sequence: number;
+  at: string;
+  actor: { user?: string; email?: string; role?: UserRole };
+  action: string;
+  request?: string;
+  requestNumber?: string;
+  changes: AuditChange[];
+  method?: string;
+  path?: string;
+  statusCode?: number;
+  ip?: string;
+  userAgent?: string;
+  httpRequestId?: string;
+  prevHash: string;
+  hash: string;
+}
+
+export interface AuditFilters {
+  request?: string;
+  actor?: string;
+  action?: string;
+  from?: string;
+  to?: string;
+}
+
+export interface AuditEventPage {
+  data: AuditEvent[];
+  total: number;
+  page: number;
+  limit: number;
+  totalPages: number;
+  hasNextPage: boolean;
+  hasPrevPage: boolean;
+}
+
+export interface AuditChainStatus {
+  valid: boolean;
+  checked: number;
+  brokenAt?: number;
+  reason?: string;
+}
+
+// Drops empty filters so they aren't sent as ?actor=
+const toParams = (filters: AuditFilters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+export const auditApi = {
+  getEvents: async (filters: AuditFilters, page = 1): Promise<AuditEventPage> => {
+    const { data } = await api.get('/api/audit', { params: { ...toParams(filters), page } });
+    return data;
+  },
+
+  verifyChain: async (): Promise<AuditChainStatus> => {
+    const { data } = await api.get('/api/audit/verify');
+    return data.data;
+  },
+
+  // Fetched as a blob (not a plain link) so the download goes through the API client
+  exportCsv: async (filters: AuditFilters) => {
+    const { data } = await api.get('/api/audit', {
+      params: { ...toParams(filters), format: 'csv' },
+      responseType: 'blob',
+      timeout: 120000,
+    });
+
+    const url = URL.createObjectURL(data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  },
+};
@@ -0,0 +1,95 @@
+import api, { setAccessToken } from './axiosConfig';
+
+export type UserRole = 'requester' | 'reviewer' | 'department_head' | 'admin' | 'auditor';
+
+// Roles that work across every department; all others belong to one
+export const CROSS_DEPARTMENT_ROLES: UserRole[] = ['admin', 'auditor'];
+
+// Same minimum the backend enforces (AUTH_CONFIG.PASSWORD_MIN_LENGTH)
+export const PASSWORD_MIN_LENGTH = 10;
+
+export interface User {
+  id: string;
+  email: string;
+  name?: string;
+  role: UserRole;
+  department: string | null;
+  status?: 'invited' | 'active' | 'disabled';
+  lastLoginAt?: string | null;
+  createdAt?: string;
+}
+
+interface Session {
+  accessToken: string;
+  user: User;
+}
+
+export interface InvitationInput {
+  email: string;
+  name?: string;
+  role: UserRole;
+  department?: string;
+}
+
+// Tokens are shown once, to be passed on to the user
+export interface Invitation {
+  user: User;
+  inviteToken: string;
+  expiresAt: string;
+}
+
+export interface PasswordReset {
+  user: User;
+  resetToken: string;
+  expiresAt: string;
+}
+
+// The refresh token comes back as an httpOnly cookie; only the access token is kept here
+const startSession = (session: Session) => {
+  setAccessToken(session.accessToken);
+  return session.user;
+};
+
+export const authApi = {
+  login: async (credentials: { email: string; password: string }): Promise<User> => {
+    const { data } = await api.post('/api/auth/login', credentials);
+    return startSession(data.data);
+  },
+
+  register: async (input: { token: string; name?: string; password: string }): Promise<User> => {
+    const { data } = await api.post('/api/auth/register', input);
+    return startSession(data.data);
+  },
+
+  logout: async () => {
+    try {
+      await api.post('/api/auth/logout');
+    } finally {
+      setAccessToken(null);
+    }
+  },
+
+  getCurrentUser: async (): Promise<User> => {
+    const { data } = await api.get('/api/auth/me');
+    return data.data;
+  },
+
+  resetPassword: async (input: { token: string; password: string }) => {
+    await api.post('/api/auth/password-reset', input);
+  },
+
+  getUsers: async (): Promise<User[]> => {
+    const { data } = await api.get('/api/auth/users');
+    return data.data;
+  },
+
+  inviteUser: async (input: InvitationInput): Promise<Invitation> => {
+    const { data } = await api.post('/api/auth/invitations', input);
+    return data.data;
+  },
+
+  issuePasswordReset: async (userId: string): Promise<PasswordReset> => {
+    const { data } = await api.post(`/api/auth/users/${userId}/password-reset`);
+    return data.data;
+  },
+};
@@ -1,4 +1,4 @@
-import axios from 'axios';
+import axios, { AxiosError, type InternalAxiosRequestConfig } from 'axios';
 
 const API_URL = import.meta.env.VITE_API_URL?.replace(/\/$/, '') || 'http://localhost:3000';
 
@@ -10,11 +10,105 @@ const api = axios.create({
   }
 });
 
+// The access token only lives in memory; the refresh token is an httpOnly
+// cookie the backend renews it with (see refreshSession)
+let accessToken: string | null = null;
+const sessionListeners = new Set<(token: string | null) => void>();
+
+export const getAccessToken = () => accessToken;
+
+export const setAccessToken = (token: string | null) => {
+  accessToken = token;
+  sessionListeners.forEach((listener) => listener(token));
+};
+
+// Called with the new token whenever it changes; null when the session ended
+export const onAccessTokenChange = (listener: (token: string | null) => void) => {
+  sessionListeners.add(listener);
+  return () => {
+    sessionListeners.delete(listener);
+  };
+};
+
+// Headers for requests made without the api instance (fetch, uploads)
+export const authHeaders = (): Record<string, string> =>
+  accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+
+// Endpoints that must not trigger a refresh when they answer 401
+const isAuthRequest = (url?: string) => !!url && /\/api\/auth\/(login|register|refresh|logout|password-reset)/.test(url);
+
+// One refresh at a time; concurrent 401s wait for the same one
+let refreshing: Promise<string | null> | null = null;
+
+const requestRefresh = async (retried = false): Promise<string | null> => {
+  try {
+    const { data } = await api.post('/api/auth/refresh');
+    setAccessToken(data.data.accessToken);
+    return data.data.accessToken;
+  } catch (error) {
+    // Another tab renewed the session a moment ago; its new cookie is already set
+    if (!retried && error instanceof AxiosError && error.response?.data?.errorCode === 'REFRESH_TOKEN_ROTATED') {
+      await new Promise((resolve) => setTimeout(resolve, 250));
+      return requestRefresh(true);
+    }
+    setAccessToken(null);
+    return null;
+  }
+};
+
+/**
+ * Renews the access token with the refresh cookie. Resolves to null (and
+ * clears the session) when the user has to log in again.
+ */
+export const refreshSession = (): Promise<string | null> => {
+  refreshing ??= requestRefresh().finally(() => {
+    refreshing = null;
+  });
+  return refreshing;
+};
+
+// Seconds left before the access token expires, read from its payload
+const secondsUntilExpiry = (token: string) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp - Date.now() / 1000;
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * An access token that is good for a while yet, for connections that can't
+ * retry after a 401 (EventSource)
+ */
+export const getFreshAccessToken = async (): Promise<string | null> => {
+  if (accessToken && secondsUntilExpiry(accessToken) > 30) return accessToken;
+  return refreshSession();
+};
+
+/**
+ * fetch() with the access token, renewing it once if it has expired
+ */
+export const authorizedFetch = async (input: string, init: RequestInit = {}): Promise<Response> => {
+  const send = () => fetch(input, {
+    credentials: 'include',
+    ...init,
+    headers: { ...(init.headers as Record<string, string>), ...authHeaders() },
+  });
+
+  const response = await send();
+  if (response.status !== 401 || !(await refreshSession())) return response;
+  return send();
+};
+
 // Add request interceptor for debugging
 api.interceptors.request.use(
   (config) => {
     // Remove any double slashes in the URL except after http(s):
     config.url = config.url?.replace(/([^:]\/)\/+/g, "$1");
+    if (accessToken && !config.headers.Authorization && !isAuthRequest(config.url)) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    }
     console.log('Making request to:', config.baseURL + config.url);
     return config;
   },
@@ -23,4 +117,22 @@ api.interceptors.request.use(
   }
 );
 
-export default api;
\ No newline at end of file
+// An expired access token is renewed and the request sent once more
+api.interceptors.response.use(
+  (response) => response,
+  async (error: AxiosError) => {
+    const config = error.config as (InternalAxiosRequestConfig & { _retried?: boolean }) | undefined;
+    if (error.response?.status !== 401 || !config || config._retried || isAuthRequest(config.url)) {
+      return Promise.reject(error);
+    }
+
+    config._retried = true;
+    const token = await refreshSession();
+    if (!token) return Promise.reject(error);
+
+    config.headers.Authorization = `Bearer ${token}`;
+    return api(config);
+  }
+);
+
+export default api;
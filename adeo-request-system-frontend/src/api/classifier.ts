@@ -0,0 +1,55 @@
+import api from './axiosConfig';
+
+export type ClassifiedField = 'department' | 'requestType' | 'priority';
+
+export interface FieldSuggestion {
+  value: string;
+  // 0-1
+  confidence: number;
+}
+
+export interface ClassificationSuggestions {
+  // null until a model has been trained
+  modelVersion: number | null;
+  suggestions: Record<ClassifiedField, FieldSuggestion | null>;
+}
+
+export interface ClassifierModel {
+  id: string;
+  version: number;
+  trainedAt: string;
+  trainedBy?: string;
+  documentCount: number;
+  vocabularySize: number;
+  fields: Array<{
+    field: ClassifiedField;
+    values: Array<{ value: string; documentCount: number }>;
+    accuracy: number | null;
+    evaluatedOn: number;
+  }>;
+}
+
+export interface ClassifierAcceptance {
+  field: ClassifiedField;
+  suggested: number;
+  accepted: number;
+  acceptanceRate: number | null;
+  byModelVersion: Array<{ modelVersion: number | null; suggested: number; accepted: number }>;
+}
+
+export const classifierApi = {
+  suggest: async (draft: { title: string; description: string }): Promise<ClassificationSuggestions> => {
+    const { data } = await api.post('/api/classifier/suggest', draft);
+    return data.data;
+  },
+
+  getClassifier: async (): Promise<{ model: ClassifierModel | null; acceptance: ClassifierAcceptance[] }> => {
+    const { data } = await api.get('/api/classifier');
+    return data.data;
+  },
+
+  train: async (): Promise<ClassifierModel> => {
+    const { data } = await api.post('/api/classifier/train');
+    return data.data;
+  },
+};
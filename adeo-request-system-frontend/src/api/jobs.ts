@@ -0,0 +1,31 @@
+import api from './axiosConfig';
+import type { AnalysisLanguageOption } from '@/types';
+
+export type JobState = 'queued' | 'running' | 'completed' | 'failed';
+export type JobStage = 'queued' | 'extracting' | 'analysis' | 'recommendations' | 'saving' | 'done';
+
+export interface AnalysisJob {
+  id: string;
+  request: string;
+  requestNumber?: string;
+  state: JobState;
+  stage: JobStage;
+  language: AnalysisLanguageOption | null;
+  attempts: number;
+  maxAttempts: number;
+  nextAttemptAt: string | null;
+  error: { message: string; code?: string; at?: string } | null;
+  createdAt: string;
+  startedAt?: string;
+  finishedAt?: string;
+}
+
+export const isJobFinished = (job?: AnalysisJob) =>
+  job?.state === 'completed' || job?.state === 'failed';
+
+export const jobsApi = {
+  getJob: async (id: string): Promise<AnalysisJob> => {
+    const { data } = await api.get(`/api/jobs/${id}`);
+    return data.data;
+  },
+};
@@ -0,0 +1,77 @@
+import api from './axiosConfig';
+
+export type NotificationEvent = 'status_changed' | 'mention' | 'analysis_completed' | 'sla_breached';
+
+// Not at all, straight away, or in the daily digest
+export type EmailDelivery = 'off' | 'immediate' | 'digest';
+
+export interface AppNotification {
+  _id: string;
+  event: NotificationEvent;
+  request?: string;
+  requestNumber?: string;
+  title: string;
+  body?: string;
+  // Frontend path the notification opens
+  link?: string;
+  actor?: string;
+  readAt: string | null;
+  createdAt: string;
+}
+
+export interface NotificationPage {
+  data: AppNotification[];
+  total: number;
+  unreadCount: number;
+  page: number;
+  totalPages: number;
+  hasNextPage: boolean;
+}
+
+export interface NotificationPreference {
+  event: NotificationEvent;
+  label: string;
+  description: string;
+  inApp: boolean;
+  email: EmailDelivery;
+}
+
+export interface NotificationPreferences {
+  events: NotificationPreference[];
+  // Whether the server can send email at all
+  emailEnabled: boolean;
+}
+
+export const notificationsApi = {
+  getNotifications: async (params: { page?: number; limit?: number; unread?: boolean } = {}): Promise<NotificationPage> => {
+    const { data } = await api.get('/api/notifications', { params });
+    return data;
+  },
+
+  getUnreadCount: async (): Promise<number> => {
+    const { data } = await api.get('/api/notifications/unread-count');
+    return data.data.count;
+  },
+
+  markRead: async (ids: string[]) => {
+    const { data } = await api.post('/api/notifications/read', { ids });
+    return data.data;
+  },
+
+  markAllRead: async () => {
+    const { data } = await api.post('/api/notifications/read', { all: true });
+    return data.data;
+  },
+
+  getPreferences: async (): Promise<NotificationPreferences> => {
+    const { data } = await api.get('/api/notifications/preferences');
+    return data.data;
+  },
+
+  updatePreferences: async (
+    preferences: Array<Pick<NotificationPreference, 'event' | 'inApp' | 'email'>>
+  ): Promise<NotificationPreferences> => {
+    const { data } = await api.put('/api/notifications/preferences', { preferences });
+    return data.data;
+  },
+};
@@ -1,14 +1,231 @@
-import api from './axiosConfig';
-import { Request, RequestStatus } from '@/types';
+import api, { getFreshAccessToken } from './axiosConfig';
+import {
+  AnalysisLanguage,
+  AnalysisLanguageOption,
+  PromptTemplateUsage,
+  Request,
+  RequestAnalysis,
+  RequestStatus,
+  RiskLevel,
+} from '@/types';
+import type { AnalysisJob } from './jobs';
 
-interface RequestsParams {
+// Actions of the backend's access policy (config/accessPolicy.js); GET
+// /api/requests/:id lists the ones the current user may perform
+export type RequestAction =
+  | 'request:read'
+  | 'request:create'
+  | 'request:update'
+  | 'request:transfer'
+  | 'request:delete'
+  | 'request:transition'
+  | 'attachment:read'
+  | 'attachment:write'
+  | 'analysis:read'
+  | 'analysis:run'
+  | 'analysis:pin'
+  | 'comment:read'
+  | 'comment:write'
+  | 'comment:internal'
+  | 'comment:moderate';
+
+export interface StatusHistoryEntry {
+  _id: string;
+  from: string | null;
+  to: string;
+  actor: string;
+  note?: string;
+  at: string;
+}
+
+export interface AvailableTransition {
+  to: string;
+  requiresNote: boolean;
+  blockedBy: string[];
+}
+
+export interface TransitionsResponse {
+  current: string;
+  version: number;
+  available: AvailableTransition[];
+  history: StatusHistoryEntry[];
+}
+
+export interface Attachment {
+  _id: string;
+  filename: string;
+  originalName: string;
+  mimeType: string;
+  size: number;
+  hash?: string;
+  uploadedAt?: string;
+  uploadedBy?: string;
+}
+
+export interface CommentUser {
+  id: string;
+  email: string;
+  name?: string;
+}
+
+export interface RequestComment {
+  _id: string;
+  parent: string | null;
+  author: CommentUser;
+  // null once deleted
+  body: string | null;
+  // Hidden from requesters
+  internal: boolean;
+  mentions: CommentUser[];
+  attachments: Array<Pick<Attachment, '_id' | 'originalName'>>;
+  createdAt: string;
+  editedAt: string | null;
+  deleted: boolean;
+  canEdit: boolean;
+  canDelete: boolean;
+  editableUntil: string | null;
+  deletableUntil: string | null;
+}
+
+export interface CommentThread extends RequestComment {
+  replies: RequestComment[];
+}
+
+export interface CommentInput {
+  body: string;
+  internal?: boolean;
+  parent?: string;
+  attachments?: string[];
+}
+
+export interface AttachmentConfig {
+  allowedTypes: string[];
+  maxFileSize: number;
+  maxFiles: number;
+}
+
+export interface SimilarityDetails {
+  titleSimilarity: number;
+  contentSimilarity: number;
+  titleOverlap: number;
+  contentOverlap: number;
+  semanticScore: number;
+}
+
+export interface RequestSummary {
+  _id: string;
+  requestNumber: string;
+  title: string;
+  department?: string;
+  status: string;
+  createdAt: string;
+}
+
+export interface DuplicateWarning {
+  request: RequestSummary;
+  similarity: number;
+  details: SimilarityDetails;
+}
+
+export type SimilarRequest = DuplicateWarning;
+
+export interface AnalysisRunSummary {
+  id: string;
+  runNumber: number;
+  createdAt: string;
+  model?: string;
+  promptVersion?: string;
+  promptTemplates: PromptTemplateUsage[];
+  durationMs?: number;
+  source?: 'job' | 'stream' | 'legacy';
+  // Result reused from an identical earlier analysis
+  cached: boolean;
+  requestVersion: number | null;
+  riskLevel?: RiskLevel;
+  official: boolean;
+  pinned: boolean;
+  outdated: boolean;
+}
+
+export interface AnalysisRun extends AnalysisRunSummary {
+  result: RequestAnalysis;
+}
+
+export type SectionDiff = {
+  step: 'analysis' | 'recommendations';
+  // Dotted for nested fields, e.g. 'impact.economic.rating'
+  field: string;
+  changed: boolean;
+} & (
+  | { kind: 'text'; diff: Array<{ op: 'equal' | 'removed' | 'added'; text: string }> }
+  | { kind: 'list'; unchanged: string[]; removed: string[]; added: string[] }
+  | { kind: 'value'; before: string | null; after: string | null }
+);
+
+export interface AnalysisComparison {
+  base: AnalysisRunSummary;
+  target: AnalysisRunSummary;
+  sections: SectionDiff[];
+}
+
+export interface RequestsParams {
   page?: number;
   limit?: number;
   department?: string;
   status?: RequestStatus;
+  priority?: string;
   type?: string;
   startDate?: string;
   endDate?: string;
+  q?: string;
+  sort?: string;
+  order?: 'asc' | 'desc';
+}
+
+export interface PaginatedResponse<T> {
+  status: string;
+  count: number;
+  total: number;
+  page: number;
+  limit: number;
+  totalPages: number;
+  hasNextPage: boolean;
+  hasPrevPage: boolean;
+  data: T[];
+}
+
+export interface RequestStats {
+  total: number;
+  byStatus: Record<string, number>;
+  byPriority: Record<string, number>;
+  byType: Record<string, number>;
+  byDepartment: Record<string, number>;
+}
+
+export interface DraftInput {
+  title: string;
+  description: string;
+  type?: string;
+  department?: string;
+}
+
+export interface DraftSection {
+  heading: string;
+  guidance: string;
+}
+
+// Feedback of the drafting assistant on a draft that hasn't been submitted
+export interface DraftAssistance {
+  language: AnalysisLanguage;
+  // Standard structure of a description for the draft's request type
+  sections: DraftSection[];
+  suggestedTitle: string | null;
+  missingElements: Array<{ section: string; suggestion: string }>;
+  // excerpt occurs verbatim in the description
+  ambiguities: Array<{ excerpt: string; issue: string; suggestion: string }>;
+  rewrittenDescription: string | null;
+  completenessScore: number;
+  model: string;
 }
 
 export const requestsApi = {
@@ -18,6 +235,11 @@ export const requestsApi = {
     return data;
   },
 
+  getStats: async (params: Omit<RequestsParams, 'page' | 'limit' | 'sort' | 'order'> = {}): Promise<RequestStats> => {
+    const { data } = await api.get('/api/requests/stats', { params });
+    return data.data;
+  },
+
   getRequest: async (id: string) => {
     const { data } = await api.get(`/api/requests/${id}`);
     console.log('Request data:', data);
@@ -43,13 +265,149 @@ export const requestsApi = {
     }
   },
 
-  updateRequest: async (id: string, updateData: Partial<Request>) => {
+  // `version` is the metadata.version the edit is based on; the backend
+  // answers 409 if someone else saved in the meantime
+  updateRequest: async (id: string, updateData: Partial<Request> & { version?: number }) => {
     const { data } = await api.put(`/api/requests/${id}`, updateData);
     return data;
   },
 
-  deleteRequest: async (id: string) => {
-    const { data } = await api.delete(`/api/requests/${id}`);
+  patchRequest: async (id: string, updateData: Partial<Request> & { version?: number }) => {
+    const { data } = await api.patch(`/api/requests/${id}`, updateData);
+    return data;
+  },
+
+  cancelRequest: async (id: string, version?: number) => {
+    const { data } = await api.post(`/api/requests/${id}/cancel`, { version });
+    return data;
+  },
+
+  assistDraft: async (draft: DraftInput): Promise<DraftAssistance> => {
+    const { data } = await api.post('/api/requests/assist', draft);
+    return data.data;
+  },
+
+  // Queues an analysis; follow its progress with jobsApi.getJob
+  // Without a language the analysis is written in the language of the request
+  analyzeRequest: async (id: string, language?: AnalysisLanguageOption): Promise<AnalysisJob> => {
+    const { data } = await api.post(`/api/requests/${id}/analyze`, { language });
+    return data.data.job;
+  },
+
+  // Server-Sent Events stream of a live analysis, see useAnalysisStream.
+  // EventSource can't send headers, so the access token goes in the query.
+  analysisStreamUrl: async (id: string, language?: AnalysisLanguageOption) => {
+    const params = new URLSearchParams();
+    if (language) params.set('language', language);
+    const token = await getFreshAccessToken();
+    if (token) params.set('access_token', token);
+    return `${api.defaults.baseURL}/api/requests/${id}/analyze/stream?${params}`;
+  },
+
+  getAnalysisRuns: async (id: string): Promise<AnalysisRunSummary[]> => {
+    const { data } = await api.get(`/api/requests/${id}/analyses`);
+    return data.data;
+  },
+
+  getAnalysisRun: async (id: string, runId: string): Promise<AnalysisRun> => {
+    const { data } = await api.get(`/api/requests/${id}/analyses/${runId}`);
+    return data.data;
+  },
+
+  compareAnalysisRuns: async (id: string, base: string, target: string): Promise<AnalysisComparison> => {
+    const { data } = await api.get(`/api/requests/${id}/analyses/compare`, { params: { base, target } });
+    return data.data;
+  },
+
+  pinAnalysisRun: async (id: string, runId: string) => {
+    const { data } = await api.post(`/api/requests/${id}/analyses/${runId}/pin`);
+    return data;
+  },
+
+  unpinAnalysisRun: async (id: string) => {
+    const { data } = await api.delete(`/api/requests/${id}/analyses/pin`);
+    return data;
+  },
+
+  getComments: async (id: string): Promise<CommentThread[]> => {
+    const { data } = await api.get(`/api/requests/${id}/comments`);
+    return data.data;
+  },
+
+  addComment: async (id: string, input: CommentInput): Promise<RequestComment> => {
+    const { data } = await api.post(`/api/requests/${id}/comments`, input);
+    return data.data;
+  },
+
+  updateComment: async (id: string, commentId: string, input: Pick<CommentInput, 'body' | 'attachments'>): Promise<RequestComment> => {
+    const { data } = await api.patch(`/api/requests/${id}/comments/${commentId}`, input);
+    return data.data;
+  },
+
+  deleteComment: async (id: string, commentId: string) => {
+    const { data } = await api.delete(`/api/requests/${id}/comments/${commentId}`);
+    return data;
+  },
+
+  // Users who can be @mentioned in a (possibly internal) comment on the request
+  getMentionableUsers: async (id: string, q: string, internal = false): Promise<CommentUser[]> => {
+    const { data } = await api.get(`/api/requests/${id}/comments/mentionable`, { params: { q, internal } });
+    return data.data;
+  },
+
+  getSimilarRequests: async (id: string, limit = 5): Promise<SimilarRequest[]> => {
+    const { data } = await api.get(`/api/requests/${id}/similar`, { params: { limit } });
+    return data.data;
+  },
+
+  getTransitions: async (id: string): Promise<TransitionsResponse> => {
+    const { data } = await api.get(`/api/requests/${id}/transitions`);
+    return data.data;
+  },
+
+  transitionRequest: async (id: string, transition: { to: string; note?: string; version?: number }) => {
+    const { data } = await api.post(`/api/requests/${id}/transitions`, transition);
+    return data;
+  },
+
+  getAttachmentConfig: async (): Promise<AttachmentConfig> => {
+    const { data } = await api.get('/api/requests/attachments/config');
+    return data.data;
+  },
+
+  addAttachments: async (id: string, files: File[], version?: number) => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+    if (version !== undefined) formData.append('version', String(version));
+
+    const { data } = await api.post(`/api/requests/${id}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 30000,
+    });
+    return data;
+  },
+
+  // Fetched as a blob (not a plain link) so the download goes through the API client
+  downloadAttachment: async (id: string, attachment: Attachment) => {
+    const { data } = await api.get(`/api/requests/${id}/attachments/${attachment._id}`, {
+      responseType: 'blob',
+    });
+
+    const url = URL.createObjectURL(data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = attachment.originalName;
+    link.click();
+    URL.revokeObjectURL(url);
+  },
+
+  deleteAttachment: async (id: string, attachmentId: string, version?: number) => {
+    const { data } = await api.delete(`/api/requests/${id}/attachments/${attachmentId}`, { data: { version } });
+    return data;
+  },
+
+  deleteRequest: async (id: string, version?: number) => {
+    const { data } = await api.delete(`/api/requests/${id}`, { data: { version } });
     return data;
   }
 };
\ No newline at end of file
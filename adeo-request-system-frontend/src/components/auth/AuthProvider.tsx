@@ -0,0 +1,58 @@
+import { useCallback, useEffect, useMemo, useState, type ReactNode } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { onAccessTokenChange, refreshSession } from '@/api/axiosConfig';
+import { authApi, type User } from '@/api/auth';
+import { AuthContext } from '@/hooks/useAuth';
+
+export function AuthProvider({ children }: { children: ReactNode }) {
+  const queryClient = useQueryClient();
+  const [user, setUser] = useState<User | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // The refresh cookie outlives page loads; use it to pick the session back up
+  useEffect(() => {
+    let cancelled = false;
+    refreshSession()
+      .then((token) => (token ? authApi.getCurrentUser() : null))
+      .catch(() => null)
+      .then((current) => {
+        if (cancelled) return;
+        setUser(current);
+        setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // A refresh that fails ends the session everywhere in the app
+  useEffect(() => onAccessTokenChange((token) => {
+    if (!token) setUser(null);
+  }), []);
+
+  const login = useCallback(async (email: string, password: string) => {
+    const loggedIn = await authApi.login({ email, password });
+    setUser(loggedIn);
+    return loggedIn;
+  }, []);
+
+  const register = useCallback(async (token: string, name: string, password: string) => {
+    const registered = await authApi.register({ token, name, password });
+    setUser(registered);
+    return registered;
+  }, []);
+
+  const logout = useCallback(async () => {
+    await authApi.logout().catch(() => undefined);
+    setUser(null);
+    // Nothing fetched for this user should show up for the next one
+    queryClient.clear();
+  }, [queryClient]);
+
+  const value = useMemo(
+    () => ({ user, isLoading, login, register, logout }),
+    [user, isLoading, login, register, logout]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
@@ -0,0 +1,35 @@
+import type { ReactNode } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
+import type { UserRole } from '@/api/auth';
+import { useAuth } from '@/hooks/useAuth';
+
+interface RequireAuthProps {
+  children: ReactNode;
+  // Any logged-in user when omitted
+  roles?: UserRole[];
+}
+
+// Sends visitors who aren't logged in to the login page, and back here afterwards
+export function RequireAuth({ children, roles }: RequireAuthProps) {
+  const { user, isLoading } = useAuth();
+  const location = useLocation();
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <Loader2 className="h-8 w-8 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (roles && !roles.includes(user.role)) {
+    return <div>You do not have access to this page.</div>;
+  }
+
+  return <>{children}</>;
+}
@@ -1,19 +1,29 @@
 import { Button } from "@/components/ui/button";
 import { useNavigate } from 'react-router-dom';
 import {
-  Bell,
   Search,
   Menu,
+  LogOut,
 } from 'lucide-react';
 import {
   DropdownMenu,
   DropdownMenuContent,
   DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
   DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu";
+import { useAuth } from '@/hooks/useAuth';
+import { NotificationBell } from './NotificationBell';
 
 export function Header() {
   const navigate = useNavigate();
+  const { user, logout } = useAuth();
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login');
+  };
 
   return (
     <header className="sticky top-0 z-50 w-full border-b bg-background/95 backdrop-blur supports-[backdrop-filter]:bg-background/60">
@@ -36,24 +46,25 @@ export function Header() {
             </Button>
           </div>
           <nav className="flex items-center space-x-2">
+            <NotificationBell />
             <DropdownMenu>
               <DropdownMenuTrigger asChild>
-                <Button variant="outline" size="icon">
-                  <Bell className="h-4 w-4" />
+                <Button variant="ghost">
+                  {user?.name || user?.email}
                 </Button>
               </DropdownMenuTrigger>
               <DropdownMenuContent align="end">
-                <DropdownMenuItem>
-                  No new notifications
+                <DropdownMenuLabel className="font-normal">
+                  <div className="text-sm">{user?.email}</div>
+                  <div className="text-xs text-muted-foreground">{user?.department ?? 'All departments'}</div>
+                </DropdownMenuLabel>
+                <DropdownMenuSeparator />
+                <DropdownMenuItem onClick={handleLogout}>
+                  <LogOut className="mr-2 h-4 w-4" />
+                  Log out
                 </DropdownMenuItem>
               </DropdownMenuContent>
             </DropdownMenu>
-            <Button
-              variant="ghost"
-              onClick={() => navigate('/profile')}
-            >
-              Profile
-            </Button>
           </nav>
         </div>
       </div>
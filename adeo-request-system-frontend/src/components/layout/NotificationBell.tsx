@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Bell, Settings } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { notificationsApi, type AppNotification } from '@/api/notifications';
+
+// How often the unread count is refreshed while the app is open
+const UNREAD_POLL_MS = 30 * 1000;
+const RECENT_LIMIT = 8;
+
+export function NotificationBell() {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+
+  const { data: unreadCount = 0 } = useQuery({
+    queryKey: ['notifications', 'unread-count'],
+    queryFn: notificationsApi.getUnreadCount,
+    refetchInterval: UNREAD_POLL_MS,
+  });
+
+  const { data: recent } = useQuery({
+    queryKey: ['notifications', 'recent'],
+    queryFn: () => notificationsApi.getNotifications({ limit: RECENT_LIMIT }),
+    enabled: open,
+  });
+
+  const onSuccess = () => queryClient.invalidateQueries({ queryKey: ['notifications'] });
+
+  const markReadMutation = useMutation({
+    mutationFn: (id: string) => notificationsApi.markRead([id]),
+    onSuccess,
+  });
+
+  const markAllReadMutation = useMutation({
+    mutationFn: notificationsApi.markAllRead,
+    onSuccess,
+  });
+
+  const openNotification = (notification: AppNotification) => {
+    if (!notification.readAt) markReadMutation.mutate(notification._id);
+    if (notification.link) navigate(notification.link);
+  };
+
+  return (
+    <DropdownMenu open={open} onOpenChange={setOpen}>
+      <DropdownMenuTrigger asChild>
+        <Button
+          variant="outline"
+          size="icon"
+          className="relative"
+          aria-label={unreadCount ? `${unreadCount} unread notifications` : 'Notifications'}
+        >
+          <Bell className="h-4 w-4" />
+          {unreadCount > 0 && (
+            <span className="absolute -right-1 -top-1 flex h-4 min-w-4 items-center justify-center rounded-full bg-red-600 px-1 text-[10px] font-medium text-white">
+              {unreadCount > 99 ? '99+' : unreadCount}
+            </span>
+          )}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-80">
+        <DropdownMenuLabel className="flex items-center justify-between">
+          <span>Notifications</span>
+          {unreadCount > 0 && (
+            <Button
+              variant="link"
+              size="sm"
+              className="h-auto p-0 text-xs"
+              onClick={() => markAllReadMutation.mutate()}
+              disabled={markAllReadMutation.isPending}
+            >
+              Mark all as read
+            </Button>
+          )}
+        </DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {!recent?.data.length ? (
+          <DropdownMenuItem disabled>No notifications</DropdownMenuItem>
+        ) : (
+          recent.data.map((notification) => (
+            <DropdownMenuItem
+              key={notification._id}
+              onClick={() => openNotification(notification)}
+              className="flex flex-col items-start gap-1"
+            >
+              <div className="flex w-full items-start gap-2">
+                {!notification.readAt && <span className="mt-1.5 h-2 w-2 shrink-0 rounded-full bg-blue-600" />}
+                <span className={notification.readAt ? 'text-muted-foreground' : 'font-medium'}>
+                  {notification.title}
+                </span>
+              </div>
+              {notification.body && (
+                <span className="line-clamp-2 text-xs text-muted-foreground">{notification.body}</span>
+              )}
+              <span className="text-xs text-muted-foreground">
+                {new Date(notification.createdAt).toLocaleString()}
+              </span>
+            </DropdownMenuItem>
+          ))
+        )}
+        <DropdownMenuSeparator />
+        <DropdownMenuItem onClick={() => navigate('/settings/notifications')}>
+          <Settings className="mr-2 h-4 w-4" />
+          Notification settings
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
@@ -9,13 +9,17 @@ import {
   PlusCircle,
   LineChart,
   Users,
+  UserCog,
+  ScrollText,
 } from 'lucide-react';
+import { useAuth } from '@/hooks/useAuth';
 
 interface SidebarProps extends React.HTMLAttributes<HTMLDivElement> {}
 
 export function Sidebar({ className }: SidebarProps) {
   const navigate = useNavigate();
   const location = useLocation();
+  const { user } = useAuth();
 
   const menuItems = [
     {
@@ -42,7 +46,17 @@ export function Sidebar({ className }: SidebarProps) {
       title: "Settings",
       icon: Settings,
       href: "/settings"
-    }
+    },
+    ...(user?.role === 'admin' ? [{
+      title: "Users",
+      icon: UserCog,
+      href: "/admin/users"
+    }] : []),
+    ...(user?.role === 'admin' || user?.role === 'auditor' ? [{
+      title: "Audit trail",
+      icon: ScrollText,
+      href: "/admin/audit"
+    }] : [])
   ];
 
   return (
@@ -0,0 +1,115 @@
+import { useQuery } from '@tanstack/react-query';
+import { Loader2 } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { requestsApi, type SectionDiff } from '@/api/requests';
+
+const SECTION_LABELS: Record<string, string> = {
+  summary: 'Executive Summary',
+  trends: 'Key Trends',
+  impactAssessment: 'Impact Assessment',
+  policyAlignment: 'Policy Alignment',
+  riskLevel: 'Risk Level',
+  strategic: 'Strategic Recommendations',
+  operational: 'Implementation Steps',
+  timeline: 'Timeline',
+  risks: 'Identified Risks',
+  budgetImplications: 'Budget Implications',
+  'impact.economic.rating': 'Economic Impact',
+  'impact.economic.details': 'Economic Impact Details',
+  'impact.social.rating': 'Social Impact',
+  'impact.social.details': 'Social Impact Details',
+  'impact.environmental.rating': 'Environmental Impact',
+  'impact.environmental.details': 'Environmental Impact Details',
+  'decision.recommendation': 'Recommended Decision',
+  'decision.rationale': 'Decision Rationale',
+};
+
+function SectionChanges({ section }: { section: SectionDiff }) {
+  switch (section.kind) {
+    case 'text':
+      return (
+        <p className="text-sm text-gray-700 leading-relaxed">
+          {section.diff.map((part, index) => (
+            <span
+              key={index}
+              className={
+                part.op === 'added' ? 'bg-green-100 text-green-900'
+                  : part.op === 'removed' ? 'bg-red-100 text-red-900 line-through'
+                    : undefined
+              }
+            >
+              {part.text}
+            </span>
+          ))}
+        </p>
+      );
+    case 'list':
+      return (
+        <ul className="text-sm space-y-1">
+          {section.removed.map((item) => (
+            <li key={`removed-${item}`} className="bg-red-100 text-red-900 line-through px-2 rounded">- {item}</li>
+          ))}
+          {section.added.map((item) => (
+            <li key={`added-${item}`} className="bg-green-100 text-green-900 px-2 rounded">+ {item}</li>
+          ))}
+          {section.unchanged.map((item) => (
+            <li key={`unchanged-${item}`} className="text-gray-600 px-2">{item}</li>
+          ))}
+        </ul>
+      );
+    case 'value':
+      return (
+        <p className="text-sm">
+          <span className="line-through text-red-900">{section.before ?? '—'}</span>
+          {' → '}
+          <span className="text-green-900 font-medium">{section.after ?? '—'}</span>
+        </p>
+      );
+  }
+}
+
+interface AnalysisComparisonProps {
+  requestId: string;
+  baseRunId: string;
+  targetRunId: string;
+}
+
+// Differences between two analysis runs, section by section
+export function AnalysisComparison({ requestId, baseRunId, targetRunId }: AnalysisComparisonProps) {
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['request', requestId, 'analyses', 'compare', baseRunId, targetRunId],
+    queryFn: () => requestsApi.compareAnalysisRuns(requestId, baseRunId, targetRunId),
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center p-4">
+        <Loader2 className="h-6 w-6 animate-spin" />
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return <p className="text-sm text-red-500">Failed to compare analysis runs</p>;
+  }
+
+  const changed = data.sections.filter((section) => section.changed);
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-500">
+        Changes from run {data.base.runNumber} to run {data.target.runNumber}
+        {' '}({changed.length} of {data.sections.length} sections changed)
+      </p>
+      {data.sections.map((section) => (
+        <div key={`${section.step}.${section.field}`} className="space-y-1">
+          <div className="flex items-center gap-2">
+            <h4 className="font-semibold text-sm">{SECTION_LABELS[section.field] ?? section.field}</h4>
+            {!section.changed && <Badge variant="outline">Unchanged</Badge>}
+          </div>
+          {section.changed && <SectionChanges section={section} />}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import { Badge } from '@/components/ui/badge';
+import type {
+  Decision,
+  DecisionRecommendation,
+  ImpactArea,
+  ImpactDimension,
+  ImpactRating,
+} from '@/types';
+
+type Language = 'en' | 'ar';
+
+const LABELS = {
+  en: {
+    decision: {
+      APPROVED: 'Approve',
+      REJECTED: 'Reject',
+      NEEDS_REVIEW: 'Needs Review',
+    } as Record<Decision, string>,
+    confidence: 'Confidence',
+    notAssessed: 'Not assessed',
+    areas: {
+      economic: 'Economic',
+      social: 'Social',
+      environmental: 'Environmental',
+    } as Record<ImpactArea, string>,
+    ratings: {
+      SIGNIFICANT_NEGATIVE: 'Significantly negative',
+      MODERATE_NEGATIVE: 'Moderately negative',
+      NEUTRAL: 'Neutral',
+      MODERATE_POSITIVE: 'Moderately positive',
+      SIGNIFICANT_POSITIVE: 'Significantly positive',
+    } as Record<ImpactRating, string>,
+  },
+  ar: {
+    decision: {
+      APPROVED: 'الموافقة',
+      REJECTED: 'الرفض',
+      NEEDS_REVIEW: 'يحتاج إلى مراجعة',
+    } as Record<Decision, string>,
+    confidence: 'الثقة',
+    notAssessed: 'غير مُقيّم',
+    areas: {
+      economic: 'اقتصادي',
+      social: 'اجتماعي',
+      environmental: 'بيئي',
+    } as Record<ImpactArea, string>,
+    ratings: {
+      SIGNIFICANT_NEGATIVE: 'سلبي بشكل كبير',
+      MODERATE_NEGATIVE: 'سلبي بشكل معتدل',
+      NEUTRAL: 'محايد',
+      MODERATE_POSITIVE: 'إيجابي بشكل معتدل',
+      SIGNIFICANT_POSITIVE: 'إيجابي بشكل كبير',
+    } as Record<ImpactRating, string>,
+  },
+};
+
+const DECISION_VARIANTS: Record<Decision, 'default' | 'destructive' | 'secondary'> = {
+  APPROVED: 'default',
+  REJECTED: 'destructive',
+  NEEDS_REVIEW: 'secondary',
+};
+
+const IMPACT_AREAS: ImpactArea[] = ['economic', 'social', 'environmental'];
+
+// 0 is significantly negative, 50 neutral, 100 significantly positive
+const scoreColor = (score: number) =>
+  score < 50 ? 'bg-red-500' : score > 50 ? 'bg-green-500' : 'bg-gray-400';
+
+interface DecisionSummaryProps {
+  decision?: DecisionRecommendation;
+  language?: Language;
+}
+
+/**
+ * Recommended decision with its confidence and rationale
+ */
+export function DecisionSummary({ decision, language = 'en' }: DecisionSummaryProps) {
+  if (!decision) return null;
+  const labels = LABELS[language];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <Badge variant={DECISION_VARIANTS[decision.recommendation]} className="text-sm">
+          {labels.decision[decision.recommendation] ?? decision.recommendation}
+        </Badge>
+        {/* Computed once the analysis is complete, so missing while it streams in */}
+        {decision.confidence !== undefined && (
+          <span className="text-sm text-gray-500">
+            {labels.confidence}: {decision.confidence === null ? labels.notAssessed : `${decision.confidence}/100`}
+          </span>
+        )}
+      </div>
+      {decision.rationale?.length > 0 && (
+        <ul className="list-disc pl-5 space-y-1">
+          {decision.rationale.map((reason, index) => (
+            <li key={index} className="text-gray-700">{reason}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+interface ImpactScoresProps {
+  impact?: Partial<Record<ImpactArea, ImpactDimension>>;
+  language?: Language;
+}
+
+/**
+ * Rating, score and supporting details for each impact area
+ */
+export function ImpactScores({ impact, language = 'en' }: ImpactScoresProps) {
+  if (!impact) return null;
+  const labels = LABELS[language];
+
+  return (
+    <div className="grid gap-4 md:grid-cols-3">
+      {IMPACT_AREAS.map((area) => {
+        const dimension = impact[area];
+        if (!dimension) return null;
+        const scored = typeof dimension.score === 'number';
+
+        return (
+          <div key={area} className="space-y-2 rounded-lg border p-3">
+            <div className="flex items-center justify-between">
+              <span className="font-semibold">{labels.areas[area]}</span>
+              <span className="text-sm text-gray-500">
+                {scored ? `${dimension.score}/100` : dimension.score === null && labels.notAssessed}
+              </span>
+            </div>
+            {scored && (
+              <div className="h-2 w-full rounded-full bg-gray-100">
+                <div
+                  className={`h-2 rounded-full ${scoreColor(dimension.score!)}`}
+                  style={{ width: `${Math.max(dimension.score!, 4)}%` }}
+                />
+              </div>
+            )}
+            {dimension.rating && (
+              <p className="text-xs text-gray-500">{labels.ratings[dimension.rating]}</p>
+            )}
+            {dimension.details?.length > 0 && (
+              <ul className="list-disc pl-5 space-y-1 text-sm text-gray-700">
+                {dimension.details.map((detail, index) => (
+                  <li key={index}>{detail}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { AxiosError } from 'axios';
+import { Loader2 } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { requestsApi, type AnalysisRunSummary } from '@/api/requests';
+import { AnalysisComparison } from './AnalysisComparison';
+
+interface AnalysisHistoryProps {
+  requestId: string;
+  // Run shown on the page instead of the official analysis, if any
+  selectedRunId: string | null;
+  onSelectRun: (runId: string | null) => void;
+  // Whether the user may choose the official run
+  canPin?: boolean;
+}
+
+const formatDuration = (ms?: number) => (ms ? `${(ms / 1000).toFixed(1)}s` : null);
+
+export function AnalysisHistory({ requestId, selectedRunId, onSelectRun, canPin = true }: AnalysisHistoryProps) {
+  const queryClient = useQueryClient();
+  const [compareIds, setCompareIds] = useState<string[]>([]);
+  const [error, setError] = useState('');
+
+  const { data: runs, isLoading } = useQuery({
+    queryKey: ['request', requestId, 'analyses'],
+    queryFn: () => requestsApi.getAnalysisRuns(requestId),
+  });
+
+  const pinMutation = useMutation({
+    mutationFn: (run: AnalysisRunSummary) =>
+      run.pinned ? requestsApi.unpinAnalysisRun(requestId) : requestsApi.pinAnalysisRun(requestId, run.id),
+    onSuccess: () => {
+      setError('');
+      onSelectRun(null);
+      queryClient.invalidateQueries({ queryKey: ['request', requestId] });
+    },
+    onError: (err: AxiosError<{ message?: string }>) => {
+      setError(err.response?.data?.message || 'Failed to update the official analysis');
+    },
+  });
+
+  // Keeps the two most recently ticked runs
+  const toggleCompare = (runId: string) => {
+    setCompareIds((ids) => (ids.includes(runId) ? ids.filter((id) => id !== runId) : [...ids, runId].slice(-2)));
+  };
+
+  if (isLoading) {
+    return (
+      <Card>
+        <CardContent className="p-6 flex justify-center">
+          <Loader2 className="h-6 w-6 animate-spin" />
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (!runs?.length) return null;
+
+  // Older run first, so the diff reads as "what changed since"
+  const [baseRunId, targetRunId] = [...compareIds].sort(
+    (a, b) => runs.findIndex((run) => run.id === b) - runs.findIndex((run) => run.id === a)
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Analysis History</CardTitle>
+        <CardDescription>
+          Every analysis run of this request. Pin a run to make it the official analysis; tick two runs to compare them.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <ul className="divide-y">
+          {runs.map((run) => (
+            <li
+              key={run.id}
+              className={`py-2 flex items-center justify-between gap-4 ${selectedRunId === run.id ? 'bg-muted/50' : ''}`}
+            >
+              <label className="flex items-center gap-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={compareIds.includes(run.id)}
+                  onChange={() => toggleCompare(run.id)}
+                  aria-label={`Compare run ${run.runNumber}`}
+                />
+                <div>
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium">Run {run.runNumber}</span>
+                    {run.official && <Badge>Official</Badge>}
+                    {run.pinned && <Badge variant="secondary">Pinned</Badge>}
+                    {run.outdated && <Badge variant="outline">Earlier version</Badge>}
+                    {run.cached && <Badge variant="outline">Cached</Badge>}
+                    {run.riskLevel && <Badge variant="outline">{run.riskLevel}</Badge>}
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    {new Date(run.createdAt).toLocaleString()}
+                    {run.model && ` · ${run.model}`}
+                    {run.promptVersion && ` · prompts v${run.promptVersion}`}
+                    {run.promptTemplates
+                      .filter((usage) => usage.template)
+                      .map((usage) => ` · ${usage.step} template v${usage.version}`)
+                      .join('')}
+                    {formatDuration(run.durationMs) && ` · ${formatDuration(run.durationMs)}`}
+                    {run.requestVersion !== null && ` · request v${run.requestVersion}`}
+                  </p>
+                </div>
+              </label>
+              <div className="flex gap-2 shrink-0">
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => onSelectRun(selectedRunId === run.id || run.official ? null : run.id)}
+                >
+                  {selectedRunId === run.id ? 'Viewing' : 'View'}
+                </Button>
+                {canPin && (
+                  <Button
+                    size="sm"
+                    variant={run.pinned ? 'secondary' : 'outline'}
+                    disabled={pinMutation.isPending}
+                    onClick={() => pinMutation.mutate(run)}
+                  >
+                    {run.pinned ? 'Unpin' : 'Pin as official'}
+                  </Button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        {baseRunId && targetRunId && (
+          <AnalysisComparison requestId={requestId} baseRunId={baseRunId} targetRunId={targetRunId} />
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { AxiosError } from 'axios';
+import { Download, FileText, Loader2, Trash2 } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { requestsApi, Attachment } from '@/api/requests';
+import { useAttachmentConfig, formatFileSize } from '@/hooks/useAttachmentConfig';
+
+interface AttachmentListProps {
+  requestId: string;
+  attachments: Attachment[];
+  version?: number;
+  // Whether the user may add and remove attachments
+  canEdit?: boolean;
+}
+
+export function AttachmentList({ requestId, attachments, version, canEdit = true }: AttachmentListProps) {
+  const queryClient = useQueryClient();
+  const { data: config } = useAttachmentConfig();
+  const [error, setError] = useState('');
+
+  const onError = (err: AxiosError<{ message?: string; error?: string }>) => {
+    setError(err.response?.data?.error || err.response?.data?.message || 'Attachment operation failed');
+  };
+
+  const onSuccess = () => {
+    setError('');
+    queryClient.invalidateQueries({ queryKey: ['request', requestId] });
+  };
+
+  const uploadMutation = useMutation({
+    mutationFn: (files: File[]) => requestsApi.addAttachments(requestId, files, version),
+    onSuccess,
+    onError,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (attachmentId: string) => requestsApi.deleteAttachment(requestId, attachmentId, version),
+    onSuccess,
+    onError,
+  });
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (!files.length) return;
+
+    if (config) {
+      const invalid = files.find(
+        (file) => !config.allowedTypes.includes(file.type) || file.size > config.maxFileSize
+      );
+      if (invalid) {
+        setError(
+          `${invalid.name} is not allowed. Accepted: ${config.allowedTypes.join(', ')} up to ${formatFileSize(config.maxFileSize)}`
+        );
+        return;
+      }
+      if (attachments.length + files.length > config.maxFiles) {
+        setError(`A request can have at most ${config.maxFiles} attachments`);
+        return;
+      }
+    }
+
+    uploadMutation.mutate(files);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Attachments</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {attachments.length === 0 ? (
+          <p className="text-sm text-gray-500">No attachments</p>
+        ) : (
+          <ul className="divide-y">
+            {attachments.map((attachment) => (
+              <li key={attachment._id} className="flex items-center justify-between py-2">
+                <div className="flex items-center gap-2">
+                  <FileText className="h-4 w-4 text-gray-500" />
+                  <span className="font-medium">{attachment.originalName}</span>
+                  <span className="text-sm text-gray-500">{formatFileSize(attachment.size)}</span>
+                </div>
+                <div className="flex gap-1">
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => requestsApi.downloadAttachment(requestId, attachment).catch(onError)}
+                  >
+                    <Download className="h-4 w-4" />
+                  </Button>
+                  {canEdit && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      disabled={deleteMutation.isPending}
+                      onClick={() => deleteMutation.mutate(attachment._id)}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {canEdit && (
+          <div className="flex items-center gap-2">
+            <Input
+              type="file"
+              multiple
+              onChange={handleFileChange}
+              disabled={uploadMutation.isPending}
+              accept={config?.allowedTypes.join(',')}
+              className="cursor-pointer"
+            />
+            {uploadMutation.isPending && <Loader2 className="h-4 w-4 animate-spin" />}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,29 @@
+import { Sparkles } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import type { FieldSuggestion } from '@/api/classifier';
+
+interface ClassificationHintProps {
+  suggestion: FieldSuggestion | null | undefined;
+  value: string;
+  // Values the field offers, with their labels; other suggestions are not shown
+  options: ReadonlyArray<{ value: string; label: string }>;
+  onApply: (value: string) => void;
+}
+
+// Classifier suggestion under a field of the new request form, hidden once the field has that value
+export function ClassificationHint({ suggestion, value, options, onApply }: ClassificationHintProps) {
+  const option = suggestion && options.find((candidate) => candidate.value === suggestion.value);
+  if (!suggestion || !option || suggestion.value === value) return null;
+
+  return (
+    <div className="flex items-center gap-2 mt-1 text-sm text-gray-600">
+      <Sparkles className="h-4 w-4" />
+      <span>
+        Suggested: {option.label} ({Math.round(suggestion.confidence * 100)}%)
+      </span>
+      <Button type="button" size="sm" variant="link" className="h-auto p-0" onClick={() => onApply(suggestion.value)}>
+        Use
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { AxiosError } from 'axios';
+import { Check, Loader2 } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { requestsApi, type DraftAssistance, type DraftInput } from '@/api/requests';
+
+interface DraftAssistantProps {
+  draft: DraftInput;
+  onApplyTitle: (title: string) => void;
+  // Receives the current description and returns the new one
+  onApplyDescription: (update: (description: string) => string) => void;
+}
+
+const scoreVariant = (score: number) => (score >= 80 ? 'default' : score >= 50 ? 'secondary' : 'destructive');
+
+// Side panel of the new request form: asks the drafting assistant for feedback
+// on the draft and applies its suggestions one at a time
+export function DraftAssistant({ draft, onApplyTitle, onApplyDescription }: DraftAssistantProps) {
+  const [feedback, setFeedback] = useState<DraftAssistance | null>(null);
+  // Suggestions already applied, so they can't be applied twice
+  const [accepted, setAccepted] = useState<Set<string>>(new Set());
+  const [error, setError] = useState('');
+
+  const assistMutation = useMutation({
+    mutationFn: () => requestsApi.assistDraft(draft),
+    onSuccess: (data) => {
+      setError('');
+      setFeedback(data);
+      setAccepted(new Set());
+    },
+    onError: (err: AxiosError<{ message?: string }>) => {
+      setError(err.response?.data?.message || 'Failed to review the draft');
+    },
+  });
+
+  const accept = (key: string, apply: () => void) => {
+    apply();
+    setAccepted((keys) => new Set(keys).add(key));
+  };
+
+  const acceptButton = (key: string, apply: () => void, disabled = false) => (
+    <Button
+      type="button"
+      size="sm"
+      variant="outline"
+      disabled={disabled || accepted.has(key)}
+      onClick={() => accept(key, apply)}
+    >
+      {accepted.has(key) ? <><Check className="h-4 w-4 mr-1" />Applied</> : 'Accept'}
+    </Button>
+  );
+
+  const dir = feedback?.language === 'ar' ? 'rtl' : 'ltr';
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Drafting Assistant</CardTitle>
+        <CardDescription>Check the draft for missing information and unclear wording before submitting</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <Button
+          type="button"
+          className="w-full"
+          disabled={assistMutation.isPending || !draft.description.trim()}
+          onClick={() => assistMutation.mutate()}
+        >
+          {assistMutation.isPending ? (
+            <><Loader2 className="h-4 w-4 mr-2 animate-spin" />Reviewing...</>
+          ) : feedback ? 'Review again' : 'Review draft'}
+        </Button>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {feedback && (
+          <div className="space-y-4" dir={dir}>
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium">Completeness</span>
+              <Badge variant={scoreVariant(feedback.completenessScore)}>{feedback.completenessScore}%</Badge>
+            </div>
+
+            {feedback.suggestedTitle && feedback.suggestedTitle !== draft.title && (
+              <div className="space-y-1">
+                <h4 className="text-sm font-medium">Suggested title</h4>
+                <p className="text-sm">{feedback.suggestedTitle}</p>
+                {acceptButton('title', () => onApplyTitle(feedback.suggestedTitle!))}
+              </div>
+            )}
+
+            {feedback.missingElements.length > 0 && (
+              <div className="space-y-2">
+                <h4 className="text-sm font-medium">Missing</h4>
+                {feedback.missingElements.map(({ section, suggestion }) => (
+                  <div key={section} className="rounded border p-2 space-y-1">
+                    <p className="text-sm font-medium">{section}</p>
+                    <p className="text-sm text-gray-600">{suggestion}</p>
+                    {acceptButton(`missing:${section}`, () =>
+                      onApplyDescription((description) => `${description.trim()}\n\n${section}: ${suggestion}`)
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {feedback.ambiguities.length > 0 && (
+              <div className="space-y-2">
+                <h4 className="text-sm font-medium">Unclear wording</h4>
+                {feedback.ambiguities.map(({ excerpt, issue, suggestion }, index) => (
+                  <div key={index} className="rounded border p-2 space-y-1">
+                    <p className="text-sm line-through text-gray-500">{excerpt}</p>
+                    <p className="text-sm">{suggestion}</p>
+                    <p className="text-xs text-gray-500">{issue}</p>
+                    {acceptButton(
+                      `ambiguity:${index}`,
+                      () => onApplyDescription((description) => description.replace(excerpt, suggestion)),
+                      // Edited away since the review
+                      !draft.description.includes(excerpt)
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {feedback.rewrittenDescription && (
+              <div className="space-y-1">
+                <h4 className="text-sm font-medium">Standardized description</h4>
+                <p className="text-xs text-gray-500">
+                  Sections: {feedback.sections.map(({ heading }) => heading).join(', ')}
+                </p>
+                <p className="text-sm whitespace-pre-wrap rounded bg-muted/50 p-2">{feedback.rewrittenDescription}</p>
+                {acceptButton('rewrite', () => onApplyDescription(() => feedback.rewrittenDescription!))}
+              </div>
+            )}
+
+            {!feedback.missingElements.length && !feedback.ambiguities.length && (
+              <p className="text-sm text-gray-500">The draft covers every section of the standard structure.</p>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
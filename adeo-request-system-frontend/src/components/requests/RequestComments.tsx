@@ -0,0 +1,371 @@
+import React, { useRef, useState } from 'react';
+import { keepPreviousData, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { AxiosError } from 'axios';
+import { Loader2, Lock, Paperclip } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  requestsApi,
+  type Attachment,
+  type CommentInput,
+  type CommentThread,
+  type RequestComment,
+} from '@/api/requests';
+
+interface RequestCommentsProps {
+  requestId: string;
+  attachments: Attachment[];
+  // Whether the user may comment, and see and write internal comments
+  canComment?: boolean;
+  canInternal?: boolean;
+}
+
+type ApiError = AxiosError<{ message?: string }>;
+
+// Same syntax the backend looks for: @ followed by an email address
+const MENTION_PATTERN = /(@[\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+// The "@partial" being typed just before the caret, if any
+const mentionQueryAt = (text: string, caret: number) => /(?:^|\s)@([^\s@]*)$/.exec(text.slice(0, caret))?.[1] ?? null;
+
+const CommentBody = ({ comment }: { comment: RequestComment }) => {
+  const mentioned = new Set(comment.mentions.map((user) => `@${user.email}`));
+  return (
+    <p className="whitespace-pre-wrap text-sm">
+      {(comment.body ?? '').split(MENTION_PATTERN).map((part, index) =>
+        mentioned.has(part.toLowerCase()) ? (
+          <span key={index} className="font-medium text-blue-700">{part}</span>
+        ) : (
+          <React.Fragment key={index}>{part}</React.Fragment>
+        )
+      )}
+    </p>
+  );
+};
+
+interface CommentComposerProps {
+  requestId: string;
+  attachments: Attachment[];
+  canInternal: boolean;
+  // Replies in an internal thread are always internal
+  internalLocked?: boolean;
+  initial?: RequestComment;
+  submitLabel: string;
+  submitting: boolean;
+  onSubmit: (input: CommentInput) => Promise<unknown>;
+  onCancel?: () => void;
+}
+
+function CommentComposer({
+  requestId,
+  attachments,
+  canInternal,
+  internalLocked = false,
+  initial,
+  submitLabel,
+  submitting,
+  onSubmit,
+  onCancel,
+}: CommentComposerProps) {
+  const textareaRef = useRef<HTMLTextAreaElement>(null);
+  const [body, setBody] = useState(initial?.body ?? '');
+  const [internal, setInternal] = useState(initial?.internal ?? internalLocked);
+  const [attachmentIds, setAttachmentIds] = useState<string[]>(initial?.attachments.map((a) => a._id) ?? []);
+  const [mentionQuery, setMentionQuery] = useState<string | null>(null);
+
+  const { data: suggestions } = useQuery({
+    queryKey: ['request', requestId, 'mentionable', mentionQuery, internal],
+    queryFn: () => requestsApi.getMentionableUsers(requestId, mentionQuery ?? '', internal),
+    enabled: mentionQuery !== null,
+    placeholderData: keepPreviousData,
+    staleTime: 60 * 1000,
+  });
+
+  const handleChange = (e: React.ChangeEvent<HTMLTextAreaElement>) => {
+    setBody(e.target.value);
+    setMentionQuery(mentionQueryAt(e.target.value, e.target.selectionStart));
+  };
+
+  // Replaces the "@partial" before the caret with the chosen user's address
+  const insertMention = (email: string) => {
+    const caret = textareaRef.current?.selectionStart ?? body.length;
+    const before = body.slice(0, caret).replace(/@[^\s@]*$/, `@${email} `);
+    setBody(before + body.slice(caret));
+    setMentionQuery(null);
+    textareaRef.current?.focus();
+  };
+
+  const toggleAttachment = (id: string) => {
+    setAttachmentIds((ids) => (ids.includes(id) ? ids.filter((existing) => existing !== id) : [...ids, id]));
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    onSubmit({ body, internal, attachments: attachmentIds })
+      .then(() => {
+        setBody('');
+        setAttachmentIds([]);
+      })
+      // Errors are shown by RequestComments; keep the text so it can be retried
+      .catch(() => undefined);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <div className="relative">
+        <Textarea
+          ref={textareaRef}
+          value={body}
+          onChange={handleChange}
+          onBlur={() => setTimeout(() => setMentionQuery(null), 150)}
+          placeholder="Write a comment; type @ to mention someone"
+          rows={3}
+        />
+        {mentionQuery !== null && !!suggestions?.length && (
+          <ul className="absolute z-10 mt-1 w-72 rounded-md border bg-white shadow-md">
+            {suggestions.map((user) => (
+              <li key={user.id}>
+                <button
+                  type="button"
+                  className="w-full px-3 py-2 text-left text-sm hover:bg-gray-100"
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => insertMention(user.email)}
+                >
+                  <span className="font-medium">{user.name || user.email}</span>
+                  {user.name && <span className="ml-2 text-gray-500">{user.email}</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {attachments.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <Paperclip className="h-4 w-4 text-gray-500" />
+          {attachments.map((attachment) => (
+            <Button
+              key={attachment._id}
+              type="button"
+              size="sm"
+              variant={attachmentIds.includes(attachment._id) ? 'secondary' : 'ghost'}
+              onClick={() => toggleAttachment(attachment._id)}
+            >
+              {attachment.originalName}
+            </Button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between">
+        {canInternal && !initial ? (
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={internal}
+              disabled={internalLocked}
+              onChange={(e) => setInternal(e.target.checked)}
+            />
+            Internal (hidden from the requester)
+          </label>
+        ) : <span />}
+        <div className="flex gap-2">
+          {onCancel && (
+            <Button type="button" size="sm" variant="ghost" onClick={onCancel}>Cancel</Button>
+          )}
+          <Button type="submit" size="sm" disabled={submitting || !body.trim()}>
+            {submitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            {submitLabel}
+          </Button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+export function RequestComments({ requestId, attachments, canComment = true, canInternal = false }: RequestCommentsProps) {
+  const queryClient = useQueryClient();
+  const [replyTo, setReplyTo] = useState<string | null>(null);
+  const [editing, setEditing] = useState<string | null>(null);
+  const [error, setError] = useState('');
+
+  const queryKey = ['request', requestId, 'comments'];
+
+  const { data: threads, isLoading } = useQuery({
+    queryKey,
+    queryFn: () => requestsApi.getComments(requestId),
+  });
+
+  const onSuccess = () => {
+    setError('');
+    queryClient.invalidateQueries({ queryKey });
+  };
+  const onError = (fallback: string) => (err: ApiError) => setError(err.response?.data?.message || fallback);
+
+  const addMutation = useMutation({
+    mutationFn: (input: CommentInput) => requestsApi.addComment(requestId, input),
+    onSuccess: () => {
+      setReplyTo(null);
+      onSuccess();
+    },
+    onError: onError('Failed to add comment'),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ commentId, input }: { commentId: string; input: CommentInput }) =>
+      requestsApi.updateComment(requestId, commentId, { body: input.body, attachments: input.attachments }),
+    onSuccess: () => {
+      setEditing(null);
+      onSuccess();
+    },
+    onError: onError('Failed to update comment'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (commentId: string) => requestsApi.deleteComment(requestId, commentId),
+    onSuccess,
+    onError: onError('Failed to delete comment'),
+  });
+
+  const renderComment = (comment: RequestComment, thread: CommentThread) => (
+    <div key={comment._id} className="space-y-2">
+      <div className="flex items-center gap-2 text-sm">
+        <span className="font-medium">{comment.author.name || comment.author.email}</span>
+        <span className="text-gray-500">{new Date(comment.createdAt).toLocaleString()}</span>
+        {comment.editedAt && <span className="text-gray-500">(edited)</span>}
+        {comment.internal && !comment.parent && (
+          <Badge variant="secondary" className="gap-1">
+            <Lock className="h-3 w-3" />
+            Internal
+          </Badge>
+        )}
+      </div>
+
+      {comment.deleted ? (
+        <p className="text-sm italic text-gray-500">This comment was deleted</p>
+      ) : editing === comment._id ? (
+        <CommentComposer
+          requestId={requestId}
+          attachments={attachments}
+          canInternal={canInternal}
+          initial={comment}
+          submitLabel="Save"
+          submitting={updateMutation.isPending}
+          onSubmit={(input) => updateMutation.mutateAsync({ commentId: comment._id, input })}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <>
+          <CommentBody comment={comment} />
+          {comment.attachments.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {comment.attachments.map((ref) => {
+                const attachment = attachments.find((a) => a._id === ref._id);
+                return (
+                  <Button
+                    key={ref._id}
+                    size="sm"
+                    variant="outline"
+                    disabled={!attachment}
+                    onClick={() => attachment && requestsApi.downloadAttachment(requestId, attachment)}
+                  >
+                    <Paperclip className="mr-1 h-3 w-3" />
+                    {ref.originalName}
+                  </Button>
+                );
+              })}
+            </div>
+          )}
+          <div className="flex gap-2">
+            {canComment && !thread.deleted && (
+              <Button size="sm" variant="ghost" onClick={() => setReplyTo(thread._id)}>Reply</Button>
+            )}
+            {comment.canEdit && (
+              <Button size="sm" variant="ghost" onClick={() => setEditing(comment._id)}>Edit</Button>
+            )}
+            {comment.canDelete && (
+              <Button
+                size="sm"
+                variant="ghost"
+                disabled={deleteMutation.isPending}
+                onClick={() => {
+                  if (window.confirm('Delete this comment?')) deleteMutation.mutate(comment._id);
+                }}
+              >
+                Delete
+              </Button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Discussion</CardTitle>
+        {canInternal && (
+          <CardDescription>Internal comments are hidden from the requester</CardDescription>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : !threads?.length ? (
+          <p className="text-sm text-gray-500">No comments yet</p>
+        ) : (
+          threads.map((thread) => (
+            <div
+              key={thread._id}
+              className={`space-y-4 rounded-md border p-4 ${thread.internal ? 'border-amber-300 bg-amber-50' : ''}`}
+            >
+              {renderComment(thread, thread)}
+              {thread.replies.length > 0 && (
+                <div className="ml-6 space-y-4 border-l pl-4">
+                  {thread.replies.map((reply) => renderComment(reply, thread))}
+                </div>
+              )}
+              {replyTo === thread._id && (
+                <div className="ml-6">
+                  <CommentComposer
+                    requestId={requestId}
+                    attachments={attachments}
+                    canInternal={canInternal}
+                    internalLocked={thread.internal}
+                    submitLabel="Reply"
+                    submitting={addMutation.isPending}
+                    onSubmit={(input) => addMutation.mutateAsync({ ...input, parent: thread._id })}
+                    onCancel={() => setReplyTo(null)}
+                  />
+                </div>
+              )}
+            </div>
+          ))
+        )}
+
+        {canComment && (
+          <CommentComposer
+            requestId={requestId}
+            attachments={attachments}
+            canInternal={canInternal}
+            submitLabel="Comment"
+            submitting={addMutation.isPending && !replyTo}
+            onSubmit={(input) => addMutation.mutateAsync(input)}
+          />
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -22,6 +22,7 @@ import {
 import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
 import { useCreateRequest } from '@/hooks/useRequests';
+import { authorizedFetch } from '@/api/axiosConfig';
 import { DEPARTMENTS, REQUEST_TYPES } from '@/constants';
 import { useNavigate } from 'react-router-dom';
 
@@ -74,10 +75,9 @@ export function RequestForm() {
         console.log(pair[0], pair[1]);
       }
 
-      const response = await fetch('http://localhost:3000/api/requests', {
+      const response = await authorizedFetch('http://localhost:3000/api/requests', {
         method: 'POST',
         body: formData,
-        credentials: 'include',
       });
 
       if (!response.ok) {
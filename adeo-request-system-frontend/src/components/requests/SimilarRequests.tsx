@@ -0,0 +1,67 @@
+import { useQuery } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { requestsApi } from '@/api/requests';
+
+interface SimilarRequestsProps {
+  requestId: string;
+  limit?: number;
+}
+
+export function SimilarRequests({ requestId, limit = 5 }: SimilarRequestsProps) {
+  const navigate = useNavigate();
+
+  const { data: similar, isLoading, error } = useQuery({
+    queryKey: ['request', requestId, 'similar', limit],
+    queryFn: () => requestsApi.getSimilarRequests(requestId, limit),
+  });
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Similar Requests</CardTitle>
+        <CardDescription>Recent requests from the same department, most similar first</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-500">Failed to load similar requests</p>
+        ) : !similar?.length ? (
+          <p className="text-sm text-gray-500">No similar requests found</p>
+        ) : (
+          <ul className="divide-y">
+            {similar.map(({ request, similarity, details }) => (
+              <li
+                key={request._id}
+                className="py-2 cursor-pointer hover:bg-muted/50"
+                onClick={() => navigate(`/requests/${request._id}`)}
+              >
+                <div className="flex items-center justify-between">
+                  <div>
+                    <span className="font-medium">{request.title}</span>
+                    <span className="text-sm text-gray-500 ml-2">{request.requestNumber}</span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Badge variant="outline">{request.status}</Badge>
+                    <Badge variant="secondary">{Math.round(similarity * 100)}%</Badge>
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  Title {Math.round(details.titleSimilarity * 100)}% · Content{' '}
+                  {Math.round(details.contentSimilarity * 100)}% · Keywords{' '}
+                  {Math.round(details.contentOverlap * 100)}% · Semantic{' '}
+                  {Math.round(details.semanticScore * 100)}%
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { AxiosError } from 'axios';
+import { Loader2 } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { requestsApi } from '@/api/requests';
+
+interface StatusWorkflowProps {
+  requestId: string;
+}
+
+export function StatusWorkflow({ requestId }: StatusWorkflowProps) {
+  const queryClient = useQueryClient();
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['request', requestId, 'transitions'],
+    queryFn: () => requestsApi.getTransitions(requestId),
+  });
+
+  const transitionMutation = useMutation({
+    mutationFn: (to: string) =>
+      requestsApi.transitionRequest(requestId, {
+        to,
+        note: note.trim() || undefined,
+        version: data?.version,
+      }),
+    onSuccess: () => {
+      setNote('');
+      setError('');
+      queryClient.invalidateQueries({ queryKey: ['request', requestId] });
+    },
+    onError: (err: AxiosError<{ message?: string }>) => {
+      setError(err.response?.data?.message || 'Failed to change status');
+    },
+  });
+
+  if (isLoading || !data) {
+    return (
+      <Card>
+        <CardContent className="p-6 flex justify-center">
+          <Loader2 className="h-6 w-6 animate-spin" />
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Status</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {data.available.length > 0 ? (
+          <div className="space-y-3">
+            <Textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Add a note (required when rejecting)"
+              className="h-20"
+            />
+            <div className="flex flex-wrap gap-2">
+              {data.available.map((transition) => (
+                <Button
+                  key={transition.to}
+                  variant={transition.to === 'Rejected' || transition.to === 'Cancelled' ? 'destructive' : 'outline'}
+                  disabled={
+                    transitionMutation.isPending ||
+                    transition.blockedBy.length > 0 ||
+                    (transition.requiresNote && !note.trim())
+                  }
+                  title={transition.blockedBy.join('. ') || undefined}
+                  onClick={() => transitionMutation.mutate(transition.to)}
+                >
+                  Move to {transition.to}
+                </Button>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">
+            This request is {data.current} and cannot change status any further.
+          </p>
+        )}
+
+        <div>
+          <h4 className="font-semibold mb-2">History</h4>
+          <ol className="space-y-2 border-l-2 border-gray-200 pl-4">
+            {[...data.history].reverse().map((entry) => (
+              <li key={entry._id} className="text-sm">
+                <div className="flex items-center gap-2">
+                  {entry.from && (
+                    <>
+                      <Badge variant="outline">{entry.from}</Badge>
+                      <span>→</span>
+                    </>
+                  )}
+                  <Badge variant="secondary">{entry.to}</Badge>
+                </div>
+                <p className="text-gray-500 mt-1">
+                  {entry.actor} · {new Date(entry.at).toLocaleString()}
+                </p>
+                {entry.note && <p className="text-gray-700 mt-1">{entry.note}</p>}
+              </li>
+            ))}
+          </ol>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -22,4 +22,30 @@ export const DEPARTMENTS = [
 	'Regulatory Change',
 	'Service Enhancement',
 	'Strategic Planning'
-  ] as const;
\ No newline at end of file
+  ] as const;
+
+  // Mirrors RequestSchema.status in the backend
+  export const REQUEST_STATUSES = [
+	'Draft',
+	'Pending',
+	'In Review',
+	'Approved',
+	'Rejected',
+	'Cancelled',
+	'Completed'
+  ] as const;
+
+  // Mirrors DEPARTMENTS in the backend's request model
+  export const DEPARTMENT_OPTIONS = [
+    { value: 'DCD', label: 'Department of Community Development' },
+    { value: 'DCT', label: 'Department of Culture and Tourism' },
+    { value: 'DED', label: 'Department of Economic Development' },
+    { value: 'ADEK', label: 'Department of Education and Knowledge' },
+    { value: 'DOE', label: 'Department of Energy' },
+    { value: 'DOF', label: 'Department of Finance' },
+    { value: 'DGE', label: 'Department of Government Enablement' },
+    { value: 'DOH', label: 'Department of Health' },
+    { value: 'DMT', label: 'Department of Municipalities and Transport' },
+    { value: 'ADJD', label: 'Abu Dhabi Judicial Department' },
+    { value: 'ITC', label: 'Integrated Transport Center' },
+  ] as const;
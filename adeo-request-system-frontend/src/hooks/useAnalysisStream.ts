@@ -0,0 +1,121 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { requestsApi } from '../api/requests';
+import type { AnalysisContent, AnalysisLanguageOption, RecommendationsContent } from '../types';
+import type { JobStage } from '../api/jobs';
+
+type AnalysisStep = 'analysis' | 'recommendations';
+
+export interface StreamedAnalysis {
+  analysis: Partial<AnalysisContent>;
+  recommendations: Partial<RecommendationsContent>;
+}
+
+export interface AnalysisStreamState {
+  status: 'idle' | 'streaming' | 'completed' | 'failed';
+  // Same stages an analysis job goes through
+  stage: JobStage | null;
+  sections: StreamedAnalysis;
+  error: string | null;
+}
+
+// Payload of each server-sent event, as written by the stream route
+interface AnalysisStreamEvents {
+  stage: { stage: JobStage };
+  attempt: { step: AnalysisStep };
+  section: { step: AnalysisStep; field: string; value: unknown; final: boolean };
+  complete: { analysis: unknown };
+  failed: { message: string; error?: string; code?: string };
+}
+
+const INITIAL_STATE: AnalysisStreamState = {
+  status: 'idle',
+  stage: null,
+  sections: { analysis: {}, recommendations: {} },
+  error: null,
+};
+
+interface UseAnalysisStreamOptions {
+  onComplete?: () => void;
+  // Called instead of failing when the stream can't be opened at all
+  onUnavailable?: (language?: AnalysisLanguageOption) => void;
+}
+
+/**
+ * Runs an analysis over GET /api/requests/:id/analyze/stream, filling in
+ * sections as the server reports them
+ */
+export function useAnalysisStream(requestId: string | undefined, { onComplete, onUnavailable }: UseAnalysisStreamOptions = {}) {
+  const [state, setState] = useState<AnalysisStreamState>(INITIAL_STATE);
+  const sourceRef = useRef<EventSource | null>(null);
+
+  const close = useCallback(() => {
+    sourceRef.current?.close();
+    sourceRef.current = null;
+  }, []);
+
+  useEffect(() => close, [close]);
+
+  // Only the main language streams in; others arrive with the stored analysis
+  const start = useCallback(async (language?: AnalysisLanguageOption) => {
+    if (!requestId) return;
+    close();
+    setState({ ...INITIAL_STATE, status: 'streaming' });
+
+    const source = new EventSource(await requestsApi.analysisStreamUrl(requestId, language), { withCredentials: true });
+    sourceRef.current = source;
+    let received = false;
+
+    const listen = <E extends keyof AnalysisStreamEvents>(event: E, handler: (data: AnalysisStreamEvents[E]) => void) => {
+      source.addEventListener(event, (message) => {
+        received = true;
+        handler(JSON.parse((message as MessageEvent).data));
+      });
+    };
+
+    listen('stage', ({ stage }) => setState((prev) => ({ ...prev, stage })));
+
+    // A new reply for a step replaces whatever the previous one produced
+    listen('attempt', ({ step }) =>
+      setState((prev) => ({ ...prev, sections: { ...prev.sections, [step]: {} } })));
+
+    listen('section', ({ step, field, value }) =>
+      setState((prev) => ({
+        ...prev,
+        sections: { ...prev.sections, [step]: { ...prev.sections[step], [field]: value } },
+      })));
+
+    listen('complete', () => {
+      close();
+      setState((prev) => ({ ...prev, status: 'completed', stage: null }));
+      onComplete?.();
+    });
+
+    listen('failed', ({ error, message }) => {
+      close();
+      setState((prev) => ({ ...prev, status: 'failed', error: error || message }));
+    });
+
+    // Connection problems; EventSource would otherwise reconnect and start a new analysis
+    source.addEventListener('error', () => {
+      if (!sourceRef.current) return;
+      close();
+      if (!received && onUnavailable) {
+        setState(INITIAL_STATE);
+        onUnavailable(language);
+        return;
+      }
+      setState((prev) => ({
+        ...prev,
+        status: 'failed',
+        error: 'Lost connection to the analysis stream. The analysis may still complete; refresh to check.',
+      }));
+    });
+  }, [requestId, close, onComplete, onUnavailable]);
+
+  const reset = useCallback(() => {
+    close();
+    setState(INITIAL_STATE);
+  }, [close]);
+
+  return { ...state, start, reset };
+}
@@ -0,0 +1,17 @@
+import { useQuery } from '@tanstack/react-query';
+import { requestsApi } from '../api/requests';
+
+// Upload limits come from the backend so both sides validate the same way
+export function useAttachmentConfig() {
+  return useQuery({
+    queryKey: ['attachment-config'],
+    queryFn: requestsApi.getAttachmentConfig,
+    staleTime: Infinity,
+  });
+}
+
+export function formatFileSize(bytes: number) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
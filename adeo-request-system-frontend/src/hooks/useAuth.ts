@@ -0,0 +1,22 @@
+import { createContext, useContext } from 'react';
+import type { User } from '../api/auth';
+
+export interface AuthContextValue {
+  user: User | null;
+  // True until the session left by a previous visit has been restored (or not)
+  isLoading: boolean;
+  login: (email: string, password: string) => Promise<User>;
+  register: (token: string, name: string, password: string) => Promise<User>;
+  logout: () => Promise<void>;
+}
+
+// Provided by components/auth/AuthProvider
+export const AuthContext = createContext<AuthContextValue | null>(null);
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+}
@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+import { keepPreviousData, useQuery } from '@tanstack/react-query';
+import { classifierApi } from '../api/classifier';
+
+// Wait for a pause in typing before asking again
+const DEBOUNCE_MS = 600;
+// Too little text to classify
+const MIN_TEXT_LENGTH = 20;
+
+// Department, request type and priority suggested for a draft as it is typed
+export function useClassificationSuggestions(title: string, description: string) {
+  const [draft, setDraft] = useState({ title, description });
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDraft({ title, description }), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [title, description]);
+
+  return useQuery({
+    queryKey: ['classification-suggestions', draft],
+    queryFn: () => classifierApi.suggest(draft),
+    enabled: `${draft.title} ${draft.description}`.trim().length >= MIN_TEXT_LENGTH,
+    placeholderData: keepPreviousData,
+    staleTime: Infinity,
+    retry: false,
+  });
+}
@@ -1,13 +1,15 @@
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
 import axios from '../lib/axios';
+import type { RequestsParams } from '../api/requests';
 
-export function useRequests<T>() {
+export function useRequests<T>(params: RequestsParams = {}) {
   return useQuery<T, Error>({
-    queryKey: ['requests'],
+    queryKey: ['requests', params],
     queryFn: async () => {
-      const { data } = await axios.get('/api/requests');
+      const { data } = await axios.get('/api/requests', { params });
       return data;
     },
+    placeholderData: keepPreviousData,
   });
 }
 
@@ -1,10 +1,2 @@
-import axios from 'axios';
-
-const instance = axios.create({
-  baseURL: 'http://localhost:3000',
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-export default instance; 
\ No newline at end of file
+// Same client as the api modules, so hooks send the access token too
+export { default } from '../api/axiosConfig';
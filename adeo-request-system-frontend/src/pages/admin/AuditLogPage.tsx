@@ -0,0 +1,220 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { keepPreviousData, useMutation, useQuery } from '@tanstack/react-query';
+import type { AxiosError } from 'axios';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Download, Loader2, ShieldAlert, ShieldCheck } from 'lucide-react';
+import { auditApi, type AuditChange, type AuditFilters } from '@/api/audit';
+
+type ApiError = AxiosError<{ message?: string }>;
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const ChangeList = ({ changes }: { changes: AuditChange[] }) => (
+  <ul className="space-y-1 text-xs">
+    {changes.map(({ field, before, after }) => (
+      <li key={field}>
+        <span className="font-medium">{field}</span>: {formatValue(before)} → {formatValue(after)}
+      </li>
+    ))}
+  </ul>
+);
+
+const AuditLogPage = () => {
+  // Filters being edited, and the ones applied to the table and export
+  const [draft, setDraft] = useState<AuditFilters>({});
+  const [filters, setFilters] = useState<AuditFilters>({});
+  const [page, setPage] = useState(1);
+  const [exportError, setExportError] = useState('');
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['audit-events', filters, page],
+    queryFn: () => auditApi.getEvents(filters, page),
+    placeholderData: keepPreviousData,
+  });
+
+  const verifyMutation = useMutation({ mutationFn: auditApi.verifyChain });
+
+  const exportMutation = useMutation({
+    mutationFn: () => auditApi.exportCsv(filters),
+    onSuccess: () => setExportError(''),
+    onError: () => setExportError('Failed to export audit events'),
+  });
+
+  const setField = (field: keyof AuditFilters) => (e: React.ChangeEvent<HTMLInputElement>) =>
+    setDraft((current) => ({ ...current, [field]: e.target.value }));
+
+  const handleFilter = (e: React.FormEvent) => {
+    e.preventDefault();
+    setFilters(draft);
+    setPage(1);
+  };
+
+  const chain = verifyMutation.data;
+  const loadError = (error as ApiError | null)?.response?.data?.message;
+
+  return (
+    <div className="container mx-auto p-6 space-y-6">
+      <Card>
+        <CardHeader className="flex flex-row items-start justify-between space-y-0">
+          <div className="space-y-1.5">
+            <CardTitle>Audit trail</CardTitle>
+            <CardDescription>Every view and change of a request, in an append-only, hash-chained log</CardDescription>
+          </div>
+          <Button variant="outline" onClick={() => verifyMutation.mutate()} disabled={verifyMutation.isPending}>
+            {verifyMutation.isPending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Verify integrity
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {chain && (
+            <Alert variant={chain.valid ? 'default' : 'destructive'}>
+              {chain.valid ? <ShieldCheck className="h-4 w-4" /> : <ShieldAlert className="h-4 w-4" />}
+              <AlertDescription>
+                {chain.valid
+                  ? `All ${chain.checked} events are intact.`
+                  : `The chain is broken at event ${chain.brokenAt}: ${chain.reason}. Events after it can't be trusted.`}
+              </AlertDescription>
+            </Alert>
+          )}
+          {verifyMutation.isError && (
+            <Alert variant="destructive">
+              <AlertDescription>Failed to verify the audit trail</AlertDescription>
+            </Alert>
+          )}
+          <form onSubmit={handleFilter} className="grid gap-4 md:grid-cols-6 items-end">
+            <div className="space-y-2">
+              <Label htmlFor="audit-request">Request ID</Label>
+              <Input id="audit-request" value={draft.request ?? ''} onChange={setField('request')} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="audit-actor">Actor email</Label>
+              <Input id="audit-actor" type="email" value={draft.actor ?? ''} onChange={setField('actor')} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="audit-action">Action</Label>
+              <Input
+                id="audit-action"
+                placeholder="e.g. request.update"
+                value={draft.action ?? ''}
+                onChange={setField('action')}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="audit-from">From</Label>
+              <Input id="audit-from" type="date" value={draft.from ?? ''} onChange={setField('from')} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="audit-to">To</Label>
+              <Input id="audit-to" type="date" value={draft.to ?? ''} onChange={setField('to')} />
+            </div>
+            <div className="flex gap-2">
+              <Button type="submit">Filter</Button>
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => exportMutation.mutate()}
+                disabled={exportMutation.isPending}
+                aria-label="Export CSV"
+              >
+                {exportMutation.isPending
+                  ? <Loader2 className="h-4 w-4 animate-spin" />
+                  : <Download className="h-4 w-4" />}
+              </Button>
+            </div>
+          </form>
+          {(loadError || exportError) && (
+            <Alert variant="destructive">
+              <AlertDescription>{loadError || exportError}</AlertDescription>
+            </Alert>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent className="pt-6">
+          {isLoading ? (
+            <div className="flex justify-center p-6">
+              <Loader2 className="h-8 w-8 animate-spin" />
+            </div>
+          ) : (
+            <>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>#</TableHead>
+                    <TableHead>Time</TableHead>
+                    <TableHead>Actor</TableHead>
+                    <TableHead>Action</TableHead>
+                    <TableHead>Request</TableHead>
+                    <TableHead>Changes</TableHead>
+                    <TableHead>Result</TableHead>
+                    <TableHead>IP</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {data?.data.map((event) => (
+                    <TableRow key={event._id}>
+                      <TableCell>{event.sequence}</TableCell>
+                      <TableCell className="whitespace-nowrap">{new Date(event.at).toLocaleString()}</TableCell>
+                      <TableCell>
+                        <div>{event.actor.email || '—'}</div>
+                        {event.actor.role && <div className="text-xs text-muted-foreground">{event.actor.role}</div>}
+                      </TableCell>
+                      <TableCell className="font-mono text-xs">{event.action}</TableCell>
+                      <TableCell>
+                        {event.request ? (
+                          <Link to={`/requests/${event.request}`} className="underline">
+                            {event.requestNumber || event.request}
+                          </Link>
+                        ) : '—'}
+                      </TableCell>
+                      <TableCell>{event.changes.length ? <ChangeList changes={event.changes} /> : '—'}</TableCell>
+                      <TableCell>
+                        <Badge variant={event.statusCode && event.statusCode >= 400 ? 'destructive' : 'secondary'}>
+                          {event.statusCode ?? '—'}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-xs" title={event.httpRequestId}>{event.ip || '—'}</TableCell>
+                    </TableRow>
+                  ))}
+                  {data?.data.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={8} className="text-center text-muted-foreground">
+                        No audit events match these filters
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+              {data && data.totalPages > 1 && (
+                <div className="flex items-center justify-end gap-2 pt-4">
+                  <span className="text-sm text-muted-foreground">
+                    Page {data.page} of {data.totalPages} ({data.total} events)
+                  </span>
+                  <Button size="sm" variant="outline" disabled={!data.hasPrevPage} onClick={() => setPage(page - 1)}>
+                    Previous
+                  </Button>
+                  <Button size="sm" variant="outline" disabled={!data.hasNextPage} onClick={() => setPage(page + 1)}>
+                    Next
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AuditLogPage;
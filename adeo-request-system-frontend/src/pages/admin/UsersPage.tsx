@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import type { AxiosError } from 'axios';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Loader2 } from 'lucide-react';
+import { authApi, CROSS_DEPARTMENT_ROLES, type UserRole } from '@/api/auth';
+import { DEPARTMENT_OPTIONS } from '@/constants';
+
+const ROLE_OPTIONS: Array<{ value: UserRole; label: string }> = [
+  { value: 'requester', label: 'Requester' },
+  { value: 'reviewer', label: 'Department reviewer' },
+  { value: 'department_head', label: 'Department head' },
+  { value: 'admin', label: 'Cross-government admin' },
+  { value: 'auditor', label: 'Auditor (read-only)' },
+];
+
+// Link the user opens to register or reset their password; the token is only shown once
+interface IssuedLink {
+  email: string;
+  kind: 'invitation' | 'reset';
+  url: string;
+  expiresAt: string;
+}
+
+const linkTo = (path: string, token: string) => `${window.location.origin}${path}?token=${encodeURIComponent(token)}`;
+
+type ApiError = AxiosError<{ message?: string }>;
+
+const UsersPage = () => {
+  const queryClient = useQueryClient();
+  const [email, setEmail] = useState('');
+  const [name, setName] = useState('');
+  const [role, setRole] = useState<UserRole>('requester');
+  const [department, setDepartment] = useState('');
+  const [issuedLink, setIssuedLink] = useState<IssuedLink | null>(null);
+  const [error, setError] = useState('');
+
+  const { data: users, isLoading } = useQuery({
+    queryKey: ['users'],
+    queryFn: authApi.getUsers,
+  });
+
+  const needsDepartment = !CROSS_DEPARTMENT_ROLES.includes(role);
+
+  const onError = (fallback: string) => (err: ApiError) => setError(err.response?.data?.message || fallback);
+
+  const inviteMutation = useMutation({
+    mutationFn: () => authApi.inviteUser({
+      email,
+      name: name || undefined,
+      role,
+      department: needsDepartment ? department : undefined,
+    }),
+    onSuccess: (invitation) => {
+      setError('');
+      setIssuedLink({
+        email: invitation.user.email,
+        kind: 'invitation',
+        url: linkTo('/accept-invite', invitation.inviteToken),
+        expiresAt: invitation.expiresAt,
+      });
+      setEmail('');
+      setName('');
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+    },
+    onError: onError('Failed to invite user'),
+  });
+
+  const resetMutation = useMutation({
+    mutationFn: authApi.issuePasswordReset,
+    onSuccess: (reset) => {
+      setError('');
+      setIssuedLink({
+        email: reset.user.email,
+        kind: 'reset',
+        url: linkTo('/reset-password', reset.resetToken),
+        expiresAt: reset.expiresAt,
+      });
+    },
+    onError: onError('Failed to issue password reset'),
+  });
+
+  const handleInvite = (e: React.FormEvent) => {
+    e.preventDefault();
+    inviteMutation.mutate();
+  };
+
+  return (
+    <div className="container mx-auto p-6 space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>Invite a user</CardTitle>
+          <CardDescription>Accounts can only be created by invitation</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+          {issuedLink && (
+            <Alert>
+              <AlertDescription className="space-y-2">
+                <p>
+                  {issuedLink.kind === 'invitation' ? 'Invitation' : 'Password reset link'} for {issuedLink.email}, valid
+                  until {new Date(issuedLink.expiresAt).toLocaleString()}. Pass it on now; it can't be shown again.
+                </p>
+                <Input readOnly value={issuedLink.url} onFocus={(e) => e.target.select()} />
+              </AlertDescription>
+            </Alert>
+          )}
+          <form onSubmit={handleInvite} className="grid gap-4 md:grid-cols-5 items-end">
+            <div className="space-y-2 md:col-span-2">
+              <Label htmlFor="invite-email">Email</Label>
+              <Input id="invite-email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} required />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="invite-name">Name</Label>
+              <Input id="invite-name" value={name} onChange={(e) => setName(e.target.value)} />
+            </div>
+            <div className="space-y-2">
+              <Label>Role</Label>
+              <Select value={role} onValueChange={(value) => setRole(value as UserRole)}>
+                <SelectTrigger aria-label="Role">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {ROLE_OPTIONS.map(({ value, label }) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Department</Label>
+              <Select value={needsDepartment ? department : ''} onValueChange={setDepartment} disabled={!needsDepartment}>
+                <SelectTrigger aria-label="Department">
+                  <SelectValue placeholder={needsDepartment ? 'Select department' : 'All departments'} />
+                </SelectTrigger>
+                <SelectContent>
+                  {DEPARTMENT_OPTIONS.map(({ value, label }) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button
+              type="submit"
+              disabled={inviteMutation.isPending || (needsDepartment && !department)}
+              className="md:col-start-5"
+            >
+              {inviteMutation.isPending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Invite
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Users</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="flex justify-center p-6">
+              <Loader2 className="h-8 w-8 animate-spin" />
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Email</TableHead>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Role</TableHead>
+                  <TableHead>Department</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Last login</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {users?.map((user) => (
+                  <TableRow key={user.id}>
+                    <TableCell>{user.email}</TableCell>
+                    <TableCell>{user.name || '—'}</TableCell>
+                    <TableCell>{ROLE_OPTIONS.find((option) => option.value === user.role)?.label ?? user.role}</TableCell>
+                    <TableCell>{user.department || 'All'}</TableCell>
+                    <TableCell>
+                      <Badge variant={user.status === 'active' ? 'default' : 'secondary'}>{user.status}</Badge>
+                    </TableCell>
+                    <TableCell>{user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : '—'}</TableCell>
+                    <TableCell className="text-right">
+                      {user.status === 'active' && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          disabled={resetMutation.isPending}
+                          onClick={() => resetMutation.mutate(user.id)}
+                        >
+                          Reset password
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default UsersPage;
@@ -15,6 +15,8 @@ import {
   TableRow,
 } from "@/components/ui/table";
 import { Alert, AlertDescription } from "@/components/ui/alert";
+import type { RequestStats } from "@/api/requests";
+import { authorizedFetch } from "@/api/axiosConfig";
 
 interface RequestMetadata {
   createdFrom: string;
@@ -42,26 +44,44 @@ interface ApiResponse {
   data: Request[];
 }
 
+interface StatsResponse {
+  status: string;
+  data: RequestStats;
+}
+
 const AnalyticsPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [requests, setRequests] = useState<Request[]>([]);
+  const [stats, setStats] = useState<RequestStats | null>(null);
 
   const fetchAnalytics = async () => {
     try {
       setLoading(true);
-      const response = await fetch('http://localhost:3000/api/requests', {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      // Statistics are aggregated server-side over every request; the
+      // table only needs the latest page
+      const [statsResponse, recentResponse] = await Promise.all([
+        authorizedFetch('http://localhost:3000/api/requests/stats', {
+          method: 'GET',
+          headers: {
+            'Accept': 'application/json',
+          },
+        }),
+        authorizedFetch('http://localhost:3000/api/requests?limit=10&sort=createdAt&order=desc', {
+          method: 'GET',
+          headers: {
+            'Accept': 'application/json',
+          },
+        }),
+      ]);
+
+      if (!statsResponse.ok || !recentResponse.ok) {
+        throw new Error(`HTTP error! status: ${statsResponse.ok ? recentResponse.status : statsResponse.status}`);
       }
 
-      const data: ApiResponse = await response.json();
+      const statsData: StatsResponse = await statsResponse.json();
+      const data: ApiResponse = await recentResponse.json();
+      setStats(statsData.data);
       setRequests(data.data);
     } catch (err) {
       console.error('Fetch Error:', err);
@@ -105,26 +125,11 @@ const AnalyticsPage = () => {
     );
   }
 
-  // Calculate statistics
-  const totalRequests = requests.length;
-  
-  // Priority distribution
-  const priorityStats = requests.reduce((acc, req) => {
-    acc[req.priority] = (acc[req.priority] || 0) + 1;
-    return acc;
-  }, {} as Record<string, number>);
-
-  // Request type distribution
-  const typeStats = requests.reduce((acc, req) => {
-    acc[req.requestType] = (acc[req.requestType] || 0) + 1;
-    return acc;
-  }, {} as Record<string, number>);
-
-  // Status distribution
-  const statusStats = requests.reduce((acc, req) => {
-    acc[req.status] = (acc[req.status] || 0) + 1;
-    return acc;
-  }, {} as Record<string, number>);
+  // Statistics over all requests
+  const totalRequests = stats?.total || 0;
+  const priorityStats = stats?.byPriority || {};
+  const typeStats = stats?.byType || {};
+  const statusStats = stats?.byStatus || {};
 
   return (
     <div className="container mx-auto p-6 space-y-6">
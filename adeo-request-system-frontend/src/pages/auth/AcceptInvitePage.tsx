@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import type { AxiosError } from 'axios';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2 } from 'lucide-react';
+import { useAuth } from '@/hooks/useAuth';
+import { PASSWORD_MIN_LENGTH } from '@/api/auth';
+
+// Opened from the link an administrator passes on: /accept-invite?token=...
+const AcceptInvitePage = () => {
+  const { register } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') ?? '';
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (password !== confirmation) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setError('');
+    setIsSubmitting(true);
+    try {
+      await register(token, name, password);
+      navigate('/', { replace: true });
+    } catch (err) {
+      setError((err as AxiosError<{ message?: string }>).response?.data?.message || 'Failed to create your account');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex justify-center items-center min-h-screen bg-background p-6">
+      <Card className="w-full max-w-md">
+        <CardHeader>
+          <CardTitle>Accept invitation</CardTitle>
+          <CardDescription>Choose a password to finish setting up your account</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {!token ? (
+            <Alert variant="destructive">
+              <AlertDescription>This invitation link is incomplete. Ask for a new one.</AlertDescription>
+            </Alert>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {error && (
+                <Alert variant="destructive">
+                  <AlertDescription>{error}</AlertDescription>
+                </Alert>
+              )}
+              <div className="space-y-2">
+                <Label htmlFor="name">Name</Label>
+                <Input id="name" autoComplete="name" value={name} onChange={(e) => setName(e.target.value)} />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="password">Password</Label>
+                <Input
+                  id="password"
+                  type="password"
+                  autoComplete="new-password"
+                  minLength={PASSWORD_MIN_LENGTH}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                />
+                <p className="text-sm text-gray-500">At least {PASSWORD_MIN_LENGTH} characters</p>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="confirmation">Confirm password</Label>
+                <Input
+                  id="confirmation"
+                  type="password"
+                  autoComplete="new-password"
+                  value={confirmation}
+                  onChange={(e) => setConfirmation(e.target.value)}
+                  required
+                />
+              </div>
+              <Button type="submit" className="w-full" disabled={isSubmitting}>
+                {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Create account
+              </Button>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AcceptInvitePage;
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useMutation } from '@tanstack/react-query';
+import type { AxiosError } from 'axios';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2 } from 'lucide-react';
+import { authApi, PASSWORD_MIN_LENGTH } from '@/api/auth';
+
+// Opened from the reset link an administrator passes on: /reset-password?token=...
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') ?? '';
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+
+  const resetMutation = useMutation({
+    mutationFn: () => authApi.resetPassword({ token, password }),
+    onSuccess: () => setError(''),
+    onError: (err: AxiosError<{ message?: string }>) => {
+      setError(err.response?.data?.message || 'Failed to reset your password');
+    },
+  });
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (password !== confirmation) {
+      setError('Passwords do not match');
+      return;
+    }
+    resetMutation.mutate();
+  };
+
+  return (
+    <div className="flex justify-center items-center min-h-screen bg-background p-6">
+      <Card className="w-full max-w-md">
+        <CardHeader>
+          <CardTitle>Reset password</CardTitle>
+          <CardDescription>You will be logged out everywhere else</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {resetMutation.isSuccess ? (
+            <div className="space-y-4">
+              <Alert>
+                <AlertDescription>Your password has been changed.</AlertDescription>
+              </Alert>
+              <Button asChild className="w-full">
+                <Link to="/login">Log in</Link>
+              </Button>
+            </div>
+          ) : !token ? (
+            <Alert variant="destructive">
+              <AlertDescription>This reset link is incomplete. Ask for a new one.</AlertDescription>
+            </Alert>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {error && (
+                <Alert variant="destructive">
+                  <AlertDescription>{error}</AlertDescription>
+                </Alert>
+              )}
+              <div className="space-y-2">
+                <Label htmlFor="password">New password</Label>
+                <Input
+                  id="password"
+                  type="password"
+                  autoComplete="new-password"
+                  minLength={PASSWORD_MIN_LENGTH}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                />
+                <p className="text-sm text-gray-500">At least {PASSWORD_MIN_LENGTH} characters</p>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="confirmation">Confirm password</Label>
+                <Input
+                  id="confirmation"
+                  type="password"
+                  autoComplete="new-password"
+                  value={confirmation}
+                  onChange={(e) => setConfirmation(e.target.value)}
+                  required
+                />
+              </div>
+              <Button type="submit" className="w-full" disabled={resetMutation.isPending}>
+                {resetMutation.isPending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Set new password
+              </Button>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
@@ -7,23 +7,65 @@ import { Textarea } from '@/components/ui/textarea';
 import { Button } from '@/components/ui/button';
 import { useNavigate } from 'react-router-dom';
 import { Alert, AlertDescription } from '@/components/ui/alert';
-import { fetchWithConfig } from '@/api/config';
+import { useAttachmentConfig, formatFileSize } from '@/hooks/useAttachmentConfig';
+import type { DuplicateWarning } from '@/api/requests';
+import { authorizedFetch } from '@/api/axiosConfig';
+import { DraftAssistant } from '@/components/requests/DraftAssistant';
+import { ClassificationHint } from '@/components/requests/ClassificationHint';
+import { useClassificationSuggestions } from '@/hooks/useClassificationSuggestions';
+import { DEPARTMENT_OPTIONS } from '@/constants';
+import { useAuth } from '@/hooks/useAuth';
 // import { Progress } from '@/components/ui/progress'; // Import Progress component if you have it
 
+// Limits of the title and description inputs
+const TITLE_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 2000;
+
+// Options of the selects; classifier suggestions outside them are not shown
+const REQUEST_TYPE_OPTIONS = [
+  { value: 'Policy Development', label: 'Policy Development Request' },
+  { value: 'Strategic Initiative', label: 'Strategic Initiative Proposal' },
+  { value: 'Program Approval', label: 'Program Approval Request' },
+  { value: 'Budget Allocation', label: 'Budget Allocation Request' },
+  { value: 'Inter-Department Collaboration', label: 'Inter-Department Collaboration' },
+  { value: 'Executive Decision', label: 'Executive Decision Request' },
+  { value: 'Regulatory Amendment', label: 'Regulatory Amendment Request' },
+  { value: 'Resource Support', label: 'Resource Support Request' },
+  { value: 'Technical Assistance', label: 'Technical Assistance Request' },
+  { value: 'Other', label: 'Other Administrative Request' },
+];
+
+const PRIORITY_OPTIONS = [
+  { value: 'Low', label: 'Low' },
+  { value: 'Medium', label: 'Medium' },
+  { value: 'High', label: 'High' },
+  { value: 'Urgent', label: 'Urgent' },
+];
+
 const NewRequestPage = () => {
   const navigate = useNavigate();
+  const { data: attachmentConfig } = useAttachmentConfig();
+  const { user } = useAuth();
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     requestType: '',
     priority: '',
-    attachments: null,
-    department: ''
+    attachments: [] as File[],
+    // Most users can only submit requests for their own department
+    department: user?.department ?? ''
   });
 
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [duplicateWarning, setDuplicateWarning] = useState<DuplicateWarning | null>(null);
+  const { data: classification } = useClassificationSuggestions(formData.title, formData.description);
+
+  const applySuggestion = (field: 'requestType' | 'department' | 'priority') => (value: string) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    setError('');
+  };
 
   const validateForm = () => {
     if (!formData.title.trim()) {
@@ -56,7 +98,12 @@ const NewRequestPage = () => {
         return;
     }
 
+    await submitRequest(false);
+  };
+
+  const submitRequest = async (overrideDuplicate: boolean) => {
     setIsLoading(true);
+    setDuplicateWarning(null);
     try {
         const formDataToSend = new FormData();
         
@@ -66,21 +113,32 @@ const NewRequestPage = () => {
         formDataToSend.append('requestType', formData.requestType);
         formDataToSend.append('priority', formData.priority);
         formDataToSend.append('department', formData.department);
+        if (overrideDuplicate) {
+            formDataToSend.append('overrideDuplicate', 'true');
+        }
+        // Lets the backend record whether the classifier's suggestions were kept
+        if (classification?.modelVersion) {
+            formDataToSend.append('classification', JSON.stringify(classification));
+        }
 
         // Add files if any
-        if (formData.attachments) {
-            formDataToSend.append('files', formData.attachments);
-        }
+        formData.attachments.forEach(file => {
+            formDataToSend.append('files', file);
+        });
 
         const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
-        const response = await fetch(`${API_URL}/api/requests`, {
+        const response = await authorizedFetch(`${API_URL}/api/requests`, {
             method: 'POST',
             body: formDataToSend,
-            credentials: 'include',
         });
 
         if (!response.ok) {
             const errorData = await response.json();
+            // Likely duplicate: let the user review the match and confirm
+            if (response.status === 409 && errorData.errorCode === 'POSSIBLE_DUPLICATE') {
+                setDuplicateWarning(errorData.duplicate);
+                return;
+            }
             throw new Error(errorData.message || 'Failed to create request');
         }
 
@@ -98,31 +156,37 @@ const NewRequestPage = () => {
     }
   };
 
-  const handleFileChange = (e) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      // Validate file type
-      const allowedTypes = ['image/jpeg', 'image/png', 'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
-      if (!allowedTypes.includes(file.type)) {
-        setError('File type not supported. Please upload an image, PDF, or Word document.');
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []);
+    if (attachmentConfig) {
+      // Validate against the limits the backend enforces
+      if (files.length > attachmentConfig.maxFiles) {
+        setError(`You can attach at most ${attachmentConfig.maxFiles} files`);
         e.target.value = ''; // Reset input
         return;
       }
-      
-      // Validate file size (10MB)
-      if (file.size > 10 * 1024 * 1024) {
-        setError('File size must be less than 10MB');
-        e.target.value = ''; // Reset input
-        return;
+
+      for (const file of files) {
+        if (!attachmentConfig.allowedTypes.includes(file.type)) {
+          setError(`${file.name}: file type not supported. Please upload an image, PDF, or Word document.`);
+          e.target.value = ''; // Reset input
+          return;
+        }
+
+        if (file.size > attachmentConfig.maxFileSize) {
+          setError(`${file.name}: file size must be less than ${formatFileSize(attachmentConfig.maxFileSize)}`);
+          e.target.value = ''; // Reset input
+          return;
+        }
       }
     }
-    setFormData(prev => ({ ...prev, attachments: file }));
+    setFormData(prev => ({ ...prev, attachments: files }));
     setError(''); // Clear any previous errors
   };
 
   return (
-    <div className="container mx-auto py-6 max-w-3xl">
-      <Card>
+    <div className="container mx-auto py-6 max-w-6xl grid gap-6 lg:grid-cols-3 items-start">
+      <Card className="lg:col-span-2">
         <CardHeader>
           <CardTitle className="text-2xl">Submit New Request</CardTitle>
           <CardDescription>
@@ -137,6 +201,41 @@ const NewRequestPage = () => {
               </Alert>
             )}
 
+            {duplicateWarning && (
+              <Alert>
+                <AlertDescription className="space-y-3">
+                  <p>
+                    This looks similar ({Math.round(duplicateWarning.similarity * 100)}% match) to{' '}
+                    <strong>{duplicateWarning.request.requestNumber}</strong>: {duplicateWarning.request.title}{' '}
+                    ({duplicateWarning.request.status}).
+                  </p>
+                  <ul className="text-sm text-gray-600 grid grid-cols-2 gap-1">
+                    <li>Title similarity: {Math.round(duplicateWarning.details.titleSimilarity * 100)}%</li>
+                    <li>Content similarity: {Math.round(duplicateWarning.details.contentSimilarity * 100)}%</li>
+                    <li>Title keyword overlap: {Math.round(duplicateWarning.details.titleOverlap * 100)}%</li>
+                    <li>Content keyword overlap: {Math.round(duplicateWarning.details.contentOverlap * 100)}%</li>
+                    <li>Semantic similarity: {Math.round(duplicateWarning.details.semanticScore * 100)}%</li>
+                  </ul>
+                  <div className="flex gap-2">
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => navigate(`/requests/${duplicateWarning.request._id}`)}
+                    >
+                      View existing request
+                    </Button>
+                    <Button
+                      type="button"
+                      disabled={isLoading}
+                      onClick={() => submitRequest(true)}
+                    >
+                      Submit anyway
+                    </Button>
+                  </div>
+                </AlertDescription>
+              </Alert>
+            )}
+
             <div className="space-y-4">
               <div>
                 <Label htmlFor="title">Request Title</Label>
@@ -149,7 +248,7 @@ const NewRequestPage = () => {
                   }}
                   placeholder="Enter request title"
                   required
-                  maxLength={100}
+                  maxLength={TITLE_MAX_LENGTH}
                 />
               </div>
 
@@ -167,18 +266,17 @@ const NewRequestPage = () => {
                     <SelectValue placeholder="Select request type" />
                   </SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="Policy Development">Policy Development Request</SelectItem>
-                    <SelectItem value="Strategic Initiative">Strategic Initiative Proposal</SelectItem>
-                    <SelectItem value="Program Approval">Program Approval Request</SelectItem>
-                    <SelectItem value="Budget Allocation">Budget Allocation Request</SelectItem>
-                    <SelectItem value="Inter-Department Collaboration">Inter-Department Collaboration</SelectItem>
-                    <SelectItem value="Executive Decision">Executive Decision Request</SelectItem>
-                    <SelectItem value="Regulatory Amendment">Regulatory Amendment Request</SelectItem>
-                    <SelectItem value="Resource Support">Resource Support Request</SelectItem>
-                    <SelectItem value="Technical Assistance">Technical Assistance Request</SelectItem>
-                    <SelectItem value="Other">Other Administrative Request</SelectItem>
+                    {REQUEST_TYPE_OPTIONS.map(({ value, label }) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
+                <ClassificationHint
+                  suggestion={classification?.suggestions.requestType}
+                  value={formData.requestType}
+                  options={REQUEST_TYPE_OPTIONS}
+                  onApply={applySuggestion('requestType')}
+                />
               </div>
 
               <div>
@@ -195,19 +293,17 @@ const NewRequestPage = () => {
                     <SelectValue placeholder="Select department" />
                   </SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="DCD">Department of Community Development</SelectItem>
-                    <SelectItem value="DCT">Department of Culture and Tourism</SelectItem>
-                    <SelectItem value="DED">Department of Economic Development</SelectItem>
-                    <SelectItem value="ADEK">Department of Education and Knowledge</SelectItem>
-                    <SelectItem value="DOE">Department of Energy</SelectItem>
-                    <SelectItem value="DOF">Department of Finance</SelectItem>
-                    <SelectItem value="DGE">Department of Government Enablement</SelectItem>
-                    <SelectItem value="DOH">Department of Health</SelectItem>
-                    <SelectItem value="DMT">Department of Municipalities and Transport</SelectItem>
-                    <SelectItem value="ADJD">Abu Dhabi Judicial Department</SelectItem>
-                    <SelectItem value="ITC">Integrated Transport Center</SelectItem>
+                    {DEPARTMENT_OPTIONS.map(({ value, label }) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
+                <ClassificationHint
+                  suggestion={classification?.suggestions.department}
+                  value={formData.department}
+                  options={DEPARTMENT_OPTIONS}
+                  onApply={applySuggestion('department')}
+                />
               </div>
 
               <div>
@@ -224,12 +320,17 @@ const NewRequestPage = () => {
                     <SelectValue placeholder="Select priority" />
                   </SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="Low">Low</SelectItem>
-                    <SelectItem value="Medium">Medium</SelectItem>
-                    <SelectItem value="High">High</SelectItem>
-                    <SelectItem value="Urgent">Urgent</SelectItem>
+                    {PRIORITY_OPTIONS.map(({ value, label }) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
+                <ClassificationHint
+                  suggestion={classification?.suggestions.priority}
+                  value={formData.priority}
+                  options={PRIORITY_OPTIONS}
+                  onApply={applySuggestion('priority')}
+                />
               </div>
 
               <div>
@@ -244,18 +345,24 @@ const NewRequestPage = () => {
                   placeholder="Provide detailed description of your request"
                   className="h-32"
                   required
-                  maxLength={2000}
+                  maxLength={DESCRIPTION_MAX_LENGTH}
                 />
               </div>
 
               <div>
-                <Label htmlFor="attachment">Attachment (Max 10MB - PDF, Word, or Images)</Label>
+                <Label htmlFor="attachment">
+                  Attachments
+                  {attachmentConfig && (
+                    <> (Up to {attachmentConfig.maxFiles} files, max {formatFileSize(attachmentConfig.maxFileSize)} each - PDF, Word, or Images)</>
+                  )}
+                </Label>
                 <Input
                   id="attachment"
                   type="file"
+                  multiple
                   onChange={handleFileChange}
                   className="cursor-pointer"
-                  accept=".pdf,.doc,.docx,.jpg,.jpeg,.png"
+                  accept={attachmentConfig?.allowedTypes.join(',') || '.pdf,.doc,.docx,.jpg,.jpeg,.png'}
                 />
               </div>
 
@@ -289,6 +396,19 @@ const NewRequestPage = () => {
           </form>
         </CardContent>
       </Card>
+
+      <DraftAssistant
+        draft={{
+          title: formData.title,
+          description: formData.description,
+          type: formData.requestType || undefined,
+          department: formData.department || undefined,
+        }}
+        onApplyTitle={(title) => setFormData(prev => ({ ...prev, title: title.slice(0, TITLE_MAX_LENGTH) }))}
+        onApplyDescription={(update) =>
+          setFormData(prev => ({ ...prev, description: update(prev.description).slice(0, DESCRIPTION_MAX_LENGTH) }))
+        }
+      />
     </div>
   );
 };
@@ -5,6 +5,9 @@ import {
     CardTitle,
   } from "@/components/ui/card";
   import { Badge } from "@/components/ui/badge";
+  import { Loader2 } from "lucide-react";
+  import { DecisionSummary, ImpactScores } from "@/components/requests/AnalysisDecision";
+  import type { AnalysisContent, RecommendationsContent } from "@/types";
   
   const isArabicText = (text?: string): boolean => {
     if (!text) return false;
@@ -105,29 +108,29 @@ import {
     );
   };
   
+  // Shown in place of a section that is still being generated
+  const PendingSection: React.FC<{ language: 'en' | 'ar' }> = ({ language }) => (
+    <div className={`flex items-center gap-2 text-sm text-gray-500 ${language === 'ar' ? 'justify-end' : ''}`}>
+      <Loader2 className="h-4 w-4 animate-spin" />
+      {language === 'ar' ? 'جارٍ الإنشاء...' : 'Generating...'}
+    </div>
+  );
+  
   interface RequestAnalysisProps {
     analysis: {
-      analysis: {
-        summary: string;
-        trends: string[];
-        riskLevel: string;
-        impactAssessment?: string;
-        policyAlignment?: string;
-      };
-      recommendations: {
-        strategic: string[];
-        operational: string[];
-        timeline?: string;
-        risks: string[];
-        budgetImplications?: string;
-      };
+      analysis: Partial<AnalysisContent>;
+      recommendations: Partial<RecommendationsContent>;
       language?: 'en' | 'ar';
     };
+    // Sections may still be missing while an analysis is streaming in
+    streaming?: boolean;
   }
   
-  const RequestAnalysis: React.FC<RequestAnalysisProps> = ({ analysis }) => {
+  const RequestAnalysis: React.FC<RequestAnalysisProps> = ({ analysis, streaming = false }) => {
     if (!analysis?.analysis || !analysis?.recommendations) return null;
   
+    const pending = (value: unknown) => streaming && value === undefined;
+  
     // Determine language based on content or fallback to provided language
     const language = analysis.language || 
       (isArabicText(analysis.analysis.summary) ? 'ar' : 'en');
@@ -140,7 +143,10 @@ import {
       riskAssessment: language === 'ar' ? 'تقييم المخاطر' : 'Risk Assessment',
       riskLevel: language === 'ar' ? 'مستوى المخاطر' : 'Risk Level',
       identifiedRisks: language === 'ar' ? 'المخاطر المحددة' : 'Identified Risks',
-      budgetImplications: language === 'ar' ? 'الآثار المالية' : 'Budget Implications'
+      budgetImplications: language === 'ar' ? 'الآثار المالية' : 'Budget Implications',
+      impactAssessment: language === 'ar' ? 'تقييم الأثر' : 'Impact Assessment',
+      policyAlignment: language === 'ar' ? 'التوافق مع السياسات' : 'Policy Alignment',
+      decision: language === 'ar' ? 'القرار الموصى به' : 'Recommended Decision'
     };
   
     return (
@@ -150,29 +156,71 @@ import {
           <h2 className={`text-xl font-bold text-gray-900 ${language === 'ar' ? 'text-right font-arabic' : ''}`}>
             {translations.executiveSummary}
           </h2>
+          {pending(analysis.analysis.summary) && <PendingSection language={language} />}
           {analysis.analysis.summary && (
             <AnalysisSection 
               content={analysis.analysis.summary} 
               language={language}
             />
           )}
-          <AnalysisSection 
-            title={translations.keyTrends}
-            content={analysis.analysis.trends} 
-            language={language}
-          />
+          {pending(analysis.analysis.trends) ? <PendingSection language={language} /> : (
+            <AnalysisSection 
+              title={translations.keyTrends}
+              content={analysis.analysis.trends ?? []} 
+              language={language}
+            />
+          )}
         </div>
   
+        {/* Impact and policy alignment */}
+        {(pending(analysis.analysis.impactAssessment) || analysis.analysis.impactAssessment) && (
+          <div className="space-y-6">
+            <h2 className={`text-xl font-bold text-gray-900 ${language === 'ar' ? 'text-right font-arabic' : ''}`}>
+              {translations.impactAssessment}
+            </h2>
+            {pending(analysis.analysis.impactAssessment) ? <PendingSection language={language} /> : (
+              <AnalysisSection 
+                content={analysis.analysis.impactAssessment ?? ''} 
+                language={language}
+              />
+            )}
+            {pending(analysis.analysis.impact) ? <PendingSection language={language} /> : (
+              <ImpactScores impact={analysis.analysis.impact} language={language} />
+            )}
+            {pending(analysis.analysis.policyAlignment) ? <PendingSection language={language} /> : analysis.analysis.policyAlignment && (
+              <AnalysisSection 
+                title={translations.policyAlignment}
+                content={analysis.analysis.policyAlignment} 
+                language={language}
+              />
+            )}
+          </div>
+        )}
+  
+        {/* Decision recommendation */}
+        {(pending(analysis.recommendations.decision) || analysis.recommendations.decision) && (
+          <div className="space-y-6">
+            <h2 className={`text-xl font-bold text-gray-900 ${language === 'ar' ? 'text-right font-arabic' : ''}`}>
+              {translations.decision}
+            </h2>
+            {pending(analysis.recommendations.decision) ? <PendingSection language={language} /> : (
+              <DecisionSummary decision={analysis.recommendations.decision} language={language} />
+            )}
+          </div>
+        )}
+  
         {/* Strategic Recommendations */}
         <div className="space-y-6">
           <h2 className={`text-xl font-bold text-gray-900 ${language === 'ar' ? 'text-right font-arabic' : ''}`}>
             {translations.strategicRecommendations}
           </h2>
-          <AnalysisSection 
-            content={analysis.recommendations.strategic} 
-            language={language}
-            variant="success"
-          />
+          {pending(analysis.recommendations.strategic) ? <PendingSection language={language} /> : (
+            <AnalysisSection 
+              content={analysis.recommendations.strategic ?? []} 
+              language={language}
+              variant="success"
+            />
+          )}
         </div>
   
         {/* Implementation Steps */}
@@ -180,11 +228,13 @@ import {
           <h2 className={`text-xl font-bold text-gray-900 ${language === 'ar' ? 'text-right font-arabic' : ''}`}>
             {translations.implementationSteps}
           </h2>
-          <AnalysisSection 
-            content={analysis.recommendations.operational} 
-            language={language}
-            variant="success"
-          />
+          {pending(analysis.recommendations.operational) ? <PendingSection language={language} /> : (
+            <AnalysisSection 
+              content={analysis.recommendations.operational ?? []} 
+              language={language}
+              variant="success"
+            />
+          )}
         </div>
   
         {/* Risk Assessment */}
@@ -197,21 +247,24 @@ import {
           <CardContent>
             <div className="space-y-4">
               <div className={`flex items-center ${language === 'ar' ? 'justify-end' : 'justify-start'} space-x-2`}>
-                <Badge variant={
-                  analysis.analysis.riskLevel === 'high' ? 'destructive' :
-                  analysis.analysis.riskLevel === 'medium' ? 'warning' :
-                  'success'
-                }>
-                  {analysis.analysis.riskLevel.toUpperCase()}
-                </Badge>
+                {pending(analysis.analysis.riskLevel) ? <Loader2 className="h-4 w-4 animate-spin" /> : (
+                  <Badge variant={
+                    analysis.analysis.riskLevel?.toUpperCase() === 'HIGH' ? 'destructive' :
+                    analysis.analysis.riskLevel?.toUpperCase() === 'MEDIUM' ? 'warning' :
+                    'success'
+                  }>
+                    {analysis.analysis.riskLevel?.toUpperCase()}
+                  </Badge>
+                )}
                 <span className={`font-semibold ${language === 'ar' ? 'font-arabic' : ''}`}>
                   {translations.riskLevel}
                 </span>
               </div>
-              {analysis.recommendations.risks.length > 0 && (
+              {pending(analysis.recommendations.risks) && <PendingSection language={language} />}
+              {(analysis.recommendations.risks ?? []).length > 0 && (
                 <AnalysisSection 
                   title={translations.identifiedRisks}
-                  content={analysis.recommendations.risks} 
+                  content={analysis.recommendations.risks ?? []} 
                   language={language}
                   variant="warning"
                 />
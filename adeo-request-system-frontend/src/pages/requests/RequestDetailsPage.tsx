@@ -1,6 +1,6 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useParams } from 'react-router-dom';
-import { useQuery, useMutation } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import {
   Card,
   CardContent,
@@ -14,9 +14,21 @@ import {
   AlertTitle,
 } from "@/components/ui/alert";
 import { Button } from "@/components/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Loader2 } from "lucide-react";
 import { Badge } from "../../components/ui/badge";
 import RequestAnalysis from './RequestAnalysis';
+import { StatusWorkflow } from '@/components/requests/StatusWorkflow';
+import { AttachmentList } from '@/components/requests/AttachmentList';
+import { SimilarRequests } from '@/components/requests/SimilarRequests';
+import { AnalysisHistory } from '@/components/requests/AnalysisHistory';
+import { RequestComments } from '@/components/requests/RequestComments';
+import { DecisionSummary, ImpactScores } from '@/components/requests/AnalysisDecision';
+import { requestsApi, type Attachment, type RequestAction } from '@/api/requests';
+import type { AnalysisLanguage, AnalysisLanguageOption, RequestAnalysis as AnalysisResult, RequestAuthor } from '@/types';
+import { authorizedFetch } from '@/api/axiosConfig';
+import { jobsApi, isJobFinished, type JobStage } from '@/api/jobs';
+import { useAnalysisStream } from '@/hooks/useAnalysisStream';
 
 interface RequestDetails {
   _id: string;
@@ -26,64 +38,111 @@ interface RequestDetails {
   requestType: string;
   priority: string;
   status: string;
+  attachments: Attachment[];
   metadata: {
-    analysis?: {
-      analysis: {
-        summary: string;
-        trends: string[];
-        impactAssessment: string;
-        policyAlignment: string;
-        riskLevel: string;
-      };
-      recommendations: {
-        strategic: string[];
-        operational: string[];
-        timeline: string;
-        risks: string[];
-        budgetImplications: string;
-      };
-    };
+    version?: number;
+    analysis?: AnalysisResult;
   };
+  // Missing on requests submitted before accounts existed
+  createdBy?: RequestAuthor;
   createdAt: string;
+  // What the current user may do with the request
+  permissions: RequestAction[];
 }
 
+const LANGUAGE_LABELS: Record<AnalysisLanguage, string> = {
+  en: 'English',
+  ar: 'العربية',
+};
+
+// 'auto' leaves the choice to the server: the language of the request
+const ANALYSIS_LANGUAGE_OPTIONS: Array<{ value: AnalysisLanguageOption | 'auto'; label: string }> = [
+  { value: 'auto', label: 'Request language' },
+  { value: 'en', label: LANGUAGE_LABELS.en },
+  { value: 'ar', label: LANGUAGE_LABELS.ar },
+  { value: 'both', label: 'English + العربية' },
+];
+
+const JOB_STAGE_LABELS: Record<JobStage, string> = {
+  queued: 'Waiting in Queue',
+  extracting: 'Reading Attachments',
+  analysis: 'Analyzing Request',
+  recommendations: 'Drafting Recommendations',
+  saving: 'Saving Analysis',
+  done: 'Analysis Complete',
+};
+
 const RequestDetailsPage = () => {
   const { id } = useParams<{ id: string }>();
-  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const queryClient = useQueryClient();
+  const [analysisJobId, setAnalysisJobId] = useState<string | null>(null);
+  const [viewedRunId, setViewedRunId] = useState<string | null>(null);
+  const [analysisLanguage, setAnalysisLanguage] = useState<AnalysisLanguageOption | 'auto'>('auto');
+  // Language the analysis is shown in, when it was written in more than one
+  const [displayLanguage, setDisplayLanguage] = useState<AnalysisLanguage | null>(null);
 
   // Fetch request details
-  const { data: request, isLoading, error, refetch } = useQuery<RequestDetails>({
+  const { data: request, isLoading, error } = useQuery<RequestDetails>({
     queryKey: ['request', id],
     queryFn: async () => {
-      const response = await fetch(`http://localhost:3000/api/requests/${id}`);
+      const response = await authorizedFetch(`http://localhost:3000/api/requests/${id}`);
       if (!response.ok) throw new Error('Failed to fetch request');
       const data = await response.json();
-      return data.data;
+      return { ...data.data, permissions: data.permissions ?? [] };
     },
   });
 
-  // Analyze request mutation
+  // Analysis runs as a background job; queue it, then poll until it finishes
   const analyzeMutation = useMutation({
-    mutationFn: async () => {
-      const response = await fetch(`http://localhost:3000/api/requests/${id}/analyze`, {
-        method: 'POST',
-      });
-      if (!response.ok) throw new Error('Failed to analyze request');
-      const data = await response.json();
-      return data.data;
-    },
-    onSuccess: () => {
-      refetch();
-    },
+    mutationFn: (language?: AnalysisLanguageOption) => requestsApi.analyzeRequest(id!, language),
+    onSuccess: (job) => setAnalysisJobId(job.id),
+  });
+
+  const { data: analysisJob } = useQuery({
+    queryKey: ['job', analysisJobId],
+    queryFn: () => jobsApi.getJob(analysisJobId!),
+    enabled: !!analysisJobId,
+    refetchInterval: (query) => (isJobFinished(query.state.data) ? false : 1500),
   });
 
-  const handleAnalyze = async () => {
-    setIsAnalyzing(true);
-    try {
-      await analyzeMutation.mutateAsync();
-    } finally {
-      setIsAnalyzing(false);
+  // A new run also changes the analysis history, so refresh everything about the request
+  const refreshAfterAnalysis = useCallback(() => {
+    setViewedRunId(null);
+    queryClient.invalidateQueries({ queryKey: ['request', id] });
+  }, [queryClient, id]);
+
+  useEffect(() => {
+    if (analysisJob?.state === 'completed') {
+      setAnalysisJobId(null);
+      refreshAfterAnalysis();
     }
+  }, [analysisJob?.state, refreshAfterAnalysis]);
+
+  // An earlier analysis run picked from the history, shown instead of the official one
+  const { data: viewedRun } = useQuery({
+    queryKey: ['request', id, 'analyses', viewedRunId],
+    queryFn: () => requestsApi.getAnalysisRun(id!, viewedRunId!),
+    enabled: !!viewedRunId,
+  });
+
+  // Preferred path: stream the analysis so sections appear as they are
+  // generated; fall back to the queued job if streaming isn't available
+  const analysisStream = useAnalysisStream(id, {
+    onComplete: refreshAfterAnalysis,
+    onUnavailable: analyzeMutation.mutate,
+  });
+
+  const isAnalyzing = analysisStream.status === 'streaming'
+    || analyzeMutation.isPending
+    || (!!analysisJobId && !isJobFinished(analysisJob));
+  const analysisError = analysisStream.error
+    ?? (analyzeMutation.isError
+      ? 'Failed to start the analysis'
+      : analysisJob?.state === 'failed' ? analysisJob.error?.message || 'Analysis failed' : null);
+
+  const handleAnalyze = () => {
+    setAnalysisJobId(null);
+    analysisStream.start(analysisLanguage === 'auto' ? undefined : analysisLanguage);
   };
 
   if (isLoading) {
@@ -110,7 +169,17 @@ const RequestDetailsPage = () => {
     );
   }
 
-  const analysis = request.metadata.analysis;
+  const officialAnalysis = request.metadata.analysis;
+  const canAnalyze = request.permissions.includes('analysis:run');
+  const analysis = (viewedRunId && viewedRun?.result) || officialAnalysis;
+
+  // Written in several languages: the main one plus its translations, shown without another model call
+  const mainLanguage = analysis?.metadata?.language ?? 'en';
+  const analysisLanguages = analysis
+    ? [mainLanguage, ...(Object.keys(analysis.translations ?? {}) as AnalysisLanguage[])]
+    : [];
+  const shownLanguage = displayLanguage && analysisLanguages.includes(displayLanguage) ? displayLanguage : mainLanguage;
+  const translation = shownLanguage !== mainLanguage ? analysis?.translations?.[shownLanguage] : undefined;
 
   return (
     <div className="container mx-auto p-6 space-y-6">
@@ -120,26 +189,56 @@ const RequestDetailsPage = () => {
           <div className="flex justify-between items-center">
             <div>
               <CardTitle className="text-2xl">{request.title}</CardTitle>
-              <CardDescription>{request.requestNumber}</CardDescription>
+              <CardDescription>
+                {request.requestNumber}
+                {request.createdBy && ` · Submitted by ${request.createdBy.name || request.createdBy.email}`}
+              </CardDescription>
             </div>
-            {!analysis && (
-              <Button
-                onClick={handleAnalyze}
-                disabled={isAnalyzing}
-              >
-                {isAnalyzing ? (
-                  <>
-                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                    Analyzing Request
-                  </>
-                ) : (
-                  'Analyze Request'
-                )}
-              </Button>
+            {canAnalyze && (
+              <div className="flex items-center gap-2">
+                <Select
+                  value={analysisLanguage}
+                  onValueChange={(value) => setAnalysisLanguage(value as AnalysisLanguageOption | 'auto')}
+                  disabled={isAnalyzing}
+                >
+                  <SelectTrigger className="w-48" aria-label="Analysis language">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {ANALYSIS_LANGUAGE_OPTIONS.map(({ value, label }) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button
+                  onClick={handleAnalyze}
+                  disabled={isAnalyzing}
+                >
+                  {isAnalyzing ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      {analysisStream.status === 'streaming' ? JOB_STAGE_LABELS[analysisStream.stage ?? 'queued']
+                        : !analysisJob ? 'Queuing Analysis'
+                        : analysisJob.nextAttemptAt ? `Retrying (attempt ${analysisJob.attempts + 1} of ${analysisJob.maxAttempts})`
+                        : JOB_STAGE_LABELS[analysisJob.stage]}
+                    </>
+                  ) : officialAnalysis ? (
+                    // Earlier analyses stay in the history
+                    'Re-analyze'
+                  ) : (
+                    'Analyze Request'
+                  )}
+                </Button>
+              </div>
             )}
           </div>
         </CardHeader>
         <CardContent>
+          {analysisError && (
+            <Alert variant="destructive" className="mb-4">
+              <AlertDescription>{analysisError}</AlertDescription>
+            </Alert>
+          )}
           <div className="grid grid-cols-2 gap-4 mb-4">
             <div>
               <span className="font-semibold">Type:</span>
@@ -167,8 +266,98 @@ const RequestDetailsPage = () => {
         </CardContent>
       </Card>
 
+      {/* Status workflow and history */}
+      <StatusWorkflow requestId={request._id} />
+
+      <AttachmentList
+        requestId={request._id}
+        attachments={request.attachments || []}
+        version={request.metadata.version}
+        canEdit={request.permissions.includes('attachment:write')}
+      />
+
+      <RequestComments
+        requestId={request._id}
+        attachments={request.attachments || []}
+        canComment={request.permissions.includes('comment:write')}
+        canInternal={request.permissions.includes('comment:internal')}
+      />
+
+      <SimilarRequests requestId={request._id} />
+
+      <AnalysisHistory
+        requestId={request._id}
+        selectedRunId={viewedRunId}
+        onSelectRun={setViewedRunId}
+        canPin={request.permissions.includes('analysis:pin')}
+      />
+
+      {viewedRun && viewedRunId && (
+        <Alert>
+          <AlertDescription className="flex items-center justify-between">
+            <span>
+              Showing run {viewedRun.runNumber} from {new Date(viewedRun.createdAt).toLocaleString()}, not the official analysis.
+            </span>
+            <Button size="sm" variant="outline" onClick={() => setViewedRunId(null)}>
+              Back to official analysis
+            </Button>
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {/* Analysis streaming in */}
+      {(analysisStream.status === 'streaming' || (!officialAnalysis && analysisStream.status !== 'idle')) && (
+        <Card>
+          <CardHeader>
+            <CardTitle>AI Analysis</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <RequestAnalysis
+              analysis={analysisStream.sections}
+              streaming={analysisStream.status === 'streaming'}
+            />
+          </CardContent>
+        </Card>
+      )}
+
+      {analysisLanguages.length > 1 && (
+        <div className="flex items-center justify-end gap-2">
+          <span className="text-sm text-gray-500">Analysis language:</span>
+          {analysisLanguages.map((language) => (
+            <Button
+              key={language}
+              size="sm"
+              variant={language === shownLanguage ? 'default' : 'outline'}
+              onClick={() => setDisplayLanguage(language)}
+            >
+              {LANGUAGE_LABELS[language]}
+            </Button>
+          ))}
+        </div>
+      )}
+
+      {analysis?.metadata?.analyzer === 'heuristic' && (
+        <Alert>
+          <AlertTitle>Rule-based analysis</AlertTitle>
+          <AlertDescription>
+            No language model was reachable, so this analysis was generated offline from keyword rules.
+            It only flags risk indicators and missing information and always recommends a review.
+            Analyze the request again once the model is available.
+          </AlertDescription>
+        </Alert>
+      )}
+
       {/* AI Analysis */}
-      {analysis && (
+      {translation ? (
+        <Card>
+          <CardHeader>
+            <CardTitle>AI Analysis</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <RequestAnalysis analysis={{ ...translation, language: shownLanguage }} />
+          </CardContent>
+        </Card>
+      ) : analysis && (
         <>
           {/* Executive Summary */}
           <Card>
@@ -180,14 +369,72 @@ const RequestDetailsPage = () => {
               <div className="mt-4">
                 <h4 className="font-semibold mb-2">Key Trends:</h4>
                 <ul className="list-disc pl-5 space-y-1">
-                  {analysis.analysis.trends.map((trend, index) => (
+                  {(analysis.analysis.trends ?? []).map((trend, index) => (
                     <li key={index} className="text-gray-700">{trend}</li>
                   ))}
                 </ul>
               </div>
+              {!!analysis.metadata?.validationIssues?.length && (
+                <Alert className="mt-4">
+                  <AlertDescription>
+                    <p className="font-semibold">Some parts of this analysis could not be generated reliably:</p>
+                    <ul className="list-disc pl-5 mt-1 text-sm">
+                      {analysis.metadata.validationIssues.map((issue, index) => (
+                        <li key={index}>{issue.section}.{issue.field} {issue.message}</li>
+                      ))}
+                    </ul>
+                  </AlertDescription>
+                </Alert>
+              )}
+              {!!analysis.metadata?.sourceDocuments?.length && (
+                <div className="mt-4">
+                  <h4 className="font-semibold mb-2">Documents Consulted:</h4>
+                  <ul className="list-disc pl-5 space-y-1">
+                    {analysis.metadata.sourceDocuments.map((doc) => (
+                      <li key={doc.attachmentId} className="text-gray-700">
+                        {doc.originalName}
+                        {doc.pageCount ? ` (${doc.pageCount} page${doc.pageCount === 1 ? '' : 's'})` : ''}
+                        {doc.summarized && <span className="text-gray-500"> · summarized excerpt</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </CardContent>
           </Card>
 
+          {/* Decision */}
+          {analysis.recommendations.decision && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Recommended Decision</CardTitle>
+                {analysis.metadata?.migratedFrom && (
+                  <CardDescription>
+                    Converted from an analysis made before decisions and impact ratings; re-analyze for a full assessment.
+                  </CardDescription>
+                )}
+              </CardHeader>
+              <CardContent>
+                <DecisionSummary decision={analysis.recommendations.decision} />
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Impact */}
+          {analysis.analysis.impact && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Impact Assessment</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {analysis.analysis.impactAssessment && (
+                  <p className="text-gray-700">{analysis.analysis.impactAssessment}</p>
+                )}
+                <ImpactScores impact={analysis.analysis.impact} />
+              </CardContent>
+            </Card>
+          )}
+
           {/* Recommendations */}
           <Card>
             <CardHeader>
@@ -195,7 +442,7 @@ const RequestDetailsPage = () => {
             </CardHeader>
             <CardContent>
               <ul className="list-disc pl-5 space-y-2">
-                {analysis.recommendations.strategic.map((rec, index) => (
+                {(analysis.recommendations.strategic ?? []).map((rec, index) => (
                   <li key={index} className="text-gray-700">{rec}</li>
                 ))}
               </ul>
@@ -209,7 +456,7 @@ const RequestDetailsPage = () => {
             </CardHeader>
             <CardContent>
               <ul className="list-disc pl-5 space-y-2">
-                {analysis.recommendations.operational.map((op, index) => (
+                {(analysis.recommendations.operational ?? []).map((op, index) => (
                   <li key={index} className="text-gray-700">{op}</li>
                 ))}
               </ul>
@@ -230,17 +477,17 @@ const RequestDetailsPage = () => {
                 <div>
                   <span className="font-semibold">Risk Level: </span>
                   <Badge variant={
-                    analysis.analysis.riskLevel === 'high' ? 'destructive' :
-                    analysis.analysis.riskLevel === 'medium' ? 'warning' :
+                    analysis.analysis.riskLevel?.toUpperCase() === 'HIGH' ? 'destructive' :
+                    analysis.analysis.riskLevel?.toUpperCase() === 'MEDIUM' ? 'warning' :
                     'success'
                   }>
-                    {analysis.analysis.riskLevel.toUpperCase()}
+                    {analysis.analysis.riskLevel?.toUpperCase()}
                   </Badge>
                 </div>
                 <div>
                   <h4 className="font-semibold mb-2">Identified Risks:</h4>
                   <ul className="list-disc pl-5 space-y-1">
-                    {analysis.recommendations.risks.map((risk, index) => (
+                    {(analysis.recommendations.risks ?? []).map((risk, index) => (
                       <li key={index} className="text-gray-700">{risk}</li>
                     ))}
                   </ul>
@@ -1,31 +1,56 @@
-import React from 'react';
+import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useRequests } from '../../hooks/useRequests';
 import { Card, CardHeader, CardTitle, CardContent } from '../../components/ui/card';
 import { Table, TableHeader, TableRow, TableHead, TableBody, TableCell } from '../../components/ui/table';
 import { Button } from '../../components/ui/button';
+import { Input } from '../../components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../../components/ui/select';
+import { REQUEST_STATUSES } from '../../constants';
+import type { PaginatedResponse, RequestsParams } from '../../api/requests';
+import type { RequestStatus } from '../../types';
 
-interface APIResponse {
+const PAGE_SIZE = 20;
+
+type APIResponse = PaginatedResponse<{
+  _id: string;
+  title: string;
+  requestNumber: string;
+  requestType: string;
+  priority: string;
   status: string;
-  count: number;
-  data: Array<{
-    _id: string;
-    title: string;
-    requestNumber: string;
-    requestType: string;
-    priority: string;
-    status: string;
-    createdAt: string;
-    // Add other fields as needed
-  }>;
-}
+  createdAt: string;
+  // Add other fields as needed
+}>;
 
 const RequestsPage = () => {
   const navigate = useNavigate();
-  const { data: response, isLoading, error } = useRequests<APIResponse>();
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState<RequestStatus | 'all'>('all');
+  const [sort, setSort] = useState<Pick<RequestsParams, 'sort' | 'order'>>({ sort: 'createdAt', order: 'desc' });
+
+  const { data: response, isLoading, error } = useRequests<APIResponse>({
+    page,
+    limit: PAGE_SIZE,
+    q: search.trim() || undefined,
+    status: status === 'all' ? undefined : status,
+    ...sort,
+  });
 
   const requests = response?.data;
 
+  const toggleSort = (field: string) => {
+    setSort((current) => ({
+      sort: field,
+      order: current.sort === field && current.order === 'desc' ? 'asc' : 'desc',
+    }));
+    setPage(1);
+  };
+
+  const sortIndicator = (field: string) =>
+    sort.sort === field ? (sort.order === 'asc' ? ' ▲' : ' ▼') : '';
+
   return (
     <div className="container mx-auto py-6">
       <Card>
@@ -36,6 +61,34 @@ const RequestsPage = () => {
           </Button>
         </CardHeader>
         <CardContent>
+          <div className="flex flex-col md:flex-row gap-4 mb-4">
+            <Input
+              value={search}
+              onChange={(e) => {
+                setSearch(e.target.value);
+                setPage(1);
+              }}
+              placeholder="Search title and description..."
+              className="md:max-w-sm"
+            />
+            <Select
+              value={status}
+              onValueChange={(value) => {
+                setStatus(value as RequestStatus | 'all');
+                setPage(1);
+              }}
+            >
+              <SelectTrigger className="md:w-48">
+                <SelectValue placeholder="All statuses" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All statuses</SelectItem>
+                {REQUEST_STATUSES.map((value) => (
+                  <SelectItem key={value} value={value}>{value}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
           {isLoading ? (
             <div className="text-center py-4">Loading requests...</div>
           ) : error ? (
@@ -48,12 +101,22 @@ const RequestsPage = () => {
             <Table>
               <TableHeader>
                 <TableRow>
-                  <TableHead>Request Number</TableHead>
-                  <TableHead>Title</TableHead>
+                  <TableHead className="cursor-pointer" onClick={() => toggleSort('requestNumber')}>
+                    Request Number{sortIndicator('requestNumber')}
+                  </TableHead>
+                  <TableHead className="cursor-pointer" onClick={() => toggleSort('title')}>
+                    Title{sortIndicator('title')}
+                  </TableHead>
                   <TableHead>Type</TableHead>
-                  <TableHead>Priority</TableHead>
-                  <TableHead>Status</TableHead>
-                  <TableHead>Created At</TableHead>
+                  <TableHead className="cursor-pointer" onClick={() => toggleSort('priority')}>
+                    Priority{sortIndicator('priority')}
+                  </TableHead>
+                  <TableHead className="cursor-pointer" onClick={() => toggleSort('status')}>
+                    Status{sortIndicator('status')}
+                  </TableHead>
+                  <TableHead className="cursor-pointer" onClick={() => toggleSort('createdAt')}>
+                    Created At{sortIndicator('createdAt')}
+                  </TableHead>
                 </TableRow>
               </TableHeader>
               <TableBody>
@@ -86,6 +149,29 @@ const RequestsPage = () => {
               </TableBody>
             </Table>
           )}
+          {response && response.totalPages > 1 && (
+            <div className="flex items-center justify-between mt-4">
+              <p className="text-sm text-gray-500">
+                Page {response.page} of {response.totalPages} · {response.total} requests
+              </p>
+              <div className="space-x-2">
+                <Button
+                  variant="outline"
+                  disabled={!response.hasPrevPage}
+                  onClick={() => setPage((current) => current - 1)}
+                >
+                  Previous
+                </Button>
+                <Button
+                  variant="outline"
+                  disabled={!response.hasNextPage}
+                  onClick={() => setPage((current) => current + 1)}
+                >
+                  Next
+                </Button>
+              </div>
+            </div>
+          )}
         </CardContent>
       </Card>
     </div>
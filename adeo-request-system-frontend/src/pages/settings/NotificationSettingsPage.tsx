@@ -0,0 +1,132 @@
+import { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import type { AxiosError } from 'axios';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Loader2 } from 'lucide-react';
+import { notificationsApi, type EmailDelivery, type NotificationPreference } from '@/api/notifications';
+
+const EMAIL_OPTIONS: Array<{ value: EmailDelivery; label: string }> = [
+  { value: 'immediate', label: 'Right away' },
+  { value: 'digest', label: 'Daily digest' },
+  { value: 'off', label: 'Never' },
+];
+
+type ApiError = AxiosError<{ message?: string }>;
+
+const NotificationSettingsPage = () => {
+  const queryClient = useQueryClient();
+  const [preferences, setPreferences] = useState<NotificationPreference[]>([]);
+  const [message, setMessage] = useState<{ kind: 'success' | 'error'; text: string } | null>(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['notifications', 'preferences'],
+    queryFn: notificationsApi.getPreferences,
+  });
+
+  useEffect(() => {
+    if (data) setPreferences(data.events);
+  }, [data]);
+
+  const saveMutation = useMutation({
+    mutationFn: () => notificationsApi.updatePreferences(
+      preferences.map(({ event, inApp, email }) => ({ event, inApp, email }))
+    ),
+    onSuccess: (saved) => {
+      queryClient.setQueryData(['notifications', 'preferences'], saved);
+      setMessage({ kind: 'success', text: 'Notification settings saved' });
+    },
+    onError: (err: ApiError) => {
+      setMessage({ kind: 'error', text: err.response?.data?.message || 'Failed to save notification settings' });
+    },
+  });
+
+  const update = (event: NotificationPreference['event'], change: Partial<NotificationPreference>) => {
+    setMessage(null);
+    setPreferences((current) => current.map((preference) => (
+      preference.event === event ? { ...preference, ...change } : preference
+    )));
+  };
+
+  return (
+    <div className="container mx-auto p-6 space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>Notifications</CardTitle>
+          <CardDescription>Choose what you hear about, in the app and by email</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {data && !data.emailEnabled && (
+            <Alert>
+              <AlertDescription>Email is not set up on this server yet; only in-app notifications are delivered.</AlertDescription>
+            </Alert>
+          )}
+          {message && (
+            <Alert variant={message.kind === 'error' ? 'destructive' : 'default'}>
+              <AlertDescription>{message.text}</AlertDescription>
+            </Alert>
+          )}
+          {isLoading ? (
+            <div className="flex justify-center p-6">
+              <Loader2 className="h-8 w-8 animate-spin" />
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Event</TableHead>
+                  <TableHead>In the app</TableHead>
+                  <TableHead>Email</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {preferences.map((preference) => (
+                  <TableRow key={preference.event}>
+                    <TableCell>
+                      <div className="font-medium">{preference.label}</div>
+                      <div className="text-sm text-muted-foreground">{preference.description}</div>
+                    </TableCell>
+                    <TableCell>
+                      <input
+                        type="checkbox"
+                        aria-label={`${preference.label} in the app`}
+                        checked={preference.inApp}
+                        onChange={(e) => update(preference.event, { inApp: e.target.checked })}
+                      />
+                    </TableCell>
+                    <TableCell className="w-48">
+                      <Select
+                        value={preference.email}
+                        onValueChange={(value) => update(preference.event, { email: value as EmailDelivery })}
+                      >
+                        <SelectTrigger aria-label={`${preference.label} by email`}>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {EMAIL_OPTIONS.map(({ value, label }) => (
+                            <SelectItem key={value} value={value}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+          <div className="flex justify-end">
+            <Button onClick={() => saveMutation.mutate()} disabled={saveMutation.isPending || !preferences.length}>
+              {saveMutation.isPending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Save
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default NotificationSettingsPage;
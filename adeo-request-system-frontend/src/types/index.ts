@@ -10,10 +10,14 @@ export interface Request {
     submissionDate: string;
     lastUpdated: string;
     files?: File[];
-    analysis?: RequestAnalysis;
-    recommendations?: RequestRecommendations;
     metadata: RequestMetadata;
-    workflow: RequestWorkflow;
+}
+
+// Account that submitted a request, as it was at the time
+export interface RequestAuthor {
+    user: string;
+    email: string;
+    name?: string;
 }
 
 export type Department =
@@ -40,15 +44,126 @@ export type RequestType =
     | 'Service Enhancement'
     | 'Strategic Planning';
 
+// Mirrors RequestSchema.status in the backend
 export type RequestStatus =
-    | 'draft'
-    | 'pending'
-    | 'processing'
-    | 'processed'
-    | 'approved'
-    | 'rejected'
-    | 'on-hold';
+    | 'Draft'
+    | 'Pending'
+    | 'In Review'
+    | 'Approved'
+    | 'Rejected'
+    | 'Cancelled'
+    | 'Completed';
 
 export type Priority = 'low' | 'medium' | 'high' | 'urgent';
 
+export interface RequestMetadata {
+    version?: number;
+    // Detected from title and description
+    language?: AnalysisLanguage;
+    lastAnalyzed?: string;
+    analysis?: RequestAnalysis;
+}
+
+// Analysis contract, mirrors AnalysisSchema in the backend (schema version 3)
+export type AnalysisLanguage = 'en' | 'ar';
+
+// 'both' writes the analysis in every language, in parallel
+export type AnalysisLanguageOption = AnalysisLanguage | 'both';
+
+export type RiskLevel = 'LOW' | 'MEDIUM' | 'HIGH';
+
+export type Decision = 'APPROVED' | 'REJECTED' | 'NEEDS_REVIEW';
+
+export type ImpactRating =
+    | 'SIGNIFICANT_NEGATIVE'
+    | 'MODERATE_NEGATIVE'
+    | 'NEUTRAL'
+    | 'MODERATE_POSITIVE'
+    | 'SIGNIFICANT_POSITIVE';
+
+export type ImpactArea = 'economic' | 'social' | 'environmental';
+
+export interface ImpactDimension {
+    // Empty for analyses migrated from a shape without ratings
+    rating: ImpactRating | null;
+    // 0-100 derived from the rating, 50 being neutral
+    score: number | null;
+    details: string[];
+}
+
+export interface AnalysisContent {
+    summary: string;
+    trends: string[];
+    impactAssessment: string;
+    policyAlignment: string;
+    riskLevel: RiskLevel;
+    impact: Record<ImpactArea, ImpactDimension>;
+}
+
+export interface DecisionRecommendation {
+    recommendation: Decision;
+    rationale: string[];
+    // 0-100; null for analyses migrated from earlier shapes
+    confidence: number | null;
+}
+
+export interface RecommendationsContent {
+    strategic: string[];
+    operational: string[];
+    timeline: string;
+    risks: string[];
+    budgetImplications: string;
+    decision: DecisionRecommendation;
+}
+
+// Prompt template an analysis step used; template is null for the built-in one
+export interface PromptTemplateUsage {
+    step: 'analysis' | 'recommendations';
+    template: string | null;
+    version: number | null;
+    requestType: string | null;
+    department: string | null;
+}
+
+export interface AnalysisResultMetadata {
+    aiModelUsed?: string;
+    promptVersion?: string;
+    promptTemplates?: PromptTemplateUsage[];
+    // Language of the main analysis; others are under translations
+    language?: AnalysisLanguage;
+    // 'heuristic' when no model was reachable and the analysis was written by rules
+    analyzer?: 'llm' | 'heuristic';
+    fallbackReason?: string;
+    // Reused from an identical earlier analysis
+    cached?: boolean;
+    schemaVersion?: number;
+    migratedFrom?: 'v1' | 'v2';
+    sourceDocuments?: Array<{
+        attachmentId: string;
+        originalName: string;
+        pageCount?: number;
+        summarized?: boolean;
+    }>;
+    validationIssues?: Array<{
+        section: string;
+        field: string;
+        message: string;
+    }>;
+}
+
+// The analysis in another language, generated alongside the main one
+export interface TranslatedAnalysis {
+    analysis: AnalysisContent;
+    recommendations: RecommendationsContent;
+    validationIssues?: AnalysisResultMetadata['validationIssues'];
+    outputAttempts?: number;
+}
+
+export interface RequestAnalysis {
+    analysis: AnalysisContent;
+    recommendations: RecommendationsContent;
+    translations?: Partial<Record<AnalysisLanguage, TranslatedAnalysis>>;
+    metadata?: AnalysisResultMetadata;
+}
+
 // Additional interfaces will be added as needed
\ No newline at end of file